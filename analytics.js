@@ -0,0 +1,477 @@
+const { containsHebrew, normalizeText, normalizeWithMap, stripPointing, withFinalForm, vocabularyStemmer, rootCandidate } = require('./hebrew');
+const { tokenize, fieldSegments } = require('./search-index');
+const { parseHebrewNumeral, toHebrewNumeral, segmentRef } = require('./refs');
+const { PARASHIYOT, getMetadata } = require('./mitzvot-metadata');
+
+// ========== TEXT ANALYTICS ==========
+//
+// Research views over the English and Hebrew text of the mitzvot:
+//
+//   concordance  every occurrence of every word, by mitzvah, segment (1-based, as in
+//                refs) and position (the place of the word in the segment, 0-based):
+//                  { term, language, root, count, mitzvot, occurrences: [[mitzvah, segment, position]] }
+//                root is the root candidate of a Hebrew word (see rootCandidate() in
+//                hebrew.js), by which lookups can also group its forms; null in English.
+//   top terms    the most frequent words of a mitzvah or a parasha: [{ term, language,
+//                count, mitzvot }]. Hebrew words are counted by stem, without attached
+//                prefixes (השבת, ובשבת -> שבת), or with by: 'root' by root candidate.
+//                Numbers, one-letter words and words found in more than half of the
+//                mitzvot (the, and, את, של) are left out unless `common` is set.
+//
+// Words are matched in normalized form (no pointing, no final letters) but shown as
+// the text spells them most often, without pointing; stems and roots that are not
+// words of the text are shown with a final letter (כהנ -> כהן).
+//   citations    the Biblical verses the text quotes: "Exodus 12:2", "Deut. 6:4-9",
+//                "(שמות יב, ב)", "שמות י״ב ב׳", and after one of those "(ibid. 12:3)" or
+//                "(שם יב, ג)". A range within a chapter counts for each of its verses.
+//                Hebrew book names are also words ("דברים רבים", "במדבר סיני"), so
+//                "שמות יב ב" without parentheses, separator or numeral marks is not one.
+//
+// The concordance and term counts are read off the postings of the full-text index, as
+// the related mitzvot are (similarity.js); citations are found in the text itself,
+// whose punctuation the index does not keep. toCsv() writes any of them as CSV.
+
+const FIELD_LANGUAGES = { 1: 'english', 2: 'hebrew' }; // as numbered in search-index.js
+const LANGUAGES = ['english', 'hebrew'];
+const ANALYTICS_KINDS = ['concordance', 'terms', 'citations'];
+const MAX_DOCUMENT_RATIO = 0.5;
+const DEFAULT_TOP_TERMS = 20;
+const CONTEXT_LENGTH = 60;
+
+// ========== BIBLICAL BOOKS ==========
+
+// The books of the Tanakh as Sefaria names them: [title, Hebrew title, chapters, other names]
+const BIBLE_BOOKS = [
+  ['Genesis', 'בראשית', 50, ['Gen', 'Bereshit', 'Bereishit']],
+  ['Exodus', 'שמות', 40, ['Exod', 'Ex', 'Shemot', 'Shemos']],
+  ['Leviticus', 'ויקרא', 27, ['Lev', 'Vayikra']],
+  ['Numbers', 'במדבר', 36, ['Num', 'Bamidbar']],
+  ['Deuteronomy', 'דברים', 34, ['Deut', 'Dt', 'Devarim']],
+  ['Joshua', 'יהושע', 24, ['Josh']],
+  ['Judges', 'שופטים', 21, ['Judg']],
+  ['I Samuel', 'שמואל א', 31, ['1 Samuel', '1 Sam', 'I Sam']],
+  ['II Samuel', 'שמואל ב', 24, ['2 Samuel', '2 Sam', 'II Sam']],
+  ['I Kings', 'מלכים א', 22, ['1 Kings', '1 Kgs']],
+  ['II Kings', 'מלכים ב', 25, ['2 Kings', '2 Kgs']],
+  ['Isaiah', 'ישעיהו', 66, ['Isa', 'ישעיה']],
+  ['Jeremiah', 'ירמיהו', 52, ['Jer', 'ירמיה']],
+  ['Ezekiel', 'יחזקאל', 48, ['Ezek']],
+  ['Hosea', 'הושע', 14, ['Hos']],
+  ['Joel', 'יואל', 4, []],
+  ['Amos', 'עמוס', 9, []],
+  ['Obadiah', 'עובדיה', 1, ['Obad']],
+  ['Jonah', 'יונה', 4, []],
+  ['Micah', 'מיכה', 7, ['Mic']],
+  ['Nahum', 'נחום', 3, ['Nah']],
+  ['Habakkuk', 'חבקוק', 3, ['Hab']],
+  ['Zephaniah', 'צפניה', 3, ['Zeph']],
+  ['Haggai', 'חגי', 2, ['Hag']],
+  ['Zechariah', 'זכריה', 14, ['Zech']],
+  ['Malachi', 'מלאכי', 3, ['Mal']],
+  ['Psalms', 'תהלים', 150, ['Psalm', 'Ps', 'Psa', 'תהילים']],
+  ['Proverbs', 'משלי', 31, ['Prov']],
+  ['Job', 'איוב', 42, []],
+  ['Song of Songs', 'שיר השירים', 8, ['Song of Solomon']],
+  ['Ruth', 'רות', 4, []],
+  ['Lamentations', 'איכה', 5, ['Lam']],
+  ['Ecclesiastes', 'קהלת', 12, ['Eccl', 'Eccles', 'Kohelet']],
+  ['Esther', 'אסתר', 10, ['Esth']],
+  ['Daniel', 'דניאל', 12, ['Dan']],
+  ['Ezra', 'עזרא', 10, []],
+  ['Nehemiah', 'נחמיה', 13, ['Neh']],
+  ['I Chronicles', 'דברי הימים א', 29, ['1 Chronicles', '1 Chron', '1 Chr']],
+  ['II Chronicles', 'דברי הימים ב', 36, ['2 Chronicles', '2 Chron', '2 Chr']]
+].map(([title, heTitle, chapters, names], order) => ({ title, heTitle, chapters, names, order }));
+
+const MAX_VERSE = 176; // Psalms 119
+
+// Every name of every book, normalized (lowercase, final letters folded) -> book
+const BOOKS_BY_NAME = new Map();
+BIBLE_BOOKS.forEach(book => {
+  [book.title, book.heTitle, ...book.names].forEach(name => BOOKS_BY_NAME.set(normalizeText(name), book));
+});
+const BOOK_NAMES = [...BOOKS_BY_NAME.keys()].sort((a, b) => b.length - a.length);
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const namePattern = names => names
+  .sort((a, b) => b.length - a.length)
+  .map(name => escapeRegExp(name).replace(/ /g, '\\s+'))
+  .join('|');
+
+// "Exodus 12:2", "Ex. 12:2-4", "ibid. 12:3", matched in the text as written
+const ENGLISH_NAMES = BIBLE_BOOKS.flatMap(book => [book.title, ...book.names]).filter(name => !containsHebrew(name));
+const ENGLISH_CITATION = new RegExp(
+  `(?<![\\p{L}\\d])(${namePattern(ENGLISH_NAMES)}|[Ii]bid)\\.?,?\\s+(\\d{1,3})\\s*[:.,]\\s*(\\d{1,3})` +
+  '(?:\\s*[-\\u2013]\\s*(\\d{1,3}))?(?!\\d)', 'gu'
+);
+
+// "שמות יב, ב", "שמות יב:ב-ג", "(שם יב, ג)", matched in normalized text (no gershayim,
+// final letters folded); chapter and verse are Hebrew numerals in their usual spelling.
+// Groups: book, chapter, the separator before the verse (if not a space), verse, toVerse.
+const HEBREW_NAMES = BOOK_NAMES.filter(containsHebrew);
+const HEBREW_NUMBER = '([\\u05D0-\\u05EA]{1,3})[\'"]?';
+const HEBREW_CITATION = new RegExp(
+  `(?<![\\u05D0-\\u05EA])(${namePattern(HEBREW_NAMES)}|שמ)\\s*,?\\s+${HEBREW_NUMBER}(?:\\s*([,:.])\\s*|\\s+)${HEBREW_NUMBER}` +
+  `(?:\\s*[-\\u2013]\\s*${HEBREW_NUMBER})?(?![\\u05D0-\\u05EA])`, 'g'
+);
+
+// A chapter or verse number written in Hebrew as numbers are (י״ב, יב, ב׳), not any
+// letters that add up to one; NaN otherwise
+function hebrewNumber(letters) {
+  const value = parseHebrewNumeral(letters);
+  return value >= 1 && normalizeText(toHebrewNumeral(value)) === normalizeText(letters).replace(/['"]/g, '') ? value : NaN;
+}
+
+// The canonical references of a verse: "Exodus 12:2" and "שמות י״ב:ב׳"
+function verseRef(book, chapter, verse) {
+  return `${book.title} ${chapter}:${verse}`;
+}
+
+function heVerseRef(book, chapter, verse) {
+  return `${book.heTitle} ${toHebrewNumeral(chapter)}:${toHebrewNumeral(verse)}`;
+}
+
+// A citation when book, chapter and verse exist (toVerse is dropped when it is not after verse)
+function makeCitation(book, chapter, verse, toVerse, quoted) {
+  if (!book || !(chapter >= 1 && chapter <= book.chapters) || !(verse >= 1 && verse <= MAX_VERSE)) return null;
+  const last = toVerse > verse && toVerse <= MAX_VERSE ? toVerse : verse;
+  return { book: book.title, chapter, verse, toVerse: last, ref: verseRef(book, chapter, verse), heRef: heVerseRef(book, chapter, verse), quoted };
+}
+
+// The verse citations in the segments of one text, in order:
+// [{ segment, book, chapter, verse, toVerse, ref, heRef, quoted }]. "ibid." and "(שם"
+// refer to the book cited last in the text.
+function findCitations(segments) {
+  const citations = [];
+  let lastBook = null;
+
+  segments.forEach((text, index) => {
+    const found = [];
+    for (const match of String(text).matchAll(ENGLISH_CITATION)) {
+      const ibid = /^ibid$/i.test(match[1]);
+      found.push({ start: match.index, ibid, book: ibid ? null : BOOKS_BY_NAME.get(normalizeText(match[1]).replace(/\s+/g, ' ')),
+        numbers: [match[2], match[3], match[4]].map(number => (number === undefined ? NaN : parseInt(number, 10))), quoted: match[0] });
+    }
+
+    const normalized = normalizeWithMap(text);
+    for (const match of normalized.text.matchAll(HEBREW_CITATION)) {
+      const ibid = match[1] === 'שמ';
+      const start = normalized.map[match.index];
+      const quoted = String(text).slice(start, normalized.map[match.index + match[0].length]);
+      const parenthesized = ['(', '['].includes(normalized.text.slice(0, match.index).trimEnd().slice(-1));
+      // שם is also a common word: only "(שם ...)" is a citation. Book names are words
+      // too: they need parentheses, a separator or numeral marks (geresh, gershayim),
+      // which normalizing drops, so those are looked for in the text as written.
+      if (ibid ? !parenthesized : !(parenthesized || match[3] || /[\u05F3\u05F4'"]/.test(quoted))) continue;
+      found.push({ start, ibid, book: ibid ? null : BOOKS_BY_NAME.get(match[1].replace(/\s+/g, ' ')),
+        numbers: [match[2], match[4], match[5]].map(number => (number === undefined ? NaN : hebrewNumber(number))),
+        quoted });
+    }
+
+    found.sort((a, b) => a.start - b.start).forEach(entry => {
+      const book = entry.ibid ? lastBook : entry.book;
+      const citation = makeCitation(book, ...entry.numbers, entry.quoted);
+      if (!citation) return;
+      lastBook = book;
+      citations.push({ segment: index + 1, ...citation });
+    });
+  });
+  return citations;
+}
+
+// Parse a verse or a chapter ("Exodus 12:2", "Ex 12", "שמות י״ב ב׳"): { book, chapter,
+// verse } with verse null for a whole chapter; null when it is not one
+function parseVerseRef(text) {
+  const normalized = normalizeText(String(text || '').replace(/_/g, ' ')).replace(/\s+/g, ' ').trim();
+  const name = BOOK_NAMES.find(candidate => normalized.startsWith(candidate) && /^[\s.]/.test(normalized.slice(candidate.length)));
+  if (!name) return null;
+  const match = normalized.slice(name.length).match(/^\.?\s*([\dא-ת]+)['"]?(?:(?:\s*[:.,]\s*|\s+)([\dא-ת]+)['"]?)?$/);
+  if (!match) return null;
+  const book = BOOKS_BY_NAME.get(name);
+  const number = token => (/^\d+$/.test(token) ? parseInt(token, 10) : hebrewNumber(token));
+  const chapter = number(match[1]);
+  const verse = match[2] === undefined ? null : number(match[2]);
+  if (!(chapter >= 1 && chapter <= book.chapters) || (verse !== null && !(verse >= 1 && verse <= MAX_VERSE))) return null;
+  return { book: book.title, chapter, verse };
+}
+
+// ========== ANALYTICS ==========
+
+class TextAnalytics {
+  constructor(entries, counts, citations, total, stemOf) {
+    this.entries = entries; // Map<"language:term", concordance entry>
+    this.counts = counts; // Map<number, Map<"language:term", count>>
+    this.citations = citations; // Map<number, [citation]>, in text order
+    this.total = total;
+    this.stemOf = stemOf;
+
+    // Words grouped by stem and by root candidate (an English word is its own group),
+    // and in how many mitzvot each group is found
+    this.roots = new Map();
+    entries.forEach((entry, key) => {
+      const stem = entry.language === 'hebrew' ? stemOf(entry.term) : null;
+      entry.stemKey = stem ? `${entry.language}:${stem}` : key;
+      entry.rootKey = entry.root ? `${entry.language}:${entry.root}` : key;
+      if (!this.roots.has(entry.rootKey)) this.roots.set(entry.rootKey, []);
+      this.roots.get(entry.rootKey).push(entry);
+    });
+    this.groupFrequency = { stemKey: new Map(), rootKey: new Map() };
+    counts.forEach(terms => {
+      Object.entries(this.groupFrequency).forEach(([field, frequency]) => {
+        new Set([...terms.keys()].map(key => entries.get(key)[field])).forEach(group => {
+          frequency.set(group, (frequency.get(group) || 0) + 1);
+        });
+      });
+    });
+  }
+
+  // The spelling to show for a group key ("hebrew:שבת"): that of the word itself when
+  // the text has it, else the normalized form with a final letter
+  displayOf(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.display : withFinalForm(key.slice(key.indexOf(':') + 1));
+  }
+
+  // Build the analytics of mitzvot from their SearchIndex
+  static build(searchIndex, mitzvot) {
+    const stemOf = vocabularyStemmer(Object.keys(searchIndex.postings));
+    const entries = new Map();
+    const counts = new Map();
+
+    Object.entries(searchIndex.postings).forEach(([term, records]) => {
+      for (let i = 0; i < records.length;) {
+        const [number, fieldId, segmentIndex, frequency] = records.slice(i, i + 4);
+        const positions = records.slice(i + 4, i + 4 + frequency);
+        i += 4 + frequency;
+        const language = FIELD_LANGUAGES[fieldId];
+        if (!language) continue;
+
+        const key = `${language}:${term}`;
+        if (!entries.has(key)) {
+          const root = language === 'hebrew' && containsHebrew(term) ? rootCandidate(stemOf(term)) : null;
+          entries.set(key, { term, display: term, language, root, count: 0, mitzvot: 0, occurrences: [] });
+        }
+        const entry = entries.get(key);
+        if (!counts.has(number)) counts.set(number, new Map());
+        const terms = counts.get(number);
+        if (!terms.has(key)) entry.mitzvot++;
+        terms.set(key, (terms.get(key) || 0) + frequency);
+        entry.count += frequency;
+        positions.forEach(position => entry.occurrences.push([number, segmentIndex + 1, position]));
+      }
+    });
+    entries.forEach(entry => entry.occurrences.sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2]));
+
+    // Citations, and the spellings of each word in the text
+    const citations = new Map();
+    const spellings = new Map();
+    mitzvot.forEach(mitzvah => {
+      const found = LANGUAGES.flatMap(language => {
+        const segments = fieldSegments(mitzvah, language);
+        segments.forEach(segment => tokenize(segment).forEach(token => {
+          const key = `${language}:${token.term}`;
+          const spelling = stripPointing(segment.slice(token.start, token.end));
+          if (!spellings.has(key)) spellings.set(key, new Map());
+          spellings.get(key).set(spelling, (spellings.get(key).get(spelling) || 0) + 1);
+        }));
+        return findCitations(segments).map(citation => ({ ...citation, language }));
+      });
+      if (found.length > 0) citations.set(mitzvah.mitzvahNumber, found);
+    });
+    spellings.forEach((counted, key) => {
+      if (!entries.has(key)) return;
+      entries.get(key).display = [...counted].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+    });
+
+    return new TextAnalytics(entries, counts, citations, searchIndex.docCount, stemOf);
+  }
+
+  // The occurrences of one word, or with { by: 'root' } of every Hebrew word with its
+  // root candidate: { term, language, by, root, count, mitzvot, forms: [{ term, count }],
+  // occurrences: [{ mitzvah, segment, position, term }] }; null when word is not one word
+  concordance(word, { by = 'word' } = {}) {
+    const tokens = tokenize(word);
+    if (tokens.length !== 1) return null;
+    const term = tokens[0].term;
+    const language = containsHebrew(term) ? 'hebrew' : 'english';
+    const rooted = by === 'root' && language === 'hebrew';
+    const key = `${language}:${term}`;
+    const root = rooted ? (this.entries.has(key) ? this.entries.get(key).root : rootCandidate(this.stemOf(term))) : null;
+    const matches = rooted ? this.roots.get(`${language}:${root}`) || [] : [this.entries.get(key)].filter(Boolean);
+
+    const occurrences = matches
+      .flatMap(entry => entry.occurrences.map(([mitzvah, segment, position]) => ({ mitzvah, segment, position, term: entry.display })))
+      .sort((a, b) => a.mitzvah - b.mitzvah || a.segment - b.segment || a.position - b.position);
+    return {
+      term: this.entries.has(key) ? this.entries.get(key).display : stripPointing(word.slice(tokens[0].start, tokens[0].end)),
+      language,
+      by: rooted ? 'root' : 'word',
+      root: rooted ? withFinalForm(root) : null,
+      count: occurrences.length,
+      mitzvot: new Set(occurrences.map(occurrence => occurrence.mitzvah)).size,
+      forms: matches.map(entry => ({ term: entry.display, count: entry.count })).sort((a, b) => b.count - a.count || a.term.localeCompare(b.term)),
+      occurrences
+    };
+  }
+
+  // Every concordance entry of a language ('english', 'hebrew' or 'both'), by language and term
+  concordanceEntries(language = 'both') {
+    return [...this.entries.values()]
+      .filter(entry => language === 'both' || entry.language === language)
+      .sort((a, b) => LANGUAGES.indexOf(a.language) - LANGUAGES.indexOf(b.language) || a.term.localeCompare(b.term))
+      .map(entry => ({
+        term: entry.display,
+        language: entry.language,
+        root: entry.root ? withFinalForm(entry.root) : null,
+        count: entry.count,
+        mitzvot: entry.mitzvot,
+        occurrences: entry.occurrences
+      }));
+  }
+
+  // The most frequent words of some mitzvot, most frequent first. Options: language
+  // ('english', 'hebrew' or 'both'), by ('word': Hebrew words by stem, or 'root'),
+  // limit (default 20), common
+  topTerms(numbers, options = {}) {
+    const { language = 'both', by = 'word', limit = DEFAULT_TOP_TERMS, common = false } = options;
+    const field = by === 'root' ? 'rootKey' : 'stemKey';
+    const groups = new Map();
+    numbers.forEach(number => (this.counts.get(number) || new Map()).forEach((count, key) => {
+      const entry = this.entries.get(key);
+      if (language !== 'both' && entry.language !== language) return;
+      const group = entry[field];
+      if (!groups.has(group)) {
+        groups.set(group, {
+          term: this.displayOf(group),
+          language: entry.language,
+          count: 0,
+          found: new Set(),
+          frequency: this.groupFrequency[field].get(group)
+        });
+      }
+      const total = groups.get(group);
+      total.count += count;
+      total.found.add(number);
+    }));
+
+    const maxMitzvot = this.total * MAX_DOCUMENT_RATIO;
+    return [...groups.values()]
+      .filter(group => common || (group.term.length > 1 && !/^\d+$/.test(group.term) && group.frequency <= maxMitzvot))
+      .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+      .slice(0, limit)
+      .map(group => ({ term: group.term, language: group.language, count: group.count, mitzvot: group.found.size }));
+  }
+
+  // The top terms of every mitzvah and of every parasha with mitzvot:
+  // { mitzvot: [{ number, terms }], parashiyot: [{ parasha, heParasha, mitzvot, terms }] }
+  termReport(options = {}) {
+    const numbers = [...this.counts.keys()].sort((a, b) => a - b);
+    return {
+      mitzvot: numbers.map(number => ({ number, terms: this.topTerms([number], options) })),
+      parashiyot: PARASHIYOT.map(parasha => {
+        const inParasha = numbers.filter(number => number >= parasha.from && number <= parasha.to);
+        return { parasha: parasha.name, heParasha: parasha.heName, mitzvot: inParasha, terms: this.topTerms(inParasha, options) };
+      }).filter(entry => entry.mitzvot.length > 0)
+    };
+  }
+
+  // The verses quoted in the text, in the order of the Tanakh, each with the mitzvot
+  // quoting it: [{ ref, heRef, book, chapter, verse, count, mitzvot: [{ number, quotes:
+  // [{ segment, ref, language, quoted }] }] }]. query (see parseVerseRef()) keeps one
+  // verse or one chapter.
+  verses(query = null) {
+    const verses = new Map();
+    [...this.citations.keys()].sort((a, b) => a - b).forEach(number => {
+      this.citations.get(number).forEach(citation => {
+        for (let verse = citation.verse; verse <= citation.toVerse; verse++) {
+          if (query && (citation.book !== query.book || citation.chapter !== query.chapter || (query.verse !== null && verse !== query.verse))) continue;
+          const book = BOOKS_BY_NAME.get(normalizeText(citation.book));
+          const ref = verseRef(book, citation.chapter, verse);
+          if (!verses.has(ref)) {
+            verses.set(ref, { ref, heRef: heVerseRef(book, citation.chapter, verse), book: book.title, chapter: citation.chapter, verse, order: book.order, count: 0, mitzvot: [] });
+          }
+          const entry = verses.get(ref);
+          let quoting = entry.mitzvot[entry.mitzvot.length - 1];
+          if (!quoting || quoting.number !== number) {
+            quoting = { number, quotes: [] };
+            entry.mitzvot.push(quoting);
+          }
+          quoting.quotes.push({ segment: citation.segment, ref: segmentRef(number, citation.segment), language: citation.language, quoted: citation.quoted });
+          entry.count++;
+        }
+      });
+    });
+    return [...verses.values()]
+      .sort((a, b) => a.order - b.order || a.chapter - b.chapter || a.verse - b.verse)
+      .map(({ order, ...entry }) => entry);
+  }
+
+  // The verse citations in the text of one mitzvah, English first, in text order
+  citationsOf(number) {
+    return (this.citations.get(number) || []).map(({ toVerse, ...citation }) => ({
+      ...citation,
+      ...(toVerse !== citation.verse ? { toVerse } : {}),
+      segmentRef: segmentRef(number, citation.segment)
+    }));
+  }
+}
+
+// The word at a position of a segment with the text around it: { before, word, after }
+function keywordInContext(text, position, contextLength = CONTEXT_LENGTH) {
+  const token = tokenize(text)[position];
+  if (!token) return null;
+  const start = Math.max(0, token.start - contextLength);
+  const end = Math.min(text.length, token.end + contextLength);
+  return {
+    before: (start > 0 ? '...' : '') + text.slice(start, token.start).replace(/\s+/g, ' ').trimStart(),
+    word: text.slice(token.start, token.end),
+    after: text.slice(token.end, end).replace(/\s+/g, ' ').trimEnd() + (end < text.length ? '...' : '')
+  };
+}
+
+// ========== CSV ==========
+
+// Rows (arrays of cells) under a header row as CSV (RFC 4180)
+function toCsv(header, rows) {
+  const cell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...rows].map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+// One kind of analytics data (as the app's renderAnalytics() collects it) as CSV,
+// one row per occurrence, top term or quote
+function formatCsv(kind, data) {
+  switch (kind) {
+    case 'concordance':
+      return toCsv(['language', 'term', 'root', 'mitzvah', 'segment', 'ref', 'position'],
+        data.entries.flatMap(entry => entry.occurrences.map(([mitzvah, segment, position]) =>
+          [entry.language, entry.term, entry.root, mitzvah, segment, segmentRef(mitzvah, segment), position])));
+    case 'terms':
+      return toCsv(['scope', 'key', 'name', 'rank', 'language', 'term', 'count', 'mitzvot'], [
+        ...data.mitzvot.flatMap(entry => entry.terms.map((term, rank) =>
+          ['mitzvah', entry.number, (getMetadata(entry.number) || {}).summary, rank + 1, term.language, term.term, term.count, term.mitzvot])),
+        ...data.parashiyot.flatMap(entry => entry.terms.map((term, rank) =>
+          ['parasha', entry.parasha, entry.heParasha, rank + 1, term.language, term.term, term.count, term.mitzvot]))
+      ]);
+    case 'citations':
+      return toCsv(['verse', 'heVerse', 'book', 'chapter', 'verseNumber', 'mitzvah', 'segment', 'ref', 'language', 'quoted'],
+        data.verses.flatMap(verse => verse.mitzvot.flatMap(mitzvah => mitzvah.quotes.map(quote =>
+          [verse.ref, verse.heRef, verse.book, verse.chapter, verse.verse, mitzvah.number, quote.segment, quote.ref, quote.language, quote.quoted]))));
+    default:
+      throw new Error(`Unknown analytics: ${kind}. Use: ${ANALYTICS_KINDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  ANALYTICS_KINDS,
+  BIBLE_BOOKS,
+  DEFAULT_TOP_TERMS,
+  TextAnalytics,
+  findCitations,
+  parseVerseRef,
+  keywordInContext,
+  toCsv,
+  formatCsv
+};
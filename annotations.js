@@ -0,0 +1,228 @@
+const { ProfileStore } = require('./profile-store');
+const { tokenize, parseQuery, makeSnippet } = require('./search-index');
+
+// ========== ANNOTATIONS ==========
+//
+// Bookmarks, tags and notes of one profile, kept in
+// <outputDir>/annotations/<profile>.json (see profile-store.js):
+//
+//   { version: 1, name, nextNoteId,
+//     mitzvot: { 32: { bookmarkedAt, tags: ['for Tuesday shiur'],
+//                      notes: [{ id, segment, text, excerpt, createdAt, updatedAt }] } } }
+//
+// Entries are keyed by mitzvah number and 1-based segment, never by position in
+// all_mitzvot.json, so they survive a re-download. A note on a segment keeps the
+// start of that segment's text (excerpt, when the text was loaded) to tell when the
+// text has changed since.
+
+const ANNOTATIONS_DIR = 'annotations';
+const ANNOTATIONS_VERSION = 1;
+const EXCERPT_LENGTH = 60;
+const MAX_TAG_LENGTH = 100;
+
+function emptyAnnotations(name) {
+  return { version: ANNOTATIONS_VERSION, name, createdAt: new Date().toISOString(), nextNoteId: 1, mitzvot: {} };
+}
+
+class AnnotationStore extends ProfileStore {
+  constructor(outputDir) {
+    super(outputDir, ANNOTATIONS_DIR, emptyAnnotations, 'annotations profile');
+  }
+}
+
+// ========== EDITING ==========
+
+// Tags are free-form labels with whitespace collapsed; they compare case-insensitively
+function normalizeTag(tag) {
+  const text = String(tag === undefined || tag === null ? '' : tag).replace(/\s+/g, ' ').trim();
+  if (!text || text.length > MAX_TAG_LENGTH) {
+    throw new Error(`Invalid tag: "${tag}". Tags are 1-${MAX_TAG_LENGTH} characters`);
+  }
+  return text;
+}
+
+const sameTag = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Start of a segment's text, whitespace collapsed, for noticing later changes
+function excerptOf(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, EXCERPT_LENGTH);
+}
+
+// The entry of a mitzvah, created on first use
+function entryFor(data, number) {
+  if (!data.mitzvot[number]) data.mitzvot[number] = { bookmarkedAt: null, tags: [], notes: [] };
+  return data.mitzvot[number];
+}
+
+// Drop entries with nothing left in them
+function prune(data, number) {
+  const entry = data.mitzvot[number];
+  if (entry && !entry.bookmarkedAt && entry.tags.length === 0 && entry.notes.length === 0) {
+    delete data.mitzvot[number];
+  }
+}
+
+function setBookmark(data, number, bookmarked) {
+  const entry = entryFor(data, number);
+  if (bookmarked && !entry.bookmarkedAt) entry.bookmarkedAt = new Date().toISOString();
+  if (!bookmarked) entry.bookmarkedAt = null;
+  prune(data, number);
+}
+
+// Add tags to a mitzvah; returns the tags that were new
+function addTags(data, number, tags) {
+  const entry = entryFor(data, number);
+  const added = [];
+  tags.map(normalizeTag).forEach(tag => {
+    // A tag already used elsewhere keeps its first spelling
+    const known = allTags(data).find(existing => sameTag(existing.tag, tag));
+    const spelling = known ? known.tag : tag;
+    if (!entry.tags.some(existing => sameTag(existing, spelling))) {
+      entry.tags.push(spelling);
+      added.push(spelling);
+    }
+  });
+  prune(data, number);
+  return added;
+}
+
+// Remove tags from a mitzvah; returns the tags that were removed
+function removeTags(data, number, tags) {
+  const entry = entryFor(data, number);
+  const wanted = tags.map(normalizeTag);
+  const removed = entry.tags.filter(tag => wanted.some(other => sameTag(tag, other)));
+  entry.tags = entry.tags.filter(tag => !removed.includes(tag));
+  prune(data, number);
+  return removed;
+}
+
+// Add a note to a mitzvah (segment null) or one of its segments; returns the note
+function addNote(data, number, segment, text, segmentText = '') {
+  const body = String(text || '').trim();
+  if (!body) throw new Error('A note needs some text');
+
+  const now = new Date().toISOString();
+  const note = { id: data.nextNoteId++, segment: segment || null, text: body, excerpt: segment && segmentText ? excerptOf(segmentText) : null, createdAt: now, updatedAt: now };
+  entryFor(data, number).notes.push(note);
+  return note;
+}
+
+// { number, note } for a note id, or null
+function findNote(data, id) {
+  for (const [number, entry] of Object.entries(data.mitzvot)) {
+    const note = entry.notes.find(candidate => candidate.id === Number(id));
+    if (note) return { number: Number(number), note };
+  }
+  return null;
+}
+
+function editNote(data, id, text) {
+  const body = String(text || '').trim();
+  if (!body) throw new Error('A note needs some text');
+  const found = findNote(data, id);
+  if (!found) return null;
+  found.note.text = body;
+  found.note.updatedAt = new Date().toISOString();
+  return { number: found.number, ...found.note };
+}
+
+function removeNote(data, id) {
+  const found = findNote(data, id);
+  if (!found) return null;
+  const entry = data.mitzvot[found.number];
+  entry.notes = entry.notes.filter(note => note !== found.note);
+  prune(data, found.number);
+  return { number: found.number, ...found.note };
+}
+
+// ========== QUERIES ==========
+
+// Annotations of one mitzvah: { bookmarked, bookmarkedAt, tags, notes }
+function annotationsOf(data, number) {
+  const entry = data.mitzvot[number] || { bookmarkedAt: null, tags: [], notes: [] };
+  return { bookmarked: !!entry.bookmarkedAt, bookmarkedAt: entry.bookmarkedAt, tags: [...entry.tags], notes: entry.notes.map(note => ({ ...note })) };
+}
+
+// Numbers of every annotated mitzvah, ascending
+function annotatedNumbers(data) {
+  return Object.keys(data.mitzvot).map(Number).sort((a, b) => a - b);
+}
+
+// Every tag in use with the mitzvot carrying it: [{ tag, count, numbers }], by name
+function allTags(data) {
+  const tags = new Map();
+  annotatedNumbers(data).forEach(number => {
+    data.mitzvot[number].tags.forEach(tag => {
+      const key = tag.toLowerCase();
+      if (!tags.has(key)) tags.set(key, { tag, count: 0, numbers: [] });
+      tags.get(key).count++;
+      tags.get(key).numbers.push(number);
+    });
+  });
+  return [...tags.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+// Numbers of the mitzvot carrying a tag (case-insensitive)
+function numbersWithTag(data, tag) {
+  const wanted = normalizeTag(tag);
+  return annotatedNumbers(data).filter(number => data.mitzvot[number].tags.some(existing => sameTag(existing, wanted)));
+}
+
+// Highlights of a parsed query in a text, or null when it does not match. Items
+// are AND-ed, clauses OR-ed, as in the full-text search.
+function matchQuery(text, clauses) {
+  const tokens = tokenize(text);
+  let highlights = null;
+
+  clauses.forEach(clause => {
+    const found = [];
+    const matched = clause.every(item => {
+      const terms = item.type === 'phrase' ? item.terms : [item.term];
+      let any = false;
+      for (let i = 0; i + terms.length <= tokens.length; i++) {
+        if (terms.every((term, offset) => tokens[i + offset].term === term)) {
+          found.push({ start: tokens[i].start, end: tokens[i + terms.length - 1].end });
+          any = true;
+        }
+      }
+      return any;
+    });
+    if (matched) highlights = (highlights || []).concat(found);
+  });
+
+  return highlights;
+}
+
+// Notes matching a query (words, "phrases", OR): [{ number, note, snippet }],
+// by mitzvah and then note id
+function searchNotes(data, query, contextLength = 100) {
+  const clauses = parseQuery(query);
+  if (clauses.length === 0) return [];
+
+  const results = [];
+  annotatedNumbers(data).forEach(number => {
+    data.mitzvot[number].notes.forEach(note => {
+      const highlights = matchQuery(note.text, clauses);
+      if (highlights) results.push({ number, note: { ...note }, snippet: makeSnippet(note.text, highlights, contextLength) });
+    });
+  });
+  return results;
+}
+
+module.exports = {
+  ANNOTATIONS_DIR,
+  AnnotationStore,
+  normalizeTag,
+  excerptOf,
+  setBookmark,
+  addTags,
+  removeTags,
+  addNote,
+  editNote,
+  removeNote,
+  annotationsOf,
+  annotatedNumbers,
+  allTags,
+  numbersWithTag,
+  searchNotes
+};
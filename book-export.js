@@ -0,0 +1,410 @@
+const crypto = require('crypto');
+const { createZip } = require('./zip');
+const { renderSegments, stripMarkup, escapeHtml } = require('./sefaria-text');
+const { segmentsOf } = require('./search-index');
+const { formatRef, toHebrewNumeral, BOOK_TITLE, HE_BOOK_TITLE } = require('./refs');
+const { getMetadata, parashaOf, describeApplicability } = require('./mitzvot-metadata');
+const { formatEquivalents } = require('./enumerations');
+const { licenseRestriction } = require('./text-versions');
+
+// ========== BOOK EXPORT ==========
+//
+// Bilingual editions of a set of loaded mitzvot, generated locally:
+//   renderHtmlBook(mitzvot, options)  one standalone HTML page with inline CSS, a table
+//                                     of contents and anchors per mitzvah (#mitzvah-32)
+//                                     and per segment (#s-32-3)
+//   buildEpub(mitzvot, options)       an EPUB 3 file as a Buffer, one chapter per parasha,
+//                                     with a nav document (and toc.ncx for older readers)
+// Each segment is a row with the English on the left and the Hebrew on the right
+// (dir="rtl"); narrow screens and e-readers stack the two. Options: title, language
+// ('both', 'english' or 'hebrew'), date (EPUB modification date, default now).
+// Mitzvot carrying `annotations` (see getMitzvah()) get their bookmark, tags and notes,
+// those carrying `linked` (see linked-texts.js) their Torah verses and commentary,
+// and those carrying `related` (see getRelatedMitzvot()) a See also list, linked to
+// the related mitzvot that are in the book.
+// The markup is XHTML, so the same sections serve both formats.
+
+const LANGUAGES = ['both', 'english', 'hebrew'];
+
+const BASE_CSS = `body { font-family: Georgia, "Times New Roman", serif; line-height: 1.5; margin: 0 auto; max-width: 60em; padding: 0 1em; }
+.he { font-family: "SBL Hebrew", "Frank Ruehl CLM", "David", serif; font-size: 1.15em; text-align: right; }
+h1, h2, h3 { line-height: 1.2; }
+h3 .he { float: right; }
+.mitzvah { margin: 2em 0; }
+.summary { font-style: italic; }
+.meta { color: #555; font-size: 0.9em; }
+.segment { margin: 0.75em 0; }
+.cite { color: #888; font-size: 0.8em; margin-right: 0.3em; }
+.noteref { font-size: 0.75em; text-decoration: none; }
+.footnotes { border-top: 1px solid #ccc; font-size: 0.85em; margin-top: 1em; }
+.annotations { background: #fdf8e4; padding: 0.25em 0.75em; }
+.related { font-size: 0.9em; }
+.linked { border-left: 3px solid #ddd; font-size: 0.9em; padding-left: 0.75em; }
+.sources { border-top: 1px solid #ccc; font-size: 0.9em; margin-top: 3em; }`;
+
+// Side by side on wide screens, stacked on narrow ones
+const HTML_CSS = `${BASE_CSS}
+.segment.both { display: grid; gap: 2em; grid-template-columns: 1fr 1fr; }
+#toc ol { columns: 2; }
+@media (max-width: 700px) { .segment.both { display: block; } #toc ol { columns: 1; } }`;
+
+// E-readers lay out one column
+const EPUB_CSS = `${BASE_CSS}
+.segment .he { margin-top: 0.3em; }
+.noteref { vertical-align: super; }`;
+
+function normalizeLanguage(language = 'both') {
+  const value = String(language).toLowerCase();
+  if (!LANGUAGES.includes(value)) {
+    throw new Error(`Unknown language: ${language}. Use: ${LANGUAGES.join(', ')}`);
+  }
+  return value;
+}
+
+// Runs of mitzvot from the same parasha, in the order given:
+// [{ title, heTitle, mitzvot }]
+function groupByParasha(mitzvot) {
+  const groups = [];
+  mitzvot.forEach(mitzvah => {
+    const parasha = parashaOf(mitzvah.mitzvahNumber);
+    const title = parasha ? `Parashat ${parasha.name}` : 'Other';
+    const last = groups[groups.length - 1];
+    if (last && last.title === title) last.mitzvot.push(mitzvah);
+    else groups.push({ title, heTitle: parasha ? `פרשת ${parasha.heName}` : '', mitzvot: [mitzvah] });
+  });
+  return groups;
+}
+
+// Text versions and licenses of the mitzvot: [{ language, title, source, license, numbers }]
+function sourcesOf(mitzvot) {
+  const sources = new Map();
+  const add = (language, title, source, license, number) => {
+    if (!title && !license) return;
+    const key = [language, title, source, license].join('\u0000');
+    if (!sources.has(key)) sources.set(key, { language, title: title || null, source: source || null, license: license || null, numbers: [] });
+    sources.get(key).numbers.push(number);
+  };
+  mitzvot.forEach(mitzvah => {
+    if (mitzvah.text) add('English', mitzvah.versionTitle, mitzvah.versionSource, mitzvah.license, mitzvah.mitzvahNumber);
+    if (mitzvah.he) add('Hebrew', mitzvah.heVersionTitle, mitzvah.heVersionSource, mitzvah.heLicense, mitzvah.mitzvahNumber);
+  });
+  return [...sources.values()];
+}
+
+// "1-5, 8, 10-12"
+function describeNumbers(numbers) {
+  const ranges = [];
+  numbers.forEach(number => {
+    const last = ranges[ranges.length - 1];
+    if (last && number === last[1] + 1) last[1] = number;
+    else ranges.push([number, number]);
+  });
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+}
+
+// ========== SECTIONS ==========
+
+// Footnotes of one language, each with the id its reference links to
+function footnotesHtml(footnotes, prefix, epub, hebrew) {
+  if (footnotes.length === 0) return '';
+  const attributes = hebrew ? ' class="footnotes he" lang="he" dir="rtl"' : ' class="footnotes"';
+  const items = footnotes.map((footnote, i) => {
+    const n = i + 1;
+    const content = `<a href="#${prefix}-ref-${n}">${n}</a>. ${footnote}`;
+    return epub
+      ? `<aside class="footnote" id="${prefix}-${n}" epub:type="footnote"><p>${content}</p></aside>`
+      : `<p class="footnote" id="${prefix}-${n}">${content}</p>`;
+  });
+  return `<div${attributes}>\n${items.join('\n')}\n</div>\n`;
+}
+
+// Bookmark, tags and notes of a mitzvah with `annotations`; notes link to their segment
+function annotationsHtml(mitzvah) {
+  const found = mitzvah.annotations;
+  if (!found || (!found.bookmarked && found.tags.length === 0 && found.notes.length === 0)) return '';
+
+  const number = mitzvah.mitzvahNumber;
+  let html = '<div class="annotations">\n';
+  if (found.bookmarked) html += '<p>🔖 Bookmarked</p>\n';
+  if (found.tags.length > 0) html += `<p>Tags: ${found.tags.map(escapeHtml).join(', ')}</p>\n`;
+  if (found.notes.length > 0) {
+    const items = found.notes.map(note => {
+      const ref = note.segment ? `<a href="#s-${number}-${note.segment}">${number}:${note.segment}</a>` : `${number}`;
+      const stale = note.stale ? ' <i>(the segment text has changed since this note)</i>' : '';
+      return `<li><b>[${ref}]</b> ${escapeHtml(note.text)}${stale}</li>`;
+    });
+    html += `<h4>Your Notes</h4>\n<ul>\n${items.join('\n')}\n</ul>\n`;
+  }
+  return html + '</div>\n';
+}
+
+// Torah verses and commentary of a mitzvah with `linked`, each entry under its ref
+function linkedHtml(mitzvah, language) {
+  if (!mitzvah.linked) return '';
+  const sections = [['verses', 'Torah Verses'], ['commentaries', 'Commentary']].map(([kind, label]) => {
+    const entries = mitzvah.linked[kind].map(entry => {
+      const english = language !== 'hebrew' ? segmentsOf(entry.text).map(stripMarkup).filter(text => text.trim()) : [];
+      const hebrew = language !== 'english' ? segmentsOf(entry.he).map(stripMarkup).filter(text => text.trim()) : [];
+      if (english.length + hebrew.length === 0) return '';
+      return `<p class="cite">${escapeHtml(entry.ref)}${entry.heRef ? ` · <span lang="he" dir="rtl">${escapeHtml(entry.heRef)}</span>` : ''}</p>\n` +
+        english.map(text => `<p class="en" lang="en">${escapeHtml(text)}</p>\n`).join('') +
+        hebrew.map(text => `<p class="he" lang="he" dir="rtl">${escapeHtml(text)}</p>\n`).join('');
+    }).join('');
+    return entries ? `<div class="linked">\n<h4>${label}</h4>\n${entries}</div>\n` : '';
+  });
+  return sections.join('');
+}
+
+// The See also list of a mitzvah with `related`; hrefOf(number) is the link to a
+// mitzvah in the book, or null when it is not in it
+function relatedHtml(mitzvah, hrefOf) {
+  if (!mitzvah.related || mitzvah.related.length === 0) return '';
+  const items = mitzvah.related.map(entry => {
+    const href = hrefOf(entry.number);
+    const label = href ? `<a href="${href}">Mitzvah ${entry.number}</a>` : `Mitzvah ${entry.number}`;
+    return `<li>${label}: ${escapeHtml(entry.summary || entry.title)}</li>`;
+  });
+  return `<div class="related">\n<h4>See Also</h4>\n<ul>\n${items.join('\n')}\n</ul>\n</div>\n`;
+}
+
+// One mitzvah: heading, classification, segment rows, footnotes, linked texts and related mitzvot
+function mitzvahHtml(mitzvah, language, epub, hrefOf = () => null) {
+  const number = mitzvah.mitzvahNumber;
+  const metadata = getMetadata(number);
+  const english = language !== 'hebrew' ? renderSegments(segmentsOf(mitzvah.text), 'html', 0, { idPrefix: `fn-${number}-en`, epub }) : { segments: [], footnotes: [] };
+  const hebrew = language !== 'english' ? renderSegments(segmentsOf(mitzvah.he), 'html', 0, { idPrefix: `fn-${number}-he`, epub }) : { segments: [], footnotes: [] };
+  const count = Math.max(english.segments.length, hebrew.segments.length);
+  const both = english.segments.length > 0 && hebrew.segments.length > 0;
+
+  let html = `<section class="mitzvah" id="mitzvah-${number}">\n`;
+  html += `<h3><span class="he" lang="he" dir="rtl">מצוה ${toHebrewNumeral(number)}</span> Mitzvah ${number}</h3>\n`;
+  if (metadata) {
+    html += `<p class="summary">${metadata.type === 'positive' ? 'Positive commandment' : 'Prohibition'}: ${escapeHtml(metadata.summary)}</p>\n`;
+    html += `<p class="meta">${escapeHtml(metadata.source)} · ${escapeHtml(describeApplicability(metadata))}<br/>${escapeHtml(formatEquivalents(number))}</p>\n`;
+  }
+  html += annotationsHtml(mitzvah);
+
+  for (let i = 0; i < count; i++) {
+    html += `<div class="segment${both ? ' both' : ''}" id="s-${number}-${i + 1}">\n`;
+    if (english.segments.length > 0) html += `<div class="en" lang="en"><span class="cite">${number}:${i + 1}</span>${english.segments[i] || ''}</div>\n`;
+    if (hebrew.segments.length > 0) html += `<div class="he" lang="he" dir="rtl">${hebrew.segments[i] || ''}</div>\n`;
+    html += '</div>\n';
+  }
+
+  html += footnotesHtml(english.footnotes, `fn-${number}-en`, epub, false);
+  html += footnotesHtml(hebrew.footnotes, `fn-${number}-he`, epub, true);
+  html += linkedHtml(mitzvah, language);
+  html += relatedHtml(mitzvah, hrefOf);
+  return html + '</section>\n';
+}
+
+// Text versions and licenses, as required by CC-BY texts (with the restriction of
+// any other license), and the data snapshot the book was made from (options.snapshot,
+// as describeSnapshot() gives it)
+function sourcesHtml(mitzvot, snapshot) {
+  const items = sourcesOf(mitzvot).map(source => {
+    const parts = [`${source.language}: ${escapeHtml(source.title || 'unknown version')}`];
+    if (source.license) parts.push(`license: ${escapeHtml(source.license)}`);
+    if (source.license && licenseRestriction(source.license)) parts.push(licenseRestriction(source.license));
+    if (source.source) parts.push(`source: ${escapeHtml(source.source)}`);
+    const numbers = source.numbers.length === mitzvot.length ? '' : ` (mitzvot ${describeNumbers(source.numbers)})`;
+    return `<li>${parts.join(', ')}${numbers}</li>`;
+  });
+  return `<h2>Sources</h2>\n<p>Texts from <a href="https://www.sefaria.org">Sefaria</a>, ${escapeHtml(formatRef({ mitzvah: mitzvot[0].mitzvahNumber, toMitzvah: mitzvot[mitzvot.length - 1].mitzvahNumber }))}.</p>\n` +
+    (items.length > 0 ? `<ul>\n${items.join('\n')}\n</ul>\n` : '') +
+    (snapshot ? `<p>Data snapshot: ${escapeHtml(snapshot)}</p>\n` : '');
+}
+
+// Contents grouped by parasha; hrefOf(groupIndex, mitzvah) and groupHrefOf(groupIndex) give the links
+function tocHtml(groups, hrefOf, groupHrefOf) {
+  const items = groups.map((group, g) => {
+    const links = group.mitzvot.map(mitzvah => {
+      const metadata = getMetadata(mitzvah.mitzvahNumber);
+      const label = `${mitzvah.mitzvahNumber}${metadata ? `. ${escapeHtml(metadata.summary)}` : ''}`;
+      return `<li><a href="${hrefOf(g, mitzvah)}">${label}</a></li>`;
+    });
+    return `<li><a href="${groupHrefOf(g)}">${escapeHtml(group.title)}</a>\n<ol>\n${links.join('\n')}\n</ol>\n</li>`;
+  });
+  return `<ol>\n${items.join('\n')}\n</ol>\n`;
+}
+
+function bookTitle(mitzvot, options) {
+  if (options.title) return String(options.title);
+  if (mitzvot.length === 613) return BOOK_TITLE;
+  if (mitzvot.length === 1) return `${BOOK_TITLE}, Mitzvah ${mitzvot[0].mitzvahNumber}`;
+  // Long selections are named by their first and last mitzvah
+  const numbers = describeNumbers(mitzvot.map(m => m.mitzvahNumber));
+  return numbers.length <= 40 ? `${BOOK_TITLE}, Mitzvot ${numbers}`
+    : `${BOOK_TITLE}, Selected Mitzvot ${mitzvot[0].mitzvahNumber}-${mitzvot[mitzvot.length - 1].mitzvahNumber}`;
+}
+
+function checkMitzvot(mitzvot) {
+  if (!Array.isArray(mitzvot) || mitzvot.length === 0) throw new Error('Nothing to export: no mitzvot selected');
+}
+
+// ========== HTML ==========
+
+// A standalone bilingual HTML page (string)
+function renderHtmlBook(mitzvot, options = {}) {
+  checkMitzvot(mitzvot);
+  const language = normalizeLanguage(options.language);
+  const title = bookTitle(mitzvot, options);
+  const groups = groupByParasha(mitzvot);
+  const included = new Set(mitzvot.map(m => m.mitzvahNumber));
+  const hrefOf = number => (included.has(number) ? `#mitzvah-${number}` : null);
+
+  let body = `<header>\n<h1>${escapeHtml(title)}</h1>\n<p class="he" lang="he" dir="rtl">${HE_BOOK_TITLE}</p>\n<p>${mitzvot.length} mitzvot</p>\n</header>\n`;
+  body += `<nav id="toc">\n<h2>Contents</h2>\n${tocHtml(groups, (g, mitzvah) => `#mitzvah-${mitzvah.mitzvahNumber}`, g => `#part-${g + 1}`)}</nav>\n<main>\n`;
+  groups.forEach((group, g) => {
+    body += `<section class="parasha" id="part-${g + 1}">\n<h2>${escapeHtml(group.title)}${group.heTitle ? ` <span class="he" lang="he" dir="rtl">${group.heTitle}</span>` : ''}</h2>\n`;
+    body += group.mitzvot.map(mitzvah => mitzvahHtml(mitzvah, language, false, hrefOf)).join('');
+    body += '</section>\n';
+  });
+  body += `</main>\n<footer class="sources">\n${sourcesHtml(mitzvot, options.snapshot)}</footer>\n`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width, initial-scale=1"/>
+<title>${escapeHtml(title)}</title>
+<style>
+${HTML_CSS}
+</style>
+</head>
+<body>
+${body}</body>
+</html>
+`;
+}
+
+// ========== EPUB ==========
+
+// An XHTML content document of the EPUB
+function xhtmlDocument(title, body, stylesheet) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="${stylesheet}"/>
+</head>
+<body>
+${body}</body>
+</html>
+`;
+}
+
+// A stable urn:uuid for the same title and mitzvot, so re-exports replace the book in a library
+function bookIdentifier(title, mitzvot) {
+  const hash = crypto.createHash('sha1').update(`${title}\n${mitzvot.map(m => m.mitzvahNumber).join(',')}`).digest('hex');
+  const variant = ((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-${variant}${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+}
+
+// An EPUB 3 book (Buffer)
+function buildEpub(mitzvot, options = {}) {
+  checkMitzvot(mitzvot);
+  const language = normalizeLanguage(options.language);
+  const title = bookTitle(mitzvot, options);
+  const date = options.date || new Date();
+  const identifier = bookIdentifier(title, mitzvot);
+  const groups = groupByParasha(mitzvot);
+  const partFile = g => `text/part-${String(g + 1).padStart(3, '0')}.xhtml`;
+  // Links between chapters are relative to the text/ directory
+  const chapterOf = new Map();
+  groups.forEach((group, g) => group.mitzvot.forEach(mitzvah => chapterOf.set(mitzvah.mitzvahNumber, g)));
+  const hrefOf = number => (chapterOf.has(number) ? `${partFile(chapterOf.get(number)).slice('text/'.length)}#mitzvah-${number}` : null);
+
+  const chapters = groups.map((group, g) => ({
+    id: `part-${String(g + 1).padStart(3, '0')}`,
+    href: partFile(g),
+    content: xhtmlDocument(group.title,
+      `<section class="parasha" epub:type="chapter">\n<h2>${escapeHtml(group.title)}${group.heTitle ? ` <span class="he" lang="he" dir="rtl">${group.heTitle}</span>` : ''}</h2>\n` +
+      group.mitzvot.map(mitzvah => mitzvahHtml(mitzvah, language, true, hrefOf)).join('') + '</section>\n', '../style.css')
+  }));
+
+  const titlePage = xhtmlDocument(title,
+    `<section epub:type="titlepage">\n<h1>${escapeHtml(title)}</h1>\n<p class="he" lang="he" dir="rtl">${HE_BOOK_TITLE}</p>\n<p>${mitzvot.length} mitzvot</p>\n</section>\n` +
+    `<section class="sources" epub:type="colophon">\n${sourcesHtml(mitzvot, options.snapshot)}</section>\n`, 'style.css');
+
+  const nav = xhtmlDocument('Contents',
+    `<nav epub:type="toc" id="toc">\n<h2>Contents</h2>\n${tocHtml(groups, (g, mitzvah) => `${partFile(g)}#mitzvah-${mitzvah.mitzvahNumber}`, partFile)}</nav>\n`, 'style.css');
+
+  // EPUB 2 table of contents, for readers that do not know the nav document
+  let playOrder = 0;
+  const navPoint = (label, src, children = '') => `<navPoint id="np-${++playOrder}" playOrder="${playOrder}"><navLabel><text>${escapeHtml(label)}</text></navLabel><content src="${src}"/>${children}</navPoint>`;
+  const navMap = groups.map((group, g) => {
+    const start = navPoint(group.title, partFile(g));
+    const children = group.mitzvot.map(mitzvah => navPoint(`Mitzvah ${mitzvah.mitzvahNumber}`, `${partFile(g)}#mitzvah-${mitzvah.mitzvahNumber}`)).join('\n');
+    return `${start.slice(0, -'</navPoint>'.length)}\n${children}\n</navPoint>`;
+  });
+  const ncx = `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${identifier}"/>
+<meta name="dtb:depth" content="2"/>
+<meta name="dtb:totalPageCount" content="0"/>
+<meta name="dtb:maxPageNumber" content="0"/>
+</head>
+<docTitle><text>${escapeHtml(title)}</text></docTitle>
+<navMap>
+${navMap.join('\n')}
+</navMap>
+</ncx>
+`;
+
+  const licenses = [...new Set(sourcesOf(mitzvot).map(source => source.license).filter(Boolean))];
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${identifier}</dc:identifier>
+<dc:title>${escapeHtml(title)}</dc:title>
+${language !== 'hebrew' ? '<dc:language>en</dc:language>\n' : ''}${language !== 'english' ? '<dc:language>he</dc:language>\n' : ''}<dc:source>https://www.sefaria.org</dc:source>
+${licenses.length > 0 ? `<dc:rights>${escapeHtml(licenses.join('; '))}</dc:rights>\n` : ''}<meta property="dcterms:modified">${date.toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+</metadata>
+<manifest>
+<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="css" href="style.css" media-type="text/css"/>
+${chapters.map(chapter => `<item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+</manifest>
+<spine toc="ncx">
+<itemref idref="title"/>
+<itemref idref="nav"/>
+${chapters.map(chapter => `<itemref idref="${chapter.id}"/>`).join('\n')}
+</spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+  // The mimetype entry must come first and be stored uncompressed
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/title.xhtml', data: titlePage },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/toc.ncx', data: ncx },
+    { name: 'OEBPS/style.css', data: EPUB_CSS },
+    ...chapters.map(chapter => ({ name: `OEBPS/${chapter.href}`, data: chapter.content }))
+  ], { date });
+}
+
+module.exports = {
+  LANGUAGES,
+  groupByParasha,
+  sourcesOf,
+  describeNumbers,
+  renderHtmlBook,
+  buildEpub
+};
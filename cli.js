@@ -0,0 +1,1460 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const SeferHaChinukhApp = require('./sefer-hachinukh-app.js 2.0.js');
+const { parseRef } = require('./refs');
+const { renderSegments } = require('./sefaria-text');
+const { getMetadata, normalizeFilters, describeApplicability } = require('./mitzvot-metadata');
+const { equivalents, formatEquivalents, parseMitzvahId, describeUnmapped } = require('./enumerations');
+const { PLAN_TYPES, createPlan } = require('./study-plan');
+const { ProfileStore } = require('./profile-store');
+const { normalizeTypes, checkAnswer } = require('./flashcards');
+const { TerminalReader } = require('./reader');
+const { formatNumbers } = require('./dataset-doctor');
+const { STORAGE_TYPES } = require('./storage');
+const textVersions = require('./text-versions');
+const { InvalidMitzvahNumberError, ConfigurationError, DataNotLoadedError, ParseError, AbortError } = require('./errors');
+const { LEVELS, attachConsoleReporter } = require('./console-reporter');
+const { ANALYTICS_KINDS, DEFAULT_TOP_TERMS, parseVerseRef } = require('./analytics');
+
+// ========== COMMAND-LINE INTERFACE ==========
+//
+// node cli.js <command> [arguments] [options]
+//
+// Results go to stdout (plain text, or JSON with --json); progress and
+// diagnostics go to stderr so the output can be piped.
+
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NO_DATA: 3,
+  NOT_FOUND: 4,
+  INCOMPLETE: 5,
+  INVALID_DATA: 6
+};
+
+const USAGE = `Usage: node cli.js <command> [arguments] [options]
+
+Commands:
+  download [--links]           Download all 613 mitzvot (resumes an interrupted run);
+                               --links also downloads their linked texts
+  links                        Download the Minchat Chinukh and the Torah verses linked to
+                               the downloaded mitzvot, for get/search/export --linked
+  retry                        Retry the downloads listed in failed_downloads.json
+  versions [list]              The text versions of the downloaded mitzvot, with their licenses
+  versions available           The English and Hebrew versions Sefaria has of the book
+  versions download            Download other versions of the downloaded mitzvot: --en and
+                               --he list the titles, e.g. --en "Title A|Title B"; versions
+                               that may not be redistributed are skipped (--allow-restricted)
+  updates [n|range|all]        Compare the saved mitzvot with Sefaria's text now, segment by
+                               segment, and write a change log (default all); --apply saves
+                               the changes, keeping the data before and after as snapshots
+  snapshot [list]              The saved snapshots of the data, with the one it matches
+  snapshot create [label]      Keep the data as it is now, e.g. for a printed edition to cite
+  snapshot restore <id>        Roll the data back to a snapshot (the current data is kept)
+  snapshot delete <id>         Delete a snapshot
+  doctor [--repair]            Check the data files: all 613 mitzvot present once and well
+                               formed, shards, all_mitzvot.json and index in agreement;
+                               --repair lists broken mitzvot in failed_downloads.json for
+                               retry, or rebuilds all_mitzvot.json and the index
+  get <n|id> [--notes]         Show one mitzvah; id in another numbering, e.g. "Rambam Aseh 12", "LT 65"
+  numbering <n|id>             Show every numbering of a mitzvah (works before downloading)
+  related <n|id> [--limit N]   The mitzvot closest in content to a mitzvah (default 5)
+  concordance <word> [--root]  Every occurrence of a word, in context (--limit, default 20);
+                               --root: every Hebrew word with its root candidate
+  terms <n|id>                 The most frequent words of a mitzvah, or with --parasha P of
+                               a parasha (--lang, --root, --limit; --common keeps stop words)
+  citations [verse|n|id]       The Biblical verses quoted in the text and the mitzvot quoting
+                               them; of one verse or chapter ("Exodus 12:2", "שמות יב ב"), or
+                               the verses one mitzvah quotes
+  analytics <kind>             Write the concordance, terms or citations for all mitzvot
+                               (--format csv|json, default csv; --output, --stdout)
+  ref <ref>                    Show the segments of a ref, e.g. "Sefer HaChinukh 32:3-5"
+  read [n|id|ref]              Read in the terminal: n/p next and previous mitzvah, space to
+                               page, / to search, g to go to a mitzvah, ? for all the keys
+  search <term> [--lang L]     Search (L: hebrew, english, both; default both); --tag T keeps
+                               mitzvot tagged T, --notes also searches your notes
+  category <name>              List mitzvot in a category
+  list [filters]               List mitzvot by classification (works before downloading)
+  parasha [name|date]          Mitzvot of this week's parasha, of the week of a date
+                               (YYYY-MM-DD) or of a named parasha, e.g. Matot-Masei
+  random [--unseen]            Show a random mitzvah (--unseen: one the profile has not seen)
+  plan [status]                Progress on the profile's study plan: next, overdue, completed
+  plan start <type>            Start a study plan (type: daily, year, parasha)
+  plan schedule                List the assignments of the profile's plan
+  plan done <n|id>...          Record mitzvot as studied
+  plan undo <n|id>...          Take mitzvot off the studied list
+  plan profiles                List the study profiles in the data directory
+  plan delete <name>           Delete a study profile and its progress
+  bookmark [list]              List your bookmarks
+  bookmark add|remove <n|id>   Bookmark a mitzvah or remove its bookmark
+  tag [list] [tag]             List your tags, or the mitzvot with one tag
+  tag add|remove <n|id> <tag>  Tag a mitzvah, e.g. tag add 32 for Tuesday shiur
+  note [list] [n|id]           List your notes, or the notes on one mitzvah
+  note add <ref> <text>        Note on a mitzvah or segment, e.g. note add 32:3 "See Rambam"
+  note edit <id> <text>        Replace the text of a note
+  note delete <id>             Delete a note
+  note search <term>           Search inside your notes
+  quiz [n|range|all]           Review today's flashcards (spaced repetition, per profile);
+                               --types number,type,passage, --limit N, --new N; q to stop
+  quiz stats [n|range|all]     Review statistics: seen, due, mature, accuracy
+  quiz export [n|range|all]    Write the flashcards as an Anki import file (--output)
+  stats                        Collection statistics
+  export <n|range|all>         Export mitzvot, e.g. 5, 1-10, 1,3,7-9 or all; --format F
+                               (F: json, txt, md, html, epub; default json). Instead of a
+                               range: --search T, --category C, --tag T or list filters
+
+Options:
+  --data-dir <dir>   Data directory (default ./sefer_hachinukh_data)
+  --storage <s>      json (load all_mitzvot.json) or packed (read mitzvot as needed from
+                     all_mitzvot.pack, written on first use); default json, or SEFER_STORAGE
+  --json             Machine-readable JSON output
+  --no-color         Disable colors (also NO_COLOR=1 or a non-TTY stdout)
+  --no-bidi          read: leave Hebrew in logical order, for terminals that reorder it
+  --limit <n>        Maximum results for search and category (default 20)
+  --type <t>         list/search: positive or negative
+  --parasha <name>   list/search: weekly parasha, e.g. Kedoshim or קדושים; terms: its words
+  --book <name>      list/search: Genesis ... Deuteronomy
+  --obligated <g>    list/search: all, men, women, kohanim, kohen-gadol, levites,
+                     nazir, king, court, community
+  --today            list/search: only mitzvot in force today
+  --temple           list/search: only mitzvot that depend on the Temple
+  --land             list/search: only mitzvot limited to the Land of Israel
+  --israel           parasha, plan start: use the reading schedule of the Land of Israel
+  --profile <name>   plan, random, bookmark, tag, note, quiz, --notes, --tag: profile (default "default")
+  --notes            get, export: include your bookmark, tags and notes; search: match notes too
+  --related          get, export: add a See also list of the 5 closest mitzvot
+  --linked           get, export: include the downloaded commentary and Torah verses;
+                     search: search them too
+  --version <title>  get, search, export: use a downloaded text version instead of the
+                     default one ("English title|Hebrew title" for both languages)
+  --en, --he <list>  versions download: version titles per language, separated by |
+  --allow-restricted versions download: also keep versions that may not be redistributed
+  --tag <tag>        search, export, quiz: only mitzvot with this tag
+  --search <term>    export, quiz: the mitzvot matching a search (with --lang)
+  --category <name>  export, quiz: the mitzvot of a category
+  --output <path>    export: directory to write to, or the file of an html/epub book
+                     or --combine export (default: current directory); quiz export: file;
+                     analytics: file or directory
+  --combine          export json/txt/md: one file for all the mitzvot
+  --types <list>     quiz: card types, of number, type, passage (default all)
+  --new <n>          quiz: new cards to add to today's review (default 10)
+  --start <date>     plan start: first day, YYYY-MM-DD (default today)
+  --per-day <n>      plan start daily: mitzvot a day (default 1)
+  --days <n>         plan start year: days to spread the 613 over (default 365)
+  --stdout           export, analytics: write the content to stdout instead of a file
+  --root             concordance, terms, analytics: count Hebrew words by root candidate
+  --common           terms, analytics: keep the most common words, numbers and letters
+  --force            download, links, versions download: fetch everything again
+  --repair           doctor: repair what the check finds
+  --apply            updates: save the changes found
+  --concurrency <n>  download/retry/links/updates: parallel requests (default 4)
+  --rate <n>         download/retry/links/updates: requests per second (default 2)
+  --verbose          Show the app's progress, warnings and failure details on stderr
+  -h, --help         Show this help
+
+Ctrl-C stops download, retry, links, versions download and updates after the
+requests in flight; what was saved stays, and download resumes from there.
+
+Exit codes:
+  0 success, 1 unexpected error, 2 usage error, 3 no data downloaded,
+  4 mitzvah not found / no results, 5 some downloads failed or were stopped,
+  6 the data check found errors or the data cannot be read`;
+
+const BOOLEAN_FLAGS = ['json', 'no-color', 'stdout', 'force', 'verbose', 'help', 'today', 'temple', 'land', 'israel', 'unseen', 'notes',
+  'combine', 'no-bidi', 'related', 'links', 'linked', 'repair', 'allow-restricted', 'apply', 'root', 'common'];
+const VALUE_FLAGS = ['data-dir', 'storage', 'lang', 'format', 'limit', 'concurrency', 'rate', 'type', 'parasha', 'book', 'obligated',
+  'profile', 'start', 'per-day', 'days', 'tag', 'search', 'category', 'output', 'types', 'new', 'version', 'en', 'he'];
+const EXPORT_FORMATS = ['json', 'txt', 'md', 'html', 'epub'];
+const ANALYTICS_FORMATS = ['csv', 'json'];
+
+class UsageError extends Error {}
+
+// ========== ARGUMENT PARSING ==========
+
+function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      flags.help = true;
+    } else if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    } else if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (BOOLEAN_FLAGS.includes(name)) {
+        flags[name] = true;
+      } else if (VALUE_FLAGS.includes(name)) {
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) throw new UsageError(`Missing value for --${name}`);
+        flags[name] = value;
+      } else {
+        throw new UsageError(`Unknown option: ${arg}`);
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command: positional[0], args: positional.slice(1), flags };
+}
+
+function parseNumber(value, name = 'mitzvah number', min = 1, max = 613) {
+  if (!/^\d+$/.test(String(value || ''))) {
+    throw new UsageError(`Invalid ${name}: ${value === undefined ? '(missing)' : value}`);
+  }
+  const number = parseInt(value, 10);
+  if (number < min || number > max) {
+    throw new UsageError(`Invalid ${name}: ${value}. Must be between ${min}-${max}.`);
+  }
+  return number;
+}
+
+// Chinukh number from the arguments: "32", "Rambam Aseh 12", "LT 65", "עשה י״ב"
+function parseMitzvahArg(args) {
+  const text = args.join(' ');
+  const id = parseMitzvahId(text);
+  if (!id) throw new UsageError(`Invalid mitzvah number: ${text || '(missing)'}`);
+  if (id.mitzvah === null) {
+    throw Object.assign(new Error(describeUnmapped(id)), { exitCode: EXIT.NOT_FOUND });
+  }
+  return id.mitzvah;
+}
+
+// Study profile name from --profile (default "default")
+function parseProfile(flags) {
+  try {
+    return ProfileStore.normalizeName(flags.profile);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+// Expand "5", "1-10" or "1,3,7-9" into a sorted list of mitzvah numbers
+function parseRange(spec) {
+  if (!spec) throw new UsageError('Missing mitzvah number or range');
+  const numbers = new Set();
+  String(spec).split(',').forEach(part => {
+    const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) throw new UsageError(`Invalid range: ${spec}`);
+    const from = parseNumber(match[1]);
+    const to = match[2] !== undefined ? parseNumber(match[2]) : from;
+    if (to < from) throw new UsageError(`Invalid range: ${part}`);
+    for (let n = from; n <= to; n++) numbers.add(n);
+  });
+  return [...numbers].sort((a, b) => a - b);
+}
+
+// Metadata filters from --type, --parasha, --book, --obligated, --today, --temple and --land;
+// null when none are given
+function parseFilters(flags) {
+  const filters = {};
+  ['type', 'parasha', 'book', 'obligated'].forEach(name => {
+    if (flags[name]) filters[name] = flags[name];
+  });
+  if (flags.today) filters.presentDay = true;
+  if (flags.temple) filters.templeEra = true;
+  if (flags.land) filters.landOfIsraelOnly = true;
+  if (Object.keys(filters).length === 0) return null;
+
+  try {
+    normalizeFilters(filters);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  return filters;
+}
+
+// Mitzvot to export or quiz on: a range or "all", narrowed by any of --search (with
+// --lang), --category, --tag and the list filters; null when none of these is given
+function parseSelection(spec, flags) {
+  const selection = {};
+  if (spec !== undefined) selection.numbers = spec === 'all' ? 'all' : parseRange(spec);
+  if (flags.search) Object.assign(selection, { search: flags.search, language: parseLanguage(flags) });
+  if (flags.category) selection.category = flags.category;
+  if (flags.tag) Object.assign(selection, { tag: flags.tag, profile: parseProfile(flags) });
+  const filters = parseFilters(flags);
+  if (filters) selection.filters = filters;
+  return Object.keys(selection).length > 0 ? selection : null;
+}
+
+// ========== OUTPUT ==========
+
+function createOutput(flags, stdout = process.stdout, stdin = process.stdin) {
+  const color = !flags['no-color'] && !process.env.NO_COLOR && !!stdout.isTTY;
+  const paint = code => text => (color ? `\u001b[${code}m${text}\u001b[0m` : String(text));
+
+  return {
+    json: !!flags.json,
+    bold: paint('1'),
+    dim: paint('2'),
+    accent: paint('36'),
+    print: text => stdout.write(`${text}\n`),
+    printJson: value => stdout.write(`${JSON.stringify(value, null, 2)}\n`),
+    write: content => stdout.write(content),
+    color,
+    input: stdin,
+    output: stdout
+  };
+}
+
+function summarize(app, mitzvah) {
+  return {
+    number: mitzvah.mitzvahNumber,
+    title: mitzvah.indexTitle || mitzvah.title || `Mitzvah ${mitzvah.mitzvahNumber}`,
+    heTitle: mitzvah.heTitle || '',
+    preview: app.extractPreview(mitzvah)
+  };
+}
+
+// Segments as plain text with [n] footnote markers, followed by the footnotes
+function printSegments(out, segments) {
+  const rendered = renderSegments(segments);
+  rendered.segments.forEach(segment => out.print(segment));
+  rendered.footnotes.forEach(footnote => out.print(out.dim(footnote)));
+}
+
+function printMitzvah(out, mitzvah, language = 'both') {
+  const segments = value => (Array.isArray(value) ? value.flat(Infinity) : value ? [value] : []);
+  out.print(out.bold(out.accent(`Mitzvah ${mitzvah.mitzvahNumber}`)));
+  if (mitzvah.indexTitle || mitzvah.title) out.print(`Title: ${mitzvah.indexTitle || mitzvah.title}`);
+  if (mitzvah.heTitle) out.print(`Hebrew Title: ${mitzvah.heTitle}`);
+  if (Array.isArray(mitzvah.categories) && mitzvah.categories.length > 0) {
+    out.print(out.dim(`Categories: ${mitzvah.categories.join(', ')}`));
+  }
+  const metadata = getMetadata(mitzvah.mitzvahNumber);
+  if (metadata) {
+    out.print(`${metadata.type === 'positive' ? 'Positive commandment' : 'Prohibition'}: ${metadata.summary}`);
+    out.print(out.dim(`Source: ${metadata.source} (Parashat ${metadata.parasha})`));
+    out.print(out.dim(describeApplicability(metadata)));
+  }
+  out.print(out.dim(`Numbering: ${formatEquivalents(mitzvah.mitzvahNumber)}`));
+  textVersions.attributionOf(mitzvah).versions.forEach(version => {
+    out.print(out.dim(`${textVersions.LANGUAGE_NAMES[version.language]} version: ${version.versionTitle}${version.license ? ` (${version.license})` : ''}`));
+  });
+  const annotations = mitzvah.annotations;
+  if (annotations && annotations.bookmarked) out.print('Bookmarked');
+  if (annotations && annotations.tags.length > 0) out.print(`Tags: ${annotations.tags.join(', ')}`);
+  if (language !== 'hebrew' && mitzvah.text) {
+    out.print(`\n${out.bold('English Text:')}`);
+    printSegments(out, segments(mitzvah.text));
+  }
+  if (language !== 'english' && mitzvah.he) {
+    out.print(`\n${out.bold('Hebrew Text:')}`);
+    printSegments(out, segments(mitzvah.he));
+  }
+  if (annotations && annotations.notes.length > 0) {
+    out.print(`\n${out.bold('Your Notes:')}`);
+    printNotes(out, annotations.notes);
+  }
+  if (mitzvah.linked) {
+    [['verses', 'Torah Verses:'], ['commentaries', 'Commentary:']].forEach(([kind, label]) => {
+      if (mitzvah.linked[kind].length === 0) return;
+      out.print(`\n${out.bold(label)}`);
+      mitzvah.linked[kind].forEach(entry => {
+        out.print(out.accent(entry.ref));
+        if (language !== 'hebrew' && entry.text) printSegments(out, segments(entry.text));
+        if (language !== 'english' && entry.he) printSegments(out, segments(entry.he));
+      });
+    });
+  }
+  if (mitzvah.related && mitzvah.related.length > 0) {
+    out.print(`\n${out.bold('See Also:')}`);
+    printRelated(out, mitzvah.related);
+  }
+}
+
+// Related mitzvot as "33  summary  (shared words)"
+function printRelated(out, related) {
+  related.forEach(entry => out.print(`${out.accent(entry.number)}  ${entry.summary || entry.title}  ${out.dim(`(${entry.terms.join(', ')})`)}`));
+}
+
+// Notes as "#id  ref  text", flagged when their segment's text has changed
+function printNotes(out, notes) {
+  notes.forEach(note => {
+    const stale = note.stale ? out.dim(' (the segment text has changed since this note)') : '';
+    out.print(`${out.accent(`#${note.id}`)}  ${out.dim(note.ref)}  ${note.text}${stale}`);
+  });
+}
+
+function printList(out, entries, heading) {
+  out.print(out.bold(heading));
+  entries.forEach(entry => {
+    const detail = entry.matchText || entry.preview || '';
+    const score = entry.score !== undefined ? out.dim(` (${entry.score})`) : '';
+    out.print(`${out.accent(String(entry.number).padStart(3))}  ${entry.title}${score}`);
+    if (detail) out.print(`     ${out.dim(detail.replace(/\s+/g, ' '))}`);
+  });
+}
+
+// Classification entries from findMitzvot(), two lines each
+function printMetadataEntries(out, entries) {
+  entries.forEach(entry => {
+    const type = entry.type === 'positive' ? '+' : '-';
+    out.print(`${out.accent(String(entry.number).padStart(3))} ${type} ${entry.summary}`);
+    out.print(`      ${out.dim(`${entry.source} · ${entry.parasha} · ${describeApplicability(entry)}`)}`);
+  });
+}
+
+// One assignment of a study plan: date, label and the numbers still to study
+function printAssignment(out, assignment) {
+  const when = assignment.date === assignment.due ? assignment.due : `${assignment.date}..${assignment.due}`;
+  out.print(`${out.accent(when)}  ${assignment.label}  ${out.dim(assignment.numbers.join(', '))}`);
+}
+
+// --version: one title, or an English and a Hebrew title separated by |
+function parseVersion(flags) {
+  if (flags.version === undefined) return undefined;
+  const titles = String(flags.version).split('|').map(title => title.trim()).filter(Boolean);
+  if (titles.length === 0) throw new UsageError('Missing version title after --version');
+  return titles.length === 1 ? titles[0] : titles;
+}
+
+function parseLanguage(flags) {
+  const language = (flags.lang || 'both').toLowerCase();
+  if (!['hebrew', 'english', 'both'].includes(language)) {
+    throw new UsageError(`Invalid --lang: ${flags.lang}. Use: hebrew, english, both`);
+  }
+  return language;
+}
+
+// The expected answer of a question, spelled out
+function describeAnswer(question) {
+  if (question.type === 'type') return question.answer === 'positive' ? 'positive commandment' : 'prohibition';
+  if (question.choices) return `${question.answer}) ${question.choices.find(choice => choice.number === question.number).text}`;
+  return question.answer;
+}
+
+// Ask the questions of a review session one by one on out.input, recording each
+// answer; an empty answer counts as "don't know", q or the end of the input stops
+async function askQuestions(app, out, session) {
+  const rl = readline.createInterface({ input: out.input, crlfDelay: Infinity });
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async prompt => {
+    out.write(prompt);
+    const line = await lines.next();
+    return line.done ? null : line.value.trim();
+  };
+
+  const total = session.questions.length;
+  let answered = 0;
+  let correct = 0;
+  try {
+    out.print(out.bold(`Review (${session.profile}): ${session.due} due, ${session.new} new`));
+    for (const [i, question] of session.questions.entries()) {
+      out.print(`\n${out.dim(`Card ${i + 1}/${total} · ${question.id}`)}`);
+      out.print(out.bold(question.prompt));
+      (question.choices || []).forEach((choice, k) => out.print(`  ${String.fromCharCode(97 + k)}) ${choice.text}`));
+
+      const response = await ask('> ');
+      if (response === null || response.toLowerCase() === 'q') break;
+      let grade;
+      if (checkAnswer(question, response)) {
+        const rating = await ask('Correct! How easy was it? 3 hard, 4 good, 5 easy [4] ');
+        grade = /^[345]$/.test(rating || '') ? Number(rating) : 4;
+      }
+
+      const result = app.answerCard(question, response, { profile: session.profile, today: session.today, grade });
+      if (!result) throw new Error(`Could not save the review history of ${session.profile}`);
+      answered++;
+      if (result.correct) correct++;
+      else out.print(`Not quite: the answer is ${describeAnswer(question)}`);
+      out.print(out.dim(result.explanation));
+      out.print(out.dim(`Next review: ${result.state.due}`));
+    }
+  } finally {
+    rl.close();
+  }
+  out.print(`\nReviewed ${answered} of ${total} cards: ${correct} correct`);
+}
+
+// ========== COMMANDS ==========
+
+async function requireData(app) {
+  let loaded;
+  try {
+    loaded = await app.loadData();
+  } catch (error) {
+    if (error instanceof ParseError) throw Object.assign(error, { exitCode: EXIT.INVALID_DATA });
+    throw error;
+  }
+  if (!loaded) {
+    // A file that is there but cannot be loaded is damaged, not missing
+    const damaged = fs.existsSync(path.join(app.outputDir, 'all_mitzvot.json'));
+    const error = new Error(damaged
+      ? `Could not load the data in ${app.outputDir}. Check it with: node cli.js doctor`
+      : `No data found in ${app.outputDir}. Run: node cli.js download`);
+    error.exitCode = damaged ? EXIT.INVALID_DATA : EXIT.NO_DATA;
+    throw error;
+  }
+}
+
+const commands = {
+  async download(app, args, flags, out, signal) {
+    const mitzvot = await app.downloadAllMitzvot({
+      signal,
+      force: !!flags.force,
+      links: !!flags.links,
+      concurrency: flags.concurrency ? parseNumber(flags.concurrency, '--concurrency', 1, 64) : undefined,
+      requestsPerSecond: flags.rate ? parseNumber(flags.rate, '--rate', 1, 100) : undefined
+    });
+    // With --links, every downloaded mitzvah also needs its linked texts
+    const linked = mitzvot.filter(mitzvah => app.linkedTexts.has(mitzvah.mitzvahNumber)).length;
+    const complete = mitzvot.length === 613 && (!flags.links || linked === mitzvot.length);
+    if (out.json) {
+      out.printJson({ downloaded: mitzvot.length, total: 613, ...(flags.links ? { linked } : {}), complete, dataDir: app.outputDir });
+    } else {
+      out.print(`${mitzvot.length}/613 mitzvot in ${app.outputDir}`);
+      if (flags.links) out.print(`${linked}/${mitzvot.length} with their linked texts`);
+    }
+    return complete ? EXIT.OK : EXIT.INCOMPLETE;
+  },
+
+  async links(app, args, flags, out, signal) {
+    const result = await app.downloadLinkedTexts({
+      signal,
+      force: !!flags.force,
+      concurrency: flags.concurrency ? parseNumber(flags.concurrency, '--concurrency', 1, 64) : undefined,
+      requestsPerSecond: flags.rate ? parseNumber(flags.rate, '--rate', 1, 100) : undefined
+    });
+    if (!result) throw Object.assign(new Error(`No data found in ${app.outputDir}. Run: node cli.js download`), { exitCode: EXIT.NO_DATA });
+    if (out.json) {
+      out.printJson({ downloaded: result.downloaded, skipped: result.skipped.length, failed: result.failed });
+    } else {
+      out.print(`Linked texts: ${result.downloaded.length} downloaded, ${result.skipped.length} already present, ${result.failed.length} failed`);
+      result.failed.forEach(failure => out.print(out.dim(`${failure.number}: ${failure.error}`)));
+    }
+    return result.failed.length > 0 ? EXIT.INCOMPLETE : EXIT.OK;
+  },
+
+  async retry(app, args, flags, out, signal) {
+    const retried = await app.retryFailedDownloads({
+      signal,
+      concurrency: flags.concurrency ? parseNumber(flags.concurrency, '--concurrency', 1, 64) : undefined,
+      requestsPerSecond: flags.rate ? parseNumber(flags.rate, '--rate', 1, 100) : undefined
+    });
+    const stillFailed = app.readFailedDownloads();
+    if (out.json) out.printJson({ retried: retried.map(m => m.mitzvahNumber), stillFailed: stillFailed.map(f => f.number) });
+    else out.print(`Retried ${retried.length} mitzvot, ${stillFailed.length} still failed`);
+    return stillFailed.length > 0 ? EXIT.INCOMPLETE : EXIT.OK;
+  },
+
+  async versions(app, args, flags, out, signal) {
+    const [action = 'list'] = args;
+    const describe = version => `${textVersions.LANGUAGE_NAMES[version.language]}  ${version.versionTitle}` +
+      out.dim(`  ${version.license || 'no license given'}${version.redistributable ? '' : `, ${textVersions.licenseRestriction(version.license)}`}`);
+
+    if (action === 'available') {
+      const versions = await app.getAvailableVersions();
+      if (out.json) out.printJson({ versions });
+      else versions.forEach(version => out.print(describe(version)));
+      return versions.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+    }
+
+    if (action === 'download') {
+      if (flags.en === undefined && flags.he === undefined) throw new UsageError('versions download needs --en or --he with version titles');
+      let preferences;
+      try {
+        preferences = textVersions.normalizePreferences({ en: flags.en, he: flags.he });
+      } catch (error) {
+        throw new UsageError(error.message);
+      }
+      const result = await app.downloadVersions(preferences, {
+        signal,
+        force: !!flags.force,
+        allowRestricted: !!flags['allow-restricted'],
+        concurrency: flags.concurrency ? parseNumber(flags.concurrency, '--concurrency', 1, 64) : undefined,
+        requestsPerSecond: flags.rate ? parseNumber(flags.rate, '--rate', 1, 100) : undefined
+      });
+      if (!result) throw Object.assign(new Error(`No data found in ${app.outputDir}. Run: node cli.js download`), { exitCode: EXIT.NO_DATA });
+      if (out.json) {
+        out.printJson({ downloaded: result.downloaded, skipped: result.skipped.length, failed: result.failed, unavailable: result.unavailable, restricted: result.restricted });
+      } else {
+        out.print(`Text versions: ${result.downloaded.length} downloaded, ${result.skipped.length} already present, ${result.failed.length} failed`);
+        result.unavailable.forEach(entry => out.print(out.dim(`Not available for ${formatNumbers(entry.numbers)}: ${entry.versionTitle}`)));
+        result.restricted.forEach(entry => out.print(out.dim(`Skipped (license ${entry.license || 'unknown'}): ${entry.versionTitle}`)));
+        result.failed.forEach(failure => out.print(out.dim(`${failure.number}: ${failure.error}`)));
+      }
+      return result.failed.length > 0 ? EXIT.INCOMPLETE : EXIT.OK;
+    }
+    if (action !== 'list') throw new UsageError(`Unknown versions action: ${action}. Use: list, available, download`);
+
+    await requireData(app);
+    const versions = app.listVersions();
+    if (out.json) {
+      out.printJson({ versions });
+    } else {
+      versions.forEach(version => {
+        out.print(`${describe(version)}${version.default ? out.dim(', default') : ''}`);
+        out.print(out.dim(`  mitzvot ${formatNumbers(version.numbers)}`));
+      });
+    }
+    return versions.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+  },
+
+  async updates(app, args, flags, out, signal) {
+    const numbers = args[0] === undefined || args[0] === 'all' ? undefined : parseRange(args[0]);
+    await requireData(app);
+    const report = await app.checkForUpdates({
+      signal,
+      numbers,
+      apply: !!flags.apply,
+      concurrency: flags.concurrency ? parseNumber(flags.concurrency, '--concurrency', 1, 64) : undefined,
+      requestsPerSecond: flags.rate ? parseNumber(flags.rate, '--rate', 1, 100) : undefined
+    });
+    if (!report) throw Object.assign(new Error('None of those mitzvot is downloaded'), { exitCode: EXIT.NOT_FOUND });
+    if (out.json) {
+      out.printJson(report);
+    } else {
+      out.print(`${report.checked} mitzvot checked: ${report.changed.length} changed, ${report.unchanged} unchanged, ${report.failed.length} failed`);
+      report.changed.forEach(entry => {
+        const fields = entry.fields.map(field => field.field);
+        out.print(`${out.accent(String(entry.number).padStart(3))}  ${entry.segments.length} segments${fields.length > 0 ? out.dim(`  ${fields.join(', ')}`) : ''}`);
+      });
+      if (report.applied) out.print(`Saved. Before: snapshot ${report.before}, after: snapshot ${report.after}`);
+      else if (report.changed.length > 0) out.print('Not saved. Run again with --apply to save the changes');
+      if (report.changeLog) out.print(out.dim(`Change log: ${report.changeLog}`));
+    }
+    return report.failed.length > 0 ? EXIT.INCOMPLETE : EXIT.OK;
+  },
+
+  async snapshot(app, args, flags, out) {
+    const [action = 'list', ...rest] = args;
+    const noSnapshot = id => Object.assign(new Error(`No snapshot ${id}`), { exitCode: EXIT.NOT_FOUND });
+
+    switch (action) {
+      case 'list': {
+        const list = app.listSnapshots();
+        if (out.json) {
+          out.printJson({ snapshots: list });
+        } else {
+          list.forEach(snapshot => {
+            const marks = [snapshot.reason, snapshot.label, snapshot.current ? 'current' : ''].filter(Boolean).join(', ');
+            out.print(`${snapshot.current ? out.accent(snapshot.id) : snapshot.id}  ${snapshot.count} mitzvot  ${out.dim(marks)}`);
+          });
+          if (list.length > 0 && !list.some(snapshot => snapshot.current)) out.print(out.dim('The data matches none of them. Run: node cli.js snapshot create'));
+        }
+        return list.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+      }
+
+      case 'create': {
+        if (!fs.existsSync(path.join(app.outputDir, 'all_mitzvot.json'))) {
+          throw Object.assign(new Error(`No data found in ${app.outputDir}. Run: node cli.js download`), { exitCode: EXIT.NO_DATA });
+        }
+        const snapshot = app.createSnapshot({ label: rest.join(' ').trim() });
+        if (!snapshot) throw Object.assign(new Error('Could not save the snapshot. Check the data with: node cli.js doctor'), { exitCode: EXIT.INVALID_DATA });
+        if (out.json) out.printJson({ snapshot });
+        else out.print(snapshot.id);
+        return EXIT.OK;
+      }
+
+      case 'restore': {
+        if (!rest[0]) throw new UsageError('Missing snapshot id');
+        if (!app.listSnapshots().some(snapshot => snapshot.id.startsWith(rest[0]))) throw noSnapshot(rest[0]);
+        const snapshot = await app.restoreSnapshot(rest[0]);
+        if (!snapshot) throw new Error(`Could not restore snapshot ${rest[0]}`);
+        if (out.json) out.printJson({ restored: snapshot });
+        else out.print(`Restored snapshot ${snapshot.id}`);
+        return EXIT.OK;
+      }
+
+      case 'delete': {
+        if (!rest[0]) throw new UsageError('Missing snapshot id');
+        const snapshot = app.deleteSnapshot(rest[0]);
+        if (!snapshot) throw noSnapshot(rest[0]);
+        if (out.json) out.printJson({ deleted: snapshot });
+        else out.print(`Deleted snapshot ${snapshot.id}`);
+        return EXIT.OK;
+      }
+
+      default:
+        throw new UsageError(`Unknown snapshot action: ${action}. Use: list, create, restore, delete`);
+    }
+  },
+
+  async doctor(app, args, flags, out) {
+    const report = await app.checkDataset({ repair: !!flags.repair });
+    if (report.counts.shards === 0 && report.counts.consolidated === 0) {
+      throw Object.assign(new Error(`No data found in ${app.outputDir}. Run: node cli.js download`), { exitCode: EXIT.NO_DATA });
+    }
+    // A rebuild fixes every error it is run for (it only runs when no mitzvah is broken)
+    const exitCode = report.healthy || (report.repair && report.repair.rebuilt) ? EXIT.OK : EXIT.INVALID_DATA;
+    if (out.json) {
+      out.printJson(report);
+      return exitCode;
+    }
+
+    out.print(out.bold(`Data check of ${app.outputDir}`));
+    out.print(`Mitzvot: ${report.counts.consolidated}/613 in all_mitzvot.json, ${report.counts.shards} valid shards, ${report.counts.index} index entries`);
+    if (report.missing.length > 0) out.print(`Missing: ${formatNumbers(report.missing)}`);
+    report.problems.forEach(problem => {
+      out.print(`${problem.severity === 'error' ? 'error  ' : 'warning'}  ${problem.file}: ${problem.message}`);
+    });
+    out.print(`${report.counts.errors} errors, ${report.counts.warnings} warnings`);
+
+    if (report.repair) {
+      if (report.repair.marked.length > 0) out.print(`Marked for retry: ${formatNumbers(report.repair.marked)}. Run: node cli.js retry`);
+      else if (report.broken.length > 0) out.print('The broken mitzvot are already in failed_downloads.json. Run: node cli.js retry');
+      if (report.repair.rebuilt) out.print('Rebuilt all_mitzvot.json and the index from the shards');
+    } else if (report.broken.length > 0) {
+      out.print(`To download again: ${formatNumbers(report.broken)}. Run: node cli.js doctor --repair`);
+    } else if (report.rebuild) {
+      out.print('all_mitzvot.json or the index needs rebuilding. Run: node cli.js doctor --repair');
+    }
+    return exitCode;
+  },
+
+  async get(app, args, flags, out) {
+    const number = parseMitzvahArg(args);
+    const language = parseLanguage(flags);
+    const profile = flags.notes ? parseProfile(flags) : undefined;
+    const version = parseVersion(flags);
+    await requireData(app);
+    const mitzvah = app.getMitzvah(number, { annotations: !!flags.notes, profile, linked: !!flags.linked, related: !!flags.related, version });
+    if (!mitzvah) {
+      const message = version && app.getMitzvah(number) ? `Mitzvah ${number} has no downloaded version ${[].concat(version).join(' / ')}` : `Mitzvah ${number} not found`;
+      throw Object.assign(new Error(message), { exitCode: EXIT.NOT_FOUND });
+    }
+    if (out.json) out.printJson({ ...mitzvah, metadata: getMetadata(number), numbering: equivalents(number) });
+    else printMitzvah(out, mitzvah, language);
+    return EXIT.OK;
+  },
+
+  async numbering(app, args, flags, out) {
+    const number = parseMitzvahArg(args);
+    const numbering = equivalents(number);
+    if (out.json) {
+      out.printJson({ number, numbering });
+    } else {
+      numbering.forEach(entry => {
+        out.print(`${entry.label}  ${out.dim(entry.heLabel)}`);
+        if (entry.note) out.print(out.dim(entry.note));
+      });
+    }
+    return EXIT.OK;
+  },
+
+  async related(app, args, flags, out) {
+    const number = parseMitzvahArg(args);
+    const limit = flags.limit ? parseNumber(flags.limit, '--limit', 1, 612) : 5;
+    await requireData(app);
+    const related = app.getRelatedMitzvot(number, limit);
+    if (!related) {
+      throw Object.assign(new Error(`Mitzvah ${number} not found`), { exitCode: EXIT.NOT_FOUND });
+    }
+    if (out.json) {
+      out.printJson({ number, related });
+    } else {
+      out.print(out.bold(`Related to Mitzvah ${number}`));
+      printRelated(out, related);
+    }
+    return related.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+  },
+
+  async concordance(app, args, flags, out) {
+    const word = args.join(' ').trim();
+    if (!word) throw new UsageError('Missing word');
+    const limit = flags.limit ? parseNumber(flags.limit, '--limit', 1, 100000) : 20;
+    await requireData(app);
+
+    const result = app.getConcordance(word, { by: flags.root ? 'root' : 'word', limit });
+    if (!result) throw new UsageError(`Give one word to look up: ${word}`);
+    if (out.json) {
+      out.printJson(result);
+    } else {
+      const root = result.root ? out.dim(`  (root ${result.root})`) : '';
+      out.print(out.bold(`${result.term}: ${result.count} occurrences in ${result.mitzvot} mitzvot`) + root);
+      if (result.forms.length > 1) out.print(out.dim(`Forms: ${result.forms.map(form => `${form.term} ${form.count}`).join(', ')}`));
+      result.occurrences.forEach(occurrence => {
+        const { before, word: found, after } = occurrence.context;
+        out.print(`${out.dim(`${occurrence.mitzvah}:${occurrence.segment}`.padEnd(8))} ${before}${out.accent(found)}${after}`);
+      });
+      if (result.count > result.occurrences.length) {
+        out.print(out.dim(`... ${result.count - result.occurrences.length} more (--limit)`));
+      }
+    }
+    return result.count > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+  },
+
+  async terms(app, args, flags, out) {
+    const byParasha = flags.parasha !== undefined;
+    if (!byParasha && args.length === 0) throw new UsageError('Missing mitzvah number or --parasha');
+    const number = byParasha ? null : parseMitzvahArg(args);
+    const options = {
+      language: parseLanguage(flags),
+      by: flags.root ? 'root' : 'word',
+      limit: flags.limit ? parseNumber(flags.limit, '--limit', 1, 1000) : 20,
+      common: !!flags.common
+    };
+    await requireData(app);
+
+    let result;
+    let heading;
+    if (byParasha) {
+      result = app.getParashaTopTerms(flags.parasha, options);
+      if (!result) throw Object.assign(new Error(`Unknown parasha: ${flags.parasha}`), { exitCode: EXIT.NOT_FOUND });
+      heading = `Parasha ${result.parasha} (${result.heParasha}), ${result.mitzvot.length} mitzvot`;
+    } else {
+      const terms = app.getTopTerms(number, options);
+      if (!terms) throw Object.assign(new Error(`Mitzvah ${number} not found`), { exitCode: EXIT.NOT_FOUND });
+      result = { number, terms };
+      heading = `Mitzvah ${number}`;
+    }
+    if (out.json) {
+      out.printJson({ ...result, language: options.language, by: options.by });
+    } else {
+      out.print(out.bold(`Most frequent words: ${heading}`));
+      result.terms.forEach((term, i) => {
+        const spread = byParasha ? out.dim(`  in ${term.mitzvot} mitzvot`) : '';
+        out.print(`${String(i + 1).padStart(3)}. ${term.term.padEnd(20)} ${String(term.count).padStart(5)}${spread}`);
+      });
+    }
+    return result.terms.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+  },
+
+  async citations(app, args, flags, out) {
+    const target = args.join(' ').trim();
+    await requireData(app);
+
+    // A mitzvah rather than a verse: the verses it quotes
+    if (target && !parseVerseRef(target)) {
+      if (!parseMitzvahId(target)) throw new UsageError(`Not a Biblical verse or a mitzvah: ${target}`);
+      const number = parseMitzvahArg(args);
+      const cited = app.getCitedVerses(number);
+      if (!cited) throw Object.assign(new Error(`Mitzvah ${number} not found`), { exitCode: EXIT.NOT_FOUND });
+      if (out.json) {
+        out.printJson({ number, citations: cited });
+      } else {
+        out.print(out.bold(`Verses quoted in Mitzvah ${number}`));
+        cited.forEach(citation => out.print(`${out.accent(citation.ref.padEnd(22))} ${out.dim(`${citation.segmentRef}: ${citation.quoted}`)}`));
+      }
+      return cited.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+    }
+
+    const verses = app.getVerseCitations(target || undefined);
+    if (!verses) throw new UsageError(`Not a Biblical verse or chapter: ${target}`);
+    if (out.json) {
+      out.printJson({ verse: target || null, total: verses.length, verses });
+    } else if (!target) {
+      out.print(out.bold(`${verses.length} verse${verses.length === 1 ? '' : 's'} quoted`));
+      verses.forEach(verse => out.print(`${out.accent(verse.ref.padEnd(22))} ${formatNumbers(verse.mitzvot.map(mitzvah => mitzvah.number))}`));
+    } else {
+      verses.forEach(verse => {
+        out.print(out.bold(out.accent(`${verse.ref} / ${verse.heRef}`)));
+        verse.mitzvot.forEach(mitzvah => mitzvah.quotes.forEach(quote => out.print(`  ${quote.ref.padEnd(24)} ${out.dim(quote.quoted)}`)));
+      });
+    }
+    return verses.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+  },
+
+  async analytics(app, args, flags, out) {
+    const kind = args[0];
+    if (!ANALYTICS_KINDS.includes(kind)) {
+      throw new UsageError(`${kind ? `Unknown analytics: ${kind}` : 'Missing analytics'}. Use: ${ANALYTICS_KINDS.join(', ')}`);
+    }
+    const format = (flags.format || 'csv').toLowerCase();
+    if (!ANALYTICS_FORMATS.includes(format)) {
+      throw new UsageError(`Invalid --format: ${flags.format}. Use: ${ANALYTICS_FORMATS.join(', ')}`);
+    }
+    const options = {
+      language: parseLanguage(flags),
+      by: flags.root ? 'root' : 'word',
+      limit: flags.limit ? parseNumber(flags.limit, '--limit', 1, 1000) : DEFAULT_TOP_TERMS,
+      common: !!flags.common,
+      output: flags.output
+    };
+    await requireData(app);
+
+    if (flags.stdout) {
+      const content = app.renderAnalytics(kind, format, options);
+      if (content === null) throw new Error(`Cannot write the ${kind} as ${format}`);
+      if (format === 'csv') out.write(content);
+      else out.print(content);
+      return EXIT.OK;
+    }
+    const file = app.exportAnalytics(kind, format, options);
+    if (!file) throw new Error(`Could not write the ${kind}`);
+    if (out.json) out.printJson({ kind, format, file });
+    else out.print(file);
+    return EXIT.OK;
+  },
+
+  async ref(app, args, flags, out) {
+    const reference = args.join(' ').trim();
+    if (!reference) throw new UsageError('Missing reference');
+    if (!parseRef(reference)) throw new UsageError(`Invalid reference: ${reference}`);
+    const language = parseLanguage(flags);
+    await requireData(app);
+
+    const resolved = app.resolveRef(reference);
+    if (!resolved) {
+      throw Object.assign(new Error(`Reference not found: ${reference}`), { exitCode: EXIT.NOT_FOUND });
+    }
+    if (out.json) {
+      out.printJson(resolved);
+    } else {
+      out.print(out.bold(out.accent(`${resolved.ref} / ${resolved.heRef}`)));
+      resolved.segments.forEach(segment => {
+        out.print(`\n${out.dim(segment.ref)}`);
+        if (language !== 'hebrew' && segment.text) printSegments(out, [segment.text]);
+        if (language !== 'english' && segment.he) printSegments(out, [segment.he]);
+      });
+    }
+    return EXIT.OK;
+  },
+
+  async read(app, args, flags, out) {
+    const start = args.length > 0 ? args.join(' ') : undefined;
+    const language = parseLanguage(flags);
+    await requireData(app);
+    if (out.json) throw new UsageError('read is interactive and has no --json output');
+
+    let reader;
+    try {
+      reader = new TerminalReader(app, { input: out.input, output: out.output, start, language, color: out.color, bidi: !flags['no-bidi'] });
+    } catch (error) {
+      throw Object.assign(error, { exitCode: EXIT.NOT_FOUND });
+    }
+    await reader.run();
+    return EXIT.OK;
+  },
+
+  async search(app, args, flags, out) {
+    const term = args.join(' ').trim();
+    if (!term) throw new UsageError('Missing search term');
+    const language = parseLanguage(flags);
+    const limit = flags.limit ? parseNumber(flags.limit, '--limit', 1, 613) : 20;
+    const filters = parseFilters(flags);
+    const profile = flags.notes || flags.tag ? parseProfile(flags) : undefined;
+    const version = parseVersion(flags);
+    await requireData(app);
+
+    const options = { filters, tag: flags.tag, notes: !!flags.notes, linked: !!flags.linked, profile, version };
+    const results = app.searchMitzvot(term, language, options).map(({ mitzvah, ...result }) => result);
+    if (out.json) out.printJson({ query: term, language, filters, tag: flags.tag || null, version: version || null, total: results.length, results: results.slice(0, limit) });
+    else printList(out, results.slice(0, limit), `${results.length} result${results.length === 1 ? '' : 's'} for "${term}"`);
+    return results.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+  },
+
+  async category(app, args, flags, out) {
+    const name = args.join(' ').trim();
+    if (!name) throw new UsageError('Missing category name');
+    const limit = flags.limit ? parseNumber(flags.limit, '--limit', 1, 613) : 20;
+    await requireData(app);
+
+    const results = app.getMitzvotByCategory(name).map(mitzvah => summarize(app, mitzvah));
+    if (out.json) out.printJson({ category: name, total: results.length, results: results.slice(0, limit) });
+    else printList(out, results.slice(0, limit), `${results.length} mitzvot in "${name}"`);
+    return results.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+  },
+
+  async list(app, args, flags, out) {
+    const filters = parseFilters(flags) || {};
+    const limit = flags.limit ? parseNumber(flags.limit, '--limit', 1, 613) : 613;
+    // Titles come from the downloaded data when there is any; the classification does not need it
+    await app.loadData();
+
+    const results = app.findMitzvot(filters).map(({ mitzvah, ...entry }) => entry);
+    if (out.json) {
+      out.printJson({ filters, total: results.length, results: results.slice(0, limit) });
+    } else {
+      out.print(out.bold(`${results.length} mitzvot`));
+      printMetadataEntries(out, results.slice(0, limit));
+    }
+    return results.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+  },
+
+  async parasha(app, args, flags, out) {
+    const filters = parseFilters(flags) || {};
+    const target = args.length > 0 ? args.join(' ') : new Date();
+    await app.loadData();
+
+    const reading = app.getWeeklyReading(target, { israel: !!flags.israel, filters });
+    if (!reading) throw new UsageError(`Unknown parasha or invalid date: ${args.join(' ')}`);
+
+    const mitzvot = reading.mitzvot.map(({ mitzvah, ...entry }) => entry);
+    if (out.json) {
+      out.printJson({ ...reading, mitzvot });
+    } else {
+      out.print(out.bold(app.describeReading(reading)));
+      if (reading.festival) {
+        out.print('The festival reading replaces the weekly parasha this Shabbat');
+      } else {
+        out.print(out.dim(`${mitzvot.length} mitzvot`));
+        printMetadataEntries(out, mitzvot);
+      }
+    }
+    return EXIT.OK;
+  },
+
+  async random(app, args, flags, out) {
+    const profile = parseProfile(flags);
+    await requireData(app);
+    const mitzvah = app.getRandomMitzvah({ unseen: !!flags.unseen, profile });
+    if (!mitzvah) {
+      throw Object.assign(new Error(`Profile ${profile} has seen every downloaded mitzvah`), { exitCode: EXIT.NOT_FOUND });
+    }
+    if (out.json) out.printJson(mitzvah);
+    else printMitzvah(out, mitzvah, parseLanguage(flags));
+    return EXIT.OK;
+  },
+
+  async plan(app, args, flags, out) {
+    const [action = 'status', ...rest] = args;
+    const profile = parseProfile(flags);
+    const noPlan = () => Object.assign(new Error(`Profile ${profile} has no study plan. Run: node cli.js plan start daily --profile ${profile}`), { exitCode: EXIT.NOT_FOUND });
+
+    switch (action) {
+      case 'start': {
+        const type = (rest[0] || '').toLowerCase();
+        if (!PLAN_TYPES.includes(type)) {
+          throw new UsageError(`Invalid plan type: ${rest[0] || '(missing)'}. Use: ${PLAN_TYPES.join(', ')}`);
+        }
+        const options = { profile, start: flags.start, perDay: flags['per-day'], days: flags.days, israel: !!flags.israel };
+        try {
+          createPlan(type, options);
+        } catch (error) {
+          throw new UsageError(error.message);
+        }
+        const plan = app.startStudyPlan(type, options);
+        if (!plan) throw new Error(`Could not save the study plan of ${profile}`);
+        const status = app.getStudyStatus({ profile });
+        if (out.json) out.printJson(status);
+        else out.print(`${profile}: ${status.description}, until ${status.end} (${status.completed}/${status.total} already studied)`);
+        return EXIT.OK;
+      }
+
+      case 'status': {
+        const status = app.getStudyStatus({ profile });
+        if (!status) throw noPlan();
+        if (out.json) {
+          out.printJson(status);
+          return EXIT.OK;
+        }
+        const limit = flags.limit ? parseNumber(flags.limit, '--limit', 1, 613) : 20;
+        out.print(out.bold(`Study plan (${profile}): ${status.description}, until ${status.end}`));
+        out.print(`Completed: ${status.completed}/${status.total} (${status.percent}%)`);
+        if (status.overdueCount > 0) {
+          out.print(`Overdue:   ${status.overdueCount} mitzvot`);
+          status.overdue.slice(0, limit).forEach(assignment => printAssignment(out, assignment));
+          if (status.overdue.length > limit) out.print(out.dim(`... and ${status.overdue.length - limit} more`));
+        }
+        if (status.next) {
+          out.print('Next:');
+          printAssignment(out, status.next);
+        } else if (status.finished) {
+          out.print('Plan complete');
+        }
+        return EXIT.OK;
+      }
+
+      case 'schedule': {
+        const schedule = app.getStudySchedule({ profile });
+        if (!schedule) throw noPlan();
+        const limit = flags.limit ? parseNumber(flags.limit, '--limit', 1, 613) : 613;
+        if (out.json) out.printJson({ profile, total: schedule.length, schedule: schedule.slice(0, limit) });
+        else schedule.slice(0, limit).forEach(assignment => printAssignment(out, assignment));
+        return EXIT.OK;
+      }
+
+      case 'done':
+      case 'undo': {
+        if (rest.length === 0) throw new UsageError('Missing mitzvah number');
+        const numbers = rest.map(arg => parseMitzvahArg([arg]));
+        const recorded = action === 'done' ? app.markStudied(numbers, { profile }) : app.unmarkStudied(numbers, { profile });
+        if (!recorded) throw new Error(`Could not update the progress of ${profile}`);
+        if (out.json) out.printJson({ profile, [action === 'done' ? 'studied' : 'unmarked']: recorded });
+        else out.print(`${profile}: ${action === 'done' ? 'studied' : 'unmarked'} ${recorded.join(', ')}`);
+        return EXIT.OK;
+      }
+
+      case 'profiles': {
+        const profiles = app.getStudyProfiles();
+        if (out.json) {
+          out.printJson({ profiles });
+        } else {
+          profiles.forEach(entry => {
+            out.print(`${out.accent(entry.name)}  ${entry.description || 'no plan'}  ${out.dim(`${entry.studied} studied, ${entry.seen} seen`)}`);
+          });
+        }
+        return profiles.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+      }
+
+      case 'delete': {
+        const name = rest[0] ? parseProfile({ profile: rest[0] }) : null;
+        if (!name) throw new UsageError('Missing profile name');
+        if (!app.deleteStudyProfile(name)) {
+          throw Object.assign(new Error(`No study profile named ${name}`), { exitCode: EXIT.NOT_FOUND });
+        }
+        if (out.json) out.printJson({ deleted: name });
+        else out.print(`Deleted ${name}`);
+        return EXIT.OK;
+      }
+
+      default:
+        throw new UsageError(`Unknown plan action: ${action}. Use: status, start, schedule, done, undo, profiles, delete`);
+    }
+  },
+
+  async bookmark(app, args, flags, out) {
+    const [action = 'list', ...rest] = args;
+    const profile = parseProfile(flags);
+
+    if (action === 'add' || action === 'remove') {
+      const number = parseMitzvahArg(rest);
+      const done = action === 'add' ? app.bookmarkMitzvah(number, { profile }) : app.removeBookmark(number, { profile });
+      if (done === null) throw new Error(`Could not update the bookmarks of ${profile}`);
+      if (out.json) out.printJson({ profile, [action === 'add' ? 'bookmarked' : 'removed']: number });
+      else out.print(`${profile}: ${action === 'add' ? 'bookmarked' : 'removed the bookmark of'} ${number}`);
+      return EXIT.OK;
+    }
+    if (action !== 'list') throw new UsageError(`Unknown bookmark action: ${action}. Use: list, add, remove`);
+
+    await app.loadData();
+    const bookmarks = app.getBookmarks({ profile });
+    if (!bookmarks) throw new Error(`Could not read the annotations of ${profile}`);
+    if (out.json) {
+      out.printJson({ profile, bookmarks });
+    } else {
+      bookmarks.forEach(entry => {
+        const tags = entry.tags.length > 0 ? `  [${entry.tags.join(', ')}]` : '';
+        out.print(`${out.accent(String(entry.number).padStart(3))}  ${entry.summary || entry.title}${out.dim(tags)}`);
+      });
+    }
+    return bookmarks.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+  },
+
+  async tag(app, args, flags, out) {
+    const [action = 'list', ...rest] = args;
+    const profile = parseProfile(flags);
+
+    if (action === 'add' || action === 'remove') {
+      if (rest.length < 2) throw new UsageError(`Usage: tag ${action} <n|id> <tag>`);
+      const number = parseMitzvahArg([rest[0]]);
+      const tag = rest.slice(1).join(' ');
+      const tags = action === 'add' ? app.tagMitzvah(number, tag, { profile }) : app.untagMitzvah(number, tag, { profile });
+      if (!tags) throw new UsageError(`Invalid tag: ${tag}`);
+      if (out.json) out.printJson({ profile, number, tags });
+      else out.print(`${number}: ${tags.length > 0 ? tags.join(', ') : 'no tags'}`);
+      return EXIT.OK;
+    }
+    if (action !== 'list') throw new UsageError(`Unknown tag action: ${action}. Use: list, add, remove`);
+
+    // Without a tag: every tag with its count; with one: the mitzvot carrying it
+    const name = rest.join(' ').trim();
+    if (!name) {
+      const tags = app.getTags({ profile });
+      if (!tags) throw new Error(`Could not read the annotations of ${profile}`);
+      if (out.json) out.printJson({ profile, tags });
+      else tags.forEach(entry => out.print(`${entry.tag}  ${out.dim(`${entry.count}: ${entry.numbers.join(', ')}`)}`));
+      return tags.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+    }
+
+    const entries = app.getMitzvotByTag(name, { profile });
+    if (!entries) throw new UsageError(`Invalid tag: ${name}`);
+    const results = entries.map(({ mitzvah, ...entry }) => entry);
+    if (out.json) {
+      out.printJson({ profile, tag: name, total: results.length, results });
+    } else {
+      out.print(out.bold(`${results.length} mitzvot tagged "${name}"`));
+      printMetadataEntries(out, results);
+    }
+    return results.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+  },
+
+  async note(app, args, flags, out) {
+    const [action = 'list', ...rest] = args;
+    const profile = parseProfile(flags);
+    const noteId = value => parseNumber(value, 'note id', 1, Number.MAX_SAFE_INTEGER);
+
+    switch (action) {
+      case 'add': {
+        if (rest.length < 2) throw new UsageError('Usage: note add <ref|n|id> <text>');
+        // The text of the mitzvah lets the note check its segment and notice later changes
+        await app.loadData();
+        const note = app.addNote(rest[0], rest.slice(1).join(' '), { profile });
+        if (!note) throw new UsageError(`Could not add a note to ${rest[0]}. Check the reference and the text`);
+        if (out.json) out.printJson({ profile, note });
+        else out.print(`Added note #${note.id} to ${note.ref}`);
+        return EXIT.OK;
+      }
+
+      case 'edit': {
+        if (rest.length < 2) throw new UsageError('Usage: note edit <id> <text>');
+        const note = app.editNote(noteId(rest[0]), rest.slice(1).join(' '), { profile });
+        if (!note) throw Object.assign(new Error(`No note #${rest[0]}`), { exitCode: EXIT.NOT_FOUND });
+        if (out.json) out.printJson({ profile, note });
+        else out.print(`Edited note #${note.id} on ${note.ref}`);
+        return EXIT.OK;
+      }
+
+      case 'delete': {
+        const note = app.deleteNote(noteId(rest[0]), { profile });
+        if (!note) throw Object.assign(new Error(`No note #${rest[0]}`), { exitCode: EXIT.NOT_FOUND });
+        if (out.json) out.printJson({ profile, deleted: note });
+        else out.print(`Deleted note #${note.id} on ${note.ref}`);
+        return EXIT.OK;
+      }
+
+      case 'list': {
+        const mitzvah = rest.length > 0 ? parseMitzvahArg(rest) : undefined;
+        await app.loadData();
+        const notes = app.getNotes({ profile, mitzvah });
+        if (!notes) throw new Error(`Could not read the annotations of ${profile}`);
+        if (out.json) out.printJson({ profile, notes });
+        else printNotes(out, notes);
+        return notes.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+      }
+
+      case 'search': {
+        const term = rest.join(' ').trim();
+        if (!term) throw new UsageError('Missing search term');
+        const results = app.searchNotes(term, { profile });
+        if (out.json) {
+          out.printJson({ profile, query: term, total: results.length, results });
+        } else {
+          out.print(out.bold(`${results.length} note${results.length === 1 ? '' : 's'} matching "${term}"`));
+          results.forEach(result => out.print(`${out.accent(`#${result.note.id}`)}  ${out.dim(result.ref)}  ${result.snippet.text}`));
+        }
+        return results.length > 0 ? EXIT.OK : EXIT.NOT_FOUND;
+      }
+
+      default:
+        throw new UsageError(`Unknown note action: ${action}. Use: list, add, edit, delete, search`);
+    }
+  },
+
+  async quiz(app, args, flags, out) {
+    const action = ['stats', 'export'].includes(args[0]) ? args[0] : 'review';
+    const profile = parseProfile(flags);
+    const selection = parseSelection(action === 'review' ? args[0] : args[1], flags) || 'all';
+    try {
+      normalizeTypes(flags.types);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    const options = { profile, selection, types: flags.types };
+    const noCards = () => Object.assign(new Error('No mitzvot match the selection'), { exitCode: EXIT.NOT_FOUND });
+    await requireData(app);
+
+    if (action === 'export') {
+      if (!app.getReviewCards(options)) throw noCards();
+      const file = app.exportAnkiDeck(selection, { types: flags.types, output: flags.output });
+      if (!file) throw new Error('Could not write the Anki file');
+      if (out.json) out.printJson({ file });
+      else out.print(file);
+      return EXIT.OK;
+    }
+
+    if (action === 'stats') {
+      if (!app.getReviewCards(options)) throw noCards();
+      const stats = app.getReviewStats(options);
+      if (!stats) throw new Error(`Could not read the review history of ${profile}`);
+      if (out.json) {
+        out.printJson(stats);
+      } else {
+        out.print(out.bold(`Flashcards (${profile})`));
+        out.print(`Cards:    ${stats.cards} (${stats.seen} seen, ${stats.new} new)`);
+        out.print(`Due:      ${stats.due}`);
+        out.print(`Mature:   ${stats.mature} (reviewed at intervals of 3 weeks or more)`);
+        out.print(`Reviews:  ${stats.reviews}${stats.accuracy !== null ? `, ${stats.accuracy}% correct` : ''}`);
+        out.print(`Lapses:   ${stats.lapses}`);
+      }
+      return EXIT.OK;
+    }
+
+    const limit = flags.limit ? parseNumber(flags.limit, '--limit', 1, 2000) : 20;
+    const newLimit = flags.new !== undefined ? parseNumber(flags.new, '--new', 0, 2000) : 10;
+    if (!app.getReviewCards(options)) throw noCards();
+    const session = app.getReviewSession({ ...options, limit, newLimit });
+    if (!session) throw new Error(`Could not read the review history of ${profile}`);
+    // With --json, today's questions (and their answers) for another program to ask
+    if (out.json) {
+      out.printJson(session);
+      return EXIT.OK;
+    }
+    if (session.questions.length === 0) {
+      out.print(`Nothing to review today (${profile}). Add new cards with --new, or come back tomorrow.`);
+      return EXIT.OK;
+    }
+    await askQuestions(app, out, session);
+    return EXIT.OK;
+  },
+
+  async stats(app, args, flags, out) {
+    await requireData(app);
+    const stats = app.getStats();
+    if (out.json) {
+      out.printJson(stats);
+    } else {
+      out.print(out.bold('Sefer HaChinukh statistics'));
+      out.print(`Total mitzvot:       ${stats.total}`);
+      out.print(`With English:        ${stats.withEnglish}`);
+      out.print(`With Hebrew:         ${stats.withHebrew}`);
+      out.print(`Average text length: ${stats.averageTextLength} characters`);
+      out.print(`Categories:          ${stats.categories.join(', ')}`);
+      out.print(`Positive / negative: ${stats.metadata.byType.positive || 0} / ${stats.metadata.byType.negative || 0}`);
+      out.print(`In force today:      ${stats.metadata.presentDay}`);
+      out.print(`Temple era only:     ${stats.metadata.templeEra}`);
+    }
+    return EXIT.OK;
+  },
+
+  async export(app, args, flags, out) {
+    const format = (flags.format || 'json').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new UsageError(`Invalid --format: ${flags.format}. Use: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const selection = parseSelection(args[0], flags);
+    if (!selection) throw new UsageError('Missing mitzvah number or range');
+
+    const options = {
+      annotations: !!flags.notes,
+      profile: flags.notes ? parseProfile(flags) : undefined,
+      output: flags.output,
+      combine: !!flags.combine,
+      linked: !!flags.linked,
+      related: !!flags.related,
+      version: parseVersion(flags)
+    };
+    await requireData(app);
+
+    if (Array.isArray(selection.numbers)) {
+      const missing = selection.numbers.filter(number => !app.getMitzvah(number));
+      if (missing.length > 0) {
+        throw Object.assign(new Error(`Mitzvot not found: ${missing.join(', ')}`), { exitCode: EXIT.NOT_FOUND });
+      }
+    }
+    const notFound = () => Object.assign(new Error('No mitzvot match the selection'), { exitCode: EXIT.NOT_FOUND });
+
+    if (flags.stdout) {
+      const selected = app.selectMitzvot(selection);
+      if (!selected) throw notFound();
+      const mitzvot = app.annotateForExport(selected, options);
+      if (!mitzvot) {
+        if (options.version) throw Object.assign(new Error(`Version not downloaded: ${[].concat(options.version).join(' / ')}`), { exitCode: EXIT.NOT_FOUND });
+        throw new Error(`Cannot read the annotations of profile "${options.profile}"`);
+      }
+      app.warnRestricted(mitzvot);
+      const content = app.renderMitzvot(mitzvot, format, options);
+      if (content === null) throw new Error(`Cannot export as ${format}`);
+      if (Buffer.isBuffer(content)) out.write(content);
+      else out.print(content);
+      return EXIT.OK;
+    }
+
+    const files = app.exportMitzvot(selection, format, options);
+    if (!files) {
+      if (!app.selectMitzvot(selection)) throw notFound();
+      throw new Error('Some exports failed');
+    }
+    if (out.json) out.printJson({ format, files });
+    else files.forEach(file => out.print(file));
+    return EXIT.OK;
+  }
+};
+
+// ========== MAIN ==========
+
+// Run the CLI; resolves to the process exit code
+async function main(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  let parsed;
+
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n\n${USAGE}\n`);
+    return EXIT.USAGE;
+  }
+
+  const { command, args, flags } = parsed;
+  if (flags.help || !command || command === 'help') {
+    (command || flags.help ? stdout : stderr).write(`${USAGE}\n`);
+    return command || flags.help ? EXIT.OK : EXIT.USAGE;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+    stderr.write(`Error: Unknown command: ${command}\n\n${USAGE}\n`);
+    return EXIT.USAGE;
+  }
+
+  const storage = flags.storage || process.env.SEFER_STORAGE || 'json';
+  if (!STORAGE_TYPES.includes(storage)) {
+    stderr.write(`Error: Invalid --storage: ${storage}. Use: ${STORAGE_TYPES.join(', ')}\n`);
+    return EXIT.USAGE;
+  }
+
+  const out = createOutput(flags, stdout, io.stdin || process.stdin);
+  const app = new SeferHaChinukhApp({ outputDir: flags['data-dir'], storage });
+
+  // Progress and diagnostics go to stderr, keeping stdout for results only.
+  // Downloads show progress by default, queries only with --verbose. Otherwise a
+  // failing command prints its error once, below, and the app's own failure messages
+  // (which may give the cause) only with --verbose.
+  const showProgress = flags.verbose || ((command === 'download' || command === 'retry') && !flags.json);
+  const detach = attachConsoleReporter(app, {
+    levels: showProgress ? LEVELS : [],
+    write: line => stderr.write(`${line}\n`)
+  });
+  let failures = 0;
+  const countFailure = () => { failures++; };
+  app.on('failure', countFailure);
+
+  // Ctrl-C stops a download after the requests in flight; what was saved stays
+  const controller = new AbortController();
+  const interrupt = () => {
+    stderr.write('\n⏹️  Stopping after the requests in flight...\n');
+    controller.abort();
+  };
+  process.once('SIGINT', interrupt);
+
+  try {
+    return await commands[command](app, args, flags, out, controller.signal);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`Error: ${error.message}\n\nRun "node cli.js --help" for usage.\n`);
+      return EXIT.USAGE;
+    }
+    if (out.json) {
+      stdout.write(`${JSON.stringify({ error: { message: error.message, exitCode: exitCodeOf(error) } })}\n`);
+    }
+    const details = !showProgress && failures > 0 && exitCodeOf(error) === EXIT.ERROR ? ' (run with --verbose for details)' : '';
+    stderr.write(`Error: ${error.message}${details}\n`);
+    return exitCodeOf(error);
+  } finally {
+    process.removeListener('SIGINT', interrupt);
+    app.off('failure', countFailure);
+    detach();
+  }
+}
+
+// The exit code for an error a command failed with
+function exitCodeOf(error) {
+  if (error.exitCode) return error.exitCode;
+  if (error instanceof InvalidMitzvahNumberError || error instanceof ConfigurationError) return EXIT.USAGE;
+  if (error instanceof DataNotLoadedError) return EXIT.NO_DATA;
+  if (error instanceof ParseError) return EXIT.INVALID_DATA;
+  if (error instanceof AbortError) return EXIT.INCOMPLETE;
+  return EXIT.ERROR;
+}
+
+module.exports = { main, parseArgs, parseRange, EXIT };
+
+if (require.main === module) {
+  // Output piped into `head` and the like: stop quietly once the reader goes away
+  process.stdout.on('error', error => {
+    if (error.code === 'EPIPE') process.exit(EXIT.OK);
+    throw error;
+  });
+
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,52 @@
+// ========== CONSOLE REPORTER ==========
+//
+// Prints the events of a SeferHaChinukhApp (see its EVENTS) the way the app used to
+// print them itself: the message of each, one emoji-led line. The app prints nothing
+// on its own, so attach one where console output is wanted:
+//
+//   const detach = attachConsoleReporter(app);                 // everything
+//   attachConsoleReporter(app, { levels: ['warning'] });        // warnings only
+//   attachConsoleReporter(app, { write: line => process.stderr.write(`${line}\n`) });
+//
+// Every event has a level: 'info' for progress and results, 'warning' for problems an
+// operation went past and 'failure' for what could not be done. By default info goes
+// to console.log and the rest to console.error. Download progress is printed every
+// PROGRESS_EVERY mitzvot.
+
+const EVENT_LEVELS = {
+  info: 'info',
+  load: 'info',
+  'download:start': 'info',
+  'download:progress': 'info',
+  'download:retry': 'info',
+  'download:complete': 'info',
+  'mitzvah:downloaded': 'info',
+  warning: 'warning',
+  'mitzvah:failed': 'warning',
+  failure: 'failure'
+};
+const LEVELS = ['info', 'warning', 'failure'];
+const PROGRESS_EVERY = 50;
+
+// Print the events of emitter (an app, or a Downloader) through write(line, level);
+// returns a function that stops it
+function attachConsoleReporter(emitter, options = {}) {
+  const levels = options.levels || LEVELS;
+  const write = options.write || ((line, level) => (level === 'info' ? console.log(line) : console.error(line)));
+
+  const listeners = Object.entries(EVENT_LEVELS)
+    .filter(([, level]) => levels.includes(level))
+    .map(([event, level]) => {
+      const listener = payload => {
+        if (!payload || !payload.message) return;
+        if (event === 'download:progress' && payload.completed % PROGRESS_EVERY !== 0) return;
+        write(payload.message, level);
+      };
+      emitter.on(event, listener);
+      return [event, listener];
+    });
+
+  return () => listeners.forEach(([event, listener]) => emitter.off(event, listener));
+}
+
+module.exports = { EVENT_LEVELS, LEVELS, attachConsoleReporter };
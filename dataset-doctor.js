@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { shardFile, writeJsonAtomic, MANIFEST_FILE } = require('./downloader');
+const { linkedFile, readLinkedTexts } = require('./linked-texts');
+const { parseRef } = require('./refs');
+const { decodeEntities } = require('./sefaria-text');
+
+// ========== DATASET DOCTOR ==========
+//
+// Checks the data on disk: every one of the 613 mitzvot saved once and well formed
+// (text and he arrays of strings, titles, the ref and number of the right mitzvah),
+// and the mitzvah_NNN.json shards, all_mitzvot.json and mitzvot_index.json in
+// agreement with each other. The report:
+//
+//   { checkedAt, outputDir, healthy, missing: [n], broken: [n], rebuild,
+//     counts: { shards, consolidated, index, errors, warnings },
+//     problems: [{ severity, code, file, number, message, repair }],
+//     checksums: { file: sha256 } }
+//
+// missing are the mitzvot not in all_mitzvot.json (or without a valid shard when
+// all_mitzvot.json cannot be read).
+// Errors are data the app cannot use as it is, warnings data that looks wrong (empty
+// or markup-only segments, a mitzvah without English). repair says what fixes a
+// problem: 'download' (fetch the mitzvah again; its number is in broken), 'rebuild'
+// (reassemble all_mitzvot.json and the indexes from the shards) or null.
+//
+// The SHA-256 of every file checked is recorded in dataset_checksums.json; a shard
+// that changes afterwards without being downloaded again is reported next time.
+
+const CHECKSUMS_FILE = 'dataset_checksums.json';
+const CHECKSUMS_VERSION = 1;
+const CONSOLIDATED_FILE = 'all_mitzvot.json';
+const INDEX_FILE = 'mitzvot_index.json';
+const TOTAL = 613;
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// "1, 4-6, 9" for a sorted list of numbers
+function formatNumbers(numbers) {
+  const ranges = [];
+  numbers.forEach(number => {
+    const last = ranges[ranges.length - 1];
+    if (last && number === last[1] + 1) last[1] = number;
+    else ranges.push([number, number]);
+  });
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+}
+
+// Whether a segment has text to read: not empty and not only markup
+const isReadable = segment => !!decodeEntities(segment.replace(/<[^>]*>/g, '')).trim();
+
+// Whether a Sefaria text value (a string or nested arrays of them) has a readable segment
+function hasText(value) {
+  return (Array.isArray(value) ? value.flat(Infinity) : [value]).some(segment => typeof segment === 'string' && isReadable(segment));
+}
+
+const titleOf = mitzvah => mitzvah.indexTitle || mitzvah.title || `Mitzvah ${mitzvah.mitzvahNumber}`;
+
+// Problems with one mitzvah record (a shard or an entry of all_mitzvot.json):
+// [{ severity, code, message }]
+function checkRecord(data, number) {
+  const problems = [];
+  const error = (code, message) => problems.push({ severity: 'error', code, message });
+  const warning = (code, message) => problems.push({ severity: 'warning', code, message });
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    error('bad-shape', 'Not a mitzvah object');
+    return problems;
+  }
+  if (data.error) error('sefaria-error', `Holds a Sefaria error instead of the text: ${data.error}`);
+  if (data.mitzvahNumber !== number) error('wrong-mitzvah', `mitzvahNumber is ${JSON.stringify(data.mitzvahNumber)}, not ${number}`);
+  if (data.ref !== undefined) {
+    const ref = parseRef(data.ref);
+    if (!ref || ref.mitzvah !== number || ref.segment) error('wrong-mitzvah', `Holds the text of ${data.ref}`);
+  }
+  ['indexTitle', 'heTitle'].forEach(field => {
+    if (typeof data[field] !== 'string' || !data[field].trim()) error('bad-shape', `No ${field}`);
+  });
+
+  const readable = {};
+  [['text', 'English'], ['he', 'Hebrew']].forEach(([field, language]) => {
+    const value = data[field];
+    if (!Array.isArray(value)) {
+      error('bad-shape', `${field} is ${value === undefined ? 'missing' : `a ${value === null ? 'null' : typeof value}`}, not an array`);
+      return;
+    }
+    const segments = value.flat(Infinity);
+    const strings = segments.filter(segment => typeof segment === 'string');
+    if (strings.length < segments.length) error('bad-shape', `${field} has ${segments.length - strings.length} segments that are not strings`);
+
+    const empty = [];
+    const markupOnly = [];
+    segments.forEach((segment, i) => {
+      if (typeof segment !== 'string') return;
+      if (!segment.trim()) empty.push(i + 1);
+      else if (!isReadable(segment)) markupOnly.push(i + 1);
+    });
+    readable[field] = strings.length - empty.length - markupOnly.length;
+    if (readable[field] === 0) {
+      warning('no-text', `No ${language} text`);
+      return;
+    }
+    if (empty.length > 0) warning('empty-segment', `${field}: empty segment${empty.length > 1 ? 's' : ''} ${formatNumbers(empty)}`);
+    if (markupOnly.length > 0) warning('markup-only-segment', `${field}: segment${markupOnly.length > 1 ? 's' : ''} ${formatNumbers(markupOnly)} ${markupOnly.length > 1 ? 'hold' : 'holds'} only markup`);
+  });
+  if (readable.text === 0 && readable.he === 0) {
+    problems.splice(0, problems.length, ...problems.filter(problem => problem.code !== 'no-text'));
+    error('no-text', 'No text in either language');
+  }
+  return problems;
+}
+
+// Check the data in outputDir; returns the report described above
+function checkDataset(outputDir, { now = new Date() } = {}) {
+  const problems = [];
+  const checksums = {};
+  const add = (severity, code, file, number, message, repair = null) => problems.push({ severity, code, file, number, message, repair });
+
+  // { data } of a JSON file, { error } when it cannot be parsed, null when it is missing
+  const readJson = file => {
+    const fullPath = path.join(outputDir, file);
+    if (!fs.existsSync(fullPath)) return null;
+    try {
+      const content = fs.readFileSync(fullPath);
+      checksums[file] = sha256(content);
+      return { data: JSON.parse(content.toString('utf8')) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+  const unreadable = error => `Unreadable JSON (${error}); the file may be truncated`;
+
+  // The shards
+  const shards = new Map(); // number -> record without errors
+  for (let number = 1; number <= TOTAL; number++) {
+    const file = path.basename(shardFile(outputDir, number));
+    const shard = readJson(file);
+    if (!shard) {
+      add('error', 'missing', file, number, 'Not downloaded', 'download');
+      continue;
+    }
+    if (shard.error) {
+      add('error', 'unreadable', file, number, unreadable(shard.error), 'download');
+      continue;
+    }
+    const recordProblems = checkRecord(shard.data, number);
+    recordProblems.forEach(problem => add(problem.severity, problem.code, file, number, problem.message, problem.severity === 'error' ? 'download' : null));
+    if (!recordProblems.some(problem => problem.severity === 'error')) shards.set(number, shard.data);
+  }
+
+  // all_mitzvot.json: each mitzvah once, as in its shard
+  const consolidated = readJson(CONSOLIDATED_FILE);
+  let entries = null;
+  if (!consolidated) {
+    add('error', 'missing', CONSOLIDATED_FILE, null, 'Not found', 'rebuild');
+  } else if (consolidated.error) {
+    add('error', 'unreadable', CONSOLIDATED_FILE, null, unreadable(consolidated.error), 'rebuild');
+  } else if (!Array.isArray(consolidated.data)) {
+    add('error', 'bad-shape', CONSOLIDATED_FILE, null, 'Not an array of mitzvot', 'rebuild');
+  } else {
+    entries = new Map();
+    consolidated.data.forEach((entry, i) => {
+      const number = entry && entry.mitzvahNumber;
+      if (!Number.isInteger(number) || number < 1 || number > TOTAL) {
+        add('error', 'bad-shape', CONSOLIDATED_FILE, null, `Entry ${i + 1} has no valid mitzvahNumber`, 'rebuild');
+      } else if (entries.has(number)) {
+        add('error', 'duplicate', CONSOLIDATED_FILE, number, `Mitzvah ${number} appears more than once`, 'rebuild');
+      } else {
+        entries.set(number, entry);
+      }
+    });
+    entries.forEach((entry, number) => {
+      if (shards.has(number) && JSON.stringify(entry) !== JSON.stringify(shards.get(number))) {
+        add('error', 'out-of-sync', CONSOLIDATED_FILE, number, `Mitzvah ${number} differs from ${path.basename(shardFile(outputDir, number))}`, 'rebuild');
+      }
+    });
+    shards.forEach((shard, number) => {
+      if (!entries.has(number)) add('error', 'out-of-sync', CONSOLIDATED_FILE, number, `Mitzvah ${number} is missing`, 'rebuild');
+    });
+  }
+
+  // mitzvot_index.json: one entry for each mitzvah of all_mitzvot.json, with its titles
+  const expected = entries || shards;
+  const index = readJson(INDEX_FILE);
+  let indexed = 0;
+  if (!index) {
+    add('error', 'missing', INDEX_FILE, null, 'Not found', 'rebuild');
+  } else if (index.error) {
+    add('error', 'unreadable', INDEX_FILE, null, unreadable(index.error), 'rebuild');
+  } else if (!Array.isArray(index.data)) {
+    add('error', 'bad-shape', INDEX_FILE, null, 'Not an array of entries', 'rebuild');
+  } else {
+    const seen = new Set();
+    indexed = index.data.length;
+    index.data.forEach((entry, i) => {
+      const number = entry && entry.number;
+      if (!Number.isInteger(number)) {
+        add('error', 'bad-shape', INDEX_FILE, null, `Entry ${i + 1} has no number`, 'rebuild');
+      } else if (seen.has(number)) {
+        add('error', 'duplicate', INDEX_FILE, number, `Mitzvah ${number} appears more than once`, 'rebuild');
+      } else if (!expected.has(number)) {
+        seen.add(number);
+        add('error', 'out-of-sync', INDEX_FILE, number, `Lists mitzvah ${number}, which is not in ${CONSOLIDATED_FILE}`, 'rebuild');
+      } else {
+        seen.add(number);
+        const mitzvah = expected.get(number);
+        if (entry.title !== titleOf(mitzvah) || (entry.heTitle || '') !== (mitzvah.heTitle || '')) {
+          add('error', 'out-of-sync', INDEX_FILE, number, `The titles of mitzvah ${number} differ from ${CONSOLIDATED_FILE}`, 'rebuild');
+        }
+      }
+    });
+    expected.forEach((mitzvah, number) => {
+      if (!seen.has(number)) add('error', 'out-of-sync', INDEX_FILE, number, `Mitzvah ${number} is missing`, 'rebuild');
+    });
+  }
+
+  // Linked texts are optional, but a file that is there should be usable
+  for (let number = 1; number <= TOTAL; number++) {
+    const file = linkedFile(outputDir, number);
+    if (fs.existsSync(file) && !readLinkedTexts(outputDir, number)) {
+      add('warning', 'unreadable', path.basename(file), number, 'Unusable linked texts; download them again with links --force');
+    }
+  }
+
+  // Shards changed since the last check without a download in between
+  const previous = readRecordedChecksums(outputDir);
+  if (previous) {
+    const manifest = readJson(MANIFEST_FILE);
+    delete checksums[MANIFEST_FILE];
+    const manifestEntries = manifest && manifest.data && manifest.data.entries ? manifest.data.entries : {};
+    for (let number = 1; number <= TOTAL; number++) {
+      const file = path.basename(shardFile(outputDir, number));
+      const entry = manifestEntries[number];
+      const downloadedSince = entry && entry.downloadedAt && entry.downloadedAt > previous.checkedAt;
+      if (previous.files[file] && checksums[file] && previous.files[file] !== checksums[file] && !downloadedSince) {
+        add('warning', 'changed', file, number, `Changed since the check of ${previous.checkedAt} without being downloaded again`);
+      }
+    }
+  }
+
+  const count = severity => problems.filter(problem => problem.severity === severity).length;
+  const broken = [...new Set(problems.filter(problem => problem.repair === 'download').map(problem => problem.number))].sort((a, b) => a - b);
+  const present = entries || shards;
+  return {
+    checkedAt: now.toISOString(),
+    outputDir,
+    healthy: count('error') === 0,
+    missing: Array.from({ length: TOTAL }, (_, i) => i + 1).filter(number => !present.has(number)),
+    broken,
+    rebuild: problems.some(problem => problem.repair === 'rebuild'),
+    counts: { shards: shards.size, consolidated: entries ? entries.size : 0, index: indexed, errors: count('error'), warnings: count('warning') },
+    problems,
+    checksums
+  };
+}
+
+// The checksums recorded by the last check, or null
+function readRecordedChecksums(outputDir) {
+  const file = path.join(outputDir, CHECKSUMS_FILE);
+  if (!fs.existsSync(file)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && data.version === CHECKSUMS_VERSION && data.files ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Record the checksums of a report for the next check
+function recordChecksums(outputDir, report) {
+  writeJsonAtomic(path.join(outputDir, CHECKSUMS_FILE), { version: CHECKSUMS_VERSION, checkedAt: report.checkedAt, files: report.checksums });
+}
+
+// failed_downloads.json entries ([{ number, error }]) for the broken mitzvot of a
+// report, with the first error found in each
+function failedEntries(report) {
+  return report.broken.map(number => {
+    const problem = report.problems.find(entry => entry.number === number && entry.repair === 'download');
+    return { number, error: `Dataset check: ${problem.message}` };
+  });
+}
+
+module.exports = {
+  CHECKSUMS_FILE,
+  sha256,
+  formatNumbers,
+  hasText,
+  checkRecord,
+  checkDataset,
+  readRecordedChecksums,
+  recordChecksums,
+  failedEntries
+};
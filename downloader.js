@@ -0,0 +1,512 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { NetworkError, ParseError, ChinukhError, throwIfAborted } = require('./errors');
+const { linkedFile, readLinkedTexts, normalizeLinks } = require('./linked-texts');
+const versions = require('./text-versions');
+
+// ========== DOWNLOAD ENGINE ==========
+//
+// Fetches Sefaria references with a bounded pool of workers sharing a
+// token-bucket rate limit. Failed requests are retried with exponential
+// backoff and full jitter; 429/503 responses honor Retry-After and pause the
+// whole pool. Progress is checkpointed in download_manifest.json so an
+// interrupted run resumes with only the missing or invalid entries. Linked texts
+// (see linked-texts.js) and other text versions (see text-versions.js) are fetched
+// the same way and resume from their own files.
+//
+// A Downloader reports as the app does (see EVENTS there): per mitzvah
+// 'mitzvah:downloaded' or 'mitzvah:failed' ({ kind, number, error }), 'download:progress'
+// ({ kind, completed, total }) and 'download:retry'; kind is 'text', 'links',
+// 'versions' or 'fetch'. Failed requests reject with a NetworkError or ParseError
+// (errors.js); an aborted options.signal makes a whole download reject with an
+// AbortError once the requests in flight have settled, keeping what was saved.
+
+const MANIFEST_FILE = 'download_manifest.json';
+const MANIFEST_VERSION = 1;
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Use node-fetch when installed, otherwise the fetch built into Node 18+
+async function loadFetch() {
+  try {
+    const module = await import('node-fetch');
+    return module.default;
+  } catch (error) {
+    if (typeof globalThis.fetch === 'function') {
+      return globalThis.fetch;
+    }
+    throw new NetworkError(`No fetch implementation available. Make sure to install: npm install node-fetch (${error.message})`, { cause: error });
+  }
+}
+
+// Write to a temp file and rename it into place, so readers never see half a file
+function writeFileAtomic(file, content) {
+  const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    fs.writeFileSync(tempFile, content, typeof content === 'string' ? 'utf8' : undefined);
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
+    throw error;
+  }
+}
+
+function writeJsonAtomic(file, data, space = 2) {
+  writeFileAtomic(file, JSON.stringify(data, null, space));
+}
+
+function shardFile(outputDir, number) {
+  return path.join(outputDir, `mitzvah_${number.toString().padStart(3, '0')}.json`);
+}
+
+// A Sefaria texts payload we can use: an object without an error and with some text
+function isValidMitzvahData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || data.error) {
+    return false;
+  }
+  const hasSegments = value => (Array.isArray(value)
+    ? value.flat(Infinity).some(segment => String(segment).trim().length > 0)
+    : typeof value === 'string' && value.trim().length > 0);
+  return hasSegments(data.text) || hasSegments(data.he);
+}
+
+// The error for a texts payload isValidMitzvahData() turns down
+function invalidDataError(data, url) {
+  return data && data.error
+    ? new NetworkError(`Sefaria error: ${data.error}`, { url })
+    : new ParseError('Invalid response data format', { url });
+}
+
+// Read a per-mitzvah file, returning null when it is missing or unusable
+function readShard(outputDir, number) {
+  const file = shardFile(outputDir, number);
+  if (!fs.existsSync(file)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return isValidMitzvahData(data) && data.mitzvahNumber === number ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Delay before retry number `attempt` (1-based): exponential growth with full jitter
+function backoffDelay(attempt, baseDelay, maxDelay, random = Math.random) {
+  const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(random() * ceiling);
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds, or null
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// ========== TOKEN BUCKET ==========
+
+class TokenBucket {
+  constructor(ratePerSecond, capacity = Math.max(1, Math.ceil(ratePerSecond))) {
+    this.rate = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  // Stop handing out tokens for a while (e.g. after a 429)
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  // Wait until a token is available and take it
+  async take(signal) {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now, signal);
+        continue;
+      }
+
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000), signal);
+    }
+  }
+}
+
+// Run worker over items with at most `concurrency` in flight; resolves when all settle
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// ========== DOWNLOADER ==========
+
+class Downloader extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.baseUrl = options.baseUrl;
+    // Sefaria's links API sits next to its texts API: .../api/texts/ -> .../api/links/
+    this.linksUrl = options.linksUrl || String(options.baseUrl || '').replace(/texts\/?$/, 'links/');
+    this.outputDir = options.outputDir;
+    this.fetch = options.fetch || null;
+    this.concurrency = options.concurrency || 4;
+    this.requestsPerSecond = options.requestsPerSecond || 2;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+    this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 500;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 30000;
+    this.timeout = options.timeout || 30000;
+    this.bucket = new TokenBucket(this.requestsPerSecond);
+    this.manifest = null;
+  }
+
+  manifestFile() {
+    return path.join(this.outputDir, MANIFEST_FILE);
+  }
+
+  loadManifest() {
+    const file = this.manifestFile();
+    this.manifest = { version: MANIFEST_VERSION, entries: {} };
+    if (!fs.existsSync(file)) return this.manifest;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (data && data.version === MANIFEST_VERSION && data.entries && typeof data.entries === 'object') {
+        this.manifest = data;
+      }
+    } catch (error) {
+      this.emit('warning', { code: 'unreadable-manifest', file, message: `⚠️  Warning: Ignoring unreadable download manifest: ${error.message}` });
+    }
+    return this.manifest;
+  }
+
+  saveManifest() {
+    this.manifest.updatedAt = new Date().toISOString();
+    writeJsonAtomic(this.manifestFile(), this.manifest);
+  }
+
+  // Numbers that still need fetching: no valid shard on disk. Valid shards from
+  // earlier runs without a manifest are adopted into it.
+  pending(numbers) {
+    return numbers.filter(number => {
+      const shard = readShard(this.outputDir, number);
+      if (!shard) {
+        delete this.manifest.entries[number];
+        return true;
+      }
+      if (!this.manifest.entries[number] || this.manifest.entries[number].status !== 'ok') {
+        this.manifest.entries[number] = { status: 'ok', downloadedAt: null };
+      }
+      return false;
+    });
+  }
+
+  // Report the outcome of one mitzvah of a download of `total` and the progress so far
+  reportMitzvah(kind, number, completed, total, error, message) {
+    if (error) this.emit('mitzvah:failed', { kind, number, error, message });
+    else this.emit('mitzvah:downloaded', { kind, number, message });
+    const percent = Math.round(completed / total * 100);
+    const done = { text: 'downloaded', links: 'with linked texts', versions: 'with versions', fetch: 'fetched' }[kind];
+    this.emit('download:progress', { kind, number, completed, total, percent, message: `📊 Progress: ${completed}/${total} mitzvot ${done} (${percent}%)` });
+  }
+
+  // Fetch one reference, retrying transient failures. Resolves to the parsed JSON;
+  // rejects with a NetworkError or ParseError.
+  async fetchJson(url, signal) {
+    for (let attempt = 0; ; attempt++) {
+      await this.bucket.take(signal);
+
+      let retryAfter = null;
+      let error;
+      try {
+        const timeoutSignal = AbortSignal.timeout(this.timeout);
+        const response = await this.fetch(url, {
+          signal: signal && AbortSignal.any ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
+          headers: { Accept: 'application/json' }
+        });
+
+        if (response.ok) {
+          return await response.json();
+        }
+
+        error = new NetworkError(`HTTP ${response.status}: ${response.statusText}`, { url, status: response.status });
+        if (!RETRYABLE_STATUSES.includes(response.status)) throw error;
+
+        retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+        if (retryAfter !== null) {
+          // Everyone waits: the server asked the client, not just this request, to slow down
+          this.bucket.pause(retryAfter);
+        }
+      } catch (caught) {
+        if (signal && signal.aborted) throw caught;
+        if (caught.status && !RETRYABLE_STATUSES.includes(caught.status)) throw caught;
+        if (caught instanceof SyntaxError) throw new ParseError(`Invalid JSON response: ${caught.message}`, { url, cause: caught });
+        error = caught instanceof ChinukhError ? caught : new NetworkError(caught.message, { url, cause: caught });
+      }
+
+      if (attempt >= this.maxRetries) {
+        throw error;
+      }
+
+      const delay = Math.max(retryAfter || 0, backoffDelay(attempt + 1, this.baseDelay, this.maxDelay));
+      this.emit('download:retry', { url, attempt: attempt + 1, delay, error, message: `⏳ Retrying ${url} in ${delay}ms (${error.message})` });
+      await sleep(delay, signal);
+    }
+  }
+
+  // Download the given mitzvah numbers, skipping those already on disk.
+  // Resolves to { downloaded, skipped, failed } (failed: [{ number, error }], error
+  // being the message).
+  async downloadMitzvot(numbers, options = {}) {
+    if (!this.fetch) this.fetch = await loadFetch();
+    if (!this.manifest) this.loadManifest();
+
+    const todo = options.force ? [...numbers] : this.pending(numbers);
+    const skipped = numbers.filter(number => !todo.includes(number));
+    const downloaded = [];
+    const failed = [];
+
+    if (skipped.length > 0) {
+      this.emit('info', { message: `⏭️  Skipping ${skipped.length} mitzvot already downloaded` });
+    }
+
+    let completed = 0;
+    await runPool(todo, this.concurrency, async number => {
+      if (options.signal && options.signal.aborted) return;
+
+      const url = `${this.baseUrl}Sefer_HaChinukh.${number}`;
+      try {
+        const data = await this.fetchJson(url, options.signal);
+        if (!isValidMitzvahData(data)) throw invalidDataError(data, url);
+
+        this.saveMitzvah(number, data);
+        downloaded.push(number);
+        this.saveManifest();
+        this.reportMitzvah('text', number, ++completed, todo.length, null, `✓ Downloaded Mitzvah ${number}`);
+      } catch (error) {
+        if (options.signal && options.signal.aborted) return;
+        this.manifest.entries[number] = { status: 'failed', error: error.message, attemptedAt: new Date().toISOString() };
+        failed.push({ number, error: error.message });
+        this.saveManifest();
+        this.reportMitzvah('text', number, ++completed, todo.length, error, `✗ Error downloading Mitzvah ${number}: ${error.message}`);
+      }
+    });
+
+    this.saveManifest();
+    throwIfAborted(options.signal, `Download cancelled after ${downloaded.length} of ${todo.length} mitzvot`);
+    failed.sort((a, b) => a.number - b.number);
+    return { downloaded: downloaded.sort((a, b) => a - b), skipped, failed };
+  }
+
+  // Save a fetched mitzvah as its shard and record it in the manifest (saved with the
+  // next saveManifest())
+  saveMitzvah(number, data) {
+    if (!this.manifest) this.loadManifest();
+    data.mitzvahNumber = number;
+    writeJsonAtomic(shardFile(this.outputDir, number), data);
+    this.manifest.entries[number] = { status: 'ok', downloadedAt: new Date().toISOString() };
+  }
+
+  // Fetch the given mitzvot without saving them, e.g. to compare them with the saved
+  // ones. Resolves to { fetched: Map<number, data>, failed } (failed: [{ number, error }]).
+  async fetchMitzvot(numbers, options = {}) {
+    if (!this.fetch) this.fetch = await loadFetch();
+    const fetched = new Map();
+    const failed = [];
+
+    let completed = 0;
+    await runPool(numbers, this.concurrency, async number => {
+      if (options.signal && options.signal.aborted) return;
+
+      const url = `${this.baseUrl}Sefer_HaChinukh.${number}`;
+      try {
+        const data = await this.fetchJson(url, options.signal);
+        if (!isValidMitzvahData(data)) throw invalidDataError(data, url);
+        data.mitzvahNumber = number;
+        fetched.set(number, data);
+        this.reportMitzvah('fetch', number, ++completed, numbers.length, null, `✓ Fetched Mitzvah ${number}`);
+      } catch (error) {
+        if (options.signal && options.signal.aborted) return;
+        failed.push({ number, error: error.message });
+        this.reportMitzvah('fetch', number, ++completed, numbers.length, error, `✗ Error fetching Mitzvah ${number}: ${error.message}`);
+      }
+    });
+
+    throwIfAborted(options.signal, `Check cancelled after ${completed} of ${numbers.length} mitzvot`);
+    failed.sort((a, b) => a.number - b.number);
+    return { fetched, failed };
+  }
+
+  // Download the linked commentaries and verses of the given mitzvot into
+  // mitzvah_NNN_links.json, skipping those already on disk unless options.force.
+  // Resolves to { downloaded, skipped, failed } as downloadMitzvot() does.
+  async downloadLinks(numbers, options = {}) {
+    if (!this.fetch) this.fetch = await loadFetch();
+
+    const todo = options.force ? [...numbers] : numbers.filter(number => !readLinkedTexts(this.outputDir, number));
+    const skipped = numbers.filter(number => !todo.includes(number));
+    const downloaded = [];
+    const failed = [];
+
+    if (skipped.length > 0) {
+      this.emit('info', { message: `⏭️  Skipping linked texts of ${skipped.length} mitzvot already downloaded` });
+    }
+
+    let completed = 0;
+    await runPool(todo, this.concurrency, async number => {
+      if (options.signal && options.signal.aborted) return;
+
+      const url = `${this.linksUrl}Sefer_HaChinukh.${number}?with_text=1`;
+      try {
+        const linked = normalizeLinks(await this.fetchJson(url, options.signal), number);
+        writeJsonAtomic(linkedFile(this.outputDir, number), linked);
+        downloaded.push(number);
+        this.reportMitzvah('links', number, ++completed, todo.length, null,
+          `✓ Downloaded linked texts of Mitzvah ${number} (${linked.commentaries.length} comments, ${linked.verses.length} verses)`);
+      } catch (error) {
+        if (options.signal && options.signal.aborted) return;
+        failed.push({ number, error: error.message });
+        this.reportMitzvah('links', number, ++completed, todo.length, error, `✗ Error downloading linked texts of Mitzvah ${number}: ${error.message}`);
+      }
+    });
+
+    throwIfAborted(options.signal, `Download cancelled after the linked texts of ${downloaded.length} of ${todo.length} mitzvot`);
+    failed.sort((a, b) => a.number - b.number);
+    return { downloaded: downloaded.sort((a, b) => a - b), skipped, failed };
+  }
+
+  // The versions Sefaria has of the book:
+  // [{ language, versionTitle, versionSource, license, redistributable }]
+  async fetchVersionList(options = {}) {
+    if (!this.fetch) this.fetch = await loadFetch();
+    const data = await this.fetchJson(`${this.baseUrl}versions/Sefer_HaChinukh`, options.signal);
+    if (!Array.isArray(data)) throw new ParseError('Invalid versions response', { url: `${this.baseUrl}versions/Sefer_HaChinukh` });
+    return data
+      .filter(entry => entry && entry.versionTitle && versions.VERSION_LANGUAGES.includes(entry.language))
+      .map(entry => ({
+        language: entry.language,
+        versionTitle: entry.versionTitle,
+        versionSource: entry.versionSource || '',
+        license: entry.license || '',
+        redistributable: versions.isRedistributable(entry.license)
+      }));
+  }
+
+  // Download the text versions preferences asks for ({ en: [titles], he: [titles] },
+  // see normalizePreferences()) of the given mitzvot into mitzvah_NNN_versions.json,
+  // skipping mitzvot that already have an answer for every title unless options.force.
+  // Versions whose license does not allow redistribution are not kept unless
+  // options.allowRestricted. Resolves to { downloaded, skipped, failed } as
+  // downloadMitzvot() does, plus unavailable and restricted:
+  // [{ language, versionTitle, license?, numbers }].
+  async downloadVersions(numbers, preferences, options = {}) {
+    if (!this.fetch) this.fetch = await loadFetch();
+
+    const wanted = versions.normalizePreferences(preferences);
+    const requests = versions.versionRequests(wanted);
+    const todo = options.force ? [...numbers] : numbers.filter(number =>
+      !versions.hasAllVersions(versions.readVersions(this.outputDir, number), wanted, options.allowRestricted));
+    const skipped = numbers.filter(number => !todo.includes(number));
+    const downloaded = [];
+    const failed = [];
+    // Versions not kept, by reason and then language and title
+    const notKept = { unavailable: new Map(), restricted: new Map() };
+    const report = (entry, number) => {
+      const list = notKept[entry.reason];
+      const key = `${entry.language}:${entry.versionTitle.toLowerCase()}`;
+      if (!list.has(key)) list.set(key, { language: entry.language, versionTitle: entry.versionTitle, license: entry.license, numbers: [] });
+      list.get(key).numbers.push(number);
+    };
+
+    if (skipped.length > 0) {
+      this.emit('info', { message: `⏭️  Skipping versions of ${skipped.length} mitzvot already downloaded` });
+    }
+
+    let completed = 0;
+    await runPool(todo, this.concurrency, async number => {
+      if (options.signal && options.signal.aborted) return;
+
+      try {
+        const found = [];
+        const passed = [];
+        for (const request of requests) {
+          const data = await this.fetchJson(`${this.baseUrl}Sefer_HaChinukh.${number}?${versions.versionQuery(request)}`, options.signal);
+          const result = versions.versionsFromResponse(data, request);
+          result.unavailable.forEach(entry => passed.push({ ...entry, reason: 'unavailable', license: '' }));
+          result.found.forEach(entry => {
+            if (options.allowRestricted || versions.isRedistributable(entry.license)) found.push(entry);
+            else passed.push({ language: entry.language, versionTitle: entry.versionTitle, reason: 'restricted', license: entry.license });
+          });
+        }
+        passed.forEach(entry => report(entry, number));
+
+        const stored = options.force ? null : versions.readVersions(this.outputDir, number);
+        writeJsonAtomic(versions.versionsFile(this.outputDir, number), versions.mergeVersions(stored, number, found, passed));
+        downloaded.push(number);
+        this.reportMitzvah('versions', number, ++completed, todo.length, null,
+          `✓ Downloaded versions of Mitzvah ${number} (${found.length} kept, ${passed.length} skipped)`);
+      } catch (error) {
+        if (options.signal && options.signal.aborted) return;
+        failed.push({ number, error: error.message });
+        this.reportMitzvah('versions', number, ++completed, todo.length, error, `✗ Error downloading versions of Mitzvah ${number}: ${error.message}`);
+      }
+    });
+
+    throwIfAborted(options.signal, `Download cancelled after the versions of ${downloaded.length} of ${todo.length} mitzvot`);
+    failed.sort((a, b) => a.number - b.number);
+    const listOf = reason => [...notKept[reason].values()].map(entry => ({ ...entry, numbers: entry.numbers.sort((a, b) => a - b) }));
+    return { downloaded: downloaded.sort((a, b) => a - b), skipped, failed, unavailable: listOf('unavailable'), restricted: listOf('restricted') };
+  }
+}
+
+module.exports = {
+  Downloader,
+  TokenBucket,
+  runPool,
+  loadFetch,
+  backoffDelay,
+  parseRetryAfter,
+  isValidMitzvahData,
+  readShard,
+  shardFile,
+  writeFileAtomic,
+  writeJsonAtomic,
+  MANIFEST_FILE
+};
@@ -0,0 +1,241 @@
+// ========== ENUMERATIONS ==========
+//
+// Sefer HaChinukh numbers its 613 mitzvot in Torah order; most references cite
+// Rambam's Sefer HaMitzvot instead (Aseh 1-248, Lo Ta'aseh 1-365). This module
+// maps between the two and parses identifiers in either numbering:
+//   "32", "Chinukh 32", "Sefer HaChinukh 32", "ספר החינוך ל״ב"
+//   "Rambam Aseh 12", "Aseh 12", "Positive 12", "P12", "עשה י״ב"
+//   "Rambam Lo Ta'aseh 65", "LT 65", "Negative 65", "N65", "ל״ת ס״ה"
+//
+// RAMBAM lists, in Chinukh order, the number of each mitzvah in Rambam's count;
+// whether it is an Aseh or a Lo Ta'aseh follows from its type in the metadata.
+// null marks an entry with no counterpart in this table; UNMATCHED says why.
+
+const { parseRef, formatRef, toHebrewNumeral, parseHebrewNumeral } = require('./refs');
+const { getMetadata } = require('./mitzvot-metadata');
+
+const ENUMERATIONS = {
+  chinukh: { name: 'Sefer HaChinukh', heName: 'ספר החינוך' },
+  rambam: { name: 'Rambam, Sefer HaMitzvot', heName: 'ספר המצוות לרמב״ם' }
+};
+
+const RAMBAM_KINDS = {
+  aseh: { name: 'Aseh', heName: 'עשה', total: 248 },
+  'lo-taaseh': { name: 'Lo Ta\'aseh', heName: 'לא תעשה', total: 365 }
+};
+
+const RAMBAM = [
+  212, 215, 183, 153, 55, 56, 125, 117, 156, 158, // 1-10
+  201, 198, 128, 126, 123, 121, 127, 79, 197, 200, // 11-20
+  157, 81, 82, 321, 1, 1, 2, 5, 6, 62, // 21-30
+  155, 320, 210, 289, 347, 243, 285, 265, 4, 79, // 31-40
+  80, 232, 233, 234, 261, 262, 227, 319, 236, 226, // 41-50
+  237, 188, 238, 239, 240, 241, 242, 246, 243, 244, // 51-60
+  220, 310, 252, 253, 256, 197, 234, 237, 315, 60, // 61-70
+  316, 154, 181, 281, 286, 282, 283, 175, 277, 202, // 71-80
+  278, 290, 274, 134, 154, 14, 15, 53, 115, 116, // 81-90
+  125, 186, 48, 51, 20, 86, 27, 25, 33, 87, // 91-100
+  88, 89, 148, 28, 82, 171, 24, 35, 84, 83, // 101-110
+  85, 135, 187, 322, 63, 67, 98, 99, 62, 68, // 111-120
+  69, 178, 72, 112, 102, 103, 118, 70, 71, 194, // 121-130
+  30, 29, 81, 88, 124, 40, 138, 64, 139, 65, // 131-140
+  66, 120, 91, 132, 130, 90, 185, 184, 163, 164, // 141-150
+  165, 73, 149, 172, 152, 173, 174, 151, 97, 98, // 151-160
+  96, 176, 178, 179, 177, 100, 129, 76, 101, 307, // 161-170
+  112, 102, 110, 111, 109, 77, 103, 104, 74, 105, // 171-180
+  99, 106, 75, 68, 49, 90, 147, 353, 351, 330, // 181-190
+  331, 332, 334, 335, 336, 333, 340, 341, 352, 342, // 191-200
+  343, 344, 337, 338, 339, 345, 346, 7, 350, 348, // 201-210
+  349, 211, 10, 3, 131, 120, 210, 121, 211, 123, // 211-220
+  212, 124, 213, 244, 248, 249, 61, 247, 245, 238, // 221-230
+  317, 299, 273, 275, 177, 301, 297, 302, 205, 303, // 231-240
+  304, 305, 206, 217, 215, 192, 119, 195, 33, 32, // 241-250
+  43, 44, 41, 21, 8, 9, 209, 271, 208, 318, // 251-260
+  228, 30, 166, 37, 76, 158, 159, 160, 32, 167, // 261-270
+  168, 38, 161, 162, 70, 71, 69, 75, 136, 133, // 271-280
+  134, 135, 137, 153, 91, 61, 97, 93, 92, 94, // 281-290
+  361, 96, 60, 101, 63, 9, 159, 323, 43, 160, // 291-300
+  324, 44, 189, 190, 191, 161, 46, 162, 325, 163, // 301-310
+  326, 47, 164, 48, 329, 196, 165, 166, 327, 50, // 311-320
+  167, 51, 328, 169, 168, 220, 221, 222, 223, 140, // 321-330
+  137, 136, 224, 225, 226, 245, 250, 251, 227, 138, // 331-340
+  139, 228, 235, 259, 258, 257, 235, 260, 12, 114, // 341-350
+  106, 87, 115, 116, 117, 107, 145, 110, 111, 78, // 351-360
+  109, 31, 77, 73, 223, 104, 105, 202, 203, 204, // 361-370
+  205, 206, 209, 92, 208, 207, 93, 26, 34, 57, // 371-380
+  58, 119, 122, 59, 133, 14, 47, 22, 67, 72, // 381-390
+  74, 80, 108, 23, 127, 129, 113, 107, 108, 248, // 391-400
+  39, 41, 42, 45, 170, 95, 157, 183, 292, 225, // 401-410
+  291, 295, 296, 284, 276, 266, 2, 3, 11, 10, // 411-420
+  13, 12, 15, 64, 187, 50, 52, 22, 25, 19, // 421-430
+  207, 4, 5, 6, 7, 185, 65, 83, 89, 84, // 431-440
+  86, 141, 142, 143, 144, 145, 146, 147, 149, 229, // 441-450
+  146, 182, 85, 313, 314, 28, 17, 18, 19, 20, // 451-460
+  21, 16, 179, 186, 23, 24, 45, 171, 140, 150, // 461-470
+  175, 180, 128, 130, 230, 142, 141, 232, 195, 231, // 471-480
+  233, 196, 113, 114, 199, 118, null, 54, 52, 156, // 481-490
+  176, 13, 11, 95, 174, 312, 173, 362, 363, 46, // 491-500
+  364, 365, 17, 169, 170, 143, 126, 144, 36, 31, // 501-510
+  34, 35, 36, 37, 38, 172, 27, 26, 29, 182, // 511-520
+  279, 246, 288, 180, 191, 58, 190, 49, 57, 181, // 521-530
+  309, 221, 263, 264, 230, 66, 231, 204, 269, 270, // 531-540
+  203, 39, 40, 306, 148, 184, 298, 216, 193, 218, // 541-550
+  42, 213, 219, 359, 229, 294, 218, 358, 360, 354, // 551-560
+  53, 56, 54, 55, 78, 192, 193, 254, 255, 355, // 561-570
+  100, 236, 198, 155, 94, 201, 268, 267, 222, 356, // 571-580
+  311, 214, 242, 308, 239, 240, 199, 200, 287, 280, // 581-590
+  241, 122, 214, 224, 300, 219, 357, 216, 217, 247, // 591-600
+  293, 272, 189, 188, 59, 132, 131, 151, 150, 152, // 601-610
+  8, 16, 18 // 611-613
+];
+
+// The one place where the two counts differ: each counts a prohibition the other does
+// not count as a mitzvah of its own, so neither has a counterpart in the other numbering
+const UNMATCHED = {
+  chinukh: {
+    487: 'Rambam does not count the prohibition of the Pesach on a private altar (Deuteronomy 16:5) as a mitzvah of its own'
+  },
+  'lo-taaseh': {
+    194: 'Sefer HaChinukh does not count the prohibition of libation wine (Deuteronomy 32:38) as a mitzvah of its own; it counts no mitzvot in Ha\'azinu'
+  }
+};
+
+// ========== TABLES ==========
+
+const kindOf = number => (getMetadata(number).type === 'positive' ? 'aseh' : 'lo-taaseh');
+
+// Reverse lookup: 'aseh:12' -> Chinukh number. A repeated Rambam number is a bug in the table.
+const FROM_RAMBAM = new Map();
+RAMBAM.forEach((rambam, index) => {
+  if (rambam === null) return;
+  const key = `${kindOf(index + 1)}:${rambam}`;
+  if (FROM_RAMBAM.has(key)) {
+    throw new Error(`Rambam ${key} is assigned to both mitzvah ${FROM_RAMBAM.get(key)} and ${index + 1}`);
+  }
+  FROM_RAMBAM.set(key, index + 1);
+});
+
+// ========== LOOKUP ==========
+
+// Rambam's number for a Chinukh mitzvah: { kind, number, label, heLabel }, or null
+function rambamOf(number) {
+  const n = parseInt(number, 10);
+  if (!(n >= 1 && n <= RAMBAM.length) || RAMBAM[n - 1] === null) return null;
+
+  const kind = kindOf(n);
+  const rambam = RAMBAM[n - 1];
+  return {
+    kind,
+    number: rambam,
+    label: `${RAMBAM_KINDS[kind].name} ${rambam}`,
+    heLabel: `${RAMBAM_KINDS[kind].heName} ${toHebrewNumeral(rambam)}`
+  };
+}
+
+// Chinukh number for Rambam's Aseh/Lo Ta'aseh number, or null
+function fromRambam(kind, number) {
+  return FROM_RAMBAM.get(`${kind}:${number}`) || null;
+}
+
+// Every numbering of a Chinukh mitzvah:
+// [{ enumeration: 'chinukh', number, label, heLabel }, { enumeration: 'rambam', kind, number, label, heLabel }]
+// A mitzvah Rambam does not count has only the first, with a note saying so.
+function equivalents(number) {
+  const n = parseInt(number, 10);
+  if (!(n >= 1 && n <= RAMBAM.length)) return [];
+
+  const list = [{
+    enumeration: 'chinukh',
+    number: n,
+    label: formatRef({ mitzvah: n }),
+    heLabel: formatRef({ mitzvah: n }, 'he'),
+    ...(UNMATCHED.chinukh[n] ? { note: UNMATCHED.chinukh[n] } : {})
+  }];
+  const rambam = rambamOf(n);
+  if (rambam) {
+    list.push({
+      enumeration: 'rambam',
+      ...rambam,
+      label: `Rambam, ${rambam.label}`,
+      heLabel: `רמב״ם, ${rambam.heLabel}`
+    });
+  }
+  return list;
+}
+
+// One line for display: "Sefer HaChinukh 32 · Rambam, Lo Ta'aseh 320"
+function formatEquivalents(number) {
+  const list = equivalents(number);
+  return list.map(entry => entry.label).join(' · ') + (list.length === 1 ? ' · not counted by Rambam' : '');
+}
+
+// ========== PARSING ==========
+
+// Spellings of each part of a Rambam identifier (compared lowercase, longest first)
+const RAMBAM_PREFIXES = ['sefer hamitzvot', 'sefer ha-mitzvot', 'rambam', 'rmbm', 'ספר המצוות', 'רמב"ם', 'רמב״ם', 'רמבם'];
+const KIND_NAMES = {
+  aseh: ['positive commandment', 'mitzvat aseh', 'positive', 'aseh', 'asei', 'ra', 'p', 'מצות עשה', 'מ"ע', 'מ״ע', 'עשה'],
+  'lo-taaseh': ['negative commandment', 'lo ta\'aseh', 'lo taaseh', 'lo ta\'ase', 'lo saaseh', 'negative', 'prohibition',
+    'lt', 'n', 'לא תעשה', 'ל"ת', 'ל״ת', 'לאו']
+};
+
+const byLength = (a, b) => b.length - a.length;
+const stripPrefix = (text, names) => {
+  const name = [...names].sort(byLength).find(candidate => text.toLowerCase().startsWith(candidate));
+  return name ? text.slice(name.length).replace(/^[\s.,:#-]+/, '') : null;
+};
+
+// Parse a mitzvah identifier in any supported numbering. Returns
+// { mitzvah, enumeration, kind?, number, note? } (mitzvah is the Chinukh number, or
+// null when a Rambam number has no counterpart, with a note saying why) or null if
+// the text is not an identifier.
+function parseMitzvahId(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 1 && value <= RAMBAM.length
+      ? { mitzvah: value, enumeration: 'chinukh', number: value } : null;
+  }
+
+  const text = String(value || '').replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  // Rambam: optional "Rambam", then the kind, then the number
+  const rest = stripPrefix(text, RAMBAM_PREFIXES);
+  const afterPrefix = rest !== null ? rest : text;
+  for (const [kind, names] of Object.entries(KIND_NAMES)) {
+    const numberText = stripPrefix(afterPrefix, names);
+    if (numberText === null) continue;
+    const number = /^\d+$/.test(numberText) ? parseInt(numberText, 10) : parseHebrewNumeral(numberText);
+    if (!(number >= 1 && number <= RAMBAM_KINDS[kind].total)) continue;
+    const mitzvah = fromRambam(kind, number);
+    const note = mitzvah === null ? (UNMATCHED[kind] || {})[number] : undefined;
+    return { mitzvah, enumeration: 'rambam', kind, number, ...(note ? { note } : {}) };
+  }
+  if (rest !== null) return null;
+
+  // Chinukh: a plain number or a whole-mitzvah reference
+  const ref = parseRef(text);
+  if (!ref || ref.segment !== null || ref.toMitzvah !== ref.mitzvah) return null;
+  return { mitzvah: ref.mitzvah, enumeration: 'chinukh', number: ref.mitzvah };
+}
+
+// Label of a parsed identifier, for messages: "Rambam, Aseh 12" or "Sefer HaChinukh 32"
+function describeMitzvahId(id) {
+  return id.enumeration === 'rambam' ? `Rambam, ${RAMBAM_KINDS[id.kind].name} ${id.number}` : formatRef({ mitzvah: id.number });
+}
+
+// Message for an identifier with no Chinukh counterpart, with the reason when it is known
+function describeUnmapped(id) {
+  return `No Sefer HaChinukh mitzvah is mapped to ${describeMitzvahId(id)}${id.note ? `: ${id.note}` : ''}`;
+}
+
+module.exports = {
+  ENUMERATIONS,
+  RAMBAM_KINDS,
+  rambamOf,
+  fromRambam,
+  equivalents,
+  formatEquivalents,
+  parseMitzvahId,
+  describeMitzvahId,
+  describeUnmapped
+};
@@ -0,0 +1,77 @@
+// ========== ERRORS ==========
+//
+// What the app throws or rejects with, so callers can tell failures apart without
+// reading messages. Every one is a ChinukhError with a code:
+//
+//   InvalidMitzvahNumberError  INVALID_NUMBER   not a mitzvah number or identifier (value)
+//   ConfigurationError         CONFIGURATION    an option the app was given is not supported
+//                                               (option, value)
+//   DataNotLoadedError         DATA_NOT_LOADED  loadData() has not loaded any data
+//   NetworkError               NETWORK          Sefaria could not be reached or answered
+//                                               with an error (url, status)
+//   ParseError                 PARSE            a file or response is not usable data (file, url)
+//   AbortError                 ABORTED          cancelled through an AbortSignal
+//
+// AbortError is named 'AbortError', as the errors of fetch() and other Node APIs
+// cancelled through a signal are.
+
+class ChinukhError extends Error {
+  constructor(message, { code = 'CHINUKH_ERROR', cause, ...details } = {}) {
+    super(message, cause !== undefined ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+class InvalidMitzvahNumberError extends ChinukhError {
+  constructor(value, message = `Invalid mitzvah number: ${value}. Must be between 1-613, or e.g. "Rambam Aseh 12" or "LT 65".`) {
+    super(message, { code: 'INVALID_NUMBER', value });
+  }
+}
+
+class ConfigurationError extends ChinukhError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'CONFIGURATION' });
+  }
+}
+
+class DataNotLoadedError extends ChinukhError {
+  constructor(message = 'Data not loaded. Run loadData() first.') {
+    super(message, { code: 'DATA_NOT_LOADED' });
+  }
+}
+
+class NetworkError extends ChinukhError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'NETWORK' });
+  }
+}
+
+class ParseError extends ChinukhError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'PARSE' });
+  }
+}
+
+class AbortError extends ChinukhError {
+  constructor(message = 'The operation was aborted', details = {}) {
+    super(message, { ...details, code: 'ABORTED' });
+  }
+}
+
+// Throw an AbortError when signal has been aborted (its reason as the cause)
+function throwIfAborted(signal, message) {
+  if (signal && signal.aborted) throw new AbortError(message, { cause: signal.reason });
+}
+
+module.exports = {
+  ChinukhError,
+  InvalidMitzvahNumberError,
+  ConfigurationError,
+  DataNotLoadedError,
+  NetworkError,
+  ParseError,
+  AbortError,
+  throwIfAborted
+};
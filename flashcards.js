@@ -0,0 +1,249 @@
+const { ProfileStore } = require('./profile-store');
+const { getMetadata, parashaOf } = require('./mitzvot-metadata');
+const { parseMitzvahId } = require('./enumerations');
+const { toFixed, fixedToIso } = require('./hebrew-calendar');
+const { escapeHtml } = require('./sefaria-text');
+
+// ========== FLASHCARDS ==========
+//
+// Review cards over the mitzvot, one per mitzvah and question type:
+//   number   "Which mitzvah is this?" from its summary; answered with its number
+//   type     "Positive commandment or prohibition?" for a mitzvah number and verse
+//   passage  "Which mitzvah is this passage from?"; four choices of summaries
+// A card id is "<type>:<number>", e.g. "passage:32".
+//
+// Cards are scheduled with SM-2: each answer is graded 0-5 and sets the card's ease,
+// interval (days) and due date. State and review history are kept per profile in
+// <outputDir>/review_history/<profile>.json (see profile-store.js):
+//
+//   { version: 1, name,
+//     cards: { 'passage:32': { ease, interval, repetitions, lapses, reviews, due, lastReviewed } },
+//     history: [{ card, grade, correct, at }] }
+
+const CARD_TYPES = ['number', 'type', 'passage'];
+const REVIEW_DIR = 'review_history';
+const REVIEW_VERSION = 1;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const PASS_GRADE = 3; // grades below this are lapses
+const MAX_HISTORY = 10000; // oldest reviews are dropped beyond this
+const CHOICES = 4;
+
+function emptyReviews(name) {
+  return { version: REVIEW_VERSION, name, createdAt: new Date().toISOString(), cards: {}, history: [] };
+}
+
+class ReviewStore extends ProfileStore {
+  constructor(outputDir) {
+    super(outputDir, REVIEW_DIR, emptyReviews, 'review profile');
+  }
+}
+
+// ========== CARDS ==========
+
+function cardId(type, number) {
+  return `${type}:${number}`;
+}
+
+// { type, number } of a card id, or null
+function parseCardId(id) {
+  const match = String(id || '').trim().toLowerCase().match(/^([a-z]+):(\d+)$/);
+  if (!match || !CARD_TYPES.includes(match[1]) || Number(match[2]) < 1 || Number(match[2]) > 613) return null;
+  return { type: match[1], number: Number(match[2]) };
+}
+
+// Card types from an array or "number,passage"; every type when none are given
+function normalizeTypes(types) {
+  if (types === undefined || types === null || types === '') return [...CARD_TYPES];
+  const list = [].concat(types).flatMap(type => String(type).split(',')).map(type => type.trim().toLowerCase()).filter(Boolean);
+  const unknown = list.filter(type => !CARD_TYPES.includes(type));
+  if (unknown.length > 0 || list.length === 0) {
+    throw new Error(`Unknown card type: ${unknown.join(', ') || types}. Use: ${CARD_TYPES.join(', ')}`);
+  }
+  return CARD_TYPES.filter(type => list.includes(type));
+}
+
+const describeType = metadata => (metadata.type === 'positive' ? 'Positive commandment' : 'Prohibition');
+
+// A question for a card. mitzvah is the loaded mitzvah, passage its preview text and
+// others the numbers to draw wrong choices from; random() picks them (Math.random).
+// Returns { id, type, number, prompt, choices, answer, explanation }; choices is null
+// for free answers. null when the card cannot be asked (no metadata or no passage).
+function makeQuestion(type, number, { passage = '', others = [], random = Math.random } = {}) {
+  const metadata = getMetadata(number);
+  if (!metadata) return null;
+  const parasha = parashaOf(number);
+  const explanation = `Mitzvah ${number}: ${describeType(metadata)} - ${metadata.summary} (${metadata.source}${parasha ? `, Parashat ${parasha.name}` : ''})`;
+  const question = { id: cardId(type, number), type, number, choices: null, explanation };
+
+  switch (type) {
+    case 'number':
+      return { ...question, prompt: `Which mitzvah number is this? ${describeType(metadata)}: ${metadata.summary}`, answer: String(number) };
+    case 'type':
+      return { ...question, prompt: `Mitzvah ${number} (${metadata.source}): positive commandment or prohibition?`, answer: metadata.type };
+    case 'passage': {
+      if (!passage) return null;
+      // Wrong choices are other mitzvot with different summaries, in random order
+      const pool = [...new Set(others)].filter(other => other !== number && getMetadata(other) && getMetadata(other).summary !== metadata.summary);
+      const wrong = [];
+      while (wrong.length < CHOICES - 1 && pool.length > 0) {
+        wrong.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+      }
+      const numbers = [...wrong];
+      numbers.splice(Math.floor(random() * (numbers.length + 1)), 0, number);
+      const choices = numbers.map(choice => ({ number: choice, text: getMetadata(choice).summary }));
+      const letter = String.fromCharCode(97 + numbers.indexOf(number));
+      return { ...question, prompt: `Which mitzvah is this passage from?\n"${passage}"`, choices, answer: letter };
+    }
+    default:
+      return null;
+  }
+}
+
+// Whether a response answers a question. Numbers also accept other numberings
+// ("Rambam LT 320"); type accepts positive/negative, p/n, aseh/lo taaseh, +/-;
+// passage accepts the letter of a choice or the mitzvah's number.
+function checkAnswer(question, response) {
+  const text = String(response === undefined || response === null ? '' : response).trim().toLowerCase();
+  if (!text) return false;
+
+  switch (question.type) {
+    case 'number': {
+      const id = parseMitzvahId(text);
+      return !!id && id.mitzvah === question.number;
+    }
+    case 'type': {
+      const positive = ['positive', 'p', '+', 'aseh', 'asei', 'עשה'];
+      const negative = ['negative', 'n', '-', 'prohibition', 'lo taaseh', "lo ta'aseh", 'לא תעשה'];
+      return (question.answer === 'positive' ? positive : negative).includes(text.replace(/\s+/g, ' '));
+    }
+    case 'passage':
+      return text === question.answer || (/^\d+$/.test(text) && Number(text) === question.number);
+    default:
+      return false;
+  }
+}
+
+// ========== SCHEDULING ==========
+
+// The SM-2 state of a card that was never reviewed
+function newCardState() {
+  return { ease: INITIAL_EASE, interval: 0, repetitions: 0, lapses: 0, reviews: 0, due: null, lastReviewed: null };
+}
+
+// Next state of a card after an answer graded 0 (blackout) to 5 (perfect), reviewed
+// on `today` (Date or "YYYY-MM-DD"). Passing grades (3+) grow the interval: 1 day,
+// then 6, then the previous interval times the ease; failing ones start it over.
+function scheduleCard(state, grade, today = new Date()) {
+  const q = Number(grade);
+  if (!Number.isInteger(q) || q < 0 || q > 5) throw new Error(`Invalid grade: ${grade}. Use 0-5`);
+
+  const card = { ...newCardState(), ...state };
+  if (q >= PASS_GRADE) {
+    card.interval = card.repetitions === 0 ? 1 : card.repetitions === 1 ? 6 : Math.round(card.interval * card.ease);
+    card.repetitions++;
+  } else {
+    card.interval = 1;
+    card.repetitions = 0;
+    card.lapses++;
+  }
+  card.ease = Math.max(MIN_EASE, Math.round((card.ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)) * 100) / 100);
+  card.reviews++;
+
+  const day = toFixed(today);
+  card.lastReviewed = fixedToIso(day);
+  card.due = fixedToIso(day + card.interval);
+  return card;
+}
+
+// Record an answer in a profile's review data; returns the card's new state
+function recordReview(data, id, grade, correct, today = new Date()) {
+  const state = scheduleCard(data.cards[id], grade, today);
+  data.cards[id] = state;
+  data.history.push({ card: id, grade: Number(grade), correct: !!correct, at: new Date().toISOString() });
+  if (data.history.length > MAX_HISTORY) data.history.splice(0, data.history.length - MAX_HISTORY);
+  return state;
+}
+
+// Ids to review on `today`, out of the card ids given: due cards first (most overdue
+// first), then cards never seen, in the order given, up to newLimit.
+// Returns { due: [id], new: [id] } with at most `limit` ids in all.
+function reviewQueue(data, ids, today = new Date(), { limit = 20, newLimit = 10 } = {}) {
+  const day = fixedToIso(toFixed(today));
+  const due = ids.filter(id => data.cards[id] && data.cards[id].due <= day)
+    .sort((a, b) => data.cards[a].due.localeCompare(data.cards[b].due) || a.localeCompare(b))
+    .slice(0, limit);
+  const fresh = ids.filter(id => !data.cards[id]).slice(0, Math.max(0, Math.min(newLimit, limit - due.length)));
+  return { due, new: fresh };
+}
+
+// Counts over a profile's review data, for the card ids given:
+//   { cards, seen, new, due, mature, lapses, reviews, correct, accuracy, byType, lastReviewed }
+// mature cards have an interval of 21 days or more; accuracy is over the history.
+function reviewStats(data, ids, today = new Date()) {
+  const day = fixedToIso(toFixed(today));
+  const seen = ids.filter(id => data.cards[id]);
+  const wanted = new Set(ids);
+  const history = data.history.filter(entry => wanted.has(entry.card));
+  const correct = history.filter(entry => entry.correct).length;
+  const byType = {};
+  CARD_TYPES.forEach(type => {
+    const ofType = seen.filter(id => id.startsWith(`${type}:`));
+    byType[type] = { seen: ofType.length, due: ofType.filter(id => data.cards[id].due <= day).length };
+  });
+
+  return {
+    cards: ids.length,
+    seen: seen.length,
+    new: ids.length - seen.length,
+    due: seen.filter(id => data.cards[id].due <= day).length,
+    mature: seen.filter(id => data.cards[id].interval >= 21).length,
+    lapses: seen.reduce((sum, id) => sum + data.cards[id].lapses, 0),
+    reviews: history.length,
+    correct,
+    accuracy: history.length > 0 ? Math.round(correct / history.length * 1000) / 10 : null,
+    byType,
+    lastReviewed: history.length > 0 ? history[history.length - 1].at : null
+  };
+}
+
+// ========== ANKI ==========
+
+// One Anki field: HTML-escaped, without the tabs and newlines that separate fields and notes
+function ankiField(text) {
+  return escapeHtml(text).replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+}
+
+// A tab-separated file Anki imports as Basic notes (File > Import), with the
+// separator, deck and tag column declared in its header. Questions come from
+// makeQuestion(); passage choices are listed on the front.
+function toAnkiText(questions, { deck = 'Sefer HaChinukh' } = {}) {
+  const lines = ['#separator:tab', '#html:true', '#notetype:Basic', `#deck:${deck}`, '#columns:Front\tBack\tTags', '#tags column:3'];
+  questions.forEach(question => {
+    const metadata = getMetadata(question.number);
+    const parasha = parashaOf(question.number);
+    const choices = question.choices ? '\n' + question.choices.map((choice, i) => `${String.fromCharCode(97 + i)}) ${choice.text}`).join('\n') : '';
+    const answer = question.choices ? `${question.answer}) ` : '';
+    const tags = ['chinukh', `chinukh::${question.type}`, `chinukh::${metadata.type}`];
+    if (parasha) tags.push(`chinukh::parasha::${parasha.name.replace(/[^\w-]+/g, '_')}`);
+    lines.push([ankiField(question.prompt + choices), ankiField(answer + question.explanation), tags.join(' ')].join('\t'));
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  CARD_TYPES,
+  REVIEW_DIR,
+  ReviewStore,
+  cardId,
+  parseCardId,
+  normalizeTypes,
+  makeQuestion,
+  checkAnswer,
+  newCardState,
+  scheduleCard,
+  recordReview,
+  reviewQueue,
+  reviewStats,
+  toAnkiText
+};
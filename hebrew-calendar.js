@@ -0,0 +1,403 @@
+// ========== HEBREW CALENDAR ==========
+//
+// Offline Hebrew calendar and weekly Torah reading schedule.
+//
+// Dates are converted through fixed day numbers (R.D.: day 1 is 1 January of
+// year 1, proleptic Gregorian) following Reingold & Dershowitz, "Calendrical
+// Calculations". Hebrew months are numbered from Nisan (1) as in the Torah, so
+// a year runs Tishrei (7) ... Adar (12, Adar I in a leap year), Adar II (13),
+// Nisan (1) ... Elul (6).
+//
+// The parasha schedule is built one cycle at a time, from Bereshit after
+// Simchat Torah to the last Shabbat before the next Sukkot. Shabbatot that fall
+// on a festival have their own reading; the remaining ones are filled in order,
+// joining the combinable pairs just often enough to meet the fixed points:
+//   - in an ordinary (non-leap) year, Tzav is read on the Shabbat before Pesach
+//   - Bamidbar is read on the Shabbat before Shavuot
+//   - Devarim is read on the Shabbat before Tisha B'Av (or on it)
+//   - Nitzavim is read on the Shabbat before Rosh Hashanah
+// Outside the Land of Israel the second festival days can fall on Shabbat, so
+// the two schedules drift apart for a few weeks; when a fixed point cannot be
+// met without splitting more pairs than exist, it is skipped and the schedule
+// catches up at the next one, as happens in practice.
+
+const { toHebrewNumeral } = require('./refs');
+const { findParasha } = require('./mitzvot-metadata');
+
+const HEBREW_EPOCH = -1373427; // R.D. of 1 Tishrei AM 1
+const UNIX_EPOCH = 719163; // R.D. of 1970-01-01
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NISAN = 1;
+const IYAR = 2;
+const SIVAN = 3;
+const AV = 5;
+const ELUL = 6;
+const TISHREI = 7;
+const MARCHESHVAN = 8;
+const KISLEV = 9;
+const ADAR = 12;
+const ADAR_II = 13;
+
+const MONTHS = {
+  1: { name: 'Nisan', heName: 'ניסן' },
+  2: { name: 'Iyar', heName: 'אייר' },
+  3: { name: 'Sivan', heName: 'סיון' },
+  4: { name: 'Tamuz', heName: 'תמוז' },
+  5: { name: 'Av', heName: 'אב' },
+  6: { name: 'Elul', heName: 'אלול' },
+  7: { name: 'Tishrei', heName: 'תשרי' },
+  8: { name: 'Cheshvan', heName: 'חשון' },
+  9: { name: 'Kislev', heName: 'כסלו' },
+  10: { name: 'Tevet', heName: 'טבת' },
+  11: { name: 'Shvat', heName: 'שבט' },
+  12: { name: 'Adar', heName: 'אדר' },
+  13: { name: 'Adar II', heName: 'אדר ב׳' }
+};
+
+// The 54 parashiyot in reading order (names as on Sefaria, which the metadata table also uses)
+const PARASHA_CYCLE = [
+  ['Bereshit', 'בראשית'], ['Noach', 'נח'], ['Lech Lecha', 'לך לך'], ['Vayera', 'וירא'],
+  ['Chayei Sara', 'חיי שרה'], ['Toldot', 'תולדות'], ['Vayetzei', 'ויצא'], ['Vayishlach', 'וישלח'],
+  ['Vayeshev', 'וישב'], ['Miketz', 'מקץ'], ['Vayigash', 'ויגש'], ['Vayechi', 'ויחי'],
+  ['Shemot', 'שמות'], ['Vaera', 'וארא'], ['Bo', 'בא'], ['Beshalach', 'בשלח'],
+  ['Yitro', 'יתרו'], ['Mishpatim', 'משפטים'], ['Terumah', 'תרומה'], ['Tetzaveh', 'תצוה'],
+  ['Ki Tisa', 'כי תשא'], ['Vayakhel', 'ויקהל'], ['Pekudei', 'פקודי'], ['Vayikra', 'ויקרא'],
+  ['Tzav', 'צו'], ['Shmini', 'שמיני'], ['Tazria', 'תזריע'], ['Metzora', 'מצורע'],
+  ['Achrei Mot', 'אחרי מות'], ['Kedoshim', 'קדושים'], ['Emor', 'אמור'], ['Behar', 'בהר'],
+  ['Bechukotai', 'בחוקותי'], ['Bamidbar', 'במדבר'], ['Nasso', 'נשא'], ['Beha\'alotcha', 'בהעלותך'],
+  ['Sh\'lach', 'שלח'], ['Korach', 'קרח'], ['Chukat', 'חקת'], ['Balak', 'בלק'],
+  ['Pinchas', 'פינחס'], ['Matot', 'מטות'], ['Masei', 'מסעי'], ['Devarim', 'דברים'],
+  ['Vaetchanan', 'ואתחנן'], ['Eikev', 'עקב'], ['Re\'eh', 'ראה'], ['Shoftim', 'שופטים'],
+  ['Ki Teitzei', 'כי תצא'], ['Ki Tavo', 'כי תבוא'], ['Nitzavim', 'נצבים'], ['Vayeilech', 'וילך'],
+  ['Ha\'Azinu', 'האזינו'], ['V\'Zot HaBerachah', 'וזאת הברכה']
+].map(([name, heName], index) => ({ index: index + 1, name, heName }));
+
+// Spellings of the parashiyot without mitzvot; the others are covered by the metadata's aliases
+const CYCLE_ALIASES = {
+  noah: 'Noach',
+  vayeira: 'Vayera',
+  chayeisarah: 'Chayei Sara',
+  chayesarah: 'Chayei Sara',
+  toldos: 'Toldot',
+  toledot: 'Toldot',
+  vayeitzei: 'Vayetzei',
+  vayeitze: 'Vayetzei',
+  vayeishev: 'Vayeshev',
+  mikeitz: 'Miketz',
+  vayechi: 'Vayechi',
+  shemos: 'Shemot',
+  vaeira: 'Vaera',
+  pekude: 'Pekudei',
+  pikudei: 'Pekudei',
+  balaq: 'Balak',
+  haazinu: 'Ha\'Azinu',
+  vezothaberachah: 'V\'Zot HaBerachah',
+  vezotaberakhah: 'V\'Zot HaBerachah',
+  vezothaberakhah: 'V\'Zot HaBerachah'
+};
+
+// Pairs that are read together when there are fewer Shabbatot than parashiyot,
+// in the order they are joined (the last ones are split first)
+const COMBINABLE = [
+  ['Tazria', 'Metzora'],
+  ['Achrei Mot', 'Kedoshim'],
+  ['Behar', 'Bechukotai'],
+  ['Vayakhel', 'Pekudei'],
+  ['Matot', 'Masei'],
+  ['Chukat', 'Balak'],
+  ['Nitzavim', 'Vayeilech']
+].map(pair => pair.map(name => PARASHA_CYCLE.find(parasha => parasha.name === name).index));
+
+// ========== DATES ==========
+
+function mod(a, b) {
+  return a - b * Math.floor(a / b);
+}
+
+// Fixed day number of a Date (its local calendar date) or a "YYYY-MM-DD" string
+function toFixed(date) {
+  if (typeof date === 'string') {
+    const match = date.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (!match) throw new Error(`Invalid date: ${date}. Use YYYY-MM-DD.`);
+    const [, year, month, day] = match.map(Number);
+    const utc = Date.UTC(year, month - 1, day);
+    if (new Date(utc).getUTCMonth() !== month - 1 || new Date(utc).getUTCDate() !== day) throw new Error(`Invalid date: ${date}`);
+    return Math.floor(utc / DAY_MS) + UNIX_EPOCH;
+  }
+  if (!(date instanceof Date) || isNaN(date)) throw new Error(`Invalid date: ${date}`);
+  return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS) + UNIX_EPOCH;
+}
+
+// "YYYY-MM-DD" of a fixed day number
+function fixedToIso(fixed) {
+  return new Date((fixed - UNIX_EPOCH) * DAY_MS).toISOString().slice(0, 10);
+}
+
+// 0 Sunday ... 6 Shabbat
+function dayOfWeek(fixed) {
+  return mod(fixed, 7);
+}
+
+function isLeapYear(year) {
+  return mod(7 * year + 1, 19) < 7;
+}
+
+// Days from the epoch to the molad of Tishrei, with the postponement for Sunday, Wednesday and Friday
+function elapsedDays(year) {
+  const monthsElapsed = Math.floor((235 * year - 234) / 19);
+  const partsElapsed = 12084 + 13753 * monthsElapsed;
+  const day = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+  return mod(3 * (day + 1), 7) < 3 ? day + 1 : day;
+}
+
+// Further postponements that keep every year at a legal length (353-355 or 383-385 days)
+function yearLengthCorrection(year) {
+  const previous = elapsedDays(year - 1);
+  const current = elapsedDays(year);
+  const next = elapsedDays(year + 1);
+  if (next - current === 356) return 2;
+  if (current - previous === 382) return 1;
+  return 0;
+}
+
+// Fixed day number of 1 Tishrei
+function newYear(year) {
+  return HEBREW_EPOCH + elapsedDays(year) + yearLengthCorrection(year);
+}
+
+function daysInYear(year) {
+  return newYear(year + 1) - newYear(year);
+}
+
+function lastMonthOfYear(year) {
+  return isLeapYear(year) ? ADAR_II : ADAR;
+}
+
+function daysInMonth(year, month) {
+  if ([IYAR, 4, ELUL, 10, ADAR_II].includes(month)) return 29;
+  if (month === ADAR && !isLeapYear(year)) return 29;
+  if (month === MARCHESHVAN && mod(daysInYear(year), 10) !== 5) return 29;
+  if (month === KISLEV && mod(daysInYear(year), 10) === 3) return 29;
+  return 30;
+}
+
+// Fixed day number of a Hebrew date (month 1 = Nisan, 7 = Tishrei)
+function fixedFromHebrew(year, month, day) {
+  let fixed = newYear(year) + day - 1;
+  if (month < TISHREI) {
+    for (let m = TISHREI; m <= lastMonthOfYear(year); m++) fixed += daysInMonth(year, m);
+    for (let m = NISAN; m < month; m++) fixed += daysInMonth(year, m);
+  } else {
+    for (let m = TISHREI; m < month; m++) fixed += daysInMonth(year, m);
+  }
+  return fixed;
+}
+
+// { year, month, day } of a fixed day number
+function hebrewFromFixed(fixed) {
+  let year = Math.floor((fixed - HEBREW_EPOCH) / (35975351 / 98496));
+  while (newYear(year + 1) <= fixed) year++;
+  let month = fixed < fixedFromHebrew(year, NISAN, 1) ? TISHREI : NISAN;
+  while (fixed > fixedFromHebrew(year, month, daysInMonth(year, month))) month++;
+  return { year, month, day: fixed - fixedFromHebrew(year, month, 1) + 1 };
+}
+
+function monthName(year, month) {
+  if (month === ADAR && isLeapYear(year)) return { name: 'Adar I', heName: 'אדר א׳' };
+  return MONTHS[month];
+}
+
+// Hebrew date of a Date or "YYYY-MM-DD":
+// { year, month, day, monthName, heMonthName, text: '1 Av 5785', heText: 'א׳ אב תשפ״ה', date: 'YYYY-MM-DD' }
+function toHebrewDate(date) {
+  const fixed = toFixed(date);
+  const { year, month, day } = hebrewFromFixed(fixed);
+  const names = monthName(year, month);
+  return {
+    year,
+    month,
+    day,
+    monthName: names.name,
+    heMonthName: names.heName,
+    text: `${day} ${names.name} ${year}`,
+    heText: `${toHebrewNumeral(day)} ${names.heName} ${toHebrewNumeral(year % 1000)}`,
+    date: fixedToIso(fixed)
+  };
+}
+
+// Gregorian "YYYY-MM-DD" of a Hebrew date
+function fromHebrewDate(year, month, day) {
+  if (!(month >= 1 && month <= lastMonthOfYear(year)) || !(day >= 1 && day <= daysInMonth(year, month))) {
+    throw new Error(`Invalid Hebrew date: ${day} ${month} ${year}`);
+  }
+  return fixedToIso(fixedFromHebrew(year, month, day));
+}
+
+// ========== FESTIVALS ==========
+
+// Name of the festival whose reading replaces the weekly parasha on this day, or null
+function festivalOn(fixed, israel) {
+  const { month, day } = hebrewFromFixed(fixed);
+  if (month === TISHREI) {
+    if (day === 1 || day === 2) return 'Rosh Hashanah';
+    if (day === 10) return 'Yom Kippur';
+    if (day >= 15 && day <= 21) return 'Sukkot';
+    if (day === 22) return 'Shemini Atzeret';
+    if (day === 23 && !israel) return 'Simchat Torah';
+  }
+  if (month === NISAN && day >= 15 && day <= (israel ? 21 : 22)) return 'Pesach';
+  if (month === SIVAN && (day === 6 || (day === 7 && !israel))) return 'Shavuot';
+  return null;
+}
+
+// ========== PARASHA SCHEDULE ==========
+
+const cycles = new Map();
+
+// First Shabbat on or after a fixed day
+function shabbatOnOrAfter(fixed) {
+  return fixed + mod(6 - dayOfWeek(fixed), 7);
+}
+
+// Index of the last slot before `fixed` (inclusive when `inclusive`)
+function lastSlotBefore(slots, fixed, inclusive = false) {
+  let found = -1;
+  slots.forEach((slot, index) => {
+    if (slot < fixed || (inclusive && slot === fixed)) found = index;
+  });
+  return found;
+}
+
+// The reading cycle that starts with Bereshit in Tishrei of `year`:
+// [{ fixed, parashiyot: [index] }] for every Shabbat up to the next Sukkot
+function buildCycle(year, israel) {
+  const key = `${year}:${israel ? 'il' : 'diaspora'}`;
+  if (cycles.has(key)) return cycles.get(key);
+
+  const start = shabbatOnOrAfter(fixedFromHebrew(year, TISHREI, israel ? 23 : 24));
+  const end = fixedFromHebrew(year + 1, TISHREI, 15);
+  const slots = [];
+  for (let fixed = start; fixed < end; fixed += 7) {
+    if (!festivalOn(fixed, israel)) slots.push(fixed);
+  }
+
+  // Fixed points: parasha index -> the slot where it must start
+  const anchors = [];
+  if (!isLeapYear(year)) {
+    anchors.push([26, lastSlotBefore(slots, fixedFromHebrew(year, NISAN, 15)) + 1]); // Tzav before Pesach
+  }
+  anchors.push([34, lastSlotBefore(slots, fixedFromHebrew(year, SIVAN, 6))]);
+  anchors.push([44, lastSlotBefore(slots, fixedFromHebrew(year, AV, 9), true)]);
+  anchors.push([51, lastSlotBefore(slots, newYear(year + 1))]);
+  anchors.push([54, slots.length]); // V'Zot HaBerachah is read on Simchat Torah
+
+  const readings = [];
+  let parasha = 1;
+  let slot = 0;
+  anchors.forEach(([until, untilSlot], position) => {
+    const pairs = COMBINABLE.filter(([first, second]) => first >= parasha && second < until);
+    const combine = (until - parasha) - (untilSlot - slot);
+    if (combine < 0 && position < anchors.length - 1) return; // too many Shabbatot: catch up at the next fixed point
+    if (combine < 0 || combine > pairs.length) {
+      throw new Error(`Cannot fit parashiyot ${parasha}-${until - 1} into ${untilSlot - slot} Shabbatot (year ${year})`);
+    }
+
+    const joined = pairs.slice(0, combine).map(([first]) => first);
+    for (; parasha < until; parasha++) {
+      const parashiyot = joined.includes(parasha) ? [parasha, ++parasha] : [parasha];
+      readings.push({ fixed: slots[slot++], parashiyot });
+    }
+  });
+
+  cycles.set(key, readings);
+  return readings;
+}
+
+function describeParashiyot(indexes) {
+  const parashiyot = indexes.map(index => PARASHA_CYCLE[index - 1]);
+  return {
+    parashiyot: parashiyot.map(parasha => parasha.name),
+    name: parashiyot.map(parasha => parasha.name).join('-'),
+    heName: parashiyot.map(parasha => parasha.heName).join('-')
+  };
+}
+
+// The reading on the Shabbat that ends the week of `date` (the date itself if it is Shabbat):
+// { date, hebrewDate, parashiyot: ['Matot', 'Masei'], name, heName, festival }
+// parashiyot is empty and festival set when the Shabbat has a festival reading.
+// Options: israel (default false) for the schedule in the Land of Israel.
+function readingForDate(date = new Date(), options = {}) {
+  const israel = !!options.israel;
+  const shabbat = shabbatOnOrAfter(toFixed(date));
+  const hebrewDate = toHebrewDate(fixedToIso(shabbat));
+  const reading = { date: fixedToIso(shabbat), hebrewDate, parashiyot: [], name: null, heName: null, festival: festivalOn(shabbat, israel) };
+  if (reading.festival) return reading;
+
+  // Tishrei Shabbatot before Bereshit belong to the previous year's cycle
+  for (const year of [hebrewDate.year, hebrewDate.year - 1]) {
+    const found = buildCycle(year, israel).find(entry => entry.fixed === shabbat);
+    if (found) return { ...reading, ...describeParashiyot(found.parashiyot) };
+  }
+  return reading;
+}
+
+// Every Shabbat of a Hebrew year (1 Tishrei to 29 Elul) with its reading
+function scheduleForYear(year, options = {}) {
+  const readings = [];
+  for (let fixed = shabbatOnOrAfter(newYear(year)); fixed < newYear(year + 1); fixed += 7) {
+    readings.push(readingForDate(fixedToIso(fixed), options));
+  }
+  return readings;
+}
+
+// Next Shabbat on or after `date` whose reading is a weekly parasha (skips festival Shabbatot)
+function nextWeeklyReading(date = new Date(), options = {}) {
+  let reading = readingForDate(date, options);
+  while (reading.festival) {
+    reading = readingForDate(fixedToIso(toFixed(reading.date) + 1), options);
+  }
+  return reading;
+}
+
+// ========== LOOKUP ==========
+
+const compactName = name => String(name || '').toLowerCase().replace(/[^a-zא-ת]/g, '');
+
+function findCycleParasha(name) {
+  const key = compactName(name);
+  if (!key) return null;
+  const canonical = CYCLE_ALIASES[key] || (findParasha(name) ? findParasha(name).name : null);
+  return PARASHA_CYCLE.find(parasha => (canonical ? parasha.name === canonical
+    : compactName(parasha.name) === key || compactName(parasha.heName) === key)) || null;
+}
+
+// Resolve a parasha name, or a combined portion such as "Matot-Masei" or "תזריע-מצורע",
+// to { parashiyot, name, heName }; null if any part is unknown
+function findReading(name) {
+  const text = String(name || '').trim();
+  const whole = findCycleParasha(text);
+  if (whole) return describeParashiyot([whole.index]);
+
+  const parts = text.split(/\s*[-–־]\s*/).filter(Boolean);
+  if (parts.length !== 2) return null;
+  const found = parts.map(findCycleParasha);
+  if (found.some(parasha => !parasha) || found[1].index !== found[0].index + 1) return null;
+  return describeParashiyot(found.map(parasha => parasha.index));
+}
+
+module.exports = {
+  MONTHS,
+  PARASHA_CYCLE,
+  isLeapYear,
+  daysInYear,
+  daysInMonth,
+  toFixed,
+  fixedToIso,
+  toHebrewDate,
+  fromHebrewDate,
+  readingForDate,
+  nextWeeklyReading,
+  scheduleForYear,
+  findReading
+};
@@ -0,0 +1,216 @@
+// ========== HEBREW TEXT NORMALIZATION ==========
+//
+// Shared by the search index, searchMitzvot() and extractMatchingText() so that
+// a query typed without vowels matches pointed text. Normalization strips nikud
+// and cantillation, folds final letters and drops geresh/gershayim; the *WithMap
+// variant keeps the original offset of every output character so highlights can
+// be drawn on the pointed text.
+
+// Cantillation (U+0591-05AF) and vowel points, dagesh, rafe, shin/sin dots, etc.
+const POINTING_PATTERN = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/;
+const HEBREW_LETTER_PATTERN = /[\u05D0-\u05EA]/;
+const HEBREW_PATTERN = /[\u0591-\u05F4\uFB1D-\uFB4F]/;
+
+const FINAL_FORMS = {
+  'ך': 'כ',
+  'ם': 'מ',
+  'ן': 'נ',
+  'ף': 'פ',
+  'ץ': 'צ'
+};
+
+// Normalized letter -> final form, for showing normalized words
+const FINAL_OF = Object.fromEntries(Object.entries(FINAL_FORMS).map(([final, letter]) => [letter, final]));
+
+const GERESH = '\u05F3';
+const GERSHAYIM = '\u05F4';
+const MAQAF = '\u05BE';
+
+// Attachable prefixes, longest first: (ו)(ש|כש|מש)(ה|ב|ל|כ|מ), at least one letter
+const PREFIXES = (() => {
+  const prefixes = new Set();
+  ['', 'ו'].forEach(vav => {
+    ['', 'ש', 'כש', 'מש'].forEach(she => {
+      ['', 'ה', 'ב', 'ל', 'כ', 'מ'].forEach(letter => {
+        const prefix = vav + she + letter;
+        if (prefix) prefixes.add(prefix);
+      });
+    });
+  });
+  return [...prefixes].sort((a, b) => b.length - a.length);
+})();
+
+const MIN_STEM_LENGTH = 2;
+
+// The article and the prepositions: a word found with one of them attached is a word
+const BASE_PREFIXES = ['ה', 'ב', 'ל', 'כ', 'מ'];
+
+// Inflectional endings in normalized spelling (final letters folded), longest first:
+// plural, construct and possessive forms
+const SUFFIXES = ['ותיהמ', 'ותיכמ', 'ותינו', 'ותיו', 'יהמ', 'יכמ', 'ותי', 'ותמ', 'ימ', 'ות', 'יו', 'יה', 'המ', 'כמ', 'נו', 'תי', 'תמ', 'ה', 'ו', 'י', 'כ'];
+const MIN_ROOT_LENGTH = 3;
+
+function containsHebrew(text) {
+  return HEBREW_PATTERN.test(String(text || ''));
+}
+
+// Normalize one source character; returns '' for characters that are dropped
+function normalizeChar(ch, previous, next) {
+  if (ch === MAQAF) return ' ';
+  if (ch === GERESH || ch === GERSHAYIM) return '';
+
+  // Quotes inside abbreviations such as רמב"ם
+  if ((ch === '"' || ch === '\'') && HEBREW_LETTER_PATTERN.test(previous || '') && HEBREW_LETTER_PATTERN.test(next || '')) {
+    return '';
+  }
+
+  let output = '';
+  // Presentation forms (e.g. U+FB35 vav with dagesh) decompose into a letter and points
+  for (const part of ch.normalize('NFD')) {
+    if (POINTING_PATTERN.test(part)) continue;
+    output += FINAL_FORMS[part] || part.toLowerCase();
+  }
+  return output;
+}
+
+// Normalize text and record, for every output character, its offset in the input.
+// map has one extra entry (the input length) so map[end] is valid for exclusive ends.
+function normalizeWithMap(text) {
+  const source = String(text || '');
+  let output = '';
+  const map = [];
+
+  // The nearest surrounding base letters, skipping points, for the abbreviation check
+  const letterBefore = index => {
+    for (let i = index - 1; i >= 0; i--) {
+      if (!POINTING_PATTERN.test(source[i])) return source[i];
+    }
+    return '';
+  };
+  const letterAfter = index => {
+    for (let i = index + 1; i < source.length; i++) {
+      if (!POINTING_PATTERN.test(source[i])) return source[i];
+    }
+    return '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    const normalized = (ch === '"' || ch === '\'')
+      ? normalizeChar(ch, letterBefore(i), letterAfter(i))
+      : normalizeChar(ch);
+    for (const out of normalized) {
+      output += out;
+      map.push(i);
+    }
+  }
+  map.push(source.length);
+
+  return { text: output, map };
+}
+
+// Normalize text for comparison (lowercase, no nikud/cantillation, no final forms)
+function normalizeText(text) {
+  return normalizeWithMap(text).text;
+}
+
+// Find a term in text, ignoring pointing and final forms.
+// Returns { start, end } offsets in the original text, or null.
+function findNormalized(text, term, fromIndex = 0) {
+  const source = normalizeWithMap(text);
+  const needle = normalizeText(term).trim();
+  if (!needle) return null;
+
+  const startInNormalized = source.map.findIndex(offset => offset >= fromIndex);
+  const index = source.text.indexOf(needle, Math.max(0, startInNormalized));
+  if (index === -1) return null;
+
+  return { start: source.map[index], end: source.map[index + needle.length] };
+}
+
+// Text without nikud and cantillation but otherwise as written (final letters,
+// abbreviation quotes, case): the spelling to show for a word
+function stripPointing(text) {
+  let output = '';
+  for (const part of String(text || '').normalize('NFD')) {
+    if (!POINTING_PATTERN.test(part)) output += part;
+  }
+  return output.normalize('NFC');
+}
+
+// A normalized Hebrew word with its last letter back in final form (כהנ -> כהן), for
+// showing words that have no spelling in the text, such as stems and root candidates
+function withFinalForm(word) {
+  if (!word || word.length < 2 || !containsHebrew(word)) return word;
+  const last = word[word.length - 1];
+  return FINAL_OF[last] ? word.slice(0, -1) + FINAL_OF[last] : word;
+}
+
+// Stems of a normalized Hebrew word with attached prefixes removed (ובשבת -> בשבת, שבת)
+function prefixStems(word) {
+  const stems = [];
+  PREFIXES.forEach(prefix => {
+    if (word.startsWith(prefix) && word.length - prefix.length >= MIN_STEM_LENGTH) {
+      stems.push(word.slice(prefix.length));
+    }
+  });
+  return stems;
+}
+
+// For a vocabulary of normalized words, a function giving the stem of each of them.
+// A word the vocabulary also has with an article or preposition attached (השבת,
+// לשמים) is a word in its own right and its own stem, so שבת and שמים keep the letters
+// that look like prefixes. Other words get their longest prefix stem that is such a
+// word (משמים -> שמים, והמים -> מים), else their shortest one that is a word of the
+// vocabulary at all, else themselves. A stem two words merely share is not enough
+// (שבת and לבת do not make בת).
+function vocabularyStemmer(words) {
+  const vocabulary = new Set(words.filter(containsHebrew));
+  const bases = new Set();
+  vocabulary.forEach(word => {
+    const rest = word.slice(1);
+    if (BASE_PREFIXES.includes(word[0]) && rest.length >= MIN_STEM_LENGTH && vocabulary.has(rest)) bases.add(rest);
+  });
+  return word => {
+    if (!containsHebrew(word) || bases.has(word)) return word;
+    const stems = prefixStems(word).filter(stem => vocabulary.has(stem)).sort((a, b) => b.length - a.length);
+    return stems.find(stem => bases.has(stem)) || stems[stems.length - 1] || word;
+  };
+}
+
+// Root candidate of a stem: without an inflectional ending and without the vav and
+// yod written as vowels, keeping at least three letters (מצוות, מצוה -> מצו;
+// כהנים, כהן -> כהנ). A heuristic, not a morphological analysis: unrelated words can
+// share a candidate and forms of one root can get different ones.
+function rootCandidate(stem) {
+  if (!containsHebrew(stem)) return stem;
+  let root = stem;
+  const suffix = SUFFIXES.find(ending => root.endsWith(ending) && root.length - ending.length >= MIN_ROOT_LENGTH);
+  if (suffix) root = root.slice(0, -suffix.length);
+  for (let i = root.length - 1; i > 0 && root.length > MIN_ROOT_LENGTH; i--) {
+    if (root[i] === 'ו' || root[i] === 'י') root = root.slice(0, i) + root.slice(i + 1);
+  }
+  return root;
+}
+
+// Spelling skeleton for ktiv male/chaser equivalence: every vav and yod but a
+// word-initial one is dropped, so מצוה/מצווה and עניים/ענים compare equal.
+// This also merges some unrelated words, which is why it is opt-in.
+function ktivSkeleton(word) {
+  if (!word) return word;
+  return word[0] + word.slice(1).replace(/[וי]/g, '');
+}
+
+module.exports = {
+  containsHebrew,
+  normalizeText,
+  normalizeWithMap,
+  findNormalized,
+  stripPointing,
+  withFinalForm,
+  prefixStems,
+  vocabularyStemmer,
+  rootCandidate,
+  ktivSkeleton,
+  PREFIXES
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { parseRef } = require('./refs');
+
+// ========== LINKED TEXTS ==========
+//
+// Texts Sefaria links to each mitzvah, kept offline next to it as
+// mitzvah_NNN_links.json:
+//
+//   { version: 1, mitzvahNumber, downloadedAt,
+//     commentaries: [{ ref, heRef, title, heTitle, anchorRef, text, he }],
+//     verses: [{ ref, heRef, book, anchorRef, text, he }] }
+//
+// commentaries are the Minchat Chinukh's comments on the mitzvah, verses the Torah
+// verses it quotes or is based on. Both come from Sefaria's links API
+// (/api/links/Sefer_HaChinukh.N, or the links of /api/related/...), whose entries
+// carry their text; text and he are Sefaria text values (strings or arrays).
+
+const LINKED_VERSION = 1;
+const COMMENTARIES = ['Minchat Chinukh'];
+const TORAH_BOOKS = ['Genesis', 'Exodus', 'Leviticus', 'Numbers', 'Deuteronomy'];
+const LINKED_KINDS = ['commentaries', 'verses'];
+
+function linkedFile(outputDir, number) {
+  return path.join(outputDir, `mitzvah_${number.toString().padStart(3, '0')}_links.json`);
+}
+
+// Read a mitzvah's linked texts, or null when the file is missing or unusable
+function readLinkedTexts(outputDir, number) {
+  const file = linkedFile(outputDir, number);
+  if (!fs.existsSync(file)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const valid = data && data.version === LINKED_VERSION && data.mitzvahNumber === number &&
+      LINKED_KINDS.every(kind => Array.isArray(data[kind]));
+    return valid ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 'commentaries', 'verses' or null (a link we do not keep)
+function classifyLink(link) {
+  if (!link || typeof link !== 'object' || !link.ref) return null;
+  const title = (link.collectiveTitle && link.collectiveTitle.en) || link.index_title || '';
+  if (COMMENTARIES.some(name => title === name || String(link.ref).startsWith(`${name} `))) return 'commentaries';
+  if (link.category === 'Tanakh' && TORAH_BOOKS.includes(link.index_title)) return 'verses';
+  return null;
+}
+
+// Segment of the mitzvah a link is attached to (0 when it is the whole mitzvah)
+function anchorSegment(link) {
+  const anchor = parseRef(link.anchorRef);
+  return anchor && anchor.segment ? anchor.segment : 0;
+}
+
+// The linked texts of mitzvah `number` from a links or related response (an array
+// of links, or { links }); links without text are dropped and of several links to
+// the same ref the first is kept. Entries are in the order of the mitzvah's segments
+// they are attached to.
+function normalizeLinks(response, number) {
+  const links = Array.isArray(response) ? response : response && Array.isArray(response.links) ? response.links : null;
+  if (!links) throw new Error('Invalid links response');
+
+  const linked = { version: LINKED_VERSION, mitzvahNumber: number, downloadedAt: new Date().toISOString(), commentaries: [], verses: [] };
+  const seen = new Set();
+  const hasText = value => (Array.isArray(value) ? value.flat(Infinity).some(segment => String(segment).trim()) : !!String(value || '').trim());
+
+  links
+    .map((link, i) => ({ link, kind: classifyLink(link), order: i }))
+    .filter(({ link, kind }) => {
+      if (!kind || !(hasText(link.text) || hasText(link.he)) || seen.has(link.ref)) return false;
+      seen.add(link.ref);
+      return true;
+    })
+    .sort((a, b) => anchorSegment(a.link) - anchorSegment(b.link) || a.order - b.order)
+    .forEach(({ link, kind }) => {
+      const entry = { ref: link.ref, heRef: link.heRef || link.sourceHeRef || '', anchorRef: link.anchorRef || '', text: link.text || '', he: link.he || '' };
+      if (kind === 'commentaries') {
+        linked.commentaries.push({ ...entry, title: (link.collectiveTitle && link.collectiveTitle.en) || link.index_title, heTitle: (link.collectiveTitle && link.collectiveTitle.he) || link.heTitle || '' });
+      } else {
+        linked.verses.push({ ...entry, book: link.index_title });
+      }
+    });
+  return linked;
+}
+
+// Every segment of one kind of linked texts, flattened: [{ ref, language, text }]
+// in a stable order (English then Hebrew of each entry), as indexed for search
+function linkedSegments(linked, kind) {
+  if (!linked || !Array.isArray(linked[kind])) return [];
+  const flatten = value => (Array.isArray(value) ? value.flat(Infinity).map(String) : value ? [String(value)] : []);
+  return linked[kind].flatMap(entry => [
+    ...flatten(entry.text).map(text => ({ ref: entry.ref, language: 'en', text })),
+    ...flatten(entry.he).map(text => ({ ref: entry.ref, language: 'he', text }))
+  ]);
+}
+
+module.exports = {
+  LINKED_KINDS,
+  COMMENTARIES,
+  TORAH_BOOKS,
+  linkedFile,
+  readLinkedTexts,
+  classifyLink,
+  normalizeLinks,
+  linkedSegments
+};
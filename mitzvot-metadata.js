@@ -0,0 +1,890 @@
+// ========== MITZVAH METADATA ==========
+//
+// Offline classification of all 613 mitzvot in the order of Sefer HaChinukh:
+// positive commandment or prohibition, source verse, weekly parasha, and
+// applicability. Sefaria's categories are the same for every entry of the book,
+// so filtering by them is useless; this table is what the query methods use.
+//
+// Rows: [number, type, source, applicability, obligated, summary]
+//   type           'A' positive (aseh), 'L' prohibition (lo ta'aseh)
+//   applicability  'E'  in every place and at every time
+//                  'I'  today, but only in the Land of Israel
+//                  'T'  only while the Temple stands
+//                  'TI' only while the Temple stands, in the Land of Israel
+//                  'S'  only when there is an ordained court (Sanhedrin)
+//   obligated      'all', 'men', 'women', 'kohanim', 'kohen-gadol', 'levites',
+//                  'nazir', 'king', 'court', 'community'
+//
+// The parasha of each mitzvah follows from the Chinukh's order (PARASHIYOT).
+
+const PARASHIYOT = [
+  { name: 'Bereshit', heName: 'בראשית', book: 'Genesis', from: 1, to: 1 },
+  { name: 'Lech Lecha', heName: 'לך לך', book: 'Genesis', from: 2, to: 2 },
+  { name: 'Vayishlach', heName: 'וישלח', book: 'Genesis', from: 3, to: 3 },
+  { name: 'Bo', heName: 'בא', book: 'Exodus', from: 4, to: 23 },
+  { name: 'Beshalach', heName: 'בשלח', book: 'Exodus', from: 24, to: 24 },
+  { name: 'Yitro', heName: 'יתרו', book: 'Exodus', from: 25, to: 41 },
+  { name: 'Mishpatim', heName: 'משפטים', book: 'Exodus', from: 42, to: 94 },
+  { name: 'Terumah', heName: 'תרומה', book: 'Exodus', from: 95, to: 97 },
+  { name: 'Tetzaveh', heName: 'תצוה', book: 'Exodus', from: 98, to: 104 },
+  { name: 'Ki Tisa', heName: 'כי תשא', book: 'Exodus', from: 105, to: 113 },
+  { name: 'Vayakhel', heName: 'ויקהל', book: 'Exodus', from: 114, to: 114 },
+  { name: 'Vayikra', heName: 'ויקרא', book: 'Leviticus', from: 115, to: 130 },
+  { name: 'Tzav', heName: 'צו', book: 'Leviticus', from: 131, to: 148 },
+  { name: 'Shmini', heName: 'שמיני', book: 'Leviticus', from: 149, to: 165 },
+  { name: 'Tazria', heName: 'תזריע', book: 'Leviticus', from: 166, to: 172 },
+  { name: 'Metzora', heName: 'מצורע', book: 'Leviticus', from: 173, to: 183 },
+  { name: 'Achrei Mot', heName: 'אחרי מות', book: 'Leviticus', from: 184, to: 211 },
+  { name: 'Kedoshim', heName: 'קדושים', book: 'Leviticus', from: 212, to: 262 },
+  { name: 'Emor', heName: 'אמור', book: 'Leviticus', from: 263, to: 325 },
+  { name: 'Behar', heName: 'בהר', book: 'Leviticus', from: 326, to: 349 },
+  { name: 'Bechukotai', heName: 'בחוקותי', book: 'Leviticus', from: 350, to: 361 },
+  { name: 'Nasso', heName: 'נשא', book: 'Numbers', from: 362, to: 379 },
+  { name: 'Beha\'alotcha', heName: 'בהעלותך', book: 'Numbers', from: 380, to: 384 },
+  { name: 'Sh\'lach', heName: 'שלח', book: 'Numbers', from: 385, to: 387 },
+  { name: 'Korach', heName: 'קרח', book: 'Numbers', from: 388, to: 396 },
+  { name: 'Chukat', heName: 'חקת', book: 'Numbers', from: 397, to: 399 },
+  { name: 'Pinchas', heName: 'פינחס', book: 'Numbers', from: 400, to: 405 },
+  { name: 'Matot', heName: 'מטות', book: 'Numbers', from: 406, to: 407 },
+  { name: 'Masei', heName: 'מסעי', book: 'Numbers', from: 408, to: 413 },
+  { name: 'Devarim', heName: 'דברים', book: 'Deuteronomy', from: 414, to: 415 },
+  { name: 'Vaetchanan', heName: 'ואתחנן', book: 'Deuteronomy', from: 416, to: 427 },
+  { name: 'Eikev', heName: 'עקב', book: 'Deuteronomy', from: 428, to: 435 },
+  { name: 'Re\'eh', heName: 'ראה', book: 'Deuteronomy', from: 436, to: 490 },
+  { name: 'Shoftim', heName: 'שופטים', book: 'Deuteronomy', from: 491, to: 531 },
+  { name: 'Ki Teitzei', heName: 'כי תצא', book: 'Deuteronomy', from: 532, to: 605 },
+  { name: 'Ki Tavo', heName: 'כי תבוא', book: 'Deuteronomy', from: 606, to: 611 },
+  { name: 'Vayeilech', heName: 'וילך', book: 'Deuteronomy', from: 612, to: 613 }
+];
+
+// Other common spellings of parasha names (compared after dropping case, spaces and punctuation)
+const PARASHA_ALIASES = {
+  bereishit: 'Bereshit',
+  lechlecha: 'Lech Lecha',
+  beshalah: 'Beshalach',
+  yisro: 'Yitro',
+  tetzave: 'Tetzaveh',
+  kitisa: 'Ki Tisa',
+  kisisa: 'Ki Tisa',
+  shemini: 'Shmini',
+  acharei: 'Achrei Mot',
+  achareimot: 'Achrei Mot',
+  acharemot: 'Achrei Mot',
+  bechukosai: 'Bechukotai',
+  bechukotay: 'Bechukotai',
+  naso: 'Nasso',
+  behaalotecha: 'Beha\'alotcha',
+  behaalotcha: 'Beha\'alotcha',
+  shelach: 'Sh\'lach',
+  shlachlecha: 'Sh\'lach',
+  chukkat: 'Chukat',
+  pinchas: 'Pinchas',
+  pinehas: 'Pinchas',
+  vaeschanan: 'Vaetchanan',
+  ekev: 'Eikev',
+  reeh: 'Re\'eh',
+  shofetim: 'Shoftim',
+  kiteitze: 'Ki Teitzei',
+  kitetze: 'Ki Teitzei',
+  kiseitzei: 'Ki Teitzei',
+  kisavo: 'Ki Tavo',
+  vayelech: 'Vayeilech'
+};
+
+const APPLICABILITY = {
+  E: { presentDay: true, landOfIsraelOnly: false, templeEra: false, requiresSanhedrin: false },
+  I: { presentDay: true, landOfIsraelOnly: true, templeEra: false, requiresSanhedrin: false },
+  T: { presentDay: false, landOfIsraelOnly: false, templeEra: true, requiresSanhedrin: false },
+  TI: { presentDay: false, landOfIsraelOnly: true, templeEra: true, requiresSanhedrin: false },
+  S: { presentDay: false, landOfIsraelOnly: false, templeEra: false, requiresSanhedrin: true }
+};
+
+const OBLIGATED = ['all', 'men', 'women', 'kohanim', 'kohen-gadol', 'levites', 'nazir', 'king', 'court', 'community'];
+
+const ROWS = [
+  [1, 'A', 'Genesis 1:28', 'E', 'men', 'Be fruitful and multiply'],
+  [2, 'A', 'Genesis 17:10', 'E', 'men', 'Circumcision'],
+  [3, 'L', 'Genesis 32:33', 'E', 'all', 'Not to eat the sciatic nerve'],
+  [4, 'A', 'Exodus 12:2', 'S', 'court', 'Sanctify the new month'],
+  [5, 'A', 'Exodus 12:6', 'T', 'all', 'Slaughter the Pesach offering'],
+  [6, 'A', 'Exodus 12:8', 'T', 'all', 'Eat the Pesach offering on the night of the fifteenth'],
+  [7, 'L', 'Exodus 12:9', 'T', 'all', 'Not to eat the Pesach offering raw or boiled'],
+  [8, 'L', 'Exodus 12:10', 'T', 'all', 'Not to leave over meat of the Pesach offering'],
+  [9, 'A', 'Exodus 12:15', 'E', 'all', 'Remove leaven before Pesach'],
+  [10, 'A', 'Exodus 12:18', 'E', 'all', 'Eat matzah on the night of Pesach'],
+  [11, 'L', 'Exodus 12:19', 'E', 'all', 'No leaven may be found in one\'s possession on Pesach'],
+  [12, 'L', 'Exodus 12:20', 'E', 'all', 'Not to eat a mixture containing leaven on Pesach'],
+  [13, 'L', 'Exodus 12:43', 'T', 'all', 'An apostate may not eat the Pesach offering'],
+  [14, 'L', 'Exodus 12:45', 'T', 'all', 'A resident alien or hired worker may not eat the Pesach offering'],
+  [15, 'L', 'Exodus 12:46', 'T', 'all', 'Not to take Pesach meat out of the group'],
+  [16, 'L', 'Exodus 12:46', 'T', 'all', 'Not to break a bone of the Pesach offering'],
+  [17, 'L', 'Exodus 12:48', 'T', 'men', 'An uncircumcised man may not eat the Pesach offering'],
+  [18, 'A', 'Exodus 13:2', 'E', 'all', 'Sanctify the firstborn'],
+  [19, 'L', 'Exodus 13:3', 'E', 'all', 'Not to eat leaven on Pesach'],
+  [20, 'L', 'Exodus 13:7', 'E', 'all', 'No leaven may be seen in one\'s possession on Pesach'],
+  [21, 'A', 'Exodus 13:8', 'E', 'men', 'Tell of the Exodus on the night of Pesach'],
+  [22, 'A', 'Exodus 13:13', 'E', 'all', 'Redeem the firstborn donkey'],
+  [23, 'A', 'Exodus 13:13', 'E', 'all', 'Break the neck of an unredeemed firstborn donkey'],
+  [24, 'L', 'Exodus 16:29', 'E', 'all', 'Not to go beyond the Shabbat boundary'],
+  [25, 'A', 'Exodus 20:2', 'E', 'all', 'Believe in God'],
+  [26, 'L', 'Exodus 20:3', 'E', 'all', 'Not to believe in any other god'],
+  [27, 'L', 'Exodus 20:4', 'E', 'all', 'Not to make an idol'],
+  [28, 'L', 'Exodus 20:5', 'E', 'all', 'Not to bow down to an idol'],
+  [29, 'L', 'Exodus 20:5', 'E', 'all', 'Not to worship an idol in its customary manner'],
+  [30, 'L', 'Exodus 20:7', 'E', 'all', 'Not to swear in vain'],
+  [31, 'A', 'Exodus 20:8', 'E', 'all', 'Sanctify Shabbat with words (Kiddush)'],
+  [32, 'L', 'Exodus 20:10', 'E', 'all', 'Not to do work on Shabbat'],
+  [33, 'A', 'Exodus 20:12', 'E', 'all', 'Honor one\'s father and mother'],
+  [34, 'L', 'Exodus 20:13', 'E', 'all', 'Not to murder'],
+  [35, 'L', 'Exodus 20:13', 'E', 'all', 'Not to commit adultery'],
+  [36, 'L', 'Exodus 20:13', 'E', 'all', 'Not to kidnap'],
+  [37, 'L', 'Exodus 20:13', 'E', 'all', 'Not to bear false witness'],
+  [38, 'L', 'Exodus 20:14', 'E', 'all', 'Not to covet'],
+  [39, 'L', 'Exodus 20:20', 'E', 'all', 'Not to make human images, even for decoration'],
+  [40, 'L', 'Exodus 20:22', 'T', 'kohanim', 'Not to build the altar with hewn stones'],
+  [41, 'L', 'Exodus 20:23', 'T', 'kohanim', 'Not to ascend the altar by steps'],
+  [42, 'A', 'Exodus 21:2', 'TI', 'all', 'Laws of the Hebrew servant'],
+  [43, 'A', 'Exodus 21:8', 'TI', 'men', 'Designate the Hebrew maidservant as a wife'],
+  [44, 'A', 'Exodus 21:8', 'TI', 'all', 'Redeem the Hebrew maidservant'],
+  [45, 'L', 'Exodus 21:8', 'TI', 'all', 'Not to sell the Hebrew maidservant to another'],
+  [46, 'L', 'Exodus 21:10', 'E', 'men', 'Not to withhold food, clothing or conjugal rights from one\'s wife'],
+  [47, 'A', 'Exodus 21:12', 'S', 'court', 'Execution by strangulation'],
+  [48, 'L', 'Exodus 21:15', 'E', 'all', 'Not to strike one\'s father or mother'],
+  [49, 'A', 'Exodus 21:18', 'S', 'court', 'Laws of one who injures another'],
+  [50, 'A', 'Exodus 21:20', 'S', 'court', 'Execution by the sword'],
+  [51, 'A', 'Exodus 21:28', 'E', 'court', 'Laws of damage by an ox'],
+  [52, 'L', 'Exodus 21:28', 'E', 'all', 'Not to eat the meat of an ox condemned to stoning'],
+  [53, 'A', 'Exodus 21:33', 'E', 'court', 'Laws of damage by a pit'],
+  [54, 'A', 'Exodus 21:37', 'E', 'court', 'Laws of the thief'],
+  [55, 'A', 'Exodus 22:4', 'E', 'court', 'Laws of damage by grazing animals'],
+  [56, 'A', 'Exodus 22:5', 'E', 'court', 'Laws of damage by fire'],
+  [57, 'A', 'Exodus 22:6', 'E', 'court', 'Laws of the unpaid watchman'],
+  [58, 'A', 'Exodus 22:8', 'E', 'court', 'Laws of claims and admissions'],
+  [59, 'A', 'Exodus 22:9', 'E', 'court', 'Laws of the paid watchman and the renter'],
+  [60, 'A', 'Exodus 22:13', 'E', 'court', 'Laws of the borrower'],
+  [61, 'A', 'Exodus 22:15', 'E', 'court', 'Laws of the seducer'],
+  [62, 'L', 'Exodus 22:17', 'S', 'court', 'Not to allow a sorcerer to live'],
+  [63, 'L', 'Exodus 22:20', 'E', 'all', 'Not to wrong a convert with words'],
+  [64, 'L', 'Exodus 22:20', 'E', 'all', 'Not to wrong a convert in business'],
+  [65, 'L', 'Exodus 22:21', 'E', 'all', 'Not to afflict a widow or orphan'],
+  [66, 'A', 'Exodus 22:24', 'E', 'all', 'Lend money to the poor'],
+  [67, 'L', 'Exodus 22:24', 'E', 'all', 'Not to press a poor debtor one knows cannot pay'],
+  [68, 'L', 'Exodus 22:24', 'E', 'all', 'Not to take part in a loan with interest'],
+  [69, 'L', 'Exodus 22:27', 'E', 'all', 'Not to curse a judge'],
+  [70, 'L', 'Exodus 22:27', 'E', 'all', 'Not to curse the Name of God'],
+  [71, 'L', 'Exodus 22:27', 'E', 'all', 'Not to curse a leader of the people'],
+  [72, 'L', 'Exodus 22:28', 'I', 'all', 'Not to set aside tithes out of order'],
+  [73, 'L', 'Exodus 22:30', 'E', 'all', 'Not to eat the meat of a torn animal (treifah)'],
+  [74, 'L', 'Exodus 23:1', 'E', 'court', 'A judge may not hear one litigant without the other'],
+  [75, 'L', 'Exodus 23:1', 'E', 'court', 'Not to accept testimony from a wicked person'],
+  [76, 'L', 'Exodus 23:2', 'S', 'court', 'Not to convict in a capital case by a majority of one'],
+  [77, 'L', 'Exodus 23:2', 'S', 'court', 'A judge who argued for acquittal may not argue for conviction'],
+  [78, 'A', 'Exodus 23:2', 'E', 'court', 'Follow the majority'],
+  [79, 'L', 'Exodus 23:3', 'E', 'court', 'Not to favor the poor in judgment'],
+  [80, 'A', 'Exodus 23:5', 'E', 'all', 'Help unload an overburdened animal'],
+  [81, 'L', 'Exodus 23:6', 'E', 'court', 'Not to pervert the judgment of a sinner'],
+  [82, 'L', 'Exodus 23:7', 'S', 'court', 'Not to execute on circumstantial evidence'],
+  [83, 'L', 'Exodus 23:8', 'E', 'court', 'A judge may not accept a bribe'],
+  [84, 'A', 'Exodus 23:11', 'I', 'all', 'Declare produce of the Sabbatical year ownerless'],
+  [85, 'A', 'Exodus 23:12', 'E', 'all', 'Rest on Shabbat'],
+  [86, 'L', 'Exodus 23:13', 'E', 'all', 'Not to swear by an idol'],
+  [87, 'L', 'Exodus 23:13', 'E', 'all', 'Not to lead others to idolatry'],
+  [88, 'A', 'Exodus 23:14', 'T', 'men', 'Celebrate the three pilgrimage festivals'],
+  [89, 'L', 'Exodus 23:18', 'T', 'all', 'Not to slaughter the Pesach offering while owning leaven'],
+  [90, 'L', 'Exodus 23:18', 'T', 'kohanim', 'Not to leave the fats of the Pesach offering overnight'],
+  [91, 'A', 'Exodus 23:19', 'TI', 'all', 'Bring first fruits to the Temple'],
+  [92, 'L', 'Exodus 23:19', 'E', 'all', 'Not to cook meat with milk'],
+  [93, 'L', 'Exodus 23:32', 'E', 'all', 'Not to make a covenant with the seven nations'],
+  [94, 'L', 'Exodus 23:33', 'I', 'community', 'Not to let idolaters dwell in the Land'],
+  [95, 'A', 'Exodus 25:8', 'I', 'community', 'Build the Temple'],
+  [96, 'L', 'Exodus 25:15', 'T', 'levites', 'Not to remove the poles from the Ark'],
+  [97, 'A', 'Exodus 25:30', 'T', 'kohanim', 'Set out the showbread'],
+  [98, 'A', 'Exodus 27:21', 'T', 'kohanim', 'Light the Menorah'],
+  [99, 'A', 'Exodus 28:2', 'T', 'kohanim', 'Kohanim wear the priestly garments'],
+  [100, 'L', 'Exodus 28:28', 'T', 'kohanim', 'Not to loosen the breastplate from the ephod'],
+  [101, 'L', 'Exodus 28:32', 'T', 'kohanim', 'Not to tear the priestly robe'],
+  [102, 'A', 'Exodus 29:33', 'T', 'kohanim', 'Kohanim eat the meat of sin and guilt offerings'],
+  [103, 'L', 'Exodus 29:33', 'T', 'all', 'A non-kohen may not eat holy offerings'],
+  [104, 'A', 'Exodus 30:7', 'T', 'kohanim', 'Burn incense twice daily'],
+  [105, 'L', 'Exodus 30:9', 'T', 'kohanim', 'Not to offer anything but the incense on the golden altar'],
+  [106, 'A', 'Exodus 30:13', 'T', 'men', 'Give the half-shekel'],
+  [107, 'A', 'Exodus 30:19', 'T', 'kohanim', 'Kohanim wash hands and feet before service'],
+  [108, 'A', 'Exodus 30:25', 'T', 'community', 'Prepare the anointing oil'],
+  [109, 'L', 'Exodus 30:32', 'E', 'all', 'Not to anoint an outsider with the anointing oil'],
+  [110, 'L', 'Exodus 30:32', 'E', 'all', 'Not to make oil by the formula of the anointing oil'],
+  [111, 'L', 'Exodus 30:37', 'E', 'all', 'Not to make incense by the formula of the Temple incense'],
+  [112, 'A', 'Exodus 34:21', 'I', 'all', 'Let the land rest in the Sabbatical year'],
+  [113, 'L', 'Exodus 34:26', 'E', 'all', 'Not to eat meat cooked with milk'],
+  [114, 'L', 'Exodus 35:3', 'S', 'court', 'Not to carry out court punishments on Shabbat'],
+  [115, 'A', 'Leviticus 1:3', 'T', 'kohanim', 'Laws of the burnt offering'],
+  [116, 'A', 'Leviticus 2:1', 'T', 'kohanim', 'Laws of the meal offering'],
+  [117, 'L', 'Leviticus 2:11', 'T', 'kohanim', 'Not to offer leaven or honey on the altar'],
+  [118, 'L', 'Leviticus 2:13', 'T', 'kohanim', 'Not to offer a sacrifice without salt'],
+  [119, 'A', 'Leviticus 2:13', 'T', 'kohanim', 'Salt every offering'],
+  [120, 'A', 'Leviticus 4:13', 'T', 'court', 'Offering for an erroneous ruling of the high court'],
+  [121, 'A', 'Leviticus 4:27', 'T', 'all', 'Sin offering for an unintentional transgression'],
+  [122, 'A', 'Leviticus 5:1', 'E', 'all', 'Testify in court'],
+  [123, 'A', 'Leviticus 5:7', 'T', 'all', 'The sliding-scale offering'],
+  [124, 'L', 'Leviticus 5:8', 'T', 'kohanim', 'Not to sever the head of a bird sin offering'],
+  [125, 'L', 'Leviticus 5:11', 'T', 'kohanim', 'Not to put oil on the meal offering of a sinner'],
+  [126, 'L', 'Leviticus 5:11', 'T', 'kohanim', 'Not to put frankincense on the meal offering of a sinner'],
+  [127, 'A', 'Leviticus 5:16', 'T', 'all', 'Add a fifth for misuse of sacred property'],
+  [128, 'A', 'Leviticus 5:17', 'T', 'all', 'The provisional guilt offering'],
+  [129, 'A', 'Leviticus 5:25', 'T', 'all', 'The definite guilt offering'],
+  [130, 'A', 'Leviticus 5:23', 'E', 'all', 'Return stolen property'],
+  [131, 'A', 'Leviticus 6:3', 'T', 'kohanim', 'Remove the ashes from the altar'],
+  [132, 'A', 'Leviticus 6:6', 'T', 'kohanim', 'Keep the fire burning on the altar'],
+  [133, 'L', 'Leviticus 6:6', 'T', 'kohanim', 'Not to extinguish the altar fire'],
+  [134, 'A', 'Leviticus 6:9', 'T', 'kohanim', 'Kohanim eat the remainder of meal offerings'],
+  [135, 'L', 'Leviticus 6:10', 'T', 'kohanim', 'Not to bake the remainder of a meal offering leavened'],
+  [136, 'A', 'Leviticus 6:13', 'T', 'kohen-gadol', 'The High Priest\'s daily meal offering'],
+  [137, 'L', 'Leviticus 6:16', 'T', 'kohanim', 'Not to eat the meal offering of a kohen'],
+  [138, 'A', 'Leviticus 6:18', 'T', 'kohanim', 'Laws of the sin offering'],
+  [139, 'L', 'Leviticus 6:23', 'T', 'kohanim', 'Not to eat inner sin offerings'],
+  [140, 'A', 'Leviticus 7:1', 'T', 'kohanim', 'Laws of the guilt offering'],
+  [141, 'A', 'Leviticus 7:11', 'T', 'all', 'Laws of the peace offering'],
+  [142, 'L', 'Leviticus 7:15', 'T', 'all', 'Not to leave over meat of the thanksgiving offering'],
+  [143, 'A', 'Leviticus 7:17', 'T', 'kohanim', 'Burn leftover sacrificial meat'],
+  [144, 'L', 'Leviticus 7:18', 'T', 'all', 'Not to eat piggul'],
+  [145, 'L', 'Leviticus 7:19', 'T', 'all', 'Not to eat sacrificial meat that became impure'],
+  [146, 'A', 'Leviticus 7:19', 'T', 'kohanim', 'Burn sacrificial meat that became impure'],
+  [147, 'L', 'Leviticus 7:23', 'E', 'all', 'Not to eat forbidden fat'],
+  [148, 'L', 'Leviticus 7:26', 'E', 'all', 'Not to eat blood'],
+  [149, 'L', 'Leviticus 10:6', 'T', 'kohanim', 'A kohen may not enter the Temple with uncut hair'],
+  [150, 'L', 'Leviticus 10:6', 'T', 'kohanim', 'A kohen may not enter the Temple with torn garments'],
+  [151, 'L', 'Leviticus 10:7', 'T', 'kohanim', 'A kohen may not leave the Temple during the service'],
+  [152, 'L', 'Leviticus 10:9', 'T', 'kohanim', 'Not to enter the Temple intoxicated'],
+  [153, 'A', 'Leviticus 11:2', 'E', 'all', 'Check the signs of kosher animals'],
+  [154, 'L', 'Leviticus 11:4', 'E', 'all', 'Not to eat non-kosher animals'],
+  [155, 'A', 'Leviticus 11:9', 'E', 'all', 'Check the signs of kosher fish'],
+  [156, 'L', 'Leviticus 11:11', 'E', 'all', 'Not to eat non-kosher fish'],
+  [157, 'L', 'Leviticus 11:13', 'E', 'all', 'Not to eat non-kosher birds'],
+  [158, 'A', 'Leviticus 11:21', 'E', 'all', 'Check the signs of kosher locusts'],
+  [159, 'A', 'Leviticus 11:29', 'E', 'all', 'Laws of impurity of the eight creeping creatures'],
+  [160, 'A', 'Leviticus 11:34', 'E', 'all', 'Laws of impurity of food'],
+  [161, 'A', 'Leviticus 11:39', 'E', 'all', 'Laws of impurity of a carcass'],
+  [162, 'L', 'Leviticus 11:41', 'E', 'all', 'Not to eat creatures that creep on the land'],
+  [163, 'L', 'Leviticus 11:42', 'E', 'all', 'Not to eat worms found in produce'],
+  [164, 'L', 'Leviticus 11:43', 'E', 'all', 'Not to eat creatures that live in water'],
+  [165, 'L', 'Leviticus 11:44', 'E', 'all', 'Not to eat creatures that swarm on the ground'],
+  [166, 'A', 'Leviticus 12:2', 'E', 'women', 'Laws of impurity after childbirth'],
+  [167, 'L', 'Leviticus 12:4', 'T', 'all', 'An impure person may not eat sacred food'],
+  [168, 'A', 'Leviticus 12:6', 'T', 'women', 'Offering after childbirth'],
+  [169, 'A', 'Leviticus 13:2', 'E', 'kohanim', 'Laws of tzaraat of a person'],
+  [170, 'L', 'Leviticus 13:33', 'E', 'all', 'Not to shave a scall'],
+  [171, 'A', 'Leviticus 13:45', 'E', 'all', 'The metzora must make his impurity known'],
+  [172, 'A', 'Leviticus 13:47', 'E', 'kohanim', 'Laws of tzaraat of garments'],
+  [173, 'A', 'Leviticus 14:2', 'E', 'kohanim', 'Purification of the metzora'],
+  [174, 'A', 'Leviticus 14:9', 'E', 'all', 'The metzora shaves when purified'],
+  [175, 'A', 'Leviticus 14:9', 'E', 'all', 'Immerse in a mikveh to become pure'],
+  [176, 'A', 'Leviticus 14:10', 'T', 'all', 'Offerings of the purified metzora'],
+  [177, 'A', 'Leviticus 14:35', 'E', 'kohanim', 'Laws of tzaraat of a house'],
+  [178, 'A', 'Leviticus 15:2', 'E', 'men', 'Laws of impurity of a zav'],
+  [179, 'A', 'Leviticus 15:14', 'T', 'men', 'Offering of a zav'],
+  [180, 'A', 'Leviticus 15:16', 'E', 'men', 'Laws of impurity of semen'],
+  [181, 'A', 'Leviticus 15:19', 'E', 'women', 'Laws of impurity of a niddah'],
+  [182, 'A', 'Leviticus 15:25', 'E', 'women', 'Laws of impurity of a zavah'],
+  [183, 'A', 'Leviticus 15:29', 'T', 'women', 'Offering of a zavah'],
+  [184, 'L', 'Leviticus 16:2', 'T', 'kohanim', 'Not to enter the Holy of Holies at any time'],
+  [185, 'A', 'Leviticus 16:3', 'T', 'kohen-gadol', 'The Yom Kippur service'],
+  [186, 'L', 'Leviticus 17:4', 'E', 'all', 'Not to slaughter offerings outside the Temple courtyard'],
+  [187, 'A', 'Leviticus 17:13', 'E', 'all', 'Cover the blood of slaughtered fowl and wild animals'],
+  [188, 'L', 'Leviticus 18:6', 'E', 'all', 'Not to approach a forbidden relative intimately'],
+  [189, 'L', 'Leviticus 18:7', 'E', 'all', 'Relations with one\'s father'],
+  [190, 'L', 'Leviticus 18:7', 'E', 'all', 'Relations with one\'s mother'],
+  [191, 'L', 'Leviticus 18:8', 'E', 'all', 'Relations with one\'s father\'s wife'],
+  [192, 'L', 'Leviticus 18:9', 'E', 'all', 'Relations with one\'s sister'],
+  [193, 'L', 'Leviticus 18:10', 'E', 'all', 'Relations with one\'s son\'s daughter'],
+  [194, 'L', 'Leviticus 18:10', 'E', 'all', 'Relations with one\'s daughter\'s daughter'],
+  [195, 'L', 'Leviticus 18:10', 'E', 'all', 'Relations with one\'s daughter'],
+  [196, 'L', 'Leviticus 18:11', 'E', 'all', 'Relations with one\'s father\'s wife\'s daughter'],
+  [197, 'L', 'Leviticus 18:12', 'E', 'all', 'Relations with one\'s father\'s sister'],
+  [198, 'L', 'Leviticus 18:13', 'E', 'all', 'Relations with one\'s mother\'s sister'],
+  [199, 'L', 'Leviticus 18:14', 'E', 'all', 'Relations with one\'s father\'s brother'],
+  [200, 'L', 'Leviticus 18:14', 'E', 'all', 'Relations with one\'s father\'s brother\'s wife'],
+  [201, 'L', 'Leviticus 18:15', 'E', 'all', 'Relations with one\'s daughter-in-law'],
+  [202, 'L', 'Leviticus 18:16', 'E', 'all', 'Relations with one\'s brother\'s wife'],
+  [203, 'L', 'Leviticus 18:17', 'E', 'all', 'Relations with a woman and her daughter'],
+  [204, 'L', 'Leviticus 18:17', 'E', 'all', 'Relations with a woman and her son\'s daughter'],
+  [205, 'L', 'Leviticus 18:17', 'E', 'all', 'Relations with a woman and her daughter\'s daughter'],
+  [206, 'L', 'Leviticus 18:18', 'E', 'all', 'Relations with one\'s wife\'s sister'],
+  [207, 'L', 'Leviticus 18:19', 'E', 'all', 'Relations with a niddah'],
+  [208, 'L', 'Leviticus 18:21', 'E', 'all', 'Not to give one\'s children to Molech'],
+  [209, 'L', 'Leviticus 18:22', 'E', 'men', 'Relations between men'],
+  [210, 'L', 'Leviticus 18:23', 'E', 'men', 'A man may not have relations with an animal'],
+  [211, 'L', 'Leviticus 18:23', 'E', 'women', 'A woman may not have relations with an animal'],
+  [212, 'A', 'Leviticus 19:3', 'E', 'all', 'Revere one\'s father and mother'],
+  [213, 'L', 'Leviticus 19:4', 'E', 'all', 'Not to turn toward idolatry'],
+  [214, 'L', 'Leviticus 19:4', 'E', 'all', 'Not to make an idol for others'],
+  [215, 'L', 'Leviticus 19:8', 'T', 'all', 'Not to eat leftover sacrificial meat (notar)'],
+  [216, 'A', 'Leviticus 19:9', 'I', 'all', 'Leave the corner of the field (pe\'ah)'],
+  [217, 'L', 'Leviticus 19:9', 'I', 'all', 'Not to reap the corner of the field'],
+  [218, 'A', 'Leviticus 19:9', 'I', 'all', 'Leave the gleanings (leket)'],
+  [219, 'L', 'Leviticus 19:9', 'I', 'all', 'Not to gather the gleanings'],
+  [220, 'A', 'Leviticus 19:10', 'I', 'all', 'Leave the undeveloped clusters of the vineyard'],
+  [221, 'L', 'Leviticus 19:10', 'I', 'all', 'Not to gather the undeveloped clusters'],
+  [222, 'A', 'Leviticus 19:10', 'I', 'all', 'Leave the fallen grapes'],
+  [223, 'L', 'Leviticus 19:10', 'I', 'all', 'Not to gather the fallen grapes'],
+  [224, 'L', 'Leviticus 19:11', 'E', 'all', 'Not to steal money'],
+  [225, 'L', 'Leviticus 19:11', 'E', 'all', 'Not to deny holding another\'s property'],
+  [226, 'L', 'Leviticus 19:11', 'E', 'all', 'Not to swear falsely to deny a claim'],
+  [227, 'L', 'Leviticus 19:12', 'E', 'all', 'Not to swear falsely'],
+  [228, 'L', 'Leviticus 19:13', 'E', 'all', 'Not to withhold what is owed'],
+  [229, 'L', 'Leviticus 19:13', 'E', 'all', 'Not to rob'],
+  [230, 'L', 'Leviticus 19:13', 'E', 'all', 'Not to delay a worker\'s wages'],
+  [231, 'L', 'Leviticus 19:14', 'E', 'all', 'Not to curse any Jew'],
+  [232, 'L', 'Leviticus 19:14', 'E', 'all', 'Not to place a stumbling block before the blind'],
+  [233, 'L', 'Leviticus 19:15', 'E', 'court', 'Not to pervert justice'],
+  [234, 'L', 'Leviticus 19:15', 'E', 'court', 'Not to show deference to the great in judgment'],
+  [235, 'A', 'Leviticus 19:15', 'E', 'court', 'Judge righteously'],
+  [236, 'L', 'Leviticus 19:16', 'E', 'all', 'Not to gossip'],
+  [237, 'L', 'Leviticus 19:16', 'E', 'all', 'Not to stand by while another\'s life is in danger'],
+  [238, 'L', 'Leviticus 19:17', 'E', 'all', 'Not to hate a fellow Jew in one\'s heart'],
+  [239, 'A', 'Leviticus 19:17', 'E', 'all', 'Rebuke a wrongdoer'],
+  [240, 'L', 'Leviticus 19:17', 'E', 'all', 'Not to embarrass others'],
+  [241, 'L', 'Leviticus 19:18', 'E', 'all', 'Not to take revenge'],
+  [242, 'L', 'Leviticus 19:18', 'E', 'all', 'Not to bear a grudge'],
+  [243, 'A', 'Leviticus 19:18', 'E', 'all', 'Love your fellow as yourself'],
+  [244, 'L', 'Leviticus 19:19', 'E', 'all', 'Not to crossbreed animals'],
+  [245, 'L', 'Leviticus 19:19', 'I', 'all', 'Not to sow mixed seeds'],
+  [246, 'L', 'Leviticus 19:23', 'E', 'all', 'Not to eat the fruit of a tree in its first three years (orlah)'],
+  [247, 'A', 'Leviticus 19:24', 'I', 'all', 'Fruit of the fourth year is holy'],
+  [248, 'L', 'Leviticus 19:26', 'E', 'all', 'Not to eat in a gluttonous manner'],
+  [249, 'L', 'Leviticus 19:26', 'E', 'all', 'Not to practice divination by omens'],
+  [250, 'L', 'Leviticus 19:26', 'E', 'all', 'Not to practice soothsaying'],
+  [251, 'L', 'Leviticus 19:27', 'E', 'men', 'Not to round the corners of the head'],
+  [252, 'L', 'Leviticus 19:27', 'E', 'men', 'Not to destroy the corners of the beard'],
+  [253, 'L', 'Leviticus 19:28', 'E', 'all', 'Not to tattoo'],
+  [254, 'A', 'Leviticus 19:30', 'E', 'all', 'Revere the Temple'],
+  [255, 'L', 'Leviticus 19:31', 'E', 'all', 'Not to practice necromancy (ov)'],
+  [256, 'L', 'Leviticus 19:31', 'E', 'all', 'Not to practice the yidoni rite'],
+  [257, 'A', 'Leviticus 19:32', 'E', 'all', 'Honor Torah scholars and the elderly'],
+  [258, 'L', 'Leviticus 19:35', 'E', 'all', 'Not to cheat with measures'],
+  [259, 'A', 'Leviticus 19:36', 'E', 'all', 'Keep accurate scales and weights'],
+  [260, 'L', 'Leviticus 20:9', 'E', 'all', 'Not to curse one\'s father or mother'],
+  [261, 'A', 'Leviticus 20:14', 'S', 'court', 'Execution by burning'],
+  [262, 'L', 'Leviticus 20:23', 'E', 'all', 'Not to follow the customs of the nations'],
+  [263, 'L', 'Leviticus 21:1', 'E', 'kohanim', 'A kohen may not become impure from the dead'],
+  [264, 'A', 'Leviticus 21:3', 'E', 'kohanim', 'A kohen becomes impure for close relatives'],
+  [265, 'L', 'Leviticus 21:6', 'T', 'kohanim', 'A kohen who immersed may not serve before sunset'],
+  [266, 'L', 'Leviticus 21:7', 'E', 'kohanim', 'A kohen may not marry a zonah'],
+  [267, 'L', 'Leviticus 21:7', 'E', 'kohanim', 'A kohen may not marry a chalalah'],
+  [268, 'L', 'Leviticus 21:7', 'E', 'kohanim', 'A kohen may not marry a divorcee'],
+  [269, 'A', 'Leviticus 21:8', 'E', 'all', 'Honor the kohanim'],
+  [270, 'L', 'Leviticus 21:11', 'E', 'kohen-gadol', 'The High Priest may not enter a tent with a corpse'],
+  [271, 'L', 'Leviticus 21:11', 'E', 'kohen-gadol', 'The High Priest may not become impure for relatives'],
+  [272, 'A', 'Leviticus 21:13', 'E', 'kohen-gadol', 'The High Priest marries a virgin'],
+  [273, 'L', 'Leviticus 21:14', 'E', 'kohen-gadol', 'The High Priest may not marry a widow'],
+  [274, 'L', 'Leviticus 21:15', 'E', 'kohen-gadol', 'The High Priest may not live with a widow'],
+  [275, 'L', 'Leviticus 21:17', 'T', 'kohanim', 'A kohen with a permanent blemish may not serve'],
+  [276, 'L', 'Leviticus 21:21', 'T', 'kohanim', 'A kohen with a temporary blemish may not serve'],
+  [277, 'L', 'Leviticus 21:23', 'T', 'kohanim', 'A blemished kohen may not enter the Sanctuary'],
+  [278, 'L', 'Leviticus 22:2', 'T', 'kohanim', 'An impure kohen may not serve'],
+  [279, 'L', 'Leviticus 22:4', 'E', 'kohanim', 'An impure kohen may not eat terumah'],
+  [280, 'L', 'Leviticus 22:10', 'E', 'all', 'A non-kohen may not eat terumah'],
+  [281, 'L', 'Leviticus 22:10', 'E', 'all', 'A kohen\'s resident or hired worker may not eat terumah'],
+  [282, 'L', 'Leviticus 22:10', 'E', 'kohanim', 'An uncircumcised kohen may not eat terumah'],
+  [283, 'L', 'Leviticus 22:12', 'T', 'women', 'A kohen\'s daughter married to a non-kohen may not eat sacred food'],
+  [284, 'L', 'Leviticus 22:15', 'I', 'all', 'Not to eat untithed produce (tevel)'],
+  [285, 'L', 'Leviticus 22:20', 'E', 'all', 'Not to consecrate a blemished animal for the altar'],
+  [286, 'A', 'Leviticus 22:21', 'T', 'all', 'Offerings must be unblemished'],
+  [287, 'L', 'Leviticus 22:21', 'E', 'all', 'Not to blemish a consecrated animal'],
+  [288, 'L', 'Leviticus 22:22', 'T', 'kohanim', 'Not to sprinkle the blood of a blemished animal'],
+  [289, 'L', 'Leviticus 22:22', 'T', 'all', 'Not to slaughter a blemished animal as an offering'],
+  [290, 'L', 'Leviticus 22:22', 'T', 'kohanim', 'Not to burn the fats of a blemished animal'],
+  [291, 'L', 'Leviticus 22:24', 'E', 'all', 'Not to castrate'],
+  [292, 'L', 'Leviticus 22:25', 'T', 'kohanim', 'Not to offer a blemished animal from a non-Jew'],
+  [293, 'A', 'Leviticus 22:27', 'T', 'all', 'Offer only animals at least eight days old'],
+  [294, 'L', 'Leviticus 22:28', 'E', 'all', 'Not to slaughter an animal and its young on the same day'],
+  [295, 'L', 'Leviticus 22:32', 'E', 'all', 'Not to desecrate the Name of God'],
+  [296, 'A', 'Leviticus 22:32', 'E', 'all', 'Sanctify the Name of God'],
+  [297, 'A', 'Leviticus 23:7', 'E', 'all', 'Rest on the first day of Pesach'],
+  [298, 'L', 'Leviticus 23:7', 'E', 'all', 'Not to work on the first day of Pesach'],
+  [299, 'A', 'Leviticus 23:8', 'T', 'kohanim', 'The additional offering of Pesach'],
+  [300, 'A', 'Leviticus 23:8', 'E', 'all', 'Rest on the seventh day of Pesach'],
+  [301, 'L', 'Leviticus 23:8', 'E', 'all', 'Not to work on the seventh day of Pesach'],
+  [302, 'A', 'Leviticus 23:10', 'T', 'kohanim', 'The omer offering'],
+  [303, 'L', 'Leviticus 23:14', 'E', 'all', 'Not to eat bread of new grain before the omer'],
+  [304, 'L', 'Leviticus 23:14', 'E', 'all', 'Not to eat roasted new grain before the omer'],
+  [305, 'L', 'Leviticus 23:14', 'E', 'all', 'Not to eat fresh new grain before the omer'],
+  [306, 'A', 'Leviticus 23:15', 'E', 'men', 'Count the omer'],
+  [307, 'A', 'Leviticus 23:17', 'T', 'kohanim', 'The two loaves of Shavuot'],
+  [308, 'A', 'Leviticus 23:21', 'E', 'all', 'Rest on Shavuot'],
+  [309, 'L', 'Leviticus 23:21', 'E', 'all', 'Not to work on Shavuot'],
+  [310, 'A', 'Leviticus 23:24', 'E', 'all', 'Rest on Rosh Hashanah'],
+  [311, 'L', 'Leviticus 23:25', 'E', 'all', 'Not to work on Rosh Hashanah'],
+  [312, 'A', 'Leviticus 23:25', 'T', 'kohanim', 'The additional offering of Rosh Hashanah'],
+  [313, 'A', 'Leviticus 23:27', 'E', 'all', 'Fast on Yom Kippur'],
+  [314, 'A', 'Leviticus 23:27', 'T', 'kohanim', 'The additional offering of Yom Kippur'],
+  [315, 'L', 'Leviticus 23:28', 'E', 'all', 'Not to work on Yom Kippur'],
+  [316, 'L', 'Leviticus 23:29', 'E', 'all', 'Not to eat or drink on Yom Kippur'],
+  [317, 'A', 'Leviticus 23:32', 'E', 'all', 'Rest on Yom Kippur'],
+  [318, 'A', 'Leviticus 23:35', 'E', 'all', 'Rest on the first day of Sukkot'],
+  [319, 'L', 'Leviticus 23:35', 'E', 'all', 'Not to work on the first day of Sukkot'],
+  [320, 'A', 'Leviticus 23:36', 'T', 'kohanim', 'The additional offerings of Sukkot'],
+  [321, 'A', 'Leviticus 23:36', 'E', 'all', 'Rest on Shemini Atzeret'],
+  [322, 'A', 'Leviticus 23:36', 'T', 'kohanim', 'The additional offering of Shemini Atzeret'],
+  [323, 'L', 'Leviticus 23:36', 'E', 'all', 'Not to work on Shemini Atzeret'],
+  [324, 'A', 'Leviticus 23:40', 'E', 'men', 'Take the four species'],
+  [325, 'A', 'Leviticus 23:42', 'E', 'men', 'Dwell in a sukkah'],
+  [326, 'L', 'Leviticus 25:4', 'I', 'all', 'Not to work the land in the Sabbatical year'],
+  [327, 'L', 'Leviticus 25:4', 'I', 'all', 'Not to prune trees in the Sabbatical year'],
+  [328, 'L', 'Leviticus 25:5', 'I', 'all', 'Not to harvest aftergrowth in the Sabbatical year'],
+  [329, 'L', 'Leviticus 25:5', 'I', 'all', 'Not to gather fruit in the Sabbatical year as usual'],
+  [330, 'A', 'Leviticus 25:8', 'S', 'court', 'Count the years to the Jubilee'],
+  [331, 'A', 'Leviticus 25:9', 'TI', 'court', 'Sound the shofar on Yom Kippur of the Jubilee'],
+  [332, 'A', 'Leviticus 25:10', 'TI', 'court', 'Sanctify the Jubilee year'],
+  [333, 'L', 'Leviticus 25:11', 'TI', 'all', 'Not to work the land in the Jubilee year'],
+  [334, 'L', 'Leviticus 25:11', 'TI', 'all', 'Not to harvest aftergrowth in the Jubilee year'],
+  [335, 'L', 'Leviticus 25:11', 'TI', 'all', 'Not to gather fruit in the Jubilee year as usual'],
+  [336, 'A', 'Leviticus 25:14', 'E', 'all', 'Buy and sell according to Torah law'],
+  [337, 'L', 'Leviticus 25:14', 'E', 'all', 'Not to overcharge or underpay'],
+  [338, 'L', 'Leviticus 25:17', 'E', 'all', 'Not to wrong another with words'],
+  [339, 'L', 'Leviticus 25:23', 'TI', 'all', 'Not to sell land in Israel permanently'],
+  [340, 'A', 'Leviticus 25:24', 'TI', 'all', 'Return land to its owner in the Jubilee'],
+  [341, 'A', 'Leviticus 25:29', 'TI', 'all', 'Redemption of houses in walled cities'],
+  [342, 'L', 'Leviticus 25:34', 'TI', 'all', 'Not to change the open land around Levite cities'],
+  [343, 'L', 'Leviticus 25:37', 'E', 'all', 'Not to lend with interest'],
+  [344, 'L', 'Leviticus 25:39', 'TI', 'all', 'Not to give a Hebrew servant degrading work'],
+  [345, 'L', 'Leviticus 25:42', 'TI', 'all', 'Not to sell a Hebrew servant at a slave auction'],
+  [346, 'L', 'Leviticus 25:43', 'TI', 'all', 'Not to work a Hebrew servant harshly'],
+  [347, 'A', 'Leviticus 25:46', 'E', 'all', 'Laws of the Canaanite servant'],
+  [348, 'L', 'Leviticus 25:53', 'TI', 'all', 'Not to let a non-Jew work a Hebrew servant harshly'],
+  [349, 'L', 'Leviticus 26:1', 'E', 'all', 'Not to bow down on a figured stone'],
+  [350, 'A', 'Leviticus 27:2', 'T', 'all', 'Valuation of persons'],
+  [351, 'L', 'Leviticus 27:10', 'E', 'all', 'Not to substitute one offering for another'],
+  [352, 'A', 'Leviticus 27:10', 'T', 'all', 'The substitute of an offering is holy'],
+  [353, 'A', 'Leviticus 27:12', 'T', 'all', 'Valuation of animals'],
+  [354, 'A', 'Leviticus 27:14', 'T', 'all', 'Valuation of houses'],
+  [355, 'A', 'Leviticus 27:16', 'TI', 'all', 'Valuation of fields'],
+  [356, 'L', 'Leviticus 27:26', 'E', 'all', 'Not to transfer an offering to another category'],
+  [357, 'A', 'Leviticus 27:28', 'E', 'all', 'Laws of devoted property (cherem)'],
+  [358, 'L', 'Leviticus 27:28', 'E', 'all', 'Not to sell devoted property'],
+  [359, 'L', 'Leviticus 27:28', 'E', 'all', 'Not to redeem devoted property'],
+  [360, 'A', 'Leviticus 27:32', 'T', 'all', 'Tithe of animals'],
+  [361, 'L', 'Leviticus 27:33', 'E', 'all', 'Not to redeem the animal tithe'],
+  [362, 'A', 'Numbers 5:2', 'T', 'community', 'Send the impure out of the camp'],
+  [363, 'L', 'Numbers 5:3', 'E', 'all', 'An impure person may not enter the Temple'],
+  [364, 'A', 'Numbers 5:7', 'E', 'all', 'Confess one\'s sins'],
+  [365, 'A', 'Numbers 5:12', 'T', 'kohanim', 'Laws of the sotah'],
+  [366, 'L', 'Numbers 5:15', 'T', 'kohanim', 'Not to put oil on the sotah\'s offering'],
+  [367, 'L', 'Numbers 5:15', 'T', 'kohanim', 'Not to put frankincense on the sotah\'s offering'],
+  [368, 'L', 'Numbers 6:3', 'E', 'nazir', 'A nazir may not drink wine'],
+  [369, 'L', 'Numbers 6:3', 'E', 'nazir', 'A nazir may not eat fresh grapes'],
+  [370, 'L', 'Numbers 6:3', 'E', 'nazir', 'A nazir may not eat raisins'],
+  [371, 'L', 'Numbers 6:4', 'E', 'nazir', 'A nazir may not eat grape seeds'],
+  [372, 'L', 'Numbers 6:4', 'E', 'nazir', 'A nazir may not eat grape skins'],
+  [373, 'L', 'Numbers 6:5', 'E', 'nazir', 'A nazir may not cut his hair'],
+  [374, 'A', 'Numbers 6:5', 'E', 'nazir', 'A nazir lets his hair grow'],
+  [375, 'L', 'Numbers 6:6', 'E', 'nazir', 'A nazir may not enter a tent with a corpse'],
+  [376, 'L', 'Numbers 6:7', 'E', 'nazir', 'A nazir may not become impure for the dead'],
+  [377, 'A', 'Numbers 6:18', 'T', 'nazir', 'A nazir shaves and brings offerings when the term ends'],
+  [378, 'A', 'Numbers 6:23', 'E', 'kohanim', 'The priestly blessing'],
+  [379, 'A', 'Numbers 7:9', 'T', 'levites', 'Carry the Ark on the shoulders'],
+  [380, 'A', 'Numbers 9:11', 'T', 'all', 'Slaughter the second Pesach offering'],
+  [381, 'A', 'Numbers 9:11', 'T', 'all', 'Eat the second Pesach offering with matzah and bitter herbs'],
+  [382, 'L', 'Numbers 9:12', 'T', 'all', 'Not to leave over meat of the second Pesach offering'],
+  [383, 'L', 'Numbers 9:12', 'T', 'all', 'Not to break a bone of the second Pesach offering'],
+  [384, 'A', 'Numbers 10:9', 'E', 'community', 'Sound the trumpets in times of trouble'],
+  [385, 'A', 'Numbers 15:20', 'E', 'all', 'Separate challah'],
+  [386, 'A', 'Numbers 15:38', 'E', 'men', 'Tzitzit'],
+  [387, 'L', 'Numbers 15:39', 'E', 'all', 'Not to stray after one\'s heart and eyes'],
+  [388, 'A', 'Numbers 18:4', 'T', 'levites', 'Guard the Temple'],
+  [389, 'L', 'Numbers 18:5', 'T', 'levites', 'Not to neglect guarding the Temple'],
+  [390, 'L', 'Numbers 18:3', 'T', 'levites', 'Kohanim and Levites may not do each other\'s service'],
+  [391, 'L', 'Numbers 18:4', 'T', 'all', 'A non-kohen may not serve in the Temple'],
+  [392, 'A', 'Numbers 18:15', 'E', 'men', 'Redeem the firstborn son'],
+  [393, 'L', 'Numbers 18:17', 'E', 'all', 'Not to redeem a firstborn kosher animal'],
+  [394, 'A', 'Numbers 18:23', 'T', 'levites', 'The Levites serve in the Temple'],
+  [395, 'A', 'Numbers 18:24', 'I', 'all', 'Give the first tithe to the Levites'],
+  [396, 'A', 'Numbers 18:26', 'I', 'levites', 'The Levites separate a tithe of the tithe'],
+  [397, 'A', 'Numbers 19:2', 'T', 'kohanim', 'The red heifer'],
+  [398, 'A', 'Numbers 19:14', 'E', 'all', 'Laws of impurity from the dead'],
+  [399, 'A', 'Numbers 19:21', 'T', 'all', 'Laws of the water of sprinkling'],
+  [400, 'A', 'Numbers 27:8', 'E', 'court', 'Laws of inheritance'],
+  [401, 'A', 'Numbers 28:3', 'T', 'kohanim', 'The daily offering'],
+  [402, 'A', 'Numbers 28:9', 'T', 'kohanim', 'The additional offering of Shabbat'],
+  [403, 'A', 'Numbers 28:11', 'T', 'kohanim', 'The additional offering of Rosh Chodesh'],
+  [404, 'A', 'Numbers 28:26', 'T', 'kohanim', 'The additional offering of Shavuot'],
+  [405, 'A', 'Numbers 29:1', 'E', 'men', 'Hear the shofar on Rosh Hashanah'],
+  [406, 'A', 'Numbers 30:3', 'E', 'court', 'Laws of annulling vows'],
+  [407, 'L', 'Numbers 30:3', 'E', 'all', 'Not to break one\'s word'],
+  [408, 'A', 'Numbers 35:2', 'TI', 'community', 'Give cities to the Levites'],
+  [409, 'L', 'Numbers 35:12', 'E', 'all', 'Not to kill a murderer before trial'],
+  [410, 'A', 'Numbers 35:25', 'S', 'court', 'Exile an accidental killer to a city of refuge'],
+  [411, 'L', 'Numbers 35:30', 'S', 'court', 'A witness in a capital case may not act as judge'],
+  [412, 'L', 'Numbers 35:31', 'S', 'court', 'Not to accept ransom from a murderer'],
+  [413, 'L', 'Numbers 35:32', 'S', 'court', 'Not to accept ransom from an accidental killer'],
+  [414, 'L', 'Deuteronomy 1:17', 'E', 'community', 'Not to appoint a judge unlearned in Torah'],
+  [415, 'L', 'Deuteronomy 1:17', 'E', 'court', 'A judge may not fear a litigant'],
+  [416, 'L', 'Deuteronomy 5:18', 'E', 'all', 'Not to desire what belongs to another'],
+  [417, 'A', 'Deuteronomy 6:4', 'E', 'all', 'Know that God is One'],
+  [418, 'A', 'Deuteronomy 6:5', 'E', 'all', 'Love God'],
+  [419, 'A', 'Deuteronomy 6:7', 'E', 'men', 'Study and teach Torah'],
+  [420, 'A', 'Deuteronomy 6:7', 'E', 'men', 'Recite the Shema morning and evening'],
+  [421, 'A', 'Deuteronomy 6:8', 'E', 'men', 'Tefillin of the hand'],
+  [422, 'A', 'Deuteronomy 6:8', 'E', 'men', 'Tefillin of the head'],
+  [423, 'A', 'Deuteronomy 6:9', 'E', 'all', 'Mezuzah'],
+  [424, 'L', 'Deuteronomy 6:16', 'E', 'all', 'Not to test a true prophet excessively'],
+  [425, 'A', 'Deuteronomy 7:2', 'TI', 'community', 'Destroy the seven nations'],
+  [426, 'L', 'Deuteronomy 7:2', 'E', 'all', 'Not to show mercy to idolaters'],
+  [427, 'L', 'Deuteronomy 7:3', 'E', 'all', 'Not to intermarry'],
+  [428, 'L', 'Deuteronomy 7:25', 'E', 'all', 'Not to benefit from the ornaments of idols'],
+  [429, 'L', 'Deuteronomy 7:26', 'E', 'all', 'Not to take an idol or its ornaments into one\'s home'],
+  [430, 'A', 'Deuteronomy 8:10', 'E', 'all', 'Grace after meals'],
+  [431, 'A', 'Deuteronomy 10:19', 'E', 'all', 'Love the convert'],
+  [432, 'A', 'Deuteronomy 10:20', 'E', 'all', 'Fear God'],
+  [433, 'A', 'Deuteronomy 11:13', 'E', 'all', 'Pray to God'],
+  [434, 'A', 'Deuteronomy 10:20', 'E', 'all', 'Cleave to Torah scholars'],
+  [435, 'A', 'Deuteronomy 10:20', 'E', 'all', 'Swear only by the Name of God when required'],
+  [436, 'A', 'Deuteronomy 12:2', 'I', 'all', 'Destroy idolatry and its places'],
+  [437, 'L', 'Deuteronomy 12:4', 'E', 'all', 'Not to destroy holy places or erase holy names'],
+  [438, 'A', 'Deuteronomy 12:6', 'T', 'all', 'Bring vowed offerings on the next festival'],
+  [439, 'L', 'Deuteronomy 12:13', 'E', 'all', 'Not to offer sacrifices outside the Temple'],
+  [440, 'A', 'Deuteronomy 12:14', 'T', 'all', 'Offer all sacrifices only in the Temple'],
+  [441, 'A', 'Deuteronomy 12:15', 'T', 'all', 'Redeem blemished offerings'],
+  [442, 'L', 'Deuteronomy 12:17', 'TI', 'all', 'Not to eat second-tithe grain outside Jerusalem'],
+  [443, 'L', 'Deuteronomy 12:17', 'TI', 'all', 'Not to drink second-tithe wine outside Jerusalem'],
+  [444, 'L', 'Deuteronomy 12:17', 'TI', 'all', 'Not to use second-tithe oil outside Jerusalem'],
+  [445, 'L', 'Deuteronomy 12:17', 'T', 'kohanim', 'Not to eat an unblemished firstborn outside Jerusalem'],
+  [446, 'L', 'Deuteronomy 12:17', 'T', 'kohanim', 'Not to eat sin and guilt offerings outside the courtyard'],
+  [447, 'L', 'Deuteronomy 12:17', 'T', 'kohanim', 'Not to eat the meat of a burnt offering'],
+  [448, 'L', 'Deuteronomy 12:17', 'T', 'all', 'Not to eat lesser offerings before the blood is sprinkled'],
+  [449, 'L', 'Deuteronomy 12:17', 'T', 'kohanim', 'A kohen may not eat first fruits before they are set down'],
+  [450, 'L', 'Deuteronomy 12:19', 'E', 'all', 'Not to neglect the Levites'],
+  [451, 'A', 'Deuteronomy 12:21', 'E', 'all', 'Ritual slaughter'],
+  [452, 'L', 'Deuteronomy 12:23', 'E', 'all', 'Not to eat a limb from a living animal'],
+  [453, 'A', 'Deuteronomy 12:26', 'T', 'all', 'Bring offerings from outside the Land to the Temple'],
+  [454, 'L', 'Deuteronomy 13:1', 'E', 'all', 'Not to add to the commandments'],
+  [455, 'L', 'Deuteronomy 13:1', 'E', 'all', 'Not to subtract from the commandments'],
+  [456, 'L', 'Deuteronomy 13:4', 'E', 'all', 'Not to listen to a prophet of idolatry'],
+  [457, 'L', 'Deuteronomy 13:9', 'E', 'all', 'Not to love one who entices to idolatry'],
+  [458, 'L', 'Deuteronomy 13:9', 'E', 'all', 'Not to cease hating one who entices to idolatry'],
+  [459, 'L', 'Deuteronomy 13:9', 'E', 'all', 'Not to save one who entices to idolatry'],
+  [460, 'L', 'Deuteronomy 13:9', 'E', 'all', 'Not to plead for one who entices to idolatry'],
+  [461, 'L', 'Deuteronomy 13:9', 'E', 'all', 'Not to withhold evidence against one who entices to idolatry'],
+  [462, 'L', 'Deuteronomy 13:12', 'E', 'all', 'Not to entice others to idolatry'],
+  [463, 'A', 'Deuteronomy 13:15', 'E', 'court', 'Examine witnesses thoroughly'],
+  [464, 'A', 'Deuteronomy 13:17', 'S', 'court', 'Burn a city that turned to idolatry'],
+  [465, 'L', 'Deuteronomy 13:17', 'S', 'all', 'Not to rebuild a city that turned to idolatry'],
+  [466, 'L', 'Deuteronomy 13:18', 'S', 'all', 'Not to benefit from the property of such a city'],
+  [467, 'L', 'Deuteronomy 14:1', 'E', 'all', 'Not to cut oneself in mourning'],
+  [468, 'L', 'Deuteronomy 14:1', 'E', 'all', 'Not to tear out hair in mourning'],
+  [469, 'L', 'Deuteronomy 14:3', 'E', 'all', 'Not to eat disqualified offerings'],
+  [470, 'A', 'Deuteronomy 14:11', 'E', 'all', 'Check the signs of kosher birds'],
+  [471, 'L', 'Deuteronomy 14:19', 'E', 'all', 'Not to eat non-kosher flying insects'],
+  [472, 'L', 'Deuteronomy 14:21', 'E', 'all', 'Not to eat an animal that died by itself'],
+  [473, 'A', 'Deuteronomy 14:22', 'I', 'all', 'Separate the second tithe'],
+  [474, 'A', 'Deuteronomy 14:28', 'I', 'all', 'Separate the tithe for the poor'],
+  [475, 'L', 'Deuteronomy 15:2', 'E', 'all', 'Not to claim a debt after the Sabbatical year'],
+  [476, 'A', 'Deuteronomy 15:3', 'E', 'all', 'Collect debts from a non-Jew'],
+  [477, 'A', 'Deuteronomy 15:2', 'E', 'all', 'Cancel debts in the Sabbatical year'],
+  [478, 'L', 'Deuteronomy 15:7', 'E', 'all', 'Not to withhold charity from the poor'],
+  [479, 'A', 'Deuteronomy 15:8', 'E', 'all', 'Give charity'],
+  [480, 'L', 'Deuteronomy 15:9', 'E', 'all', 'Not to refuse a loan before the Sabbatical year'],
+  [481, 'L', 'Deuteronomy 15:13', 'TI', 'all', 'Not to send a Hebrew servant away empty-handed'],
+  [482, 'A', 'Deuteronomy 15:14', 'TI', 'all', 'Give gifts to a freed Hebrew servant'],
+  [483, 'L', 'Deuteronomy 15:19', 'E', 'all', 'Not to work a consecrated firstborn animal'],
+  [484, 'L', 'Deuteronomy 15:19', 'E', 'all', 'Not to shear a consecrated firstborn animal'],
+  [485, 'L', 'Deuteronomy 16:3', 'E', 'all', 'Not to eat leaven after midday on the fourteenth of Nisan'],
+  [486, 'L', 'Deuteronomy 16:4', 'T', 'all', 'Not to leave over the festival offering of the fourteenth'],
+  [487, 'L', 'Deuteronomy 16:5', 'T', 'all', 'Not to offer the Pesach on a private altar'],
+  [488, 'A', 'Deuteronomy 16:14', 'E', 'all', 'Rejoice on the festivals'],
+  [489, 'A', 'Deuteronomy 16:16', 'T', 'men', 'Appear at the Temple on the festivals'],
+  [490, 'L', 'Deuteronomy 16:16', 'T', 'men', 'Not to appear at the Temple without an offering'],
+  [491, 'A', 'Deuteronomy 16:18', 'E', 'community', 'Appoint judges and officers'],
+  [492, 'L', 'Deuteronomy 16:21', 'E', 'all', 'Not to plant a tree for worship'],
+  [493, 'L', 'Deuteronomy 16:22', 'E', 'all', 'Not to erect a pillar for worship'],
+  [494, 'L', 'Deuteronomy 17:1', 'T', 'all', 'Not to offer an animal with a temporary blemish'],
+  [495, 'A', 'Deuteronomy 17:11', 'E', 'all', 'Obey the Sanhedrin'],
+  [496, 'L', 'Deuteronomy 17:11', 'E', 'all', 'Not to deviate from the words of the Sages'],
+  [497, 'A', 'Deuteronomy 17:15', 'TI', 'community', 'Appoint a king'],
+  [498, 'L', 'Deuteronomy 17:15', 'TI', 'community', 'Not to appoint a foreigner as king'],
+  [499, 'L', 'Deuteronomy 17:16', 'TI', 'king', 'The king may not acquire many horses'],
+  [500, 'L', 'Deuteronomy 17:16', 'E', 'all', 'Not to dwell in Egypt'],
+  [501, 'L', 'Deuteronomy 17:17', 'TI', 'king', 'The king may not take many wives'],
+  [502, 'L', 'Deuteronomy 17:17', 'TI', 'king', 'The king may not amass silver and gold'],
+  [503, 'A', 'Deuteronomy 17:18', 'TI', 'king', 'The king writes a Torah scroll'],
+  [504, 'L', 'Deuteronomy 18:1', 'I', 'levites', 'The tribe of Levi receives no portion of the Land'],
+  [505, 'L', 'Deuteronomy 18:1', 'I', 'levites', 'The tribe of Levi takes no share of the spoils'],
+  [506, 'A', 'Deuteronomy 18:3', 'E', 'all', 'Give the kohen the foreleg, cheeks and maw'],
+  [507, 'A', 'Deuteronomy 18:4', 'I', 'all', 'Give terumah to the kohen'],
+  [508, 'A', 'Deuteronomy 18:4', 'E', 'all', 'Give the first shearing to the kohen'],
+  [509, 'A', 'Deuteronomy 18:7', 'T', 'kohanim', 'Kohanim serve in watches'],
+  [510, 'L', 'Deuteronomy 18:10', 'E', 'all', 'Not to practice divination'],
+  [511, 'L', 'Deuteronomy 18:10', 'E', 'all', 'Not to practice sorcery'],
+  [512, 'L', 'Deuteronomy 18:11', 'E', 'all', 'Not to cast spells'],
+  [513, 'L', 'Deuteronomy 18:11', 'E', 'all', 'Not to consult an ov'],
+  [514, 'L', 'Deuteronomy 18:11', 'E', 'all', 'Not to consult a yidoni'],
+  [515, 'L', 'Deuteronomy 18:11', 'E', 'all', 'Not to seek out the dead'],
+  [516, 'A', 'Deuteronomy 18:15', 'E', 'all', 'Listen to a true prophet'],
+  [517, 'L', 'Deuteronomy 18:20', 'E', 'all', 'Not to prophesy falsely'],
+  [518, 'L', 'Deuteronomy 18:20', 'E', 'all', 'Not to prophesy in the name of an idol'],
+  [519, 'L', 'Deuteronomy 18:22', 'E', 'all', 'Not to fear killing a false prophet'],
+  [520, 'A', 'Deuteronomy 19:3', 'TI', 'community', 'Set aside cities of refuge'],
+  [521, 'L', 'Deuteronomy 19:13', 'S', 'court', 'Not to pity a murderer'],
+  [522, 'L', 'Deuteronomy 19:14', 'E', 'all', 'Not to move a boundary marker'],
+  [523, 'L', 'Deuteronomy 19:15', 'E', 'court', 'Not to convict on the testimony of one witness'],
+  [524, 'A', 'Deuteronomy 19:19', 'S', 'court', 'Punish false witnesses as they schemed'],
+  [525, 'A', 'Deuteronomy 20:2', 'TI', 'kohanim', 'Anoint a kohen to address the army'],
+  [526, 'L', 'Deuteronomy 20:3', 'E', 'men', 'Not to fear the enemy in battle'],
+  [527, 'A', 'Deuteronomy 20:10', 'E', 'community', 'Offer peace before waging war'],
+  [528, 'L', 'Deuteronomy 20:16', 'E', 'community', 'Not to let any of the seven nations live'],
+  [529, 'L', 'Deuteronomy 20:19', 'E', 'all', 'Not to destroy fruit trees'],
+  [530, 'A', 'Deuteronomy 21:4', 'TI', 'court', 'Break the neck of the heifer for an unsolved murder'],
+  [531, 'L', 'Deuteronomy 21:4', 'TI', 'all', 'Not to work the land where the heifer was killed'],
+  [532, 'A', 'Deuteronomy 21:11', 'E', 'men', 'Laws of the captive woman'],
+  [533, 'L', 'Deuteronomy 21:14', 'E', 'men', 'Not to sell a captive woman'],
+  [534, 'L', 'Deuteronomy 21:14', 'E', 'men', 'Not to enslave a captive woman'],
+  [535, 'A', 'Deuteronomy 21:22', 'S', 'court', 'Hang the body of one executed for certain sins'],
+  [536, 'L', 'Deuteronomy 21:23', 'E', 'all', 'Not to leave a body hanging overnight'],
+  [537, 'A', 'Deuteronomy 21:23', 'E', 'all', 'Bury the dead on the day of death'],
+  [538, 'A', 'Deuteronomy 22:1', 'E', 'all', 'Return lost property'],
+  [539, 'L', 'Deuteronomy 22:3', 'E', 'all', 'Not to ignore lost property'],
+  [540, 'L', 'Deuteronomy 22:4', 'E', 'all', 'Not to leave a fallen animal lying'],
+  [541, 'A', 'Deuteronomy 22:4', 'E', 'all', 'Help lift a fallen load'],
+  [542, 'L', 'Deuteronomy 22:5', 'E', 'women', 'A woman may not wear men\'s garments'],
+  [543, 'L', 'Deuteronomy 22:5', 'E', 'men', 'A man may not wear women\'s garments'],
+  [544, 'L', 'Deuteronomy 22:6', 'E', 'all', 'Not to take the mother bird with the young'],
+  [545, 'A', 'Deuteronomy 22:7', 'E', 'all', 'Send away the mother bird'],
+  [546, 'A', 'Deuteronomy 22:8', 'E', 'all', 'Build a parapet on a roof'],
+  [547, 'L', 'Deuteronomy 22:8', 'E', 'all', 'Not to leave a hazard in one\'s property'],
+  [548, 'L', 'Deuteronomy 22:9', 'I', 'all', 'Not to sow grain or vegetables in a vineyard'],
+  [549, 'L', 'Deuteronomy 22:9', 'E', 'all', 'Not to eat mixed produce of a vineyard'],
+  [550, 'L', 'Deuteronomy 22:10', 'E', 'all', 'Not to work different species together'],
+  [551, 'L', 'Deuteronomy 22:11', 'E', 'all', 'Not to wear shaatnez'],
+  [552, 'A', 'Deuteronomy 22:13', 'E', 'men', 'Marry by kiddushin'],
+  [553, 'A', 'Deuteronomy 22:19', 'E', 'men', 'The slanderer of his wife must remain married to her'],
+  [554, 'L', 'Deuteronomy 22:19', 'E', 'men', 'The slanderer of his wife may not divorce her'],
+  [555, 'A', 'Deuteronomy 22:24', 'S', 'court', 'Execution by stoning'],
+  [556, 'L', 'Deuteronomy 22:26', 'E', 'court', 'Not to punish one who acted under duress'],
+  [557, 'A', 'Deuteronomy 22:29', 'E', 'men', 'The violator must marry the victim if she wishes'],
+  [558, 'L', 'Deuteronomy 22:29', 'E', 'men', 'The violator may not divorce her'],
+  [559, 'L', 'Deuteronomy 23:2', 'E', 'men', 'A man with damaged organs may not marry a Jewish woman'],
+  [560, 'L', 'Deuteronomy 23:3', 'E', 'all', 'A mamzer may not marry a Jew'],
+  [561, 'L', 'Deuteronomy 23:4', 'E', 'all', 'An Ammonite or Moabite man may not marry a Jew'],
+  [562, 'L', 'Deuteronomy 23:7', 'E', 'community', 'Not to offer peace to Ammon and Moab'],
+  [563, 'L', 'Deuteronomy 23:8', 'E', 'all', 'Not to reject a descendant of Edom beyond the second generation'],
+  [564, 'L', 'Deuteronomy 23:8', 'E', 'all', 'Not to reject an Egyptian beyond the second generation'],
+  [565, 'L', 'Deuteronomy 23:11', 'T', 'all', 'An impure person may not enter the Levite camp'],
+  [566, 'A', 'Deuteronomy 23:13', 'E', 'community', 'Prepare a place for relieving oneself outside the camp'],
+  [567, 'A', 'Deuteronomy 23:14', 'E', 'men', 'Carry a spade in the army camp'],
+  [568, 'L', 'Deuteronomy 23:16', 'E', 'all', 'Not to return a slave who fled to the Land'],
+  [569, 'L', 'Deuteronomy 23:17', 'E', 'all', 'Not to wrong such a slave'],
+  [570, 'L', 'Deuteronomy 23:18', 'E', 'all', 'No relations outside of marriage'],
+  [571, 'L', 'Deuteronomy 23:19', 'T', 'all', 'Not to offer a harlot\'s hire or the price of a dog'],
+  [572, 'L', 'Deuteronomy 23:20', 'E', 'all', 'Not to borrow with interest'],
+  [573, 'A', 'Deuteronomy 23:21', 'E', 'all', 'Lend to a non-Jew with interest'],
+  [574, 'L', 'Deuteronomy 23:22', 'E', 'all', 'Not to delay fulfilling vows'],
+  [575, 'A', 'Deuteronomy 23:24', 'E', 'all', 'Fulfill what one has uttered'],
+  [576, 'A', 'Deuteronomy 23:25', 'E', 'all', 'A worker may eat from the crop he harvests'],
+  [577, 'L', 'Deuteronomy 23:25', 'E', 'all', 'A worker may not take more than he eats'],
+  [578, 'L', 'Deuteronomy 23:26', 'E', 'all', 'A worker may not eat while working'],
+  [579, 'A', 'Deuteronomy 24:1', 'E', 'men', 'Divorce by a bill of divorce'],
+  [580, 'L', 'Deuteronomy 24:4', 'E', 'men', 'Not to remarry a divorced wife after she married another'],
+  [581, 'L', 'Deuteronomy 24:5', 'E', 'men', 'A groom may not be sent out in his first year'],
+  [582, 'A', 'Deuteronomy 24:5', 'E', 'men', 'A groom gladdens his wife in the first year'],
+  [583, 'L', 'Deuteronomy 24:6', 'E', 'all', 'Not to take utensils for preparing food as a pledge'],
+  [584, 'L', 'Deuteronomy 24:8', 'E', 'all', 'Not to remove signs of tzaraat'],
+  [585, 'L', 'Deuteronomy 24:10', 'E', 'all', 'Not to take a pledge from a debtor by force'],
+  [586, 'L', 'Deuteronomy 24:12', 'E', 'all', 'Not to keep a pledge the poor owner needs'],
+  [587, 'A', 'Deuteronomy 24:13', 'E', 'all', 'Return a pledge when the owner needs it'],
+  [588, 'A', 'Deuteronomy 24:15', 'E', 'all', 'Pay a worker on the same day'],
+  [589, 'L', 'Deuteronomy 24:16', 'E', 'court', 'Relatives may not testify'],
+  [590, 'L', 'Deuteronomy 24:17', 'E', 'court', 'Not to pervert the judgment of a convert or orphan'],
+  [591, 'L', 'Deuteronomy 24:17', 'E', 'all', 'Not to take a pledge from a widow'],
+  [592, 'A', 'Deuteronomy 24:19', 'I', 'all', 'Leave forgotten sheaves'],
+  [593, 'L', 'Deuteronomy 24:19', 'I', 'all', 'Not to go back for forgotten sheaves'],
+  [594, 'A', 'Deuteronomy 25:2', 'S', 'court', 'Administer lashes'],
+  [595, 'L', 'Deuteronomy 25:3', 'S', 'court', 'Not to exceed the prescribed lashes'],
+  [596, 'L', 'Deuteronomy 25:4', 'E', 'all', 'Not to muzzle an ox while it threshes'],
+  [597, 'L', 'Deuteronomy 25:5', 'E', 'women', 'A widow awaiting levirate marriage may not marry another'],
+  [598, 'A', 'Deuteronomy 25:5', 'E', 'men', 'Levirate marriage'],
+  [599, 'A', 'Deuteronomy 25:9', 'E', 'all', 'Release from levirate marriage (chalitzah)'],
+  [600, 'A', 'Deuteronomy 25:12', 'E', 'all', 'Save one who is pursued'],
+  [601, 'L', 'Deuteronomy 25:12', 'E', 'all', 'Not to pity the pursuer'],
+  [602, 'L', 'Deuteronomy 25:13', 'E', 'all', 'Not to keep false weights and measures'],
+  [603, 'A', 'Deuteronomy 25:17', 'E', 'all', 'Remember what Amalek did'],
+  [604, 'A', 'Deuteronomy 25:19', 'E', 'community', 'Destroy the descendants of Amalek'],
+  [605, 'L', 'Deuteronomy 25:19', 'E', 'all', 'Not to forget what Amalek did'],
+  [606, 'A', 'Deuteronomy 26:5', 'TI', 'all', 'Recite the declaration over first fruits'],
+  [607, 'A', 'Deuteronomy 26:13', 'TI', 'all', 'Recite the tithe declaration'],
+  [608, 'L', 'Deuteronomy 26:14', 'TI', 'all', 'Not to eat second tithe while in mourning'],
+  [609, 'L', 'Deuteronomy 26:14', 'TI', 'all', 'Not to eat second tithe while impure'],
+  [610, 'L', 'Deuteronomy 26:14', 'TI', 'all', 'Not to spend second-tithe money on anything but food and drink'],
+  [611, 'A', 'Deuteronomy 28:9', 'E', 'all', 'Walk in God\'s ways'],
+  [612, 'A', 'Deuteronomy 31:12', 'TI', 'all', 'Assemble the people to hear the Torah (Hakhel)'],
+  [613, 'A', 'Deuteronomy 31:19', 'E', 'men', 'Write a Torah scroll']
+];
+
+// ========== LOOKUP ==========
+
+const compactName = name => String(name || '').toLowerCase().replace(/[^a-zא-ת]/g, '');
+
+function parashaOf(number) {
+  return PARASHIYOT.find(parasha => number >= parasha.from && number <= parasha.to) || null;
+}
+
+// Find a parasha by English name (any common spelling) or Hebrew name; null if unknown
+function findParasha(name) {
+  const key = compactName(name);
+  if (!key) return null;
+  const canonical = PARASHA_ALIASES[key];
+  return PARASHIYOT.find(parasha => (canonical ? parasha.name === canonical
+    : compactName(parasha.name) === key || compactName(parasha.heName) === key)) || null;
+}
+
+function buildEntry(row) {
+  const [number, type, source, applicability, obligated, summary] = row;
+  const parasha = parashaOf(number);
+  return {
+    number,
+    type: type === 'A' ? 'positive' : 'negative',
+    summary,
+    source,
+    book: parasha.book,
+    parasha: parasha.name,
+    heParasha: parasha.heName,
+    applicability: { ...APPLICABILITY[applicability], obligated }
+  };
+}
+
+const METADATA = ROWS.map(buildEntry);
+
+// Metadata for one mitzvah (1-613), or null
+function getMetadata(number) {
+  const n = parseInt(number, 10);
+  return n >= 1 && n <= METADATA.length ? METADATA[n - 1] : null;
+}
+
+const OBLIGATED_LABELS = {
+  all: 'everyone',
+  men: 'men',
+  women: 'women',
+  kohanim: 'kohanim',
+  'kohen-gadol': 'the High Priest',
+  levites: 'Levites',
+  nazir: 'a nazir',
+  king: 'the king',
+  court: 'the court',
+  community: 'the community as a whole'
+};
+
+// One-line description of when and to whom a mitzvah applies
+function describeApplicability(entry) {
+  const { presentDay, landOfIsraelOnly, templeEra, requiresSanhedrin, obligated } = entry.applicability;
+  let when;
+  if (requiresSanhedrin) when = 'Only when there is an ordained court (Sanhedrin)';
+  else if (templeEra) when = landOfIsraelOnly ? 'Only while the Temple stands, in the Land of Israel' : 'Only while the Temple stands';
+  else if (presentDay) when = landOfIsraelOnly ? 'In force today, in the Land of Israel only' : 'In force today, in every place';
+  else when = 'Not in force today';
+  return `${when}; obligates ${OBLIGATED_LABELS[obligated] || obligated}`;
+}
+
+// ========== FILTERS ==========
+
+// Normalize a filter value that may be 'positive'/'aseh'/'A' etc.
+function normalizeType(type) {
+  const key = String(type).toLowerCase();
+  if (['positive', 'aseh', 'a', 'mitzvat aseh'].includes(key)) return 'positive';
+  if (['negative', 'prohibition', 'lo taaseh', 'lo ta\'aseh', 'l', 'lt'].includes(key)) return 'negative';
+  return null;
+}
+
+// Validate and normalize a filter object. Throws on unknown values so callers
+// can tell "no matches" from "bad filter".
+//   type        'positive' | 'negative'
+//   parasha     parasha name (English or Hebrew)
+//   book        'Genesis' ... 'Deuteronomy'
+//   presentDay, landOfIsraelOnly, templeEra, requiresSanhedrin   booleans
+//   obligated   one of OBLIGATED, or an array of them
+//   numbers     restrict to these mitzvah numbers
+function normalizeFilters(filters = {}) {
+  const normalized = {};
+
+  if (filters.type !== undefined && filters.type !== null && filters.type !== '') {
+    normalized.type = normalizeType(filters.type);
+    if (!normalized.type) throw new Error(`Unknown commandment type: ${filters.type}`);
+  }
+
+  if (filters.parasha) {
+    const parasha = findParasha(filters.parasha);
+    if (!parasha) throw new Error(`Unknown parasha: ${filters.parasha}`);
+    normalized.parasha = parasha.name;
+  }
+
+  if (filters.book) {
+    const book = ['Genesis', 'Exodus', 'Leviticus', 'Numbers', 'Deuteronomy']
+      .find(name => name.toLowerCase() === String(filters.book).toLowerCase());
+    if (!book) throw new Error(`Unknown book: ${filters.book}`);
+    normalized.book = book;
+  }
+
+  ['presentDay', 'landOfIsraelOnly', 'templeEra', 'requiresSanhedrin'].forEach(key => {
+    if (filters[key] !== undefined && filters[key] !== null) normalized[key] = !!filters[key];
+  });
+
+  if (filters.obligated) {
+    const obligated = [].concat(filters.obligated).map(value => String(value).toLowerCase());
+    const unknown = obligated.find(value => !OBLIGATED.includes(value));
+    if (unknown) throw new Error(`Unknown obligated group: ${unknown} (expected one of ${OBLIGATED.join(', ')})`);
+    normalized.obligated = obligated;
+  }
+
+  if (filters.numbers) normalized.numbers = new Set([].concat(filters.numbers).map(n => parseInt(n, 10)));
+
+  return normalized;
+}
+
+// Does one metadata entry pass an already-normalized filter object?
+function matchesFilters(entry, filters) {
+  if (filters.type && entry.type !== filters.type) return false;
+  if (filters.parasha && entry.parasha !== filters.parasha) return false;
+  if (filters.book && entry.book !== filters.book) return false;
+  for (const key of ['presentDay', 'landOfIsraelOnly', 'templeEra', 'requiresSanhedrin']) {
+    if (filters[key] !== undefined && entry.applicability[key] !== filters[key]) return false;
+  }
+  if (filters.obligated && !filters.obligated.includes(entry.applicability.obligated)) return false;
+  if (filters.numbers && !filters.numbers.has(entry.number)) return false;
+  return true;
+}
+
+// Metadata entries matching every given filter, in order
+function queryMetadata(filters = {}) {
+  const normalized = normalizeFilters(filters);
+  return METADATA.filter(entry => matchesFilters(entry, normalized));
+}
+
+// Counts by type, book, parasha, obligated group and applicability
+function summarizeMetadata(entries = METADATA) {
+  const countBy = key => entries.reduce((counts, entry) => {
+    const value = key(entry);
+    counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    byType: countBy(entry => entry.type),
+    byBook: countBy(entry => entry.book),
+    byParasha: countBy(entry => entry.parasha),
+    byObligated: countBy(entry => entry.applicability.obligated),
+    presentDay: entries.filter(entry => entry.applicability.presentDay).length,
+    landOfIsraelOnly: entries.filter(entry => entry.applicability.landOfIsraelOnly).length,
+    templeEra: entries.filter(entry => entry.applicability.templeEra).length,
+    requiresSanhedrin: entries.filter(entry => entry.applicability.requiresSanhedrin).length
+  };
+}
+
+module.exports = {
+  METADATA,
+  PARASHIYOT,
+  OBLIGATED,
+  getMetadata,
+  parashaOf,
+  findParasha,
+  describeApplicability,
+  normalizeFilters,
+  matchesFilters,
+  queryMetadata,
+  summarizeMetadata
+};
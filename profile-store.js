@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./downloader');
+
+// ========== PROFILE STORE ==========
+//
+// Per-user JSON documents kept next to the downloaded data, as
+// <outputDir>/<directory>/<profile>.json. One file per profile means people
+// sharing a data directory never overwrite each other, and every change re-reads
+// the file before saving it. Downloads and rebuilds never touch these directories.
+
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME = /^[a-z0-9_-]{1,40}$/;
+
+class ProfileStore {
+  // create(name) returns a new, empty document with a numeric `version`;
+  // label names the documents in error messages ("study profile")
+  constructor(outputDir, directory, create, label = 'profile') {
+    this.directory = path.join(outputDir, directory);
+    this.create = create;
+    this.label = label;
+  }
+
+  // Profile names double as file names: letters, digits, - and _, compared lowercase
+  static normalizeName(name = DEFAULT_PROFILE) {
+    const normalized = String(name === undefined || name === null || name === '' ? DEFAULT_PROFILE : name).trim().toLowerCase();
+    if (!PROFILE_NAME.test(normalized)) {
+      throw new Error(`Invalid profile name: ${name}. Use up to 40 letters, digits, - and _`);
+    }
+    return normalized;
+  }
+
+  profileFile(name) {
+    return path.join(this.directory, `${ProfileStore.normalizeName(name)}.json`);
+  }
+
+  exists(name) {
+    return fs.existsSync(this.profileFile(name));
+  }
+
+  list() {
+    if (!fs.existsSync(this.directory)) return [];
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json') && PROFILE_NAME.test(file.slice(0, -'.json'.length)))
+      .map(file => file.slice(0, -'.json'.length))
+      .sort();
+  }
+
+  // The stored document, or a new empty one. An unreadable file is an error rather
+  // than an empty document, so saving never replaces someone's data by accident.
+  load(name) {
+    const normalized = ProfileStore.normalizeName(name);
+    const file = this.profileFile(normalized);
+    const empty = this.create(normalized);
+    if (!fs.existsSync(file)) return empty;
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${this.label} ${normalized}: ${error.message}`);
+    }
+    if (!data || data.version !== empty.version) {
+      throw new Error(`Unsupported ${this.label} format in ${file}`);
+    }
+    return { ...empty, ...data, name: normalized };
+  }
+
+  save(document) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    document.updatedAt = new Date().toISOString();
+    writeJsonAtomic(this.profileFile(document.name), document);
+    return document;
+  }
+
+  // Read the latest copy from disk, apply change(document) and save it
+  update(name, change) {
+    const document = this.load(name);
+    change(document);
+    return this.save(document);
+  }
+
+  remove(name) {
+    const file = this.profileFile(name);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+  }
+}
+
+module.exports = {
+  ProfileStore,
+  DEFAULT_PROFILE
+};
@@ -0,0 +1,341 @@
+// ========== SEFER HACHINUKH BROWSER READER ==========
+//
+// Single-page reader for the JSON API in server.js. Routes live in the hash:
+//   #/mitzvah/32            open a mitzvah
+//   #/mitzvah/32:3          open a mitzvah at a segment (paragraph)
+//   #/search/<term>?lang=   search results (lang: both, english, hebrew)
+//   #/category/<name>       mitzvot in a category
+
+const PAGE_SIZE = 50;
+
+// Tags Sefaria uses inside segments; everything else is reduced to its text
+const ALLOWED_TAGS = ['B', 'STRONG', 'I', 'EM', 'U', 'BR', 'SUP', 'SUB', 'SMALL', 'SPAN', 'BIG'];
+
+const state = {
+  index: [],
+  categories: [],
+  list: [],
+  listMore: null,
+  current: null,
+  view: 'both'
+};
+
+const elements = {};
+
+// ========== API ==========
+
+async function api(pathname) {
+  const response = await fetch(`/api${pathname}`);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const message = body && body.error ? body.error.message : `HTTP ${response.status}`;
+    const error = new Error(message);
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+}
+
+// ========== RENDERING HELPERS ==========
+
+function el(tag, attributes = {}, ...children) {
+  const node = document.createElement(tag);
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (value === undefined || value === null || value === false) return;
+    if (name === 'className') node.className = value;
+    else node.setAttribute(name, value);
+  });
+  children.flat().forEach(child => {
+    if (child === null || child === undefined) return;
+    node.append(child instanceof Node ? child : String(child));
+  });
+  return node;
+}
+
+// Turn a Sefaria segment into DOM nodes, keeping only formatting tags
+function renderSegmentHtml(html) {
+  const parsed = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const fragment = document.createDocumentFragment();
+
+  const copy = (source, target) => {
+    source.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        target.append(child.textContent);
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        if (ALLOWED_TAGS.includes(child.tagName)) {
+          const clean = document.createElement(child.tagName.toLowerCase());
+          if (child.classList.contains('footnote')) clean.className = 'footnote';
+          copy(child, clean);
+          target.append(clean);
+        } else {
+          copy(child, target);
+        }
+      }
+    });
+  };
+
+  copy(parsed.body, fragment);
+  return fragment;
+}
+
+function asSegments(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+// Render snippet text with its highlight ranges wrapped in <mark>
+function renderHighlighted(text, highlights) {
+  const fragment = document.createDocumentFragment();
+  let cursor = 0;
+  highlights.forEach(({ start, end }) => {
+    fragment.append(text.slice(cursor, start), el('mark', {}, text.slice(start, end)));
+    cursor = end;
+  });
+  fragment.append(text.slice(cursor));
+  return fragment;
+}
+
+function showError(container, error) {
+  container.replaceChildren(el('p', { className: 'error' }, `⚠️ ${error.message}`));
+}
+
+// ========== SIDEBAR ==========
+
+function renderCategories(activeCategory) {
+  const links = state.categories.map(category => el('a', {
+    href: `#/category/${encodeURIComponent(category)}`,
+    className: category === activeCategory ? 'active' : null
+  }, category));
+
+  const all = el('a', { href: '#/', className: activeCategory ? null : 'active' }, 'All');
+  elements.categories.replaceChildren(all, ...links);
+}
+
+function renderList(status) {
+  elements.listStatus.textContent = status;
+  elements.list.replaceChildren(...state.list.map(entry => el('li', {},
+    el('a', {
+      href: `#/mitzvah/${entry.number}`,
+      className: state.current && state.current.mitzvahNumber === entry.number ? 'active' : null
+    },
+    el('span', { className: 'number' }, `Mitzvah ${entry.number}`),
+    entry.heTitle ? [' ', el('span', { lang: 'he', dir: 'rtl' }, entry.heTitle)] : null,
+    el('span', { className: 'preview', dir: 'auto' }, entry.snippets && entry.snippets.length > 0
+      ? renderHighlighted(entry.snippets[0].text, entry.snippets[0].highlights)
+      : entry.matchText || entry.preview || ''))
+  )));
+  elements.loadMore.hidden = !state.listMore;
+}
+
+function showIndex() {
+  state.list = state.index;
+  state.listMore = null;
+  renderCategories(null);
+  renderList(`${state.index.length} mitzvot`);
+}
+
+async function showSearch(term, language) {
+  elements.searchInput.value = term;
+  elements.searchLanguage.value = language;
+  renderCategories(null);
+
+  const fetchPage = async page => {
+    const query = new URLSearchParams({ q: term, lang: language, page, pageSize: PAGE_SIZE });
+    const result = await api(`/search?${query}`);
+    state.list = page === 1 ? result.results : state.list.concat(result.results);
+    state.listMore = result.page < result.totalPages ? () => fetchPage(page + 1) : null;
+    renderList(`${result.total} result${result.total === 1 ? '' : 's'} for “${term}”`);
+  };
+
+  try {
+    await fetchPage(1);
+  } catch (error) {
+    state.list = [];
+    state.listMore = null;
+    renderList(`Search failed: ${error.message}`);
+  }
+}
+
+async function showCategory(category) {
+  renderCategories(category);
+
+  const fetchPage = async page => {
+    const query = new URLSearchParams({ page, pageSize: PAGE_SIZE });
+    const result = await api(`/categories/${encodeURIComponent(category)}?${query}`);
+    const withPreviews = result.results.map(entry => ({
+      ...entry,
+      preview: (state.index.find(item => item.number === entry.number) || {}).preview
+    }));
+    state.list = page === 1 ? withPreviews : state.list.concat(withPreviews);
+    state.listMore = result.page < result.totalPages ? () => fetchPage(page + 1) : null;
+    renderList(`${result.total} mitzvot in ${category}`);
+  };
+
+  try {
+    await fetchPage(1);
+  } catch (error) {
+    state.list = [];
+    state.listMore = null;
+    renderList(`Could not load category: ${error.message}`);
+  }
+}
+
+// ========== READER ==========
+
+// Numbers of the neighbouring entries in the list being browsed (falls back to the full index)
+function neighbours(number) {
+  const source = state.list.some(entry => entry.number === number) ? state.list : state.index;
+  const position = source.findIndex(entry => entry.number === number);
+  return {
+    previous: position > 0 ? source[position - 1].number : null,
+    next: position >= 0 && position < source.length - 1 ? source[position + 1].number : null
+  };
+}
+
+// "Positive commandment · Leviticus 19:18 · Kedoshim · In force today"
+function describeMetadata(metadata) {
+  const { presentDay, templeEra, landOfIsraelOnly } = metadata.applicability;
+  let when = presentDay ? 'In force today' : 'Not in force today';
+  if (templeEra) when = 'Temple era only';
+  if (landOfIsraelOnly) when += ', Land of Israel';
+  return [
+    metadata.type === 'positive' ? 'Positive commandment' : 'Prohibition',
+    metadata.source,
+    metadata.parasha,
+    when
+  ].join(' · ');
+}
+
+function renderMitzvah(mitzvah) {
+  const number = mitzvah.mitzvahNumber;
+  const { previous, next } = neighbours(number);
+  const english = asSegments(mitzvah.text);
+  const hebrew = asSegments(mitzvah.he);
+  const rows = Math.max(english.length, hebrew.length);
+
+  const navButton = (label, target, key) => el('button', {
+    type: 'button',
+    disabled: target === null,
+    'aria-keyshortcuts': key,
+    'data-target': target
+  }, label);
+
+  const header = el('div', { className: 'reader-header' },
+    el('div', {},
+      el('h1', {}, `Mitzvah ${number}`),
+      mitzvah.heTitle ? el('div', { className: 'he-title', lang: 'he', dir: 'rtl' }, mitzvah.heTitle) : null,
+      mitzvah.metadata ? el('div', { className: 'metadata' }, describeMetadata(mitzvah.metadata)) : null,
+      mitzvah.numbering ? el('div', { className: 'metadata' }, mitzvah.numbering.map(entry => entry.label).join(' · ')) : null),
+    el('div', { className: 'reader-nav' },
+      navButton('← Previous', previous, 'ArrowLeft'),
+      navButton('Next →', next, 'ArrowRight')));
+
+  header.querySelectorAll('button[data-target]').forEach(button => {
+    button.addEventListener('click', () => {
+      location.hash = `#/mitzvah/${button.dataset.target}`;
+    });
+  });
+
+  const viewToggle = el('div', { className: 'view-toggle' }, 'Show: ',
+    ...[['both', 'Side by side'], ['english', 'English'], ['hebrew', 'Hebrew']].map(([value, label]) => {
+      const input = el('input', { type: 'radio', name: 'view', value, checked: state.view === value });
+      input.addEventListener('change', () => {
+        state.view = value;
+        segments.className = `segments ${value === 'both' ? '' : `${value}-only`}`.trim();
+      });
+      return el('label', {}, input, ` ${label} `);
+    }));
+
+  const segments = el('div', { className: `segments ${state.view === 'both' ? '' : `${state.view}-only`}`.trim() });
+  for (let i = 0; i < rows; i++) {
+    const marker = el('a', { className: 'segment-number', href: `#/mitzvah/${number}:${i + 1}` }, `${number}:${i + 1} `);
+    segments.append(el('div', { className: 'segment', id: `segment-${i + 1}` },
+      el('div', { className: 'en', lang: 'en', dir: 'ltr' }, marker, english[i] !== undefined ? renderSegmentHtml(english[i]) : ''),
+      el('div', { className: 'he', lang: 'he', dir: 'rtl' }, hebrew[i] !== undefined ? renderSegmentHtml(hebrew[i]) : '')));
+  }
+
+  elements.reader.replaceChildren(header, viewToggle, segments);
+  elements.reader.scrollTop = 0;
+  document.title = `Mitzvah ${number} · Sefer HaChinukh Reader`;
+}
+
+async function showMitzvah(number) {
+  try {
+    state.current = await api(`/mitzvot/${encodeURIComponent(number)}`);
+    renderMitzvah(state.current);
+    renderList(elements.listStatus.textContent);
+  } catch (error) {
+    state.current = null;
+    showError(elements.reader, error);
+  }
+}
+
+// ========== ROUTING ==========
+
+async function route() {
+  const hash = location.hash.replace(/^#\/?/, '');
+  const [pathPart, queryPart] = hash.split('?');
+  const [view, ...rest] = pathPart.split('/');
+  const argument = decodeURIComponent(rest.join('/'));
+  const query = new URLSearchParams(queryPart || '');
+
+  if (view === 'mitzvah' && argument) {
+    const [number, segment] = argument.split(':');
+    if (state.list.length === 0) showIndex();
+    if (!state.current || String(state.current.mitzvahNumber) !== number) {
+      await showMitzvah(number);
+    }
+    // Segment rows use display: contents, so scroll to their first cell
+    const row = segment && document.getElementById(`segment-${segment}`);
+    if (row && row.firstElementChild) row.firstElementChild.scrollIntoView({ block: 'start' });
+  } else if (view === 'search' && argument) {
+    await showSearch(argument, query.get('lang') || 'both');
+  } else if (view === 'category' && argument) {
+    await showCategory(argument);
+  } else {
+    showIndex();
+  }
+}
+
+document.addEventListener('keydown', event => {
+  if (!state.current || event.target.closest('input, select, textarea')) return;
+  const { previous, next } = neighbours(state.current.mitzvahNumber);
+  if (event.key === 'ArrowLeft' && previous !== null) location.hash = `#/mitzvah/${previous}`;
+  if (event.key === 'ArrowRight' && next !== null) location.hash = `#/mitzvah/${next}`;
+});
+
+async function init() {
+  elements.categories = document.getElementById('categories');
+  elements.list = document.getElementById('mitzvah-list');
+  elements.listStatus = document.getElementById('list-status');
+  elements.loadMore = document.getElementById('load-more');
+  elements.reader = document.getElementById('reader');
+  elements.searchInput = document.getElementById('search-input');
+  elements.searchLanguage = document.getElementById('search-language');
+
+  document.getElementById('search-form').addEventListener('submit', event => {
+    event.preventDefault();
+    const term = elements.searchInput.value.trim();
+    if (term) {
+      location.hash = `#/search/${encodeURIComponent(term)}?lang=${elements.searchLanguage.value}`;
+    }
+  });
+
+  elements.loadMore.addEventListener('click', () => {
+    if (state.listMore) state.listMore();
+  });
+
+  try {
+    const [index, stats] = await Promise.all([api('/index'), api('/stats')]);
+    state.index = index;
+    state.categories = stats.categories || [];
+  } catch (error) {
+    showError(elements.reader, error);
+    return;
+  }
+
+  window.addEventListener('hashchange', route);
+  await route();
+}
+
+init();
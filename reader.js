@@ -0,0 +1,350 @@
+const readline = require('readline');
+const { segmentsOf, tokenize, parseQuery } = require('./search-index');
+const { prefixStems } = require('./hebrew');
+const { parseRef, toHebrewNumeral } = require('./refs');
+const { renderSegments } = require('./sefaria-text');
+const { getMetadata, describeApplicability } = require('./mitzvot-metadata');
+const { formatEquivalents, parseMitzvahId, describeUnmapped } = require('./enumerations');
+const { layoutText, renderLine, stringWidth } = require('./terminal-text');
+
+// ========== TERMINAL READER ==========
+//
+// Full-screen reader for the loaded mitzvot: one mitzvah at a time, wrapped to the
+// terminal width with Hebrew laid out right to left (see terminal-text.js), paged
+// when it is longer than the screen. Keys:
+//
+//   n / →  next mitzvah          p / ←  previous mitzvah
+//   j / ↓  down a line           k / ↑  up a line
+//   space  next page             b      previous page
+//   g      go to a number, id or ref ("32", "LT 65", "32:3")
+//   /      search; ] and [ move between results, matches are highlighted; c clears
+//   e / h  show or hide the English / Hebrew text
+//   r      bidi reordering on or off (for terminals that reorder Hebrew themselves)
+//   ?      help                  q      quit
+//
+// Works on any readable stream; without a TTY keys are read from the stream as typed.
+
+const HELP = [
+  'n / →   next mitzvah          p / ←   previous mitzvah',
+  'j / ↓   down a line           k / ↑   up a line',
+  'space   next page             b       previous page',
+  'g       go to a number, id or ref, e.g. 32, LT 65, 32:3',
+  '/       search; ] and [ for the next and previous result, c to clear',
+  'e       English on/off        h       Hebrew on/off',
+  'r       bidi reordering on/off (if your terminal reorders Hebrew itself)',
+  '?       this help             q       quit'
+];
+
+const ESC = '\u001b';
+
+class TerminalReader {
+  // options: input, output (streams), start (number or id), language ('both',
+  // 'english', 'hebrew'), color, bidi, width and height (default: the terminal's)
+  constructor(app, options = {}) {
+    this.app = app;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.options = options;
+    this.color = options.color !== undefined ? options.color : !!this.output.isTTY && !process.env.NO_COLOR;
+    this.showEnglish = options.language !== 'hebrew';
+    this.showHebrew = options.language !== 'english';
+    this.bidi = options.bidi !== false;
+    this.numbers = app.store ? app.store.numbers() : [];
+    this.position = 0;
+    this.top = 0;
+    this.query = null;
+    this.results = [];
+    this.result = -1;
+    this.prompt = null;
+    this.message = '';
+    this.help = false;
+    this.done = null;
+
+    if (options.start !== undefined && options.start !== null && !this.jump(String(options.start))) {
+      throw new Error(this.message);
+    }
+  }
+
+  get width() {
+    return Math.max(20, this.options.width || this.output.columns || 80);
+  }
+
+  get height() {
+    return Math.max(5, this.options.height || this.output.rows || 24);
+  }
+
+  get number() {
+    return this.numbers[this.position];
+  }
+
+  paint(code, text) {
+    return this.color ? `${ESC}[${code}m${text}${ESC}[0m` : text;
+  }
+
+  // ========== LAYOUT ==========
+
+  // Highlight ranges of the current search's terms in a text (Hebrew prefixes allowed)
+  highlights(text) {
+    if (!this.query) return [];
+    const terms = new Set(parseQuery(this.query).flat().flatMap(item => (item.type === 'phrase' ? item.terms : [item.term])));
+    return tokenize(text)
+      .filter(token => terms.has(token.term) || prefixStems(token.term).some(stem => terms.has(stem)))
+      .map(token => ({ start: token.start, end: token.end }));
+  }
+
+  // Display lines of a text: { text, rtl } wrapped, reordered and highlighted
+  textLines(text, { direction = 'auto', style = null, indent = 0 } = {}) {
+    const width = this.width - indent;
+    return layoutText(text, { width, ranges: this.highlights(text), direction, bidi: this.bidi }).map(line => {
+      const rendered = ' '.repeat(indent) + renderLine(line, width, marked => this.paint('7', marked));
+      return style ? this.paint(style, rendered) : rendered;
+    });
+  }
+
+  // Every line of the current mitzvah, remembering where each segment starts
+  mitzvahLines() {
+    const mitzvah = this.app.store.get(this.number);
+    const metadata = getMetadata(this.number);
+    const lines = [];
+    this.segmentStarts = [];
+
+    const title = `Mitzvah ${this.number}`;
+    const heTitle = `מצוה ${toHebrewNumeral(this.number)}`;
+    if (this.showHebrew) {
+      const hebrew = this.textLines(heTitle, { direction: 'rtl' })[0].trimStart();
+      const gap = Math.max(1, this.width - stringWidth(title) - stringWidth(hebrew));
+      lines.push(this.paint('1', title) + ' '.repeat(gap) + this.paint('1', hebrew));
+    } else {
+      lines.push(this.paint('1', title));
+    }
+    if (metadata) {
+      lines.push(...this.textLines(`${metadata.type === 'positive' ? 'Positive commandment' : 'Prohibition'}: ${metadata.summary}`));
+      lines.push(...this.textLines(`${metadata.source} · Parashat ${metadata.parasha} · ${describeApplicability(metadata)}`, { style: '2' }));
+    }
+    lines.push(...this.textLines(formatEquivalents(this.number), { style: '2' }));
+    lines.push(this.paint('2', '─'.repeat(this.width)));
+
+    const english = this.showEnglish ? renderSegments(segmentsOf(mitzvah.text)) : { segments: [], footnotes: [] };
+    const hebrew = this.showHebrew ? renderSegments(segmentsOf(mitzvah.he)) : { segments: [], footnotes: [] };
+    const count = Math.max(english.segments.length, hebrew.segments.length);
+    for (let i = 0; i < count; i++) {
+      this.segmentStarts[i + 1] = lines.length;
+      lines.push(this.paint('36', `[${this.number}:${i + 1}]`));
+      if (english.segments[i]) lines.push(...this.textLines(english.segments[i], { direction: 'ltr' }));
+      if (hebrew.segments[i]) lines.push(...this.textLines(hebrew.segments[i], { direction: 'rtl' }));
+      lines.push('');
+    }
+    if (count === 0) lines.push(this.paint('2', 'No text to show: press e or h to show the English or Hebrew'), '');
+
+    if (english.footnotes.length + hebrew.footnotes.length > 0) {
+      lines.push(this.paint('1', 'Notes'));
+      english.footnotes.forEach(footnote => lines.push(...this.textLines(footnote, { direction: 'ltr', style: '2' })));
+      hebrew.footnotes.forEach(footnote => lines.push(...this.textLines(footnote, { direction: 'rtl', style: '2' })));
+    }
+    return lines;
+  }
+
+  // The status line: where we are, the search and the toggles
+  statusLine(total, pageHeight) {
+    const last = Math.min(total, this.top + pageHeight);
+    const parts = [`${this.number} (${this.position + 1}/${this.numbers.length})`, `lines ${this.top + 1}-${last} of ${total}`];
+    if (this.query) parts.push(`"${this.query}" ${this.results.length > 0 ? `${this.result + 1}/${this.results.length}` : 'no results'}`);
+    parts.push(`${this.showEnglish ? 'EN' : '--'} ${this.showHebrew ? 'HE' : '--'}${this.bidi ? '' : ' no-bidi'}`);
+    const text = this.message || `${parts.join(' · ')} · ? help`;
+    return text.length > this.width ? text.slice(0, this.width) : text;
+  }
+
+  // The whole screen as a string
+  render() {
+    const pageHeight = this.height - 1;
+    const lines = this.help ? [this.paint('1', 'Keys'), '', ...HELP.flatMap(line => this.textLines(line)), '', 'Press any key to go back.'] : this.mitzvahLines();
+    this.top = Math.max(0, Math.min(this.top, lines.length - pageHeight));
+    const page = lines.slice(this.top, this.top + pageHeight);
+    while (page.length < pageHeight) page.push('');
+
+    const bottom = this.prompt ? `${this.prompt.label}${this.prompt.text}` : this.paint('7', this.statusLine(lines.length, pageHeight).padEnd(this.width));
+    this.lineCount = lines.length;
+    return page.concat(bottom).join('\n');
+  }
+
+  draw() {
+    const clear = this.output.isTTY ? `${ESC}[H${ESC}[2J` : '';
+    this.output.write(`${clear}${this.render()}${this.output.isTTY ? '' : '\n'}`);
+  }
+
+  // ========== NAVIGATION ==========
+
+  go(position, top = 0) {
+    this.position = Math.max(0, Math.min(this.numbers.length - 1, position));
+    this.top = top;
+  }
+
+  // Go to a number, identifier or ref; false (with a message) when there is no such place
+  jump(target) {
+    const text = target.trim();
+    const id = parseMitzvahId(text);
+    const ref = id ? null : parseRef(text);
+    const number = id ? id.mitzvah : ref ? ref.mitzvah : null;
+    const position = this.numbers.indexOf(number);
+    if (position === -1) {
+      if (id && id.mitzvah === null) this.message = describeUnmapped(id);
+      else this.message = number ? `Mitzvah ${number} is not downloaded` : `Not a mitzvah or ref: ${text}`;
+      return false;
+    }
+    this.go(position);
+    if (ref && ref.segment) {
+      this.mitzvahLines();
+      this.top = this.segmentStarts[ref.segment] || 0;
+    }
+    return true;
+  }
+
+  search(query) {
+    this.query = query.trim() || null;
+    this.results = this.query ? this.app.searchMitzvot(this.query, 'both').map(result => result.number) : [];
+    this.result = -1;
+    if (this.query && this.results.length === 0) this.message = `No results for "${this.query}"`;
+    else this.nextResult(1);
+  }
+
+  // Move to the next (1) or previous (-1) search result
+  nextResult(step) {
+    if (this.results.length === 0) return;
+    this.result = (this.result + step + this.results.length) % this.results.length;
+    this.go(this.numbers.indexOf(this.results[this.result]));
+    // Scroll to the first highlighted line
+    const lines = this.mitzvahLines();
+    const first = this.color ? lines.findIndex((line, i) => i > 0 && line.includes(`${ESC}[7m`)) : -1;
+    this.top = first > 0 ? Math.max(0, first - 2) : 0;
+  }
+
+  // ========== INPUT ==========
+
+  // Handle one key from readline's keypress events; returns false to quit
+  handleKey(str, key = {}) {
+    const name = key.name || str;
+    if (key.ctrl && name === 'c') return false;
+    this.message = '';
+
+    if (this.prompt) {
+      if (name === 'return' || name === 'enter') {
+        const { text, submit } = this.prompt;
+        this.prompt = null;
+        submit(text);
+      } else if (name === 'escape') {
+        this.prompt = null;
+      } else if (name === 'backspace') {
+        this.prompt.text = this.prompt.text.slice(0, -1);
+      } else if (str && !key.ctrl && !key.meta && str >= ' ') {
+        this.prompt.text += str;
+      }
+      return true;
+    }
+    if (this.help) {
+      this.help = false;
+      return true;
+    }
+
+    const pageHeight = this.height - 2;
+    switch (name) {
+      case 'q':
+        return false;
+      case 'n': case 'right':
+        this.go(this.position + 1);
+        break;
+      case 'p': case 'left':
+        this.go(this.position - 1);
+        break;
+      case 'j': case 'down':
+        this.top++;
+        break;
+      case 'k': case 'up':
+        this.top = Math.max(0, this.top - 1);
+        break;
+      case 'space': case 'f': case 'pagedown':
+        // Past the end of a mitzvah, the next one
+        if (this.top + pageHeight + 1 >= this.lineCount && this.position < this.numbers.length - 1) this.go(this.position + 1);
+        else this.top += pageHeight;
+        break;
+      case 'b': case 'pageup':
+        this.top = Math.max(0, this.top - pageHeight);
+        break;
+      case 'home':
+        this.go(0);
+        break;
+      case 'end':
+        this.go(this.numbers.length - 1);
+        break;
+      case 'g':
+        this.prompt = { label: 'Go to: ', text: '', submit: text => text.trim() && this.jump(text) };
+        break;
+      case '/':
+        this.prompt = { label: 'Search: ', text: '', submit: text => this.search(text) };
+        break;
+      case ']':
+        this.nextResult(1);
+        break;
+      case '[':
+        this.nextResult(-1);
+        break;
+      case 'c':
+        this.search('');
+        break;
+      case 'e':
+        this.showEnglish = !this.showEnglish;
+        break;
+      case 'h':
+        this.showHebrew = !this.showHebrew;
+        break;
+      case 'r':
+        this.bidi = !this.bidi;
+        break;
+      case '?':
+        this.help = true;
+        break;
+      default:
+        if (str === ' ') return this.handleKey(str, { name: 'space' });
+        if (str === '/' || str === '?' || str === '[' || str === ']') return this.handleKey(str, { name: str });
+        break;
+    }
+    return true;
+  }
+
+  // Read keys until q (or the end of the input); resolves when the reader is closed
+  run() {
+    if (this.numbers.length === 0) return Promise.reject(new Error('No mitzvot loaded'));
+
+    return new Promise(resolve => {
+      const tty = !!this.input.isTTY && typeof this.input.setRawMode === 'function';
+      readline.emitKeypressEvents(this.input);
+      if (tty) this.input.setRawMode(true);
+      // Alternate screen with the cursor hidden, restored on exit
+      if (this.output.isTTY) this.output.write(`${ESC}[?1049h${ESC}[?25l`);
+
+      const close = () => {
+        this.input.removeListener('keypress', onKey);
+        this.input.removeListener('end', close);
+        if (this.output.removeListener) this.output.removeListener('resize', onResize);
+        if (tty) this.input.setRawMode(false);
+        this.input.pause();
+        if (this.output.isTTY) this.output.write(`${ESC}[?25h${ESC}[?1049l`);
+        resolve();
+      };
+      const onKey = (str, key) => {
+        if (this.handleKey(str, key)) this.draw();
+        else close();
+      };
+      const onResize = () => this.draw();
+
+      this.input.on('keypress', onKey);
+      this.input.on('end', close);
+      if (this.output.on) this.output.on('resize', onResize);
+      this.input.resume();
+      this.draw();
+    });
+  }
+}
+
+module.exports = {
+  TerminalReader
+};
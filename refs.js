@@ -0,0 +1,162 @@
+// ========== REFERENCES ==========
+//
+// Parse and format Sefaria-style references to Sefer HaChinukh:
+//   "Sefer HaChinukh 32"        whole mitzvah
+//   "Sefer HaChinukh 32:3"      one segment (paragraph)
+//   "Sefer HaChinukh 32:3-5"    segment range within a mitzvah
+//   "Sefer HaChinukh 32-34"     range of whole mitzvot
+//   "Sefer HaChinukh 32:3-33:2" segment range across mitzvot
+//   "ספר החינוך ל״ב:ג"          the same in Hebrew, with gematria numbers
+// Mitzvah and segment numbers are 1-based, as on Sefaria.
+
+const BOOK_TITLE = 'Sefer HaChinukh';
+const HE_BOOK_TITLE = 'ספר החינוך';
+
+// Accepted spellings of the book name (compared lowercase, underscores read as spaces), longest first
+const BOOK_NAMES = [
+  'sefer hachinukh', 'sefer ha chinukh', 'sefer ha-chinukh', 'sefer hachinuch', 'sefer ha-chinuch',
+  'hachinukh', 'chinukh', 'chinuch',
+  'ספר החינוך', 'ספר החנוך', 'החינוך', 'החנוך', 'חינוך'
+].sort((a, b) => b.length - a.length);
+
+const GEMATRIA = {
+  'א': 1, 'ב': 2, 'ג': 3, 'ד': 4, 'ה': 5, 'ו': 6, 'ז': 7, 'ח': 8, 'ט': 9,
+  'י': 10, 'כ': 20, 'ך': 20, 'ל': 30, 'מ': 40, 'ם': 40, 'נ': 50, 'ן': 50,
+  'ס': 60, 'ע': 70, 'פ': 80, 'ף': 80, 'צ': 90, 'ץ': 90,
+  'ק': 100, 'ר': 200, 'ש': 300, 'ת': 400
+};
+
+const ONES = ['', 'א', 'ב', 'ג', 'ד', 'ה', 'ו', 'ז', 'ח', 'ט'];
+const TENS = ['', 'י', 'כ', 'ל', 'מ', 'נ', 'ס', 'ע', 'פ', 'צ'];
+const HUNDREDS = ['', 'ק', 'ר', 'ש', 'ת'];
+
+const GERESH = '׳';
+const GERSHAYIM = '״';
+
+// ========== HEBREW NUMERALS ==========
+
+// Value of a Hebrew numeral such as ל״ב, תרי"ג or ט׳; NaN if it is not one
+function parseHebrewNumeral(text) {
+  const letters = String(text || '').replace(/["'׳״]/g, '').trim();
+  if (!letters || !/^[א-ת]+$/.test(letters)) return NaN;
+
+  let total = 0;
+  for (const letter of letters) {
+    total += GEMATRIA[letter];
+  }
+  return total;
+}
+
+// Hebrew numeral for 1-999 with geresh/gershayim (32 -> ל״ב, 15 -> ט״ו, 5 -> ה׳)
+function toHebrewNumeral(number) {
+  let n = parseInt(number, 10);
+  if (!(n >= 1 && n <= 999)) return String(number);
+
+  let letters = '';
+  while (n >= 400) {
+    letters += 'ת';
+    n -= 400;
+  }
+  letters += HUNDREDS[Math.floor(n / 100)];
+  n %= 100;
+
+  // 15 and 16 are written 9+6 and 9+7 to avoid spelling the divine name
+  if (n === 15 || n === 16) {
+    letters += n === 15 ? 'טו' : 'טז';
+  } else {
+    letters += TENS[Math.floor(n / 10)] + ONES[n % 10];
+  }
+
+  return letters.length === 1 ? letters + GERESH : letters.slice(0, -1) + GERSHAYIM + letters.slice(-1);
+}
+
+// A number written in digits or as a Hebrew numeral
+function parseNumberToken(token) {
+  const text = String(token || '').trim();
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+  return parseHebrewNumeral(text);
+}
+
+// ========== PARSING ==========
+
+// Parse a reference. Returns { mitzvah, segment, toMitzvah, toSegment } (segments are
+// null for whole mitzvot) or null if the text is not a Sefer HaChinukh reference.
+function parseRef(text) {
+  // Underscores and dots as in Sefaria URLs: Sefer_HaChinukh.32.3
+  let rest = String(text || '').replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!rest) return null;
+
+  const book = BOOK_NAMES.find(name => rest.toLowerCase().startsWith(name) && /^[\s.,]/.test(rest.slice(name.length)));
+  if (book) {
+    rest = rest.slice(book.length).replace(/^[\s.,]+/, '');
+  } else if (!/^[\dא-ת]/.test(rest)) {
+    return null;
+  }
+
+  // "32:3-33:2", "32:3-5", "32-34", "32 3", "ל״ב:ג-ה"
+  const number = `([\\d\\u05D0-\\u05EA"'\\u05F3\\u05F4]+)`;
+  const pattern = new RegExp(`^${number}(?:[:.\\s,]+${number})?(?:\\s*[-\\u2013]\\s*${number}(?:[:.\\s,]+${number})?)?$`);
+  const match = rest.trim().match(pattern);
+  if (!match) return null;
+
+  const [, from, fromSegment, to, toSegment] = match.map(part => (part === undefined ? undefined : parseNumberToken(part)));
+  if ([from, fromSegment, to, toSegment].some(value => Number.isNaN(value))) return null;
+
+  const ref = { mitzvah: from, segment: fromSegment !== undefined ? fromSegment : null, toMitzvah: from, toSegment: null };
+
+  if (to !== undefined && toSegment !== undefined) {
+    // 32:3-33:2
+    if (ref.segment === null) return null;
+    ref.toMitzvah = to;
+    ref.toSegment = toSegment;
+  } else if (to !== undefined) {
+    // 32:3-5 is a segment range, 32-34 a mitzvah range
+    if (ref.segment !== null) ref.toSegment = to;
+    else ref.toMitzvah = to;
+  } else {
+    ref.toSegment = ref.segment;
+  }
+
+  const valid = ref.mitzvah >= 1 && ref.toMitzvah <= 613 && ref.toMitzvah >= ref.mitzvah &&
+    (ref.segment === null || (ref.segment >= 1 && ref.toSegment >= 1 &&
+      (ref.toMitzvah > ref.mitzvah || ref.toSegment >= ref.segment)));
+  return valid ? ref : null;
+}
+
+// ========== FORMATTING ==========
+
+// Canonical reference string, in English ("Sefer HaChinukh 32:3-5") or Hebrew ("ספר החינוך ל״ב:ג׳-ה׳")
+function formatRef(ref, language = 'en') {
+  const hebrew = language === 'he';
+  const num = n => (hebrew ? toHebrewNumeral(n) : String(n));
+  const book = hebrew ? HE_BOOK_TITLE : BOOK_TITLE;
+  const toMitzvah = ref.toMitzvah !== undefined && ref.toMitzvah !== null ? ref.toMitzvah : ref.mitzvah;
+  const segment = ref.segment !== undefined ? ref.segment : null;
+  const toSegment = ref.toSegment !== undefined && ref.toSegment !== null ? ref.toSegment : segment;
+
+  let text = `${book} ${num(ref.mitzvah)}`;
+  if (segment !== null) text += `:${num(segment)}`;
+
+  if (toMitzvah !== ref.mitzvah) {
+    text += `-${num(toMitzvah)}`;
+    if (segment !== null) text += `:${num(toSegment)}`;
+  } else if (segment !== null && toSegment !== segment) {
+    text += `-${num(toSegment)}`;
+  }
+  return text;
+}
+
+// Reference of a single segment (segment is 1-based)
+function segmentRef(mitzvah, segment, language = 'en') {
+  return formatRef({ mitzvah, segment }, language);
+}
+
+module.exports = {
+  BOOK_TITLE,
+  HE_BOOK_TITLE,
+  parseRef,
+  formatRef,
+  segmentRef,
+  parseHebrewNumeral,
+  toHebrewNumeral
+};
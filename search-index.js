@@ -0,0 +1,405 @@
+// ========== INVERTED SEARCH INDEX ==========
+//
+// Positional inverted index over the title, English and Hebrew text of every
+// mitzvah and, when they are attached as `linked` (see linked-texts.js), its
+// commentaries and Torah verses, ranked with BM25. Postings are stored per term as a flat list of
+// records: [mitzvahNumber, fieldId, segment, termFrequency, ...positions].
+//
+// Terms are normalized with hebrew.js. Attached Hebrew prefixes and ktiv
+// male/chaser spellings are handled at query time by expanding a query term to
+// every indexed term with the same stem or skeleton, so the index stays exact.
+
+const { normalizeText, containsHebrew, prefixStems, ktivSkeleton } = require('./hebrew');
+const { stripMarkup } = require('./sefaria-text');
+const { linkedSegments } = require('./linked-texts');
+
+const INDEX_VERSION = 4;
+
+const FIELDS = ['title', 'english', 'hebrew', 'commentary', 'verses'];
+const FIELD_IDS = { title: 0, english: 1, hebrew: 2, commentary: 3, verses: 4 };
+const FIELD_WEIGHTS = [2.0, 1.0, 1.0, 0.5, 0.5];
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Words, including Hebrew abbreviations joined by a quote or gershayim (רמב"ם, חז״ל)
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['"\u05F3\u05F4](?=[\u05D0-\u05EA])[\p{L}\p{M}\p{N}]+)*/gu;
+
+// Split text into normalized tokens with their character offsets in the original text
+function tokenize(text) {
+  const tokens = [];
+  const source = String(text || '');
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    const term = normalizeText(match[0]);
+    if (term) tokens.push({ term, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Flatten a Sefaria text value (string, array or nested arrays) into segment strings
+function segmentsOf(value) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.flat(Infinity).map(segment => String(segment));
+  return [String(value)];
+}
+
+// The segments of one field of a mitzvah as plain text (markup and footnotes
+// removed), in index order. Index positions and snippet offsets refer to this text.
+function fieldSegments(mitzvah, field) {
+  switch (field) {
+    case 'title':
+      return [mitzvah.indexTitle || mitzvah.title || '', mitzvah.heTitle || ''];
+    case 'english':
+      return segmentsOf(mitzvah.text).map(stripMarkup);
+    case 'hebrew':
+      return segmentsOf(mitzvah.he).map(stripMarkup);
+    case 'commentary':
+      return linkedSegments(mitzvah.linked, 'commentaries').map(segment => stripMarkup(segment.text));
+    case 'verses':
+      return linkedSegments(mitzvah.linked, 'verses').map(segment => stripMarkup(segment.text));
+    default:
+      return [];
+  }
+}
+
+// ========== QUERY PARSING ==========
+
+// Parse a query into OR-ed clauses of AND-ed items. Each item is a term or a
+// quoted phrase; "OR" (or "|") separates clauses and "AND" is implied.
+function parseQuery(query, tokenizeTerm = tokenize) {
+  const clauses = [[]];
+  const pattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    if (match[1] !== undefined) {
+      const terms = tokenizeTerm(match[1]).map(token => token.term);
+      if (terms.length === 1) clauses[clauses.length - 1].push({ type: 'term', term: terms[0] });
+      else if (terms.length > 1) clauses[clauses.length - 1].push({ type: 'phrase', terms });
+      continue;
+    }
+
+    const word = match[2];
+    if (word === 'OR' || word === '|') {
+      if (clauses[clauses.length - 1].length > 0) clauses.push([]);
+      continue;
+    }
+    if (word === 'AND' || word === '&') continue;
+
+    // Unquoted words that tokenize into several parts (e.g. "burnt-offering") act as phrases
+    const terms = tokenizeTerm(word).map(token => token.term);
+    if (terms.length === 1) clauses[clauses.length - 1].push({ type: 'term', term: terms[0] });
+    else if (terms.length > 1) clauses[clauses.length - 1].push({ type: 'phrase', terms });
+  }
+
+  return clauses.filter(clause => clause.length > 0);
+}
+
+// ========== SNIPPETS ==========
+
+// Cut a window of text around the highlights, shifting the offsets to match the window
+function makeSnippet(text, highlights, contextLength = 100) {
+  if (highlights.length === 0) {
+    return { text: text.length > contextLength ? text.substring(0, contextLength) + '...' : text, highlights: [] };
+  }
+
+  const sorted = [...highlights].sort((a, b) => a.start - b.start);
+  const first = sorted[0];
+  const half = Math.floor(contextLength / 2);
+  const start = Math.max(0, first.start - half);
+  const lastInWindow = sorted.filter(h => h.end <= first.end + contextLength * 2);
+  const end = Math.min(text.length, lastInWindow[lastInWindow.length - 1].end + half);
+
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < text.length ? '...' : '';
+  return {
+    text: prefix + text.substring(start, end) + suffix,
+    highlights: lastInWindow.map(h => ({
+      start: h.start - start + prefix.length,
+      end: h.end - start + prefix.length
+    }))
+  };
+}
+
+// ========== INDEX ==========
+
+class SearchIndex {
+  constructor(data = {}) {
+    this.version = data.version || INDEX_VERSION;
+    this.docCount = data.docCount || 0;
+    this.avgLengths = data.avgLengths || FIELDS.map(() => 0);
+    this.docLengths = data.docLengths || {};
+    this.postings = data.postings || {};
+    this.linkedCount = data.linkedCount || 0;
+    this.tokenize = tokenize;
+  }
+
+  // Build the index from loaded mitzvot (with their linked texts when attached)
+  static build(mitzvotData) {
+    const index = new SearchIndex();
+    const postings = new Map();
+    const totals = FIELDS.map(() => 0);
+
+    mitzvotData.forEach(mitzvah => {
+      const number = mitzvah.mitzvahNumber;
+      const lengths = FIELDS.map(() => 0);
+
+      FIELDS.forEach((field, fieldId) => {
+        fieldSegments(mitzvah, field).forEach((segment, segmentIndex) => {
+          const positions = new Map();
+          index.tokenize(segment).forEach((token, position) => {
+            if (!positions.has(token.term)) positions.set(token.term, []);
+            positions.get(token.term).push(position);
+            lengths[fieldId]++;
+          });
+
+          positions.forEach((termPositions, term) => {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push(number, fieldId, segmentIndex, termPositions.length, ...termPositions);
+          });
+        });
+      });
+
+      index.docLengths[number] = lengths;
+      lengths.forEach((length, fieldId) => { totals[fieldId] += length; });
+    });
+
+    index.docCount = mitzvotData.length;
+    index.linkedCount = mitzvotData.filter(mitzvah => mitzvah.linked).length;
+    index.avgLengths = totals.map(total => (index.docCount > 0 ? total / index.docCount : 0));
+    index.postings = Object.fromEntries(postings);
+    return index;
+  }
+
+  static fromJSON(json) {
+    if (!json || json.version !== INDEX_VERSION || !json.postings) {
+      return null;
+    }
+    return new SearchIndex(json);
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      docCount: this.docCount,
+      linkedCount: this.linkedCount,
+      avgLengths: this.avgLengths,
+      docLengths: this.docLengths,
+      postings: this.postings
+    };
+  }
+
+  // Hebrew lookup tables over the vocabulary: prefix stem -> terms, skeleton -> terms
+  vocabularyMaps() {
+    if (this.stemTerms) return this;
+
+    this.stemTerms = new Map();
+    this.skeletonTerms = new Map();
+    const add = (map, key, term) => {
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(term);
+    };
+
+    Object.keys(this.postings).forEach(term => {
+      if (!containsHebrew(term)) return;
+      [term, ...prefixStems(term)].forEach(stem => {
+        add(this.stemTerms, stem, term);
+        add(this.skeletonTerms, ktivSkeleton(stem), term);
+      });
+    });
+    return this;
+  }
+
+  // Indexed terms a query term stands for: itself, the same word with attached
+  // prefixes and, optionally, other ktiv male/chaser spellings. A query term with
+  // prefixes of its own that the vocabulary does not know (ובשבת) stands for its
+  // longest stem the vocabulary knows (שבת); a known term (שמים, כהן) is never
+  // stripped, as its first letter may not be a prefix at all.
+  expandTerm(term, options = {}) {
+    if (!containsHebrew(term)) return [term];
+
+    this.vocabularyMaps();
+    const stem = this.stemTerms.has(term)
+      ? term
+      : prefixStems(term).sort((a, b) => b.length - a.length).find(candidate => this.stemTerms.has(candidate)) || term;
+    const terms = new Set([term, ...(this.stemTerms.get(stem) || [])]);
+    if (options.ktivEquivalence) {
+      (this.skeletonTerms.get(ktivSkeleton(stem)) || []).forEach(match => terms.add(match));
+    }
+    return [...terms];
+  }
+
+  // Decode the postings of a term into Map<mitzvahNumber, [{ field, segment, positions }]>.
+  // Several terms (the expansions of one query term) are merged into one posting list.
+  lookup(terms, fieldIds) {
+    const byKey = new Map();
+
+    (Array.isArray(terms) ? terms : [terms]).forEach(term => {
+      const records = this.postings[term];
+      if (!records) return;
+
+      for (let i = 0; i < records.length;) {
+        const [number, fieldId, segment, frequency] = records.slice(i, i + 4);
+        const positions = records.slice(i + 4, i + 4 + frequency);
+        i += 4 + frequency;
+
+        if (!fieldIds.includes(fieldId)) continue;
+        const key = `${number}:${fieldId}:${segment}`;
+        if (byKey.has(key)) byKey.get(key).positions.push(...positions);
+        else byKey.set(key, { number, fieldId, segment, positions: [...positions] });
+      }
+    });
+
+    const byDoc = new Map();
+    byKey.forEach(({ number, fieldId, segment, positions }) => {
+      if (!byDoc.has(number)) byDoc.set(number, []);
+      byDoc.get(number).push({ fieldId, segment, positions: positions.sort((a, b) => a - b) });
+    });
+    return byDoc;
+  }
+
+  // Occurrences of a phrase: positions are where the phrase starts, length is its token count.
+  // Each entry of words is the list of expansions for that word.
+  lookupPhrase(words, fieldIds) {
+    const lists = words.map(terms => this.lookup(terms, fieldIds));
+    const byDoc = new Map();
+
+    lists[0].forEach((occurrences, number) => {
+      if (!lists.every(list => list.has(number))) return;
+
+      occurrences.forEach(({ fieldId, segment, positions }) => {
+        const rest = lists.slice(1).map(list => {
+          const hit = list.get(number).find(o => o.fieldId === fieldId && o.segment === segment);
+          return hit ? new Set(hit.positions) : null;
+        });
+        if (rest.some(set => set === null)) return;
+
+        const starts = positions.filter(start => rest.every((set, offset) => set.has(start + offset + 1)));
+        if (starts.length === 0) return;
+        if (!byDoc.has(number)) byDoc.set(number, []);
+        byDoc.get(number).push({ fieldId, segment, positions: starts, length: words.length });
+      });
+    });
+
+    return byDoc;
+  }
+
+  // Inverse document frequency of an item, given how many mitzvot it occurs in
+  idf(documentFrequency) {
+    return Math.log(1 + (this.docCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  // BM25 contribution of one item's occurrences in one mitzvah
+  scoreOccurrences(number, occurrences, idf) {
+    const frequencies = FIELDS.map(() => 0);
+    occurrences.forEach(({ fieldId, positions }) => { frequencies[fieldId] += positions.length; });
+
+    const lengths = this.docLengths[number] || FIELDS.map(() => 0);
+    return frequencies.reduce((score, frequency, fieldId) => {
+      if (frequency === 0) return score;
+      const norm = 1 - B + B * (lengths[fieldId] / (this.avgLengths[fieldId] || 1));
+      return score + FIELD_WEIGHTS[fieldId] * idf * (frequency * (K1 + 1)) / (frequency + K1 * norm);
+    }, 0);
+  }
+
+  // Run a query; returns [{ number, score, occurrences }] sorted by descending score.
+  // Each occurrence is { field, segment, positions, length } with token positions.
+  // Options: fields (subset of FIELDS), ktivEquivalence (match other Hebrew spellings).
+  search(query, options = {}) {
+    const fields = options.fields || FIELDS;
+    const fieldIds = fields.map(field => FIELD_IDS[field]).filter(id => id !== undefined);
+    const clauses = parseQuery(query, this.tokenize);
+    const scores = new Map();
+    const expand = term => this.expandTerm(term, options);
+
+    clauses.forEach(clause => {
+      const itemMatches = clause.map(item => (item.type === 'phrase'
+        ? {
+          matches: this.lookupPhrase(item.terms.map(expand), fieldIds),
+          idf: item.terms.reduce((sum, term) => sum + this.idf(this.lookup(expand(term), fieldIds).size), 0)
+        }
+        : { matches: this.lookup(expand(item.term), fieldIds) }));
+
+      itemMatches.forEach(entry => {
+        if (entry.idf === undefined) entry.idf = this.idf(entry.matches.size);
+      });
+
+      const [smallest] = [...itemMatches].sort((a, b) => a.matches.size - b.matches.size);
+      if (!smallest) return;
+
+      smallest.matches.forEach((unused, number) => {
+        if (!itemMatches.every(entry => entry.matches.has(number))) return;
+
+        let score = 0;
+        const occurrences = [];
+        itemMatches.forEach(entry => {
+          const found = entry.matches.get(number);
+          score += this.scoreOccurrences(number, found, entry.idf);
+          found.forEach(o => occurrences.push({ ...o, length: o.length || 1 }));
+        });
+
+        const previous = scores.get(number);
+        if (!previous) {
+          scores.set(number, { number, score, occurrences });
+        } else {
+          previous.score = Math.max(previous.score, score);
+          previous.occurrences.push(...occurrences);
+        }
+      });
+    });
+
+    return [...scores.values()]
+      .map(result => ({
+        number: result.number,
+        score: result.score,
+        occurrences: result.occurrences.map(o => ({ field: FIELDS[o.fieldId], segment: o.segment, positions: o.positions, length: o.length }))
+      }))
+      .sort((a, b) => b.score - a.score || a.number - b.number);
+  }
+
+  // Turn token-position occurrences into snippets with character highlight offsets
+  snippets(mitzvah, occurrences, contextLength = 100) {
+    const bySegment = new Map();
+    occurrences.forEach(o => {
+      const key = `${o.field}:${o.segment}`;
+      if (!bySegment.has(key)) bySegment.set(key, { field: o.field, segment: o.segment, spans: [] });
+      o.positions.forEach(position => bySegment.get(key).spans.push([position, position + o.length - 1]));
+    });
+
+    const fieldOrder = field => FIELDS.indexOf(field);
+    return [...bySegment.values()]
+      .sort((a, b) => fieldOrder(a.field) - fieldOrder(b.field) || a.segment - b.segment)
+      .map(({ field, segment, spans }) => {
+        const text = fieldSegments(mitzvah, field)[segment] || '';
+        const tokens = this.tokenize(text);
+        const highlights = spans
+          .filter(([from, to]) => tokens[from] && tokens[to])
+          .map(([from, to]) => ({ start: tokens[from].start, end: tokens[to].end }));
+        return { field, segment, ...makeSnippet(text, mergeHighlights(highlights), contextLength) };
+      });
+  }
+}
+
+// Sort highlights and merge overlapping or touching ranges
+function mergeHighlights(highlights) {
+  const sorted = [...highlights].sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach(h => {
+    const last = merged[merged.length - 1];
+    if (last && h.start <= last.end) last.end = Math.max(last.end, h.end);
+    else merged.push({ ...h });
+  });
+  return merged;
+}
+
+module.exports = {
+  SearchIndex,
+  FIELDS,
+  INDEX_VERSION,
+  tokenize,
+  parseQuery,
+  segmentsOf,
+  fieldSegments,
+  makeSnippet
+};
@@ -0,0 +1,302 @@
+// ========== SEFARIA TEXT PARSING ==========
+//
+// Sefaria segments carry inline HTML: <b>/<strong>, <i>/<em>, <br>, and
+// footnotes written as <sup class="footnote-marker">1</sup><i class="footnote">…</i>.
+// parseSegment() turns a segment into runs plus separate footnotes:
+//
+//   { runs: [{ type: 'plain' | 'bold' | 'italic' | 'bold-italic', text }
+//            | { type: 'footnote', footnote: 1, marker: '1' }],
+//     footnotes: [{ number: 1, marker: '1', runs: [...] }] }
+//
+// The render helpers turn that into plain text, Markdown or (X)HTML; footnote
+// numbers can be offset so a whole mitzvah gets one continuous numbering.
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  thinsp: ' ',
+  ndash: '\u2013',
+  mdash: '\u2014',
+  lrm: '',
+  rlm: ''
+};
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w-]*)((?:\s+[^>]*?)?)\s*(\/?)>|<!--[\s\S]*?-->/g;
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const decoded = ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+function hasClass(attributes, name) {
+  const match = String(attributes || '').match(/class\s*=\s*["']([^"']*)["']/i);
+  return !!match && match[1].split(/\s+/).includes(name);
+}
+
+// Split HTML into a flat token list: { text } or { tag, closing, attributes, selfClosing }
+function lex(html) {
+  const tokens = [];
+  let last = 0;
+  const source = String(html || '');
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    if (match.index > last) tokens.push({ text: source.slice(last, match.index) });
+    if (match[2]) {
+      tokens.push({
+        tag: match[2].toLowerCase(),
+        closing: match[1] === '/',
+        attributes: match[3] || '',
+        selfClosing: match[4] === '/' || match[2].toLowerCase() === 'br'
+      });
+    }
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) tokens.push({ text: source.slice(last) });
+  return tokens;
+}
+
+function runType(bold, italic) {
+  if (bold && italic) return 'bold-italic';
+  if (bold) return 'bold';
+  if (italic) return 'italic';
+  return 'plain';
+}
+
+// Append text to a run list, merging with the previous run of the same type
+function pushText(runs, type, text) {
+  if (!text) return;
+  const last = runs[runs.length - 1];
+  if (last && last.type === type) last.text += text;
+  else runs.push({ type, text });
+}
+
+// ========== PARSING ==========
+
+function parseSegment(html) {
+  const runs = [];
+  const footnotes = [];
+  const stack = [];
+  let pendingMarker = null;
+
+  // Where text goes right now: the open footnote's runs, or the segment's
+  const target = () => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (stack[i].footnote) return stack[i].footnote.runs;
+    }
+    return runs;
+  };
+  const style = () => ({
+    bold: stack.some(entry => entry.bold),
+    italic: stack.some(entry => entry.italic),
+    inMarker: stack.some(entry => entry.marker)
+  });
+
+  lex(html).forEach(token => {
+    if (token.text !== undefined) {
+      const text = decodeEntities(token.text);
+      const current = style();
+      if (current.inMarker && pendingMarker) {
+        pendingMarker.marker += text;
+      } else {
+        pushText(target(), runType(current.bold, current.italic), text);
+      }
+      return;
+    }
+
+    if (token.tag === 'br') {
+      pushText(target(), runType(style().bold, style().italic), '\n');
+      return;
+    }
+
+    if (token.closing) {
+      const index = stack.map(entry => entry.tag).lastIndexOf(token.tag);
+      if (index === -1) return;
+      const [closed] = stack.splice(index);
+      if (closed.marker && pendingMarker) {
+        pendingMarker.marker = pendingMarker.marker.trim();
+        pendingMarker.run.marker = pendingMarker.marker;
+      }
+      return;
+    }
+
+    if (token.selfClosing) return;
+
+    const entry = { tag: token.tag };
+    if (hasClass(token.attributes, 'footnote')) {
+      // Footnote body: attach it to the marker just before it, or number it ourselves
+      const number = footnotes.length + 1;
+      const marker = pendingMarker && pendingMarker.marker ? pendingMarker.marker : String(number);
+      entry.footnote = { number, marker, runs: [] };
+      footnotes.push(entry.footnote);
+      if (pendingMarker && pendingMarker.run) {
+        pendingMarker.run.footnote = number;
+        pendingMarker.run.marker = marker;
+      } else {
+        runs.push({ type: 'footnote', footnote: number, marker });
+      }
+      pendingMarker = null;
+    } else if (token.tag === 'sup' && (hasClass(token.attributes, 'footnote-marker') || stack.length === 0)) {
+      // A marker: remember it; it only becomes a footnote run if a footnote body follows
+      entry.marker = true;
+      pendingMarker = { marker: '', run: { type: 'footnote', footnote: null, marker: '' } };
+      target().push(pendingMarker.run);
+    } else if (token.tag === 'b' || token.tag === 'strong') {
+      entry.bold = true;
+    } else if (token.tag === 'i' || token.tag === 'em') {
+      entry.italic = true;
+    }
+    stack.push(entry);
+  });
+
+  // Markers that never got a footnote body are ordinary superscript text
+  const cleanup = list => {
+    for (let i = list.length - 1; i >= 0; i--) {
+      const run = list[i];
+      if (run.type === 'footnote' && run.footnote === null) {
+        list.splice(i, 1);
+        if (run.marker) list.splice(i, 0, { type: 'plain', text: run.marker });
+      }
+    }
+  };
+  cleanup(runs);
+  footnotes.forEach(footnote => cleanup(footnote.runs));
+
+  return { runs, footnotes };
+}
+
+// ========== RENDERING ==========
+
+function runsToPlain(runs, options = {}) {
+  return runs.map(run => {
+    if (run.type !== 'footnote') return run.text;
+    if (!options.footnoteMarkers) return '';
+    return `[${run.footnote + (options.footnoteOffset || 0)}]`;
+  }).join('');
+}
+
+// Plain text of a segment. Options: footnoteMarkers (insert [n]), footnoteOffset
+function toPlainText(parsed, options = {}) {
+  return runsToPlain(parsed.runs, options).replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n').trim();
+}
+
+// Markdown emphasis, keeping leading/trailing spaces outside the markers
+function emphasize(text, marker) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return match[2] ? `${match[1]}${marker}${match[2].replace(/\n/g, `${marker}  \n${marker}`)}${marker}${match[3]}` : text;
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+function runsToMarkdown(runs, footnoteOffset = 0) {
+  return runs.map(run => {
+    switch (run.type) {
+      case 'footnote':
+        return `[^${run.footnote + footnoteOffset}]`;
+      case 'bold':
+        return emphasize(escapeMarkdown(run.text), '**');
+      case 'italic':
+        return emphasize(escapeMarkdown(run.text), '*');
+      case 'bold-italic':
+        return emphasize(escapeMarkdown(run.text), '***');
+      default:
+        return escapeMarkdown(run.text).replace(/\n/g, '  \n');
+    }
+  }).join('').trim();
+}
+
+// Markdown of a segment with [^n] footnote references
+function toMarkdown(parsed, footnoteOffset = 0) {
+  return runsToMarkdown(parsed.runs, footnoteOffset);
+}
+
+// Escape text for HTML and XHTML (attribute values included)
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// XHTML-compatible HTML of runs. Footnote references link to #<idPrefix>-<n> and
+// carry the id <idPrefix>-ref-<n>; options.epub marks them epub:type="noteref".
+function runsToHtml(runs, footnoteOffset = 0, options = {}) {
+  const prefix = options.idPrefix || 'fn';
+  const html = text => escapeHtml(text).replace(/\n/g, '<br/>');
+  return runs.map(run => {
+    switch (run.type) {
+      case 'footnote': {
+        const n = run.footnote + footnoteOffset;
+        const type = options.epub ? ' epub:type="noteref"' : '';
+        return `<sup><a class="noteref" href="#${prefix}-${n}" id="${prefix}-ref-${n}"${type}>${n}</a></sup>`;
+      }
+      case 'bold':
+        return `<b>${html(run.text)}</b>`;
+      case 'italic':
+        return `<i>${html(run.text)}</i>`;
+      case 'bold-italic':
+        return `<b><i>${html(run.text)}</i></b>`;
+      default:
+        return html(run.text);
+    }
+  }).join('').trim();
+}
+
+// Markdown footnote definitions for a segment ("[^n]: text")
+function footnotesToMarkdown(parsed, footnoteOffset = 0) {
+  return parsed.footnotes.map(footnote => `[^${footnote.number + footnoteOffset}]: ${runsToMarkdown(footnote.runs).replace(/\n+/g, ' ')}`);
+}
+
+// Plain text of a segment's footnotes, numbered
+function footnotesToPlain(parsed, footnoteOffset = 0) {
+  return parsed.footnotes.map(footnote => `[${footnote.number + footnoteOffset}] ${runsToPlain(footnote.runs).replace(/\s+/g, ' ').trim()}`);
+}
+
+// Text of a segment with markup and footnotes removed (for search and previews)
+function stripMarkup(html) {
+  return toPlainText(parseSegment(html)).replace(/\s+/g, ' ');
+}
+
+// Render a list of segments as 'plain' (with [n] markers), 'markdown' ([^n]) or
+// 'html' (see runsToHtml(); htmlOptions are its options), numbering footnotes
+// continuously from footnoteOffset + 1. Returns { segments: [text], footnotes: [text] };
+// HTML footnotes are their content only, for the caller to wrap with the id they link to.
+function renderSegments(segments, format = 'plain', footnoteOffset = 0, htmlOptions = {}) {
+  const rendered = { segments: [], footnotes: [] };
+  segments.forEach(segment => {
+    const parsed = parseSegment(segment);
+    const offset = footnoteOffset + rendered.footnotes.length;
+    if (format === 'html') {
+      rendered.segments.push(runsToHtml(parsed.runs, offset, htmlOptions));
+      rendered.footnotes.push(...parsed.footnotes.map(footnote => runsToHtml(footnote.runs, 0, htmlOptions).replace(/(<br\/>)+/g, ' ')));
+    } else if (format === 'markdown') {
+      rendered.segments.push(toMarkdown(parsed, offset));
+      rendered.footnotes.push(...footnotesToMarkdown(parsed, offset));
+    } else {
+      rendered.segments.push(toPlainText(parsed, { footnoteMarkers: true, footnoteOffset: offset }));
+      rendered.footnotes.push(...footnotesToPlain(parsed, offset));
+    }
+  });
+  return rendered;
+}
+
+module.exports = {
+  parseSegment,
+  toPlainText,
+  toMarkdown,
+  footnotesToMarkdown,
+  footnotesToPlain,
+  stripMarkup,
+  renderSegments,
+  decodeEntities,
+  escapeHtml
+};
@@ -1,13 +1,106 @@
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
+const { SearchIndex, segmentsOf, fieldSegments } = require('./search-index');
+const { SimilarityIndex } = require('./similarity');
+const { ANALYTICS_KINDS, DEFAULT_TOP_TERMS, TextAnalytics, parseVerseRef, keywordInContext, formatCsv } = require('./analytics');
+const { readLinkedTexts, linkedSegments } = require('./linked-texts');
+const { findNormalized } = require('./hebrew');
+const { Downloader, loadFetch, readShard, shardFile, writeFileAtomic, writeJsonAtomic } = require('./downloader');
+const { parseRef, formatRef, segmentRef } = require('./refs');
+const { stripMarkup, renderSegments } = require('./sefaria-text');
+const { getMetadata, queryMetadata, normalizeFilters, matchesFilters, summarizeMetadata, describeApplicability, findParasha } = require('./mitzvot-metadata');
+const { rambamOf, equivalents, formatEquivalents, parseMitzvahId, describeUnmapped } = require('./enumerations');
+const { readingForDate, nextWeeklyReading, findReading, toFixed, fixedToIso } = require('./hebrew-calendar');
+const { createPlan, describePlan, buildSchedule, planStatus, ProgressStore } = require('./study-plan');
+const annotations = require('./annotations');
+const { renderHtmlBook, buildEpub, sourcesOf, describeNumbers } = require('./book-export');
+const textVersions = require('./text-versions');
+const flashcards = require('./flashcards');
+const doctor = require('./dataset-doctor');
+const { STORAGE_TYPES, JsonFileStore, PackedStore, PACK_FILE, openStore } = require('./storage');
+const snapshots = require('./snapshots');
+const updates = require('./update-check');
+const { InvalidMitzvahNumberError, ConfigurationError, DataNotLoadedError, ParseError, throwIfAborted } = require('./errors');
+const { attachConsoleReporter } = require('./console-reporter');
 
-class SeferHaChinukhApp {
-  constructor() {
-    this.baseUrl = 'https://www.sefaria.org/api/texts/';
-    this.outputDir = './sefer_hachinukh_data';
-    this.delay = 1000; // Increased delay to be more respectful to API
-    this.mitzvotData = null;
+const EXPORT_FORMATS = ['json', 'txt', 'md', 'html', 'epub'];
+const ANALYTICS_FORMATS = ['csv', 'json'];
+const DEFAULT_RELATED = 5;
+const DOWNLOADER_EVENTS = ['info', 'warning', 'mitzvah:downloaded', 'mitzvah:failed', 'download:progress', 'download:retry'];
+
+// ========== EVENTS ==========
+//
+// The app prints nothing itself (attachConsoleReporter() in console-reporter.js prints
+// what it used to). It emits events, each with a `message` for people and details:
+//
+//   'download:start'      { kind, total }                  a download or check begins
+//   'mitzvah:downloaded'  { kind, number }                 one mitzvah of it done
+//   'mitzvah:failed'      { kind, number, error }          error: a NetworkError or ParseError
+//   'download:progress'   { kind, number, completed, total, percent }
+//   'download:retry'      { url, attempt, delay, error }
+//   'download:complete'   { kind, downloaded, skipped, failed }, and count (mitzvot saved
+//                         in all) after downloadAllMitzvot()
+//   'load'                { count, storage, skipped, indexEntries }   after loadData()
+//   'warning'             { code, ... }  a problem an operation went past, e.g. an
+//                         invalid file skipped ('invalid-shard', with its file)
+//   'failure'             a request that could not be done, for which the method
+//                         returns null, false or [] as it documents
+//   'info'                steps and results: files saved, snapshots taken, notes added
+//
+// kind is 'text', 'links', 'versions' or 'fetch'. The display...() methods still print
+// to the console, as printing is what they are for. What callers have to handle is thrown
+// instead, as the errors of errors.js: InvalidMitzvahNumberError, ConfigurationError (an
+// unknown storage), DataNotLoadedError, NetworkError, ParseError, and AbortError when the
+// AbortSignal given to downloadAllMitzvot(), retryFailedDownloads() or another download
+// is aborted.
+
+class SeferHaChinukhApp extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.baseUrl = options.baseUrl || 'https://www.sefaria.org/api/texts/';
+    this.linksUrl = options.linksUrl || null; // default: the links API next to baseUrl
+    this.outputDir = options.outputDir || './sefer_hachinukh_data';
+    this.concurrency = options.concurrency || 4;
+    this.requestsPerSecond = options.requestsPerSecond || 2;
+    this.storage = options.storage || 'json'; // 'json' or 'packed', see storage.js
+    if (!STORAGE_TYPES.includes(this.storage)) {
+      throw new ConfigurationError(`Unknown storage: ${this.storage}. Use: ${STORAGE_TYPES.join(', ')}`, { option: 'storage', value: this.storage });
+    }
+    this.cacheSize = options.cacheSize; // mitzvot packed storage keeps in memory (default 64)
+    this.keepSnapshots = options.keepSnapshots || snapshots.DEFAULT_KEEP; // automatic ones
+    this.snapshot = undefined; // the snapshot the data matches, once looked up
+    this.store = null;
+    this.allMitzvot = null; // what mitzvotData returned, for the store it was read from
     this.index = null;
+    this.linkedTexts = new Map();
+    this.searchIndex = null;
+    this.versionIndexes = new Map(); // full-text indexes of other text versions, by title
+    this.similarityIndex = null;
+    this.textAnalytics = null;
+    this.progressStore = null;
+    this.annotationStore = null;
+    this.reviewStore = null;
+  }
+
+  // Every loaded mitzvah, ascending by number (null before loadData()). Packed storage
+  // reads them all for this, once per loaded store; lookups by number should use
+  // this.store.get(), which reads one.
+  get mitzvotData() {
+    if (!this.store) return null;
+    if (!this.allMitzvot || this.allMitzvot.store !== this.store) this.allMitzvot = { store: this.store, mitzvot: this.store.all() };
+    return this.allMitzvot.mitzvot;
+  }
+
+  // Emit an event (see EVENTS above) with the message the console reporter prints
+  notify(event, message, details = {}) {
+    this.emit(event, { ...details, message });
+  }
+
+  // The loaded data, or a DataNotLoadedError
+  requireStore() {
+    if (!this.store) throw new DataNotLoadedError();
+    return this.store;
   }
 
   // ========== DOWNLOAD FUNCTIONS ==========
@@ -15,116 +108,259 @@ class SeferHaChinukhApp {
   ensureDataDirectory() {
     if (!fs.existsSync(this.outputDir)) {
       fs.mkdirSync(this.outputDir, { recursive: true });
-      console.log(`📁 Created directory: ${this.outputDir}`);
+      this.notify('info', `📁 Created directory: ${this.outputDir}`);
+    }
+  }
+
+  // Download all 613 mitzvot with a concurrent, rate-limited and resumable engine.
+  // Mitzvot already saved as valid mitzvah_NNN.json files are not fetched again;
+  // pass { force: true } to re-download everything (the data as it was is kept as a
+  // snapshot first, see restoreSnapshot()) and { links: true } to also
+  // download their linked texts (see downloadLinkedTexts()) and { versions } to also
+  // download other text versions (see downloadVersions()).
+  // { signal } (an AbortSignal) cancels it: it rejects with an AbortError once the
+  // requests in flight have settled, and the next run resumes with what was saved.
+  // Default versions whose license does not allow redistribution are warned about
+  // (see warnRestrictedDefaults()).
+  // Rejects with a NetworkError when there is no fetch() to download with.
+  async downloadAllMitzvot(options = {}) {
+    throwIfAborted(options.signal);
+    this.notify('download:start', '🔄 Starting download of all 613 mitzvot...', { kind: 'text', total: 613 });
+    this.ensureDataDirectory();
+
+    const downloader = this.createDownloader(options);
+    downloader.fetch = await loadFetch();
+
+    if (options.force && fs.existsSync(path.join(this.outputDir, 'all_mitzvot.json'))) {
+      this.createSnapshot({ reason: 'before-download' });
+    }
+    const numbers = Array.from({ length: 613 }, (_, i) => i + 1);
+    const { downloaded, skipped, failed } = await downloader.downloadMitzvot(numbers, options);
+    if (options.links) await this.downloadLinkedTexts({ ...options, rebuild: false });
+    if (options.versions) await this.downloadVersions(options.versions, options);
+
+    // Assemble the collection from every valid shard, including those from earlier runs
+    const allMitzvot = await this.rebuildFromShards();
+    if (downloaded.length > 0 && allMitzvot.length > 0) this.createSnapshot({ reason: 'download' });
+    this.warnRestrictedDefaults(allMitzvot.filter(mitzvah => downloaded.includes(mitzvah.mitzvahNumber)));
+    
+    this.notify('download:complete', `\n🎉 Download complete!\n` +
+      `✅ Successfully downloaded: ${allMitzvot.length}/613 mitzvot (${downloaded.length} new, ${skipped.length} already present)\n` +
+      `📂 Data saved in: ${this.outputDir}`, { kind: 'text', count: allMitzvot.length, downloaded, skipped, failed });
+    
+    const failedFile = path.join(this.outputDir, 'failed_downloads.json');
+    if (failed.length > 0) {
+      this.notify('warning', `⚠️  Failed downloads (${failed.length}): ${failed.map(f => f.number).join(', ')}`,
+        { code: 'failed-downloads', numbers: failed.map(f => f.number) });
+      
+      // Save failed list for retry
+      writeJsonAtomic(failedFile, failed);
+      this.notify('info', `📋 Failed downloads saved to: ${failedFile}`, { file: failedFile });
+    } else if (fs.existsSync(failedFile)) {
+      fs.unlinkSync(failedFile);
     }
+    
+    return allMitzvot;
   }
 
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // The default versions downloadAllMitzvot() fetched cannot be skipped like other
+  // versions, so their licenses are checked as downloadVersions() checks those: one
+  // warning (code restricted-license) per version that may not be redistributed
+  warnRestrictedDefaults(mitzvot) {
+    sourcesOf(mitzvot).filter(source => !textVersions.isRedistributable(source.license)).forEach(source => {
+      this.notify('warning', `🚫 Default ${source.language} version "${source.title || 'unknown version'}" of mitzvot ${describeNumbers(source.numbers)}: ` +
+        `license ${source.license || 'unknown'}, ${textVersions.licenseRestriction(source.license)}`, { code: 'restricted-license', ...source });
+    });
   }
 
-  async downloadAllMitzvot() {
-    console.log('🔄 Starting download of all 613 mitzvot...');
+  // Download the Minchat Chinukh and the Torah verses linked to every downloaded
+  // mitzvah, through Sefaria's links API (linksUrl, by default next to baseUrl), into
+  // mitzvah_NNN_links.json files (see linked-texts.js), then rebuild the indexes so
+  // they are searchable. Files already present are kept unless { force: true }; an
+  // aborted { signal } rejects with an AbortError as in downloadAllMitzvot().
+  // Returns { downloaded, skipped, failed } (failed: [{ number, error }]), or null when
+  // no mitzvah is downloaded yet.
+  async downloadLinkedTexts(options = {}) {
+    throwIfAborted(options.signal);
     this.ensureDataDirectory();
+    const downloader = this.createDownloader(options);
+    downloader.fetch = await loadFetch();
+
+    const numbers = Array.from({ length: 613 }, (_, i) => i + 1).filter(number => readShard(this.outputDir, number));
+    if (numbers.length === 0) {
+      this.notify('failure', '⚠️  No mitzvot downloaded yet. Run downloadAllMitzvot() first.');
+      return null;
+    }
+    this.notify('download:start', `🔗 Downloading the linked texts of ${numbers.length} mitzvot...`, { kind: 'links', total: numbers.length });
+    const result = await downloader.downloadLinks(numbers, options);
+    if (result.failed.length > 0) {
+      this.notify('warning', `⚠️  Failed linked texts (${result.failed.length}): ${result.failed.map(f => f.number).join(', ')}`,
+        { code: 'failed-downloads', numbers: result.failed.map(f => f.number) });
+    }
+    this.notify('download:complete', `✅ Linked texts: ${result.downloaded.length} downloaded, ${result.skipped.length} already present`,
+      { kind: 'links', ...result });
+
+    if (options.rebuild !== false) await this.rebuildFromShards();
+    return result;
+  }
 
-    let fetch;
+  // Download other English and Hebrew versions of every downloaded mitzvah into
+  // mitzvah_NNN_versions.json files (see text-versions.js). preferences lists version
+  // titles per language, as getAvailableVersions() names them, e.g.
+  // { en: ['Sefer HaChinukh, trans. Charles Wengrov'], he: ['Minhat Hinukh, Jerusalem 1988'] }.
+  // Versions whose license does not allow redistribution are skipped unless
+  // { allowRestricted: true }; mitzvot that have them all are skipped unless { force: true }.
+  // An aborted { signal } rejects with an AbortError as in downloadAllMitzvot().
+  // Returns { downloaded, skipped, failed, unavailable, restricted }, or null.
+  async downloadVersions(preferences, options = {}) {
+    let wanted;
     try {
-      // Fixed: Better error handling for dynamic import
-      const module = await import('node-fetch');
-      fetch = module.default;
+      wanted = textVersions.normalizePreferences(preferences);
     } catch (error) {
-      console.error('❌ Error importing node-fetch. Make sure to install: npm install node-fetch');
-      console.error('Error details:', error.message);
-      return [];
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+    if (wanted.en.length === 0 && wanted.he.length === 0) {
+      this.notify('failure', '❌ No versions given. Use e.g. { en: [title], he: [title] }');
+      return null;
     }
 
-    const allMitzvot = [];
-    const failed = [];
-    
-    for (let i = 1; i <= 613; i++) {
-      try {
-        const reference = `Sefer_HaChinukh.${i}`;
-        const url = `${this.baseUrl}${reference}`;
-        
-        console.log(`🔄 Downloading Mitzvah ${i}...`);
-        const response = await fetch(url);
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+    throwIfAborted(options.signal);
+    this.ensureDataDirectory();
+    const downloader = this.createDownloader(options);
+    downloader.fetch = await loadFetch();
 
-        const data = await response.json();
-        
-        // Fixed: Better validation of response data
-        if (!data || (typeof data !== 'object')) {
-          throw new Error('Invalid response data format');
-        }
-        
-        // Add mitzvah number to the data
-        data.mitzvahNumber = i;
-        allMitzvot.push(data);
-        
-        // Save individual file with better error handling
-        try {
-          const filename = path.join(this.outputDir, `mitzvah_${i.toString().padStart(3, '0')}.json`);
-          fs.writeFileSync(filename, JSON.stringify(data, null, 2), 'utf8');
-        } catch (fileError) {
-          console.error(`⚠️  Warning: Could not save individual file for Mitzvah ${i}:`, fileError.message);
-        }
-        
-        console.log(`✓ Downloaded Mitzvah ${i}`);
-        
-        // Progress indicator
-        if (i % 50 === 0) {
-          console.log(`📊 Progress: ${i}/613 mitzvot downloaded (${Math.round(i/613*100)}%)`);
-        }
-        
-      } catch (error) {
-        console.error(`✗ Error downloading Mitzvah ${i}:`, error.message);
-        failed.push({ number: i, error: error.message });
-      }
-      
-      // Respectful delay (increased)
-      if (i < 613) {
-        await this.sleep(this.delay);
-      }
+    const numbers = Array.from({ length: 613 }, (_, i) => i + 1).filter(number => readShard(this.outputDir, number));
+    if (numbers.length === 0) {
+      this.notify('failure', '⚠️  No mitzvot downloaded yet. Run downloadAllMitzvot() first.');
+      return null;
     }
-    
-    // Save complete collection with error handling
+    this.notify('download:start', `📚 Downloading ${wanted.en.length + wanted.he.length} text versions of ${numbers.length} mitzvot...`,
+      { kind: 'versions', total: numbers.length });
+    const result = await downloader.downloadVersions(numbers, wanted, options);
+    this.versionIndexes.clear();
+
+    result.unavailable.forEach(entry => {
+      this.notify('warning', `⚠️  Not on Sefaria for mitzvot ${describeNumbers(entry.numbers)}: ${entry.versionTitle}`,
+        { code: 'version-unavailable', ...entry });
+    });
+    result.restricted.forEach(entry => {
+      this.notify('warning', `🚫 Skipped ${entry.versionTitle} (license: ${entry.license || 'unknown'}, no redistribution)`,
+        { code: 'version-restricted', ...entry });
+    });
+    if (result.failed.length > 0) {
+      this.notify('warning', `⚠️  Failed versions (${result.failed.length}): ${result.failed.map(f => f.number).join(', ')}`,
+        { code: 'failed-downloads', numbers: result.failed.map(f => f.number) });
+    }
+    this.notify('download:complete', `✅ Text versions: ${result.downloaded.length} mitzvot downloaded, ${result.skipped.length} already present`,
+      { kind: 'versions', ...result });
+    return result;
+  }
+
+  // Read every valid mitzvah_NNN_links.json in outputDir into this.linkedTexts
+  loadLinkedTexts() {
+    this.linkedTexts = new Map();
+    if (!fs.existsSync(this.outputDir)) return this.linkedTexts;
+    fs.readdirSync(this.outputDir).forEach(file => {
+      const match = file.match(/^mitzvah_(\d+)_links\.json$/);
+      if (!match) return;
+      const number = parseInt(match[1], 10);
+      const linked = readLinkedTexts(this.outputDir, number);
+      if (linked) this.linkedTexts.set(number, linked);
+      else this.notify('warning', `⚠️  Skipping invalid linked texts: ${file}`, { code: 'invalid-linked-texts', number, file });
+    });
+    return this.linkedTexts;
+  }
+
+  // A copy of a mitzvah carrying its downloaded commentaries and verses as `linked`
+  // (unchanged when none were downloaded)
+  withLinkedTexts(mitzvah) {
+    if (mitzvah.linked) return mitzvah;
+    const linked = this.linkedTexts.get(mitzvah.mitzvahNumber);
+    return linked ? { ...mitzvah, linked } : mitzvah;
+  }
+
+  // The mitzvot as the full-text index sees them: with their linked texts
+  indexedMitzvot(mitzvotData = this.store.all()) {
+    return mitzvotData.map(mitzvah => this.withLinkedTexts(mitzvah));
+  }
+
+  // Reassemble all_mitzvot.json and the indexes from the mitzvah_NNN.json files in
+  // outputDir: sorted by number, one entry per number, invalid files skipped. Every
+  // file is written to a temp file and renamed, so a crash never leaves half a file.
+  async rebuildFromShards() {
+    this.ensureDataDirectory();
+
+    const byNumber = new Map();
+    fs.readdirSync(this.outputDir).forEach(file => {
+      const match = file.match(/^mitzvah_(\d+)\.json$/);
+      if (!match) return;
+
+      const number = parseInt(match[1], 10);
+      if (number < 1 || number > 613) return;
+
+      const data = readShard(this.outputDir, number);
+      if (!data) {
+        this.notify('warning', `⚠️  Skipping invalid shard: ${file}`, { code: 'invalid-shard', number, file });
+        return;
+      }
+      byNumber.set(number, data);
+    });
+
+    const allMitzvot = [...byNumber.keys()].sort((a, b) => a - b).map(number => byNumber.get(number));
+
     try {
       const completeFile = path.join(this.outputDir, 'all_mitzvot.json');
-      fs.writeFileSync(completeFile, JSON.stringify(allMitzvot, null, 2), 'utf8');
-      console.log(`💾 Saved complete collection: ${completeFile}`);
+      writeJsonAtomic(completeFile, allMitzvot);
+      this.snapshot = undefined;
+      this.notify('info', `💾 Saved complete collection: ${completeFile} (${allMitzvot.length} mitzvot)`, { file: completeFile, count: allMitzvot.length });
+      if (this.storage === 'packed') {
+        PackedStore.write(path.join(this.outputDir, PACK_FILE), allMitzvot);
+        this.notify('info', `📦 Saved packed collection: ${path.join(this.outputDir, PACK_FILE)}`, { file: path.join(this.outputDir, PACK_FILE) });
+      }
     } catch (error) {
-      console.error('❌ Error saving complete collection:', error.message);
+      this.notify('failure', `❌ Error saving complete collection: ${error.message}`, { error });
+      return allMitzvot;
     }
-    
-    // Create search index
+
     try {
-      await this.createSearchIndex(allMitzvot);
+      this.index = await this.createSearchIndex(allMitzvot);
     } catch (error) {
-      console.error('⚠️  Warning: Could not create search index:', error.message);
+      this.notify('warning', `⚠️  Warning: Could not create search index: ${error.message}`, { code: 'index-not-saved', error });
     }
-    
-    console.log(`\n🎉 Download complete!`);
-    console.log(`✅ Successfully downloaded: ${allMitzvot.length}/613 mitzvot`);
-    console.log(`📂 Data saved in: ${this.outputDir}`);
-    
-    if (failed.length > 0) {
-      console.log(`⚠️  Failed downloads (${failed.length}):`, failed.map(f => f.number).join(', '));
-      
-      // Save failed list for retry
-      const failedFile = path.join(this.outputDir, 'failed_downloads.json');
-      fs.writeFileSync(failedFile, JSON.stringify(failed, null, 2), 'utf8');
-      console.log(`📋 Failed downloads saved to: ${failedFile}`);
+
+    // Keep an already loaded app in step with what is now on disk
+    if (this.store) {
+      this.store.close();
+      this.store = this.storage === 'packed'
+        ? PackedStore.open(path.join(this.outputDir, PACK_FILE), { cacheSize: this.cacheSize })
+        : new JsonFileStore(allMitzvot);
     }
-    
+
     return allMitzvot;
   }
 
+  // Download engine configured from this app (base URL, output directory, limits),
+  // its events passed on as the app's
+  createDownloader(options = {}) {
+    const downloader = new Downloader({
+      baseUrl: this.baseUrl,
+      outputDir: this.outputDir,
+      concurrency: options.concurrency || this.concurrency,
+      requestsPerSecond: options.requestsPerSecond || this.requestsPerSecond,
+      maxRetries: options.maxRetries,
+      baseDelay: options.baseDelay,
+      maxDelay: options.maxDelay,
+      fetch: options.fetch,
+      linksUrl: this.linksUrl
+    });
+    DOWNLOADER_EVENTS.forEach(event => downloader.on(event, payload => this.emit(event, payload)));
+    return downloader;
+  }
+
   async createSearchIndex(mitzvotData) {
     if (!Array.isArray(mitzvotData) || mitzvotData.length === 0) {
-      console.log('⚠️  No mitzvot data to index');
+      this.notify('warning', '⚠️  No mitzvot data to index', { code: 'no-data' });
       return [];
     }
 
@@ -136,204 +372,1442 @@ class SeferHaChinukhApp {
       // Extract first few words for preview
       preview: this.extractPreview(mitzvah),
       hasHebrew: !!(mitzvah.he && mitzvah.he.length > 0),
-      hasEnglish: !!(mitzvah.text && mitzvah.text.length > 0)
+      hasEnglish: !!(mitzvah.text && mitzvah.text.length > 0),
+      ...this.indexMetadata(mitzvah.mitzvahNumber)
     }));
     
     const indexFile = path.join(this.outputDir, 'mitzvot_index.json');
-    fs.writeFileSync(indexFile, JSON.stringify(index, null, 2), 'utf8');
+    writeJsonAtomic(indexFile, index);
     
-    console.log(`📋 Created search index: ${indexFile}`);
+    this.notify('info', `📋 Created search index: ${indexFile}`, { file: indexFile });
+
+    this.loadLinkedTexts();
+    this.searchIndex = SearchIndex.build(this.indexedMitzvot(mitzvotData));
+    this.saveSearchIndex();
     return index;
   }
 
+  // Classification fields stored with each mitzvot_index.json entry
+  indexMetadata(number) {
+    const metadata = getMetadata(number);
+    if (!metadata) return {};
+    return {
+      type: metadata.type,
+      summary: metadata.summary,
+      source: metadata.source,
+      parasha: metadata.parasha,
+      applicability: metadata.applicability,
+      rambam: rambamOf(number) ? rambamOf(number).label : null
+    };
+  }
+
+  // Persist the inverted full-text index next to the data
+  saveSearchIndex() {
+    const searchIndexFile = path.join(this.outputDir, 'search_index.json');
+    writeJsonAtomic(searchIndexFile, this.searchIndex, 0);
+    this.notify('info', `🔎 Saved full-text index: ${searchIndexFile}`, { file: searchIndexFile });
+  }
+
   // ========== APP FUNCTIONS ==========
 
-  // Load all data into memory for fast access
+  // Load the data: with 'json' storage all of all_mitzvot.json into memory, with
+  // 'packed' only the offset table of all_mitzvot.pack (mitzvot are read as they are
+  // asked for, and the full-text index on the first search). Resolves to false when
+  // there is no data; rejects with a ParseError when a data file cannot be read
+  // (checkDataset() tells why).
   async loadData() {
+    const indexFile = path.join(this.outputDir, 'mitzvot_index.json');
+    if (this.store) this.store.close();
+    this.store = null;
+    this.index = null;
+    this.snapshot = undefined;
+
     try {
-      const allMitzvotFile = path.join(this.outputDir, 'all_mitzvot.json');
-      const indexFile = path.join(this.outputDir, 'mitzvot_index.json');
-      
-      if (fs.existsSync(allMitzvotFile)) {
-        const rawData = fs.readFileSync(allMitzvotFile, 'utf8');
-        this.mitzvotData = JSON.parse(rawData);
-        console.log(`📖 Loaded ${this.mitzvotData.length} mitzvot into memory`);
-      }
-      
+      this.store = openStore(this.outputDir, { type: this.storage, cacheSize: this.cacheSize, report: message => this.notify('info', message) });
       if (fs.existsSync(indexFile)) {
         const rawIndex = fs.readFileSync(indexFile, 'utf8');
-        this.index = JSON.parse(rawIndex);
-        console.log(`📋 Loaded search index with ${this.index.length} entries`);
+        // Index files written before the metadata table existed get it filled in
+        this.index = JSON.parse(rawIndex).map(entry => ({ ...entry, ...this.indexMetadata(entry.number) }));
+        this.notify('info', `📋 Loaded search index with ${this.index.length} entries`, { file: indexFile, count: this.index.length });
       }
-      
-      if (!this.mitzvotData || !Array.isArray(this.mitzvotData)) {
-        console.log('⚠️  No valid data found. Run downloadAllMitzvot() first.');
-        return false;
-      }
-      
-      return true;
     } catch (error) {
-      console.error('❌ Error loading data:', error.message);
-      this.mitzvotData = null;
+      if (this.store) this.store.close();
+      this.store = null;
       this.index = null;
+      throw new ParseError(`Could not load the data in ${this.outputDir}: ${error.message}. Check the data files with checkDataset() (node cli.js doctor)`,
+        { file: error.file, cause: error });
+    }
+
+    if (!this.store) {
+      this.notify('warning', '⚠️  No valid data found. Run downloadAllMitzvot() first.', { code: 'no-data' });
       return false;
     }
+
+    // Entries that are not mitzvot would break every lookup; checkDataset() tells why
+    if (this.store.skipped > 0) {
+      this.notify('warning', `⚠️  Skipped ${this.store.skipped} invalid or repeated entries of all_mitzvot.json`,
+        { code: 'invalid-entries', count: this.store.skipped });
+    }
+    this.loadLinkedTexts();
+    this.searchIndex = null;
+    this.versionIndexes.clear();
+    if (this.storage !== 'packed') this.loadSearchIndex();
+
+    this.notify('load', this.storage === 'packed'
+      ? `📖 Opened ${this.store.count} mitzvot (read as needed)`
+      : `📖 Loaded ${this.store.count} mitzvot into memory`,
+    { count: this.store.count, storage: this.storage, skipped: this.store.skipped || 0, indexEntries: this.index ? this.index.length : 0 });
+    return true;
   }
 
-  // Get a specific mitzvah by number
-  getMitzvah(number) {
-    if (!this.mitzvotData || !Array.isArray(this.mitzvotData)) {
-      console.log('⚠️  Data not loaded. Run loadData() first.');
-      return null;
+  // Load the persisted full-text index, rebuilding it when it is missing or stale
+  // (other mitzvot, or linked texts downloaded since)
+  loadSearchIndex() {
+    const searchIndexFile = path.join(this.outputDir, 'search_index.json');
+    this.searchIndex = null;
+
+    if (fs.existsSync(searchIndexFile)) {
+      try {
+        const searchIndex = SearchIndex.fromJSON(JSON.parse(fs.readFileSync(searchIndexFile, 'utf8')));
+        const linkedCount = this.store.numbers().filter(number => this.linkedTexts.has(number)).length;
+        if (searchIndex && searchIndex.docCount === this.store.count && searchIndex.linkedCount === linkedCount) {
+          this.searchIndex = searchIndex;
+          this.notify('info', `🔎 Loaded full-text index (${Object.keys(searchIndex.postings).length} terms)`);
+          return;
+        }
+      } catch (error) {
+        this.notify('warning', `⚠️  Warning: Could not read full-text index: ${error.message}`, { code: 'index-unreadable', file: searchIndexFile, error });
+      }
     }
 
-    // Fixed: Better input validation
-    const mitzvahNum = parseInt(number);
-    if (isNaN(mitzvahNum) || mitzvahNum < 1 || mitzvahNum > 613) {
-      console.log(`❌ Invalid mitzvah number: ${number}. Must be between 1-613.`);
-      return null;
+    this.searchIndex = SearchIndex.build(this.indexedMitzvot());
+    try {
+      this.saveSearchIndex();
+    } catch (error) {
+      this.notify('warning', `⚠️  Warning: Could not save full-text index: ${error.message}`, { code: 'index-not-saved', file: searchIndexFile, error });
     }
+  }
+
+  // Get a specific mitzvah by Chinukh number or any identifier parseMitzvahId()
+  // accepts, e.g. "Rambam Aseh 12" or "LT 65". With { annotations: true } the copy
+  // returned carries the bookmark, tags and notes of options.profile as `annotations`,
+  // with { linked: true } its downloaded commentaries and verses as `linked` and with
+  // { related: true } its related mitzvot as `related`. { version } shows another text
+  // version (a title, or one English and one Hebrew title; see withVersion()).
+  // null when the mitzvah (or that version of it) is not downloaded; throws an
+  // InvalidMitzvahNumberError for what is not a mitzvah and a DataNotLoadedError
+  // before loadData().
+  getMitzvah(number, options = {}) {
+    const store = this.requireStore();
+    const mitzvahNum = this.resolveMitzvahNumber(number);
+    if (mitzvahNum === null) return null;
     
-    const mitzvah = this.mitzvotData.find(m => m.mitzvahNumber === mitzvahNum);
+    const mitzvah = store.get(mitzvahNum);
     if (!mitzvah) {
-      console.log(`❌ Mitzvah ${mitzvahNum} not found in loaded data`);
+      this.notify('failure', `❌ Mitzvah ${mitzvahNum} not found in loaded data`, { number: mitzvahNum });
       return null;
     }
     
-    return mitzvah;
+    let found = options.annotations ? this.withAnnotations(mitzvah, options) : mitzvah;
+    if (options.version) {
+      found = this.withVersion(found, options.version);
+      if (!found) {
+        this.notify('failure', `❌ Mitzvah ${mitzvahNum} has no downloaded version ${[].concat(options.version).join(' / ')}`, { number: mitzvahNum });
+        return null;
+      }
+    }
+    if (options.linked) found = this.withLinkedTexts(found);
+    return options.related ? this.withRelated(found, options.related) : found;
   }
 
-  // Search mitzvot by text content
-  searchMitzvot(searchTerm, language = 'both') {
-    if (!this.mitzvotData || !Array.isArray(this.mitzvotData)) {
-      console.log('⚠️  Data not loaded. Run loadData() first.');
-      return [];
-    }
+  // Search mitzvot with the inverted index, ranked by relevance.
+  // Supports multi-word AND queries, "OR" between alternatives and "quoted phrases".
+  // Hebrew matches ignore nikud, final forms and attached prefixes; pass
+  // { ktivEquivalence: true } to also match ktiv male/chaser spellings.
+  // { tag } keeps mitzvot with that tag and { notes: true } also matches the text of
+  // notes (field 'note'), both from the annotations of options.profile.
+  // { linked: true } also searches the downloaded commentaries and Torah verses
+  // (fields 'commentary' and 'verses'; snippet refs point into them).
+  // { version } searches another text version instead, in the mitzvot that have it.
+  searchMitzvot(searchTerm, language = 'both', options = {}) {
+    this.requireStore();
 
     // Fixed: Input validation
     if (!searchTerm || typeof searchTerm !== 'string' || searchTerm.trim().length === 0) {
-      console.log('❌ Invalid search term');
+      this.notify('failure', '❌ Invalid search term');
       return [];
     }
-    
-    const results = [];
-    const term = searchTerm.trim().toLowerCase();
-    
-    this.mitzvotData.forEach(mitzvah => {
-      let found = false;
-      let matchText = '';
-      
-      // Search in English text
-      if ((language === 'english' || language === 'both') && mitzvah.text) {
-        const englishText = Array.isArray(mitzvah.text) ? mitzvah.text.join(' ') : String(mitzvah.text);
-        if (englishText.toLowerCase().includes(term)) {
-          found = true;
-          matchText = this.extractMatchingText(englishText, term);
-        }
-      }
-      
-      // Search in Hebrew text
-      if ((language === 'hebrew' || language === 'both') && mitzvah.he) {
-        const hebrewText = Array.isArray(mitzvah.he) ? mitzvah.he.join(' ') : String(mitzvah.he);
-        if (hebrewText.includes(searchTerm)) { // Hebrew search without case conversion
-          found = true;
-          matchText = this.extractMatchingText(hebrewText, searchTerm);
-        }
+
+    const fields = {
+      english: ['title', 'english'],
+      hebrew: ['title', 'hebrew'],
+      both: ['title', 'english', 'hebrew']
+    }[language] || ['title', 'english', 'hebrew'];
+    if (options.linked) fields.push('commentary', 'verses');
+
+    // Optional metadata filters, as for findMitzvot()
+    let filters = null;
+    if (options.filters) {
+      try {
+        filters = normalizeFilters(options.filters);
+      } catch (error) {
+        this.notify('failure', `❌ ${error.message}`, { error });
+        return [];
       }
-      
-      // Search in titles
-      const title = mitzvah.indexTitle || mitzvah.title || '';
-      const heTitle = mitzvah.heTitle || '';
-      if (String(title).toLowerCase().includes(term) || String(heTitle).includes(searchTerm)) {
-        found = true;
-        matchText = title || heTitle;
+    }
+
+    // Tag filter and note matches, from the profile's annotations
+    let data = null;
+    let tagged = null;
+    if (options.tag || options.notes) {
+      data = this.readAnnotations(options.profile);
+      if (!data) return [];
+      try {
+        if (options.tag) tagged = new Set(annotations.numbersWithTag(data, options.tag));
+      } catch (error) {
+        this.notify('failure', `❌ ${error.message}`, { error });
+        return [];
       }
-      
-      if (found) {
-        results.push({
-          number: mitzvah.mitzvahNumber,
-          title: mitzvah.indexTitle || mitzvah.title || `Mitzvah ${mitzvah.mitzvahNumber}`,
+    }
+
+    // Another version is searched in an index of its own
+    const versioned = options.version ? this.getVersionSearchIndex(options.version) : null;
+    if (options.version && !versioned) return [];
+    const searchIndex = versioned ? versioned.searchIndex : this.getSearchIndex();
+    const mitzvahOf = number => (versioned ? versioned.mitzvot.get(number) : this.store.get(number));
+    const wanted = number => (versioned ? versioned.mitzvot.has(number) : this.store.has(number)) && (!tagged || tagged.has(number)) &&
+      (!filters || (getMetadata(number) && matchesFilters(getMetadata(number), filters)));
+
+    const results = searchIndex.search(searchTerm.trim(), { fields, ktivEquivalence: !!options.ktivEquivalence })
+      .filter(hit => wanted(hit.number))
+      .map(hit => {
+        const mitzvah = mitzvahOf(hit.number);
+        const indexed = options.linked ? this.withLinkedTexts(mitzvah) : mitzvah;
+        const snippets = searchIndex.snippets(indexed, hit.occurrences, options.contextLength)
+          .map(snippet => ({ ...snippet, ref: this.snippetRef(indexed, snippet) }));
+        return {
+          number: hit.number,
+          ref: formatRef({ mitzvah: hit.number }),
+          title: mitzvah.indexTitle || mitzvah.title || `Mitzvah ${hit.number}`,
           heTitle: mitzvah.heTitle || '',
-          matchText: matchText,
+          score: Math.round(hit.score * 1000) / 1000,
+          field: snippets.length > 0 ? snippets[0].field : null,
+          matchText: snippets.length > 0 ? snippets[0].text : '',
+          snippets,
           mitzvah: mitzvah
-        });
+        };
+      });
+    if (!options.notes) return results;
+
+    // Note matches join the snippets of a text hit, or follow the text hits with score 0
+    annotations.searchNotes(data, searchTerm.trim(), options.contextLength)
+      .filter(match => wanted(match.number))
+      .forEach(match => {
+        const snippet = { field: 'note', noteId: match.note.id, ref: this.annotationRef(match.number, match.note.segment), ...match.snippet };
+        let result = results.find(candidate => candidate.number === match.number);
+        if (!result) {
+          const mitzvah = mitzvahOf(match.number);
+          result = {
+            number: match.number,
+            ref: formatRef({ mitzvah: match.number }),
+            title: mitzvah.indexTitle || mitzvah.title || `Mitzvah ${match.number}`,
+            heTitle: mitzvah.heTitle || '',
+            score: 0,
+            field: 'note',
+            matchText: snippet.text,
+            snippets: [],
+            mitzvah
+          };
+          results.push(result);
+        }
+        result.snippets.push(snippet);
+      });
+    return results;
+  }
+
+  // The inverted index for the loaded data, read or built on first use if loadData() did
+  // not load it
+  getSearchIndex() {
+    if (!this.searchIndex) this.loadSearchIndex();
+    if (this.searchIndex.docCount !== this.store.count) {
+      this.searchIndex = SearchIndex.build(this.indexedMitzvot());
+    }
+    return this.searchIndex;
+  }
+
+  // Full-text index of another text version (a title or titles, as withVersion()
+  // takes them) over the mitzvot that have it, built on first use:
+  // { searchIndex, mitzvot: Map<number, mitzvah> }, or null when none has it
+  getVersionSearchIndex(version) {
+    const key = [].concat(version).map(title => String(title).toLowerCase()).join('\u0000');
+    if (!this.versionIndexes.has(key)) {
+      const mitzvot = new Map();
+      this.store.all().forEach(mitzvah => {
+        const versioned = this.withVersion(mitzvah, version);
+        if (versioned) mitzvot.set(mitzvah.mitzvahNumber, versioned);
+      });
+      if (mitzvot.size === 0) {
+        this.notify('failure', `❌ Version not downloaded: ${[].concat(version).join(' / ')}`);
+        return null;
       }
+      this.versionIndexes.set(key, { searchIndex: SearchIndex.build(this.indexedMitzvot([...mitzvot.values()])), mitzvot });
+    }
+    return this.versionIndexes.get(key);
+  }
+
+  // TF-IDF vectors of the mitzvot (see similarity.js), rebuilt with the full-text index
+  getSimilarityIndex() {
+    const searchIndex = this.getSearchIndex();
+    if (!this.similarityIndex || this.similaritySource !== searchIndex) {
+      this.similarityIndex = SimilarityIndex.fromSearchIndex(searchIndex);
+      this.similaritySource = searchIndex;
+    }
+    return this.similarityIndex;
+  }
+
+  // The k loaded mitzvot closest in content to a mitzvah (number or identifier), by
+  // cosine similarity of their English and Hebrew text:
+  //   [{ number, ref, title, summary, score, terms }], best first; terms are the words
+  // they share that weigh most. null if the mitzvah is not loaded.
+  getRelatedMitzvot(number, k = DEFAULT_RELATED) {
+    const mitzvah = this.getMitzvah(number);
+    if (!mitzvah) return null;
+    const count = Number(k);
+    if (!Number.isInteger(count) || count < 1) {
+      this.notify('failure', `❌ Invalid number of related mitzvot: ${k}`);
+      return null;
+    }
+
+    return this.getSimilarityIndex().related(mitzvah.mitzvahNumber, count).map(entry => {
+      const related = this.store.get(entry.number);
+      const metadata = getMetadata(entry.number);
+      return {
+        number: entry.number,
+        ref: formatRef({ mitzvah: entry.number }),
+        title: related.indexTitle || related.title || `Mitzvah ${entry.number}`,
+        summary: metadata ? metadata.summary : null,
+        score: entry.score,
+        terms: entry.terms
+      };
     });
-    
-    return results;
+  }
+
+  // A copy of a mitzvah carrying its related mitzvot (`related`: true for the default
+  // count, or a number), as shown in the "See also" of displayMitzvah() and exports
+  withRelated(mitzvah, related = true) {
+    if (mitzvah.related) return mitzvah;
+    const found = this.getRelatedMitzvot(mitzvah.mitzvahNumber, related === true ? DEFAULT_RELATED : related);
+    return found ? { ...mitzvah, related: found } : mitzvah;
+  }
+
+  // The linked texts of a mitzvah carrying `linked` as plain text, for displays and
+  // exports: [{ kind, label, entries: [{ ref, heRef, segments }] }], verses first
+  linkedSections(mitzvah, showHebrew = true, showEnglish = true) {
+    if (!mitzvah.linked) return [];
+    const labels = { verses: 'Torah Verses', commentaries: `Commentary (${[...new Set(mitzvah.linked.commentaries.map(entry => entry.title))].join(', ')})` };
+    return ['verses', 'commentaries']
+      .map(kind => ({
+        kind,
+        label: labels[kind],
+        entries: mitzvah.linked[kind].map(entry => ({
+          ref: entry.ref,
+          heRef: entry.heRef,
+          segments: [...(showEnglish ? segmentsOf(entry.text) : []), ...(showHebrew ? segmentsOf(entry.he) : [])].map(stripMarkup).filter(text => text.trim())
+        })).filter(entry => entry.segments.length > 0)
+      }))
+      .filter(section => section.entries.length > 0);
+  }
+
+  // "33. Honor one's father and mother (father, mother, honor)", for See also lists
+  formatRelated(entry) {
+    return `${entry.number}. ${entry.summary || entry.title}${entry.terms.length > 0 ? ` (${entry.terms.join(', ')})` : ''}`;
+  }
+
+  // The ref a search snippet comes from: the mitzvah for its title, the segment for
+  // its text, the comment or verse for linked texts
+  snippetRef(mitzvah, snippet) {
+    switch (snippet.field) {
+      case 'title':
+        return formatRef({ mitzvah: mitzvah.mitzvahNumber });
+      case 'commentary':
+      case 'verses': {
+        const segment = linkedSegments(mitzvah.linked, snippet.field === 'commentary' ? 'commentaries' : 'verses')[snippet.segment];
+        return segment ? segment.ref : formatRef({ mitzvah: mitzvah.mitzvahNumber });
+      }
+      default:
+        return segmentRef(mitzvah.mitzvahNumber, snippet.segment + 1);
+    }
+  }
+
+  // Resolve a reference such as "Sefer HaChinukh 32:3-5", "32-34" or "ספר החינוך ל״ב"
+  // to its segments, each with its canonical English and Hebrew ref; null when it is
+  // not a reference or not downloaded
+  resolveRef(reference) {
+    this.requireStore();
+    const ref = parseRef(reference);
+    if (!ref) {
+      this.notify('failure', `❌ Invalid reference: ${reference}`);
+      return null;
+    }
+
+    const segments = [];
+    for (let number = ref.mitzvah; number <= ref.toMitzvah; number++) {
+      const mitzvah = this.getMitzvah(number);
+      if (!mitzvah) return null;
+
+      const english = segmentsOf(mitzvah.text);
+      const hebrew = segmentsOf(mitzvah.he);
+      const count = Math.max(english.length, hebrew.length);
+      const first = ref.segment !== null && number === ref.mitzvah ? ref.segment : 1;
+      const last = ref.segment !== null && number === ref.toMitzvah ? ref.toSegment : count;
+
+      if (first > count || last > count) {
+        this.notify('failure', `❌ Segment out of range: Mitzvah ${number} has ${count} segments`);
+        return null;
+      }
+
+      for (let segment = first; segment <= last; segment++) {
+        segments.push({
+          ref: segmentRef(number, segment),
+          heRef: segmentRef(number, segment, 'he'),
+          mitzvah: number,
+          segment,
+          text: english[segment - 1] || '',
+          he: hebrew[segment - 1] || ''
+        });
+      }
+    }
+
+    return { ref: formatRef(ref), heRef: formatRef(ref, 'he'), segments };
   }
 
   // Get mitzvot by category
   getMitzvotByCategory(category) {
-    if (!this.mitzvotData || !Array.isArray(this.mitzvotData)) {
-      console.log('⚠️  Data not loaded. Run loadData() first.');
+    const store = this.requireStore();
+    if (!category || typeof category !== 'string') {
+      this.notify('failure', '❌ Invalid category');
       return [];
     }
+    
+    return store.all().filter(mitzvah => 
+      mitzvah.categories && Array.isArray(mitzvah.categories) && 
+      mitzvah.categories.some(cat => 
+        String(cat).toLowerCase().includes(category.toLowerCase())
+      )
+    );
+  }
+
+  // Chinukh number for a number or identifier such as "Rambam Aseh 12" or "LT 65"; null
+  // when no Chinukh mitzvah is mapped to it, an InvalidMitzvahNumberError when it is
+  // not a mitzvah at all
+  resolveMitzvahNumber(identifier) {
+    const id = parseMitzvahId(identifier);
+    if (!id) throw new InvalidMitzvahNumberError(identifier);
+    if (id.mitzvah === null) {
+      this.notify('failure', `❌ ${describeUnmapped(id)}`);
+      return null;
+    }
+    return id.mitzvah;
+  }
 
-    if (!category || typeof category !== 'string') {
-      console.log('❌ Invalid category');
-      return [];
+  // Every numbering of a mitzvah: Sefer HaChinukh and Rambam's Sefer HaMitzvot
+  getEquivalentNumbers(identifier) {
+    const number = this.resolveMitzvahNumber(identifier);
+    return number === null ? null : equivalents(number);
+  }
+
+  // Classification of a mitzvah from the bundled table (works without downloaded data)
+  getMitzvahMetadata(number) {
+    const metadata = getMetadata(number);
+    if (!metadata) throw new InvalidMitzvahNumberError(number, `Invalid mitzvah number: ${number}. Must be between 1-613.`);
+    return metadata;
+  }
+
+  // Find mitzvot by classification; all given filters must match:
+  //   { type: 'positive' | 'negative', parasha, book, presentDay, landOfIsraelOnly,
+  //     templeEra, requiresSanhedrin, obligated: 'all' | 'men' | 'kohanim' | ... }
+  // e.g. { parasha: 'Kedoshim', type: 'negative', presentDay: true }.
+  // Returns metadata entries, each with the loaded mitzvah (or null if not downloaded),
+  // or null when a filter value is not recognized.
+  findMitzvot(filters = {}) {
+    let entries;
+    try {
+      entries = queryMetadata(filters);
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+
+    return entries.map(entry => ({ ...entry, mitzvah: this.store ? this.store.get(entry.number) : null }));
+  }
+
+  // Mitzvot of one weekly parasha or a combined portion such as "Matot-Masei" (English
+  // or Hebrew names), optionally with more filters; null if the name is unknown
+  getMitzvotByParasha(parasha, filters = {}) {
+    const reading = findReading(parasha);
+    if (!reading) {
+      this.notify('failure', `❌ Unknown parasha: ${parasha}`);
+      return null;
+    }
+
+    // Parashiyot such as Noach have no mitzvot of their own
+    const entries = [];
+    for (const name of reading.parashiyot.filter(name => findParasha(name))) {
+      const found = this.findMitzvot({ ...filters, parasha: name });
+      if (!found) return null;
+      entries.push(...found);
+    }
+    return entries;
+  }
+
+  // Get random mitzvah. With { unseen: true } it only picks mitzvot the profile
+  // (options.profile, default "default") has not seen or studied yet, and records it as seen.
+  getRandomMitzvah(options = {}) {
+    const numbers = this.requireStore().numbers();
+    if (numbers.length === 0) {
+      this.notify('failure', '⚠️  No mitzvot loaded. Run downloadAllMitzvot() first.');
+      return null;
+    }
+    
+    if (!options.unseen) {
+      const randomIndex = Math.floor(Math.random() * numbers.length);
+      return this.store.get(numbers[randomIndex]);
+    }
+
+    let picked = null;
+    try {
+      // Pick inside the update so the choice is made against the latest saved progress
+      this.getProgressStore().update(options.profile, profile => {
+        const unseen = numbers.filter(number => !profile.seen[number] && !profile.completed[number]);
+        if (unseen.length === 0) return;
+        picked = this.store.get(unseen[Math.floor(Math.random() * unseen.length)]);
+        profile.seen[picked.mitzvahNumber] = new Date().toISOString();
+      });
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+
+    if (!picked) this.notify('info', `🎉 Every one of the ${numbers.length} loaded mitzvot has been seen already`);
+    return picked;
+  }
+
+  // Display mitzvah in a formatted way; annotations from getMitzvah(n, { annotations: true })
+  // are shown too, or pass { annotations: true, profile } here
+  displayMitzvah(mitzvah, showHebrew = true, showEnglish = true, options = {}) {
+    if (!mitzvah) {
+      this.notify('failure', '❌ No mitzvah provided to display');
+      return;
+    }
+    if (options.version) {
+      const versioned = this.withVersion(mitzvah, options.version);
+      if (!versioned) {
+        this.notify('failure', `❌ Mitzvah ${mitzvah.mitzvahNumber} has no downloaded version ${[].concat(options.version).join(' / ')}`,
+          { number: mitzvah.mitzvahNumber });
+        return;
+      }
+      mitzvah = versioned;
+    }
+    if (options.annotations) mitzvah = this.withAnnotations(mitzvah, options);
+    if (options.linked) mitzvah = this.withLinkedTexts(mitzvah);
+    if (options.related) mitzvah = this.withRelated(mitzvah, options.related);
+    
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`📜 MITZVAH ${mitzvah.mitzvahNumber || 'Unknown'}`);
+    console.log(`${'='.repeat(60)}`);
+    
+    if (mitzvah.indexTitle || mitzvah.title) {
+      console.log(`📖 Title: ${mitzvah.indexTitle || mitzvah.title}`);
+    }
+    
+    if (mitzvah.heTitle && showHebrew) {
+      console.log(`📖 Hebrew Title: ${mitzvah.heTitle}`);
+    }
+    
+    if (mitzvah.categories && Array.isArray(mitzvah.categories) && mitzvah.categories.length > 0) {
+      console.log(`🏷️  Categories: ${mitzvah.categories.join(', ')}`);
+    }
+
+    const metadata = getMetadata(mitzvah.mitzvahNumber);
+    if (metadata) {
+      console.log(`⚖️  ${metadata.type === 'positive' ? 'Positive commandment' : 'Prohibition'}: ${metadata.summary}`);
+      console.log(`📍 Source: ${metadata.source} (Parashat ${metadata.parasha})`);
+      console.log(`🕰️  ${describeApplicability(metadata)}`);
+    }
+    console.log(`🔢 Numbering: ${formatEquivalents(mitzvah.mitzvahNumber)}`);
+    this.sourceLines([mitzvah]).forEach(line => console.log(`📚 ${line}`));
+    const notes = mitzvah.annotations ? mitzvah.annotations.notes : [];
+    if (mitzvah.annotations && mitzvah.annotations.bookmarked) console.log('🔖 Bookmarked');
+    if (mitzvah.annotations && mitzvah.annotations.tags.length > 0) console.log(`📎 Tags: ${mitzvah.annotations.tags.join(', ')}`);
+    
+    console.log(`${'─'.repeat(60)}`);
+    
+    // Markup is rendered as plain text; footnotes are listed after each language
+    const printText = (label, value) => {
+      const rendered = renderSegments(segmentsOf(value));
+      console.log(`📝 ${label}:`);
+      console.log(rendered.segments.join('\n'));
+      if (rendered.footnotes.length > 0) {
+        console.log(`\n📌 Notes:`);
+        console.log(rendered.footnotes.join('\n'));
+      }
+      console.log();
+    };
+
+    if (showEnglish && mitzvah.text) printText('English Text', mitzvah.text);
+    if (showHebrew && mitzvah.he) printText('Hebrew Text', mitzvah.he);
+
+    if (notes.length > 0) {
+      console.log('🗒️  Your Notes:');
+      notes.forEach(note => console.log(this.formatNote(mitzvah.mitzvahNumber, note)));
+      console.log();
+    }
+
+    this.linkedSections(mitzvah, showHebrew, showEnglish).forEach(section => {
+      console.log(`${section.kind === 'verses' ? '📜' : '💬'} ${section.label}:`);
+      section.entries.forEach(entry => {
+        console.log(`   [${entry.ref}]`);
+        entry.segments.forEach(segment => console.log(`   ${segment}`));
+      });
+      console.log();
+    });
+
+    if (mitzvah.related && mitzvah.related.length > 0) {
+      console.log('🔗 See also:');
+      mitzvah.related.forEach(entry => console.log(`   ${this.formatRelated(entry)}`));
+      console.log();
+    }
+    
+    console.log(`${'='.repeat(60)}\n`);
+  }
+
+  // ========== WEEKLY PARASHA ==========
+
+  // The Torah reading for a date (Date or "YYYY-MM-DD", default today: the Shabbat
+  // ending that week) or a parasha name, with its mitzvot from findMitzvot():
+  //   { date, hebrewDate, parashiyot, name, heName, festival, mitzvot }
+  // date and hebrewDate are null for a name; festival is set (and mitzvot empty) when
+  // the Shabbat has a festival reading. Options: israel (schedule in the Land of
+  // Israel), nextWeekly (skip festival Shabbatot), filters (as for findMitzvot()).
+  getWeeklyReading(target = new Date(), options = {}) {
+    let reading;
+    try {
+      if (target instanceof Date || /^\d{4}-\d{1,2}-\d{1,2}$/.test(String(target).trim())) {
+        reading = options.nextWeekly ? nextWeeklyReading(target, options) : readingForDate(target, options);
+      } else {
+        const found = findReading(target);
+        if (!found) throw new Error(`Unknown parasha: ${target}`);
+        reading = { date: null, hebrewDate: null, ...found, festival: null };
+      }
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+
+    const mitzvot = reading.festival ? [] : this.getMitzvotByParasha(reading.name, options.filters);
+    return mitzvot === null ? null : { ...reading, mitzvot };
+  }
+
+  // "Parashat Matot-Masei (מטות-מסעי), Shabbat 2025-07-26 / 30 Tamuz 5785"
+  describeReading(reading) {
+    const title = reading.festival || `Parashat ${reading.name} (${reading.heName})`;
+    return reading.date ? `${title}, Shabbat ${reading.date} / ${reading.hebrewDate.text}` : title;
+  }
+
+  // Print the reading for a date or parasha, then every downloaded mitzvah in it
+  displayWeeklyReading(target = new Date(), options = {}) {
+    const reading = this.getWeeklyReading(target, options);
+    if (!reading) return null;
+
+    console.log(`\n📅 ${this.describeReading(reading)}`);
+    if (reading.festival) {
+      console.log('🕍 The festival reading replaces the weekly parasha this Shabbat');
+      return reading;
+    }
+    console.log(`📜 ${reading.mitzvot.length} mitzvot`);
+    reading.mitzvot.forEach(entry => {
+      if (entry.mitzvah) this.displayMitzvah(entry.mitzvah, options.showHebrew !== false, options.showEnglish !== false);
+      else console.log(`   ${entry.number}. ${entry.summary} (not downloaded)`);
+    });
+    return reading;
+  }
+
+  // Export the reading for a date or parasha as one json, txt or md file
+  exportWeeklyReading(target = new Date(), format = 'md', options = {}) {
+    const reading = this.getWeeklyReading(target, options);
+    if (!reading) return null;
+
+    const content = this.renderWeeklyReading(reading, format);
+    if (content === null) {
+      this.notify('failure', '❌ Unsupported format. Use: json, txt, or md');
+      return null;
+    }
+
+    const name = (reading.festival || reading.name).replace(/[^\w-]+/g, '_');
+    const filename = `parasha_${name}${reading.date ? `_${reading.date}` : ''}_export.${format}`;
+    try {
+      fs.writeFileSync(filename, content, 'utf8');
+      this.notify('info', `✅ Exported ${this.describeReading(reading)} as ${filename}`);
+      return filename;
+    } catch (error) {
+      this.notify('failure', `❌ Error exporting ${reading.name || reading.festival}: ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  // Render a reading from getWeeklyReading() with the full text of its downloaded mitzvot
+  renderWeeklyReading(reading, format = 'md') {
+    const missing = reading.mitzvot.filter(entry => !entry.mitzvah).map(entry => entry.number);
+    const title = this.describeReading(reading);
+
+    switch (String(format).toLowerCase()) {
+      case 'json':
+        return JSON.stringify({
+          ...reading,
+          mitzvot: reading.mitzvot.map(({ mitzvah, ...entry }) => ({
+            ...entry,
+            text: mitzvah ? mitzvah.text : null,
+            he: mitzvah ? mitzvah.he : null
+          }))
+        }, null, 2);
+      case 'txt': {
+        let content = `${title}\n${'='.repeat(50)}\n\n`;
+        if (reading.festival) return content + 'The festival reading replaces the weekly parasha.\n';
+        reading.mitzvot.forEach(entry => {
+          content += `${entry.number}. ${entry.summary}\n`;
+        });
+        if (missing.length > 0) content += `\nNot downloaded: ${missing.join(', ')}\n`;
+        const texts = reading.mitzvot.filter(entry => entry.mitzvah).map(entry => entry.mitzvah);
+        texts.forEach(mitzvah => {
+          content += `\n\n${this.formatMitzvahAsText(mitzvah, { sources: false })}`;
+        });
+        if (texts.length > 0) content += `\n${this.formatSources(texts)}`;
+        return content;
+      }
+      case 'md': {
+        let content = `# ${title}\n\n`;
+        if (reading.festival) return content + 'The festival reading replaces the weekly parasha.\n';
+        reading.mitzvot.forEach(entry => {
+          content += `- **${entry.number}** ${entry.summary}\n`;
+        });
+        if (missing.length > 0) content += `\n*Not downloaded: ${missing.join(', ')}*\n`;
+        const texts = reading.mitzvot.filter(entry => entry.mitzvah).map(entry => entry.mitzvah);
+        texts.forEach(mitzvah => {
+          content += `\n---\n\n${this.formatMitzvahAsMarkdownSection(mitzvah)}`;
+        });
+        if (texts.length > 0) content += `---\n\n${this.formatSources(texts, true)}`;
+        return content;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // ========== STUDY PLANS ==========
+
+  // Progress profiles, one file each under outputDir/study_progress
+  getProgressStore() {
+    if (!this.progressStore) this.progressStore = new ProgressStore(this.outputDir);
+    return this.progressStore;
+  }
+
+  // Start (or replace) a profile's study plan: 'daily', 'year' or 'parasha'.
+  // Options: profile (default "default"), start (Date or "YYYY-MM-DD", default today),
+  // perDay, days, israel. Mitzvot the profile already studied stay studied.
+  startStudyPlan(type = 'daily', options = {}) {
+    try {
+      const plan = createPlan(type, options);
+      const profile = this.getProgressStore().update(options.profile, stored => {
+        stored.plan = plan;
+      });
+      this.notify('info', `✅ Study plan for ${profile.name}: ${describePlan(plan)}`);
+      return plan;
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  // A profile with a plan, or null (with a message) when it has none
+  loadStudyProfile(name) {
+    let profile;
+    try {
+      profile = this.getProgressStore().load(name);
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+    if (!profile.plan) {
+      this.notify('failure', `⚠️  Profile ${profile.name} has no study plan. Run startStudyPlan() first.`, { profile: profile.name });
+      return null;
+    }
+    return profile;
+  }
+
+  // Every assignment of a profile's plan: [{ index, date, due, numbers, label }]
+  getStudySchedule(options = {}) {
+    const profile = this.loadStudyProfile(options.profile);
+    return profile ? buildSchedule(profile.plan) : null;
+  }
+
+  // What is next, overdue and completed on a profile's plan on options.today (default today)
+  getStudyStatus(options = {}) {
+    const profile = this.loadStudyProfile(options.profile);
+    if (!profile) return null;
+    try {
+      return { profile: profile.name, ...planStatus(profile.plan, profile, options.today) };
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  displayStudyStatus(options = {}) {
+    const status = this.getStudyStatus(options);
+    if (!status) return null;
+
+    console.log(`\n📅 Study plan (${status.profile}): ${status.description}, until ${status.end}`);
+    console.log(`✅ Completed: ${status.completed}/${status.total} (${status.percent}%)`);
+    if (status.overdueCount > 0) {
+      console.log(`⏰ Overdue: ${status.overdueCount} mitzvot from ${status.overdue.length} assignment(s), since ${status.overdue[0].due}`);
+    }
+    if (status.next) {
+      console.log(`➡️  Next: ${status.next.label} by ${status.next.due}: ${status.next.numbers.join(', ')}`);
+    } else if (status.finished) {
+      console.log('🎉 Plan complete!');
+    }
+    return status;
+  }
+
+  // Record mitzvot (numbers or identifiers such as "LT 65") as studied by a profile;
+  // returns the Chinukh numbers recorded
+  markStudied(identifiers, options = {}) {
+    return this.updateStudied(identifiers, options, (profile, number) => {
+      const now = new Date().toISOString();
+      profile.completed[number] = now;
+      if (!profile.seen[number]) profile.seen[number] = now;
+    });
+  }
+
+  // Take mitzvot off a profile's studied list (they stay seen)
+  unmarkStudied(identifiers, options = {}) {
+    return this.updateStudied(identifiers, options, (profile, number) => {
+      delete profile.completed[number];
+    });
+  }
+
+  updateStudied(identifiers, options, change) {
+    const numbers = [].concat(identifiers).map(identifier => this.resolveMitzvahNumber(identifier));
+    if (numbers.length === 0 || numbers.includes(null)) return null;
+
+    try {
+      const profile = this.getProgressStore().update(options.profile, stored => {
+        numbers.forEach(number => change(stored, number));
+      });
+      this.notify('info', `✅ ${profile.name}: ${Object.keys(profile.completed).length} mitzvot studied`);
+      return numbers;
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  // Every progress profile in outputDir with its plan and counts
+  getStudyProfiles() {
+    const store = this.getProgressStore();
+    return store.list().map(name => {
+      try {
+        const profile = store.load(name);
+        return {
+          name,
+          plan: profile.plan,
+          description: profile.plan ? describePlan(profile.plan) : null,
+          studied: Object.keys(profile.completed).length,
+          seen: Object.keys(profile.seen).length,
+          updatedAt: profile.updatedAt || null
+        };
+      } catch (error) {
+        this.notify('warning', `⚠️  Warning: Skipping study profile ${name}: ${error.message}`, { code: 'invalid-profile', profile: name, error });
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  // Delete a profile with its plan and progress
+  deleteStudyProfile(name) {
+    try {
+      const removed = this.getProgressStore().remove(name);
+      if (removed) this.notify('info', `🗑️  Deleted study profile ${name}`);
+      else this.notify('failure', `❌ No study profile named ${name}`);
+      return removed;
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return false;
+    }
+  }
+
+  // ========== ANNOTATIONS ==========
+
+  // Bookmarks, tags and notes, one file per profile under outputDir/annotations
+  getAnnotationStore() {
+    if (!this.annotationStore) this.annotationStore = new annotations.AnnotationStore(this.outputDir);
+    return this.annotationStore;
+  }
+
+  // A profile's annotation data, or null (with a message) when it cannot be read
+  readAnnotations(profile) {
+    try {
+      return this.getAnnotationStore().load(profile);
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  // Apply change(data) to a profile's annotations and save them; returns what change
+  // returned, or null (with a message) on an error
+  updateAnnotations(profile, change) {
+    let result = null;
+    try {
+      this.getAnnotationStore().update(profile, data => {
+        result = change(data);
+      });
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+    return result;
+  }
+
+  // "Sefer HaChinukh 32:3" for a segment note, "Sefer HaChinukh 32" for a whole-mitzvah one
+  annotationRef(number, segment) {
+    return segment ? segmentRef(number, segment) : formatRef({ mitzvah: number });
+  }
+
+  // Plain text of a segment (1-based): the English, or the Hebrew when there is none
+  segmentText(mitzvah, segment) {
+    const english = segmentsOf(mitzvah.text)[segment - 1];
+    return stripMarkup(english !== undefined ? english : segmentsOf(mitzvah.he)[segment - 1] || '');
+  }
+
+  // Annotations of a mitzvah: { number, ref, bookmarked, bookmarkedAt, tags, notes }.
+  // Each note gets its ref, and stale: true when the loaded text of its segment no
+  // longer starts the way it did when the note was written.
+  getAnnotations(identifier, options = {}) {
+    const number = this.resolveMitzvahNumber(identifier);
+    if (number === null) return null;
+    const data = this.readAnnotations(options.profile);
+    return data ? this.describeAnnotations(data, number) : null;
+  }
+
+  describeAnnotations(data, number) {
+    const mitzvah = this.store ? this.store.get(number) : null;
+    const found = annotations.annotationsOf(data, number);
+    return {
+      number,
+      ref: formatRef({ mitzvah: number }),
+      ...found,
+      notes: found.notes.map(note => ({
+        ...note,
+        ref: this.annotationRef(number, note.segment),
+        stale: !!(mitzvah && note.segment && note.excerpt && note.excerpt !== annotations.excerptOf(this.segmentText(mitzvah, note.segment)))
+      }))
+    };
+  }
+
+  // A copy of a mitzvah with its annotations attached (unchanged if it already has them)
+  withAnnotations(mitzvah, options = {}) {
+    if (mitzvah.annotations) return mitzvah;
+    const found = this.getAnnotations(mitzvah.mitzvahNumber, options);
+    return found ? { ...mitzvah, annotations: found } : mitzvah;
+  }
+
+  // "[32:3] text", with the ref wrapped in `strong` (e.g. '**' for Markdown)
+  formatNote(number, note, strong = '') {
+    const ref = note.segment ? `${number}:${note.segment}` : `${number}`;
+    return `${strong}[${ref}]${strong} ${note.text}${note.stale ? ' (the segment text has changed since this note)' : ''}`;
+  }
+
+  // Bookmark a mitzvah for a profile (options.profile, default "default")
+  bookmarkMitzvah(identifier, options = {}) {
+    const number = this.resolveMitzvahNumber(identifier);
+    if (number === null) return null;
+    const done = this.updateAnnotations(options.profile, data => {
+      annotations.setBookmark(data, number, true);
+      return true;
+    });
+    if (done) this.notify('info', `🔖 Bookmarked Mitzvah ${number}`);
+    return done ? number : null;
+  }
+
+  removeBookmark(identifier, options = {}) {
+    const number = this.resolveMitzvahNumber(identifier);
+    if (number === null) return null;
+    const done = this.updateAnnotations(options.profile, data => {
+      annotations.setBookmark(data, number, false);
+      return true;
+    });
+    if (done) this.notify('info', `✅ Removed the bookmark of Mitzvah ${number}`);
+    return done ? number : null;
+  }
+
+  // Bookmarked mitzvot: [{ number, ref, title, summary, bookmarkedAt, tags, notes }]
+  // (notes is a count; titles need loaded data, summaries do not)
+  getBookmarks(options = {}) {
+    const data = this.readAnnotations(options.profile);
+    if (!data) return null;
+
+    return annotations.annotatedNumbers(data)
+      .map(number => ({ number, found: annotations.annotationsOf(data, number) }))
+      .filter(({ found }) => found.bookmarked)
+      .map(({ number, found }) => {
+        const mitzvah = this.store ? this.store.get(number) : null;
+        const metadata = getMetadata(number);
+        return {
+          number,
+          ref: formatRef({ mitzvah: number }),
+          title: mitzvah ? mitzvah.indexTitle || mitzvah.title || `Mitzvah ${number}` : null,
+          summary: metadata ? metadata.summary : null,
+          bookmarkedAt: found.bookmarkedAt,
+          tags: found.tags,
+          notes: found.notes.length
+        };
+      });
+  }
+
+  // Tag a mitzvah with free-form labels, e.g. tagMitzvah(32, 'for Tuesday shiur');
+  // returns the mitzvah's tags afterwards
+  tagMitzvah(identifier, tags, options = {}) {
+    return this.changeTags(identifier, tags, options, annotations.addTags);
+  }
+
+  untagMitzvah(identifier, tags, options = {}) {
+    return this.changeTags(identifier, tags, options, annotations.removeTags);
+  }
+
+  changeTags(identifier, tags, options, change) {
+    const number = this.resolveMitzvahNumber(identifier);
+    if (number === null) return null;
+    const result = this.updateAnnotations(options.profile, data => {
+      change(data, number, [].concat(tags));
+      return annotations.annotationsOf(data, number).tags;
+    });
+    if (result) this.notify('info', `📎 Mitzvah ${number}: ${result.length > 0 ? result.join(', ') : 'no tags'}`);
+    return result;
+  }
+
+  // Every tag of a profile: [{ tag, count, numbers }]
+  getTags(options = {}) {
+    const data = this.readAnnotations(options.profile);
+    return data ? annotations.allTags(data) : null;
+  }
+
+  // Mitzvot with a tag, as findMitzvot() entries (works without downloaded data)
+  getMitzvotByTag(tag, options = {}) {
+    const data = this.readAnnotations(options.profile);
+    if (!data) return null;
+    try {
+      const numbers = new Set(annotations.numbersWithTag(data, tag));
+      return this.findMitzvot().filter(entry => numbers.has(entry.number));
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  // Attach a note to a mitzvah ("32", "LT 65") or one segment ("Sefer HaChinukh 32:3", "32:3");
+  // returns the note with its number and ref
+  addNote(reference, text, options = {}) {
+    // Mitzvah identifiers first: "עשה י״ב" is Rambam's numbering, not a segment ref
+    const ref = parseMitzvahId(reference) ? null : parseRef(reference);
+    if (ref && (ref.toMitzvah !== ref.mitzvah || ref.toSegment !== ref.segment)) {
+      this.notify('failure', `❌ A note belongs to one mitzvah or one segment, not a range: ${reference}`);
+      return null;
+    }
+    const number = ref ? ref.mitzvah : this.resolveMitzvahNumber(reference);
+    if (number === null) return null;
+    const segment = ref ? ref.segment : null;
+
+    // With the text loaded, the segment must exist; its opening is kept to detect later changes
+    const mitzvah = this.store ? this.store.get(number) : null;
+    if (segment && mitzvah && segment > this.segmentRefs(mitzvah).length) {
+      this.notify('failure', `❌ Mitzvah ${number} has ${this.segmentRefs(mitzvah).length} segments`);
+      return null;
+    }
+
+    const excerptSource = mitzvah && segment ? this.segmentText(mitzvah, segment) : '';
+    const note = this.updateAnnotations(options.profile, data => annotations.addNote(data, number, segment, text, excerptSource));
+    if (!note) return null;
+    this.notify('info', `🗒️  Added note ${note.id} to ${this.annotationRef(number, segment)}`);
+    return { number, ref: this.annotationRef(number, segment), ...note };
+  }
+
+  // Replace the text of a note by id; null if there is no such note
+  editNote(id, text, options = {}) {
+    const note = this.updateAnnotations(options.profile, data => annotations.editNote(data, id, text));
+    if (!note) {
+      this.notify('failure', `❌ Could not edit note ${id}`);
+      return null;
+    }
+    this.notify('info', `✅ Edited note ${id}`);
+    return { ...note, ref: this.annotationRef(note.number, note.segment) };
+  }
+
+  deleteNote(id, options = {}) {
+    const note = this.updateAnnotations(options.profile, data => annotations.removeNote(data, id));
+    if (!note) {
+      this.notify('failure', `❌ No note ${id}`);
+      return null;
+    }
+    this.notify('info', `🗑️  Deleted note ${id}`);
+    return { ...note, ref: this.annotationRef(note.number, note.segment) };
+  }
+
+  // Every note of a profile, or of one mitzvah (options.mitzvah), by mitzvah and id
+  getNotes(options = {}) {
+    const data = this.readAnnotations(options.profile);
+    if (!data) return null;
+    let numbers = annotations.annotatedNumbers(data);
+    if (options.mitzvah !== undefined) {
+      const number = this.resolveMitzvahNumber(options.mitzvah);
+      if (number === null) return null;
+      numbers = numbers.filter(candidate => candidate === number);
+    }
+    return numbers.flatMap(number => this.describeAnnotations(data, number).notes.map(note => ({ number, ...note })));
+  }
+
+  // Search inside a profile's notes (words, "phrases", OR); works without downloaded data:
+  // [{ number, ref, note, snippet: { text, highlights } }]
+  searchNotes(term, options = {}) {
+    if (!term || typeof term !== 'string' || term.trim().length === 0) {
+      this.notify('failure', '❌ Invalid search term');
+      return [];
+    }
+    const data = this.readAnnotations(options.profile);
+    if (!data) return [];
+    return annotations.searchNotes(data, term.trim(), options.contextLength)
+      .map(match => ({ number: match.number, ref: this.annotationRef(match.number, match.note.segment), note: match.note, snippet: match.snippet }));
+  }
+
+  // ========== FLASHCARDS ==========
+
+  // Review state and history, one file per profile under outputDir/review_history
+  getReviewStore() {
+    if (!this.reviewStore) this.reviewStore = new flashcards.ReviewStore(this.outputDir);
+    return this.reviewStore;
+  }
+
+  // Card ids over a selection of loaded mitzvot (see selectMitzvot(), default all) and
+  // card types (default all of flashcards.CARD_TYPES); passage cards only for mitzvot
+  // with text. null (with a message) when the selection or a type is not valid.
+  getReviewCards(options = {}) {
+    let types;
+    try {
+      types = flashcards.normalizeTypes(options.types);
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+    const mitzvot = this.selectMitzvot(options.selection || 'all');
+    if (!mitzvot) return null;
+
+    return mitzvot.flatMap(mitzvah => types
+      .filter(type => getMetadata(mitzvah.mitzvahNumber) && (type !== 'passage' || this.extractPreview(mitzvah)))
+      .map(type => flashcards.cardId(type, mitzvah.mitzvahNumber)));
+  }
+
+  // The question of a card id ("passage:32"); options.random picks passage choices
+  getQuestion(id, options = {}) {
+    const card = flashcards.parseCardId(id);
+    if (!card) {
+      this.notify('failure', `❌ Invalid card: ${id}. Use <type>:<number> with type ${flashcards.CARD_TYPES.join(', ')}`);
+      return null;
+    }
+    const mitzvah = this.store ? this.store.get(card.number) : null;
+    const question = flashcards.makeQuestion(card.type, card.number, {
+      passage: mitzvah ? this.extractPreview(mitzvah, 200) : '',
+      others: this.store ? this.store.numbers() : [],
+      random: options.random
+    });
+    if (!question) this.notify('failure', `❌ No ${card.type} question for Mitzvah ${card.number}${mitzvah ? '' : ' (not downloaded)'}`);
+    return question;
+  }
+
+  // Today's review for a profile: cards due first, then up to newLimit new ones.
+  // Options: profile, today, selection, types, limit (default 20), newLimit (default 10).
+  // Returns { profile, today, due, new, questions }, or null.
+  getReviewSession(options = {}) {
+    const ids = this.getReviewCards(options);
+    if (!ids) return null;
+    const data = this.readReviews(options.profile);
+    if (!data) return null;
+
+    try {
+      const today = fixedToIso(toFixed(options.today || new Date()));
+      const queue = flashcards.reviewQueue(data, ids, today, { limit: options.limit, newLimit: options.newLimit });
+      const questions = [...queue.due, ...queue.new].map(id => this.getQuestion(id, options)).filter(Boolean);
+      return { profile: data.name, today, due: queue.due.length, new: queue.new.length, questions };
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  // A profile's review data, or null (with a message) when it cannot be read
+  readReviews(profile) {
+    try {
+      return this.getReviewStore().load(profile);
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  // Check a response to a question (or card id) and schedule the card. Correct answers
+  // are graded options.grade (3 hard, 4 good, 5 easy; default 4), wrong ones 1, and no
+  // answer at all 0. Returns { id, correct, grade, answer, explanation, state }, or null.
+  answerCard(question, response, options = {}) {
+    const asked = typeof question === 'string' ? this.getQuestion(question, options) : question;
+    if (!asked) return null;
+
+    const correct = flashcards.checkAnswer(asked, response);
+    const blank = String(response === undefined || response === null ? '' : response).trim() === '';
+    const grade = correct ? (options.grade === undefined ? 4 : Number(options.grade)) : blank ? 0 : 1;
+    if (correct && ![3, 4, 5].includes(grade)) {
+      this.notify('failure', `❌ Invalid grade: ${options.grade}. Use 3 (hard), 4 (good) or 5 (easy)`);
+      return null;
+    }
+
+    let state = null;
+    try {
+      this.getReviewStore().update(options.profile, data => {
+        state = flashcards.recordReview(data, asked.id, grade, correct, options.today || new Date());
+      });
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+    return { id: asked.id, correct, grade, answer: asked.answer, explanation: asked.explanation, state };
+  }
+
+  // Review counts of a profile over the cards of options.selection and options.types:
+  // { profile, cards, seen, new, due, mature, lapses, reviews, correct, accuracy, byType, lastReviewed }
+  getReviewStats(options = {}) {
+    const ids = this.getReviewCards(options);
+    if (!ids) return null;
+    const data = this.readReviews(options.profile);
+    if (!data) return null;
+    try {
+      return { profile: data.name, ...flashcards.reviewStats(data, ids, options.today || new Date()) };
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  // Write the cards of a selection as a file Anki imports (tab-separated, one note per
+  // card). Options: types, output (file or directory, default
+  // sefer_hachinukh_anki.txt), deck (default "Sefer HaChinukh"). Returns the path, or null.
+  exportAnkiDeck(selection = 'all', options = {}) {
+    const ids = this.getReviewCards({ ...options, selection });
+    if (!ids) return null;
+    const questions = ids.map(id => this.getQuestion(id, options)).filter(Boolean);
+    const file = this.exportPath(options.output, 'sefer_hachinukh_anki.txt');
+    return this.writeExport(file, flashcards.toAnkiText(questions, { deck: options.deck }), `${questions.length} flashcards`);
+  }
+
+  // ========== BATCH EXPORT ==========
+
+  // Loaded mitzvot of a selection, by number and without duplicates. A selection is
+  // 'all', a list such as "1-10,15" or "Rambam Aseh 12", a number, an array of those,
+  // or an object whose criteria must all match:
+  //   { numbers, search (+ language), category, parasha, tag (+ profile), filters }
+  // e.g. { search: 'shabbat', filters: { presentDay: true } }. Mitzvot that are not
+  // downloaded are skipped with a warning; null (with a message) when nothing is left.
+  selectMitzvot(selection = 'all') {
+    this.requireStore();
+    const criteria = selection && typeof selection === 'object' && !Array.isArray(selection) ? selection : { numbers: selection };
+    const sets = [];
+    if (criteria.numbers !== undefined) sets.push(this.parseSelection(criteria.numbers));
+    if (criteria.search !== undefined) {
+      const results = this.searchMitzvot(criteria.search, criteria.language || 'both', { filters: criteria.filters, tag: criteria.tag, profile: criteria.profile });
+      sets.push(results.map(result => result.number));
+    } else {
+      if (criteria.filters) sets.push(this.numbersOf(this.findMitzvot(criteria.filters)));
+      if (criteria.tag !== undefined) sets.push(this.numbersOf(this.getMitzvotByTag(criteria.tag, criteria)));
+    }
+    if (criteria.category !== undefined) sets.push(this.getMitzvotByCategory(criteria.category).map(mitzvah => mitzvah.mitzvahNumber));
+    if (criteria.parasha !== undefined) sets.push(this.numbersOf(this.getMitzvotByParasha(criteria.parasha)));
+
+    if (sets.length === 0 || sets.some(set => set === null)) {
+      if (sets.length === 0) this.notify('failure', '❌ Nothing to export: give numbers, a search, a category, a parasha, a tag or filters');
+      return null;
+    }
+
+    const numbers = [...new Set(sets[0])].filter(number => sets.every(set => set.includes(number))).sort((a, b) => a - b);
+    const missing = numbers.filter(number => !this.store.has(number));
+    if (missing.length > 0) this.notify('warning', `⚠️  Not downloaded, skipped: ${missing.join(', ')}`, { code: 'not-downloaded', numbers: missing });
+
+    const mitzvot = numbers.filter(number => this.store.has(number)).map(number => this.store.get(number));
+    if (mitzvot.length === 0) {
+      this.notify('failure', '❌ No downloaded mitzvot match the selection');
+      return null;
+    }
+    return mitzvot;
+  }
+
+  // Numbers of a list of findMitzvot() entries, keeping null (an error already reported)
+  numbersOf(entries) {
+    return entries ? entries.map(entry => entry.number) : null;
+  }
+
+  // Mitzvah numbers of 'all', "1-10,15", "Rambam Aseh 12", a number or an array of
+  // those; null (with a message) when a part is not valid
+  parseSelection(value) {
+    if (value === 'all') return Array.from({ length: 613 }, (_, i) => i + 1);
+
+    const numbers = [];
+    for (const part of [].concat(value).flatMap(item => (typeof item === 'string' ? item.split(',') : [item]))) {
+      // Identifiers first, as in addNote(): "עשה י״ב" is not a segment ref
+      const text = String(part).trim();
+      const ref = parseMitzvahId(text) ? null : parseRef(text);
+      if (ref) {
+        for (let number = ref.mitzvah; number <= ref.toMitzvah; number++) numbers.push(number);
+      } else {
+        const number = this.resolveMitzvahNumber(text);
+        if (number === null) return null;
+        numbers.push(number);
+      }
+    }
+    return numbers;
+  }
+
+  // Export a selection (see selectMitzvot()) in one go. html and epub make one
+  // bilingual book (see book-export.js); json, txt and md write one file per mitzvah,
+  // or a single file with { combine: true }. options.output is the directory to write
+  // to, or the file for a book or combined export (default: the current directory).
+  // Other options: annotations + profile, linked (commentaries and verses), related
+  // (a See also list), title and language (html, epub). Returns the paths written, or null.
+  exportMitzvot(selection = 'all', format = 'html', options = {}) {
+    const type = String(format).toLowerCase();
+    if (!EXPORT_FORMATS.includes(type)) {
+      this.notify('failure', `❌ Unsupported format. Use: ${EXPORT_FORMATS.join(', ')}`);
+      return null;
+    }
+    const selected = this.selectMitzvot(selection);
+    if (!selected) return null;
+    const mitzvot = this.annotateForExport(selected, options);
+    if (!mitzvot) return null;
+    this.warnRestricted(mitzvot);
+    this.warnUnsnapshotted();
+
+    if (['json', 'txt', 'md'].includes(type) && !options.combine) {
+      const written = mitzvot.map(mitzvah => {
+        const file = this.exportPath(options.output, `mitzvah_${mitzvah.mitzvahNumber}_export.${type}`, true);
+        return this.writeExport(file, this.renderMitzvah(mitzvah, type), `Mitzvah ${mitzvah.mitzvahNumber}`);
+      });
+      return written.every(Boolean) ? written : null;
+    }
+
+    const content = this.renderMitzvot(mitzvot, type, options);
+    if (content === null) return null;
+    const file = this.exportPath(options.output, this.bookFilename(mitzvot, type));
+    const written = this.writeExport(file, content, mitzvot.length === 1 ? `Mitzvah ${mitzvot[0].mitzvahNumber}` : `${mitzvot.length} mitzvot`);
+    return written ? [written] : null;
+  }
+
+  // Default name of a book or combined export: sefer_hachinukh.epub for the whole
+  // book, sefer_hachinukh_25-41.html for a selection from 25 to 41
+  bookFilename(mitzvot, format) {
+    const first = mitzvot[0].mitzvahNumber;
+    const last = mitzvot[mitzvot.length - 1].mitzvahNumber;
+    const label = mitzvot.length === 613 ? '' : first === last ? `_${first}` : `_${first}-${last}`;
+    return `sefer_hachinukh${label}.${format}`;
+  }
+
+  // Copies of mitzvot carrying the annotations of options.profile when options.annotations
+  // is set (read once for the whole export), their linked texts with options.linked and
+  // their related mitzvot with options.related (see withRelated()) and the text
+  // version options.version where they have it; null if the annotations cannot be read
+  annotateForExport(mitzvot, options = {}) {
+    let annotated = mitzvot;
+    if (options.version) {
+      const missing = [];
+      annotated = annotated.map(mitzvah => {
+        const versioned = this.withVersion(mitzvah, options.version);
+        if (!versioned) missing.push(mitzvah.mitzvahNumber);
+        return versioned || mitzvah;
+      });
+      if (missing.length === annotated.length) {
+        this.notify('failure', `❌ Version not downloaded: ${[].concat(options.version).join(' / ')}`);
+        return null;
+      }
+      if (missing.length > 0) {
+        this.notify('warning', `⚠️  Default text for mitzvot without that version: ${describeNumbers(missing)}`, { code: 'version-missing', numbers: missing });
+      }
+    }
+    if (options.annotations) {
+      const data = this.readAnnotations(options.profile);
+      if (!data) return null;
+      annotated = annotated.map(mitzvah => (mitzvah.annotations ? mitzvah : { ...mitzvah, annotations: this.describeAnnotations(data, mitzvah.mitzvahNumber) }));
+    }
+    if (options.linked) annotated = annotated.map(mitzvah => this.withLinkedTexts(mitzvah));
+    return options.related ? annotated.map(mitzvah => this.withRelated(mitzvah, options.related)) : annotated;
+  }
+
+  // Render several mitzvot as one document: a json array, txt and md one after another
+  // (md with unique footnote labels) followed by their sources, or an html/epub book
+  // (a Buffer for epub).
+  // null (with a message) if the format is unknown or the book cannot be built.
+  renderMitzvot(mitzvot, format = 'md', options = {}) {
+    const type = String(format).toLowerCase();
+    if (mitzvot.length === 1 && ['json', 'txt', 'md'].includes(type)) return this.renderMitzvah(mitzvot[0], type);
+
+    try {
+      switch (type) {
+        case 'json':
+          return JSON.stringify(mitzvot.map(mitzvah => this.mitzvahRecord(mitzvah)), null, 2);
+        case 'txt':
+          return mitzvot.map(mitzvah => this.formatMitzvahAsText(mitzvah, { sources: false })).join('\n') +
+            `\n${'='.repeat(50)}\n\n` + this.formatSources(mitzvot);
+        case 'md':
+          return `# ${options.title || `Sefer HaChinukh, ${mitzvot.length} mitzvot`}\n\n` +
+            mitzvot.map(mitzvah => this.formatMitzvahAsMarkdownSection(mitzvah)).join('\n---\n\n') +
+            '---\n\n' + this.formatSources(mitzvot, true);
+        case 'html':
+          return renderHtmlBook(mitzvot, { ...options, snapshot: this.snapshotCitation() });
+        case 'epub':
+          return buildEpub(mitzvot, { ...options, snapshot: this.snapshotCitation() });
+        default:
+          this.notify('failure', `❌ Unsupported format. Use: ${EXPORT_FORMATS.join(', ')}`);
+          return null;
+      }
+    } catch (error) {
+      this.notify('failure', `❌ ${error.message}`, { error });
+      return null;
     }
-    
-    return this.mitzvotData.filter(mitzvah => 
-      mitzvah.categories && Array.isArray(mitzvah.categories) && 
-      mitzvah.categories.some(cat => 
-        String(cat).toLowerCase().includes(category.toLowerCase())
-      )
-    );
   }
 
-  // Get random mitzvah
-  getRandomMitzvah() {
-    if (!this.mitzvotData || !Array.isArray(this.mitzvotData) || this.mitzvotData.length === 0) {
-      console.log('⚠️  Data not loaded or empty. Run loadData() first.');
-      return null;
-    }
-    
-    const randomIndex = Math.floor(Math.random() * this.mitzvotData.length);
-    return this.mitzvotData[randomIndex];
+  // Where to write an export: `output` itself, or defaultName inside it when it is a
+  // directory (an existing one, one ending in a slash, or always with asDirectory).
+  // Missing directories are created when writing.
+  exportPath(output, defaultName, asDirectory = false) {
+    if (!output) return defaultName;
+    const directory = asDirectory || /[\\/]$/.test(output) || (fs.existsSync(output) && fs.statSync(output).isDirectory());
+    return directory ? path.join(output, defaultName) : output;
   }
 
-  // Display mitzvah in a formatted way
-  displayMitzvah(mitzvah, showHebrew = true, showEnglish = true) {
-    if (!mitzvah) {
-      console.log('❌ No mitzvah provided to display');
-      return;
-    }
-    
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`📜 MITZVAH ${mitzvah.mitzvahNumber || 'Unknown'}`);
-    console.log(`${'='.repeat(60)}`);
-    
-    if (mitzvah.indexTitle || mitzvah.title) {
-      console.log(`📖 Title: ${mitzvah.indexTitle || mitzvah.title}`);
-    }
-    
-    if (mitzvah.heTitle && showHebrew) {
-      console.log(`📖 Hebrew Title: ${mitzvah.heTitle}`);
-    }
-    
-    if (mitzvah.categories && Array.isArray(mitzvah.categories) && mitzvah.categories.length > 0) {
-      console.log(`🏷️  Categories: ${mitzvah.categories.join(', ')}`);
-    }
-    
-    console.log(`${'─'.repeat(60)}`);
-    
-    if (showEnglish && mitzvah.text) {
-      console.log(`📝 English Text:`);
-      const englishText = Array.isArray(mitzvah.text) ? mitzvah.text.join('\n') : String(mitzvah.text);
-      console.log(englishText);
-      console.log();
-    }
-    
-    if (showHebrew && mitzvah.he) {
-      console.log(`📝 Hebrew Text:`);
-      const hebrewText = Array.isArray(mitzvah.he) ? mitzvah.he.join('\n') : String(mitzvah.he);
-      console.log(hebrewText);
-      console.log();
+  // Write an export file (string or Buffer); returns its path, or null on an error
+  writeExport(file, content, description) {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, content, typeof content === 'string' ? 'utf8' : undefined);
+      this.notify('info', `✅ Exported ${description} as ${file}`);
+      return file;
+    } catch (error) {
+      this.notify('failure', `❌ Error exporting ${description}: ${error.message}`, { error });
+      return null;
     }
-    
-    console.log(`${'='.repeat(60)}\n`);
   }
 
   // ========== UTILITY FUNCTIONS ==========
@@ -343,9 +1817,9 @@ class SeferHaChinukhApp {
     
     let text = '';
     if (mitzvah.text) {
-      text = Array.isArray(mitzvah.text) ? mitzvah.text.join(' ') : String(mitzvah.text);
+      text = segmentsOf(mitzvah.text).map(stripMarkup).join(' ');
     } else if (mitzvah.he) {
-      text = Array.isArray(mitzvah.he) ? mitzvah.he.join(' ') : String(mitzvah.he);
+      text = segmentsOf(mitzvah.he).map(stripMarkup).join(' ');
     }
     
     // Fixed: Better handling of empty text
@@ -357,39 +1831,43 @@ class SeferHaChinukhApp {
     if (!text || !searchTerm) return '';
     
     const textStr = String(text);
-    const termStr = String(searchTerm);
-    const index = textStr.toLowerCase().indexOf(termStr.toLowerCase());
+    // Match ignoring case, nikud and final forms; offsets point into the original text
+    const match = findNormalized(textStr, String(searchTerm));
     
-    if (index === -1) return textStr.substring(0, contextLength) + '...';
+    if (!match) return textStr.substring(0, contextLength) + '...';
     
-    const start = Math.max(0, index - Math.floor(contextLength / 2));
-    const end = Math.min(textStr.length, index + termStr.length + Math.floor(contextLength / 2));
+    const start = Math.max(0, match.start - Math.floor(contextLength / 2));
+    const end = Math.min(textStr.length, match.end + Math.floor(contextLength / 2));
     
     return (start > 0 ? '...' : '') + textStr.substring(start, end) + (end < textStr.length ? '...' : '');
   }
 
-  // Get statistics about the mitzvot collection
+  // Get statistics about the mitzvot collection (displayStats() prints them)
   getStats() {
-    if (!this.mitzvotData || !Array.isArray(this.mitzvotData)) {
-      console.log('⚠️  Data not loaded. Run loadData() first.');
-      return null;
-    }
-    
+    const mitzvotData = this.requireStore().all();
     const stats = {
-      total: this.mitzvotData.length,
-      withEnglish: this.mitzvotData.filter(m => m.text && (Array.isArray(m.text) ? m.text.length > 0 : String(m.text).trim().length > 0)).length,
-      withHebrew: this.mitzvotData.filter(m => m.he && (Array.isArray(m.he) ? m.he.length > 0 : String(m.he).trim().length > 0)).length,
-      categories: [...new Set(this.mitzvotData.flatMap(m => m.categories || []))],
-      averageTextLength: 0
+      total: mitzvotData.length,
+      // Mitzvot with readable text, not just empty or markup-only segments
+      withEnglish: mitzvotData.filter(m => doctor.hasText(m.text)).length,
+      withHebrew: mitzvotData.filter(m => doctor.hasText(m.he)).length,
+      categories: [...new Set(mitzvotData.flatMap(m => m.categories || []))],
+      averageTextLength: 0,
+      // Classification of the loaded mitzvot from the bundled metadata table
+      metadata: summarizeMetadata(mitzvotData.map(m => getMetadata(m.mitzvahNumber)).filter(Boolean))
     };
     
-    const totalLength = this.mitzvotData.reduce((sum, m) => {
+    const totalLength = mitzvotData.reduce((sum, m) => {
       const text = Array.isArray(m.text) ? m.text.join('') : String(m.text || '');
       return sum + text.length;
     }, 0);
     
     stats.averageTextLength = stats.total > 0 ? Math.round(totalLength / stats.total) : 0;
-    
+    return stats;
+  }
+
+  // Print the statistics of getStats()
+  displayStats() {
+    const stats = this.getStats();
     console.log('\n📊 SEFER HACHINUKH STATISTICS');
     console.log('═'.repeat(40));
     console.log(`📚 Total Mitzvot: ${stats.total}`);
@@ -397,107 +1875,351 @@ class SeferHaChinukhApp {
     console.log(`🇮🇱 With Hebrew: ${stats.withHebrew}`);
     console.log(`📝 Average Text Length: ${stats.averageTextLength} characters`);
     console.log(`🏷️  Categories: ${stats.categories.length}`);
+    console.log(`⚖️  Positive: ${stats.metadata.byType.positive || 0}, Prohibitions: ${stats.metadata.byType.negative || 0}`);
+    console.log(`🕰️  In force today: ${stats.metadata.presentDay}, Temple era only: ${stats.metadata.templeEra}`);
     console.log('═'.repeat(40));
     
     return stats;
   }
 
-  // Export mitzvah to different formats
-  exportMitzvah(mitzvahNumber, format = 'json') {
-    const mitzvah = this.getMitzvah(mitzvahNumber);
+  // ========== TEXT ANALYTICS ==========
+
+  // Concordance, term counts and verse citations of the loaded text (see analytics.js),
+  // rebuilt with the full-text index
+  getTextAnalytics() {
+    this.requireStore();
+    const searchIndex = this.getSearchIndex();
+    if (!this.textAnalytics || this.analyticsSource !== searchIndex) {
+      this.textAnalytics = TextAnalytics.build(searchIndex, this.store.all());
+      this.analyticsSource = searchIndex;
+    }
+    return this.textAnalytics;
+  }
+
+  // Check the language ('english', 'hebrew' or 'both') and by ('word' or 'root') options
+  // of the analytics; false (with a message) when one is invalid
+  checkAnalyticsOptions(options) {
+    if (options.language !== undefined && !['english', 'hebrew', 'both'].includes(options.language)) {
+      this.notify('failure', `❌ Invalid language: ${options.language}. Use: english, hebrew, both`);
+      return false;
+    }
+    if (options.by !== undefined && !['word', 'root'].includes(options.by)) {
+      this.notify('failure', `❌ Invalid grouping: ${options.by}. Use: word, root`);
+      return false;
+    }
+    return true;
+  }
+
+  // Every occurrence of a word in the English or Hebrew text; with { by: 'root' } of
+  // every Hebrew word with the same root candidate (השבת, שבתות ...):
+  //   { term, language, by, root, count, mitzvot, forms: [{ term, count }],
+  //     occurrences: [{ mitzvah, segment, ref, position, term, context: { before, word, after } }] }
+  // options.limit caps the occurrences listed (count stays the total). null (with a
+  // message) when word is not one word.
+  getConcordance(word, options = {}) {
+    if (!this.checkAnalyticsOptions(options)) return null;
+    const result = this.getTextAnalytics().concordance(word, options);
+    if (!result) {
+      this.notify('failure', `❌ Give one word to look up: ${word}`);
+      return null;
+    }
+
+    const texts = new Map();
+    const segmentText = (number, segment) => {
+      if (!texts.has(number)) texts.set(number, fieldSegments(this.store.get(number), result.language));
+      return texts.get(number)[segment - 1] || '';
+    };
+    const limit = options.limit === undefined ? result.occurrences.length : options.limit;
+    result.occurrences = result.occurrences.slice(0, limit).map(occurrence => ({
+      ...occurrence,
+      ref: segmentRef(occurrence.mitzvah, occurrence.segment),
+      context: keywordInContext(segmentText(occurrence.mitzvah, occurrence.segment), occurrence.position)
+    }));
+    return result;
+  }
+
+  // The most frequent words of a mitzvah (number or identifier): [{ term, language,
+  // count, mitzvot }], most frequent first. Options: language ('english', 'hebrew' or
+  // 'both'), by ('word' or 'root'), limit (default 20), common (keep the words found in
+  // most mitzvot, numbers and one-letter words). null if the mitzvah is not loaded.
+  getTopTerms(number, options = {}) {
+    const mitzvah = this.getMitzvah(number);
+    if (!mitzvah || !this.checkAnalyticsOptions(options)) return null;
+    return this.getTextAnalytics().topTerms([mitzvah.mitzvahNumber], options);
+  }
+
+  // The same over the loaded mitzvot of a parasha or a combined portion (English or
+  // Hebrew names): { parasha, heParasha, mitzvot: [numbers], terms }; null if the name is unknown
+  getParashaTopTerms(parasha, options = {}) {
+    const entries = this.getMitzvotByParasha(parasha);
+    if (!entries || !this.checkAnalyticsOptions(options)) return null;
+    const reading = findReading(parasha);
+    const numbers = entries.map(entry => entry.number).filter(number => this.store.has(number));
+    return { parasha: reading.name, heParasha: reading.heName, mitzvot: numbers, terms: this.getTextAnalytics().topTerms(numbers, options) };
+  }
+
+  // The Biblical verses quoted in the text, in the order of the Tanakh, each with the
+  // mitzvot and segments quoting it (see analytics.js); verse ("Exodus 12:2", "Exodus 12",
+  // "שמות יב ב") keeps one verse or chapter. null (with a message) when it is not one.
+  getVerseCitations(verse) {
+    let query = null;
+    if (verse !== undefined && verse !== null && String(verse).trim() !== '') {
+      query = parseVerseRef(verse);
+      if (!query) {
+        this.notify('failure', `❌ Not a Biblical verse or chapter: ${verse}`);
+        return null;
+      }
+    }
+    return this.getTextAnalytics().verses(query);
+  }
+
+  // The verses one mitzvah quotes, English text first: [{ segment, segmentRef, ref, heRef,
+  // book, chapter, verse, language, quoted }]; null if the mitzvah is not loaded
+  getCitedVerses(number) {
+    const mitzvah = this.getMitzvah(number);
     if (!mitzvah) return null;
+    return this.getTextAnalytics().citationsOf(mitzvah.mitzvahNumber);
+  }
+
+  // One kind of analytics over the whole loaded text as CSV or JSON: 'concordance' (every
+  // occurrence of every word; options.language), 'terms' (the top terms of every mitzvah
+  // and parasha; options as getTopTerms()) or 'citations' (every quoted verse). JSON
+  // cites the data snapshot. null (with a message) for an unknown kind or format.
+  renderAnalytics(kind, format = 'csv', options = {}) {
+    if (!ANALYTICS_KINDS.includes(kind)) {
+      this.notify('failure', `❌ Unknown analytics: ${kind}. Use: ${ANALYTICS_KINDS.join(', ')}`);
+      return null;
+    }
+    if (!ANALYTICS_FORMATS.includes(format)) {
+      this.notify('failure', `❌ Unsupported format. Use: ${ANALYTICS_FORMATS.join(', ')}`);
+      return null;
+    }
+    if (!this.checkAnalyticsOptions(options)) return null;
+
+    const analytics = this.getTextAnalytics();
+    const { language = 'both', by = 'word', limit = DEFAULT_TOP_TERMS, common = false } = options;
+    let data;
+    if (kind === 'concordance') data = { language, entries: analytics.concordanceEntries(language) };
+    else if (kind === 'terms') data = { language, by, limit, common, ...analytics.termReport({ language, by, limit, common }) };
+    else data = { verses: analytics.verses() };
+
+    if (format === 'csv') return formatCsv(kind, data);
+    const json = { kind, snapshot: this.snapshotCitation(), ...data };
+    // The concordance lists every word of the book, so it is written compact
+    return kind === 'concordance' ? JSON.stringify(json) : JSON.stringify(json, null, 2);
+  }
+
+  // Write renderAnalytics() to a file (options.output: file or directory, default
+  // sefer_hachinukh_<kind>.<format>); returns the path, or null
+  exportAnalytics(kind, format = 'csv', options = {}) {
+    const content = this.renderAnalytics(kind, format, options);
+    if (content === null) return null;
+    return this.writeExport(this.exportPath(options.output, `sefer_hachinukh_${kind}.${format}`), content, `the ${kind}`);
+  }
+
+  // Export mitzvah to different formats; { annotations: true, profile } adds the user's
+  // bookmark, tags and notes, { linked: true } the downloaded commentaries and verses,
+  // { related: true } a See also list (or related: k for k mitzvot), options.output is
+  // the file or directory to write to.
+  // html and epub make a one-mitzvah book (see exportMitzvot()).
+  exportMitzvah(mitzvahNumber, format = 'json', options = {}) {
+    if (['html', 'epub'].includes(String(format).toLowerCase())) {
+      const number = this.resolveMitzvahNumber(mitzvahNumber);
+      const written = number === null ? null : this.exportMitzvot([number], format, options);
+      return written ? written[0] : null;
+    }
+
+    const mitzvah = this.getMitzvah(mitzvahNumber, options);
+    if (!mitzvah) return null;
+    this.warnRestricted([mitzvah]);
+    this.warnUnsnapshotted();
     
-    const filename = `mitzvah_${mitzvahNumber}_export`;
-    
-    try {
-      switch (format.toLowerCase()) {
-        case 'json':
-          fs.writeFileSync(`${filename}.json`, JSON.stringify(mitzvah, null, 2), 'utf8');
-          break;
-        case 'txt':
-          const textContent = this.formatMitzvahAsText(mitzvah);
-          fs.writeFileSync(`${filename}.txt`, textContent, 'utf8');
-          break;
-        case 'md':
-          const markdownContent = this.formatMitzvahAsMarkdown(mitzvah);
-          fs.writeFileSync(`${filename}.md`, markdownContent, 'utf8');
-          break;
-        default:
-          console.log('❌ Unsupported format. Use: json, txt, or md');
-          return null;
-      }
-      
-      console.log(`✅ Exported Mitzvah ${mitzvahNumber} as ${filename}.${format}`);
-      return `${filename}.${format}`;
-    } catch (error) {
-      console.error(`❌ Error exporting Mitzvah ${mitzvahNumber}:`, error.message);
+    const content = this.renderMitzvah(mitzvah, format);
+    if (content === null) {
+      this.notify('failure', `❌ Unsupported format. Use: ${EXPORT_FORMATS.join(', ')}`);
       return null;
     }
+
+    const filename = this.exportPath(options.output, `mitzvah_${mitzvah.mitzvahNumber}_export.${format}`);
+    return this.writeExport(filename, content, `Mitzvah ${mitzvah.mitzvahNumber}`);
+  }
+
+  // Render a mitzvah as the content of an export file (null if the format is unknown)
+  renderMitzvah(mitzvah, format = 'json') {
+    switch (String(format).toLowerCase()) {
+      case 'json':
+        return JSON.stringify(this.mitzvahRecord(mitzvah), null, 2);
+      case 'txt':
+        return this.formatMitzvahAsText(mitzvah);
+      case 'md':
+        return this.formatMitzvahAsMarkdown(mitzvah);
+      default:
+        return null;
+    }
+  }
+
+  // A mitzvah as exported to JSON, with its segment refs, classification, numberings,
+  // the versions and licenses of its texts and the data snapshot they come from
+  mitzvahRecord(mitzvah) {
+    const snapshot = this.currentSnapshot();
+    return {
+      ...mitzvah,
+      segmentRefs: this.segmentRefs(mitzvah),
+      metadata: getMetadata(mitzvah.mitzvahNumber),
+      numbering: equivalents(mitzvah.mitzvahNumber),
+      attribution: { ...textVersions.attributionOf(mitzvah), snapshot: snapshot ? snapshot.id : null }
+    };
+  }
+
+  // The Sources section of a txt (or with markdown, md) export: the version, license
+  // and source of each text, the Sefaria pages they come from and the data snapshot
+  formatSources(mitzvot, markdown = false) {
+    const lines = this.sourceLines(mitzvot);
+    const pages = mitzvot.length === 1
+      ? textVersions.attributionOf(mitzvot[0]).url
+      : `https://www.sefaria.org/Sefer_HaChinukh (${formatRef({ mitzvah: mitzvot[0].mitzvahNumber, toMitzvah: mitzvot[mitzvot.length - 1].mitzvahNumber })})`;
+    const snapshot = `Data snapshot: ${this.snapshotCitation() || 'none'}`;
+    if (markdown) return '## Sources\n\n' + lines.map(line => `- ${line}\n`).join('') + `\nTexts from Sefaria: ${pages}\n\n${snapshot}\n\n`;
+    return 'Sources:\n' + lines.map(line => `${line}\n`).join('') + `Texts from Sefaria: ${pages}\n${snapshot}\n`;
+  }
+
+  // Canonical refs of every segment of a mitzvah ("Sefer HaChinukh 32:1", ...)
+  segmentRefs(mitzvah) {
+    const count = Math.max(segmentsOf(mitzvah.text).length, segmentsOf(mitzvah.he).length);
+    return Array.from({ length: count }, (_, i) => segmentRef(mitzvah.mitzvahNumber, i + 1));
   }
 
-  formatMitzvahAsText(mitzvah) {
+  // Plain-text export of a mitzvah; { sources: false } leaves out the Sources section
+  // (for documents that list them once at the end)
+  formatMitzvahAsText(mitzvah, options = {}) {
     if (!mitzvah) return '';
     
     let content = `MITZVAH ${mitzvah.mitzvahNumber || 'Unknown'}\n`;
     content += '='.repeat(50) + '\n\n';
     
+    if (mitzvah.mitzvahNumber) content += `Reference: ${formatRef({ mitzvah: mitzvah.mitzvahNumber })}\n`;
     if (mitzvah.indexTitle) content += `Title: ${mitzvah.indexTitle}\n`;
     if (mitzvah.heTitle) content += `Hebrew Title: ${mitzvah.heTitle}\n`;
     if (mitzvah.categories && Array.isArray(mitzvah.categories)) {
       content += `Categories: ${mitzvah.categories.join(', ')}\n`;
     }
+    const metadata = getMetadata(mitzvah.mitzvahNumber);
+    if (metadata) {
+      content += `Type: ${metadata.type === 'positive' ? 'Positive commandment' : 'Prohibition'} - ${metadata.summary}\n`;
+      content += `Source: ${metadata.source} (Parashat ${metadata.parasha})\n`;
+      content += `Applicability: ${describeApplicability(metadata)}\n`;
+    }
+    if (mitzvah.mitzvahNumber) content += `Numbering: ${formatEquivalents(mitzvah.mitzvahNumber)}\n`;
+    if (mitzvah.annotations && mitzvah.annotations.bookmarked) content += 'Bookmarked: yes\n';
+    if (mitzvah.annotations && mitzvah.annotations.tags.length > 0) content += `Tags: ${mitzvah.annotations.tags.join(', ')}\n`;
     
     content += '\n' + '-'.repeat(50) + '\n\n';
     
-    if (mitzvah.text) {
-      content += 'English Text:\n';
-      const text = Array.isArray(mitzvah.text) ? mitzvah.text.join('\n') : String(mitzvah.text);
-      content += text + '\n\n';
+    // Each paragraph is prefixed with its segment ref, e.g. [32:3]; footnotes follow each language
+    const cite = i => `[${mitzvah.mitzvahNumber}:${i + 1}] `;
+    const section = (label, value) => {
+      const rendered = renderSegments(segmentsOf(value));
+      let text = `${label}:\n` + rendered.segments.map((segment, i) => cite(i) + segment).join('\n') + '\n\n';
+      if (rendered.footnotes.length > 0) text += 'Notes:\n' + rendered.footnotes.join('\n') + '\n\n';
+      return text;
+    };
+
+    if (mitzvah.text) content += section('English Text', mitzvah.text);
+    if (mitzvah.he) content += section('Hebrew Text', mitzvah.he);
+    if (mitzvah.annotations && mitzvah.annotations.notes.length > 0) {
+      content += 'Your Notes:\n' + mitzvah.annotations.notes.map(note => this.formatNote(mitzvah.mitzvahNumber, note)).join('\n') + '\n';
     }
-    
-    if (mitzvah.he) {
-      content += 'Hebrew Text:\n';
-      const heText = Array.isArray(mitzvah.he) ? mitzvah.he.join('\n') : String(mitzvah.he);
-      content += heText + '\n\n';
+    this.linkedSections(mitzvah).forEach(section => {
+      content += `\n${section.label}:\n` + section.entries.map(entry => entry.segments.map(segment => `[${entry.ref}] ${segment}`).join('\n')).join('\n') + '\n';
+    });
+    if (mitzvah.related && mitzvah.related.length > 0) {
+      content += '\nSee Also:\n' + mitzvah.related.map(entry => this.formatRelated(entry)).join('\n') + '\n';
     }
+    if (options.sources !== false) content += '\n' + this.formatSources([mitzvah]);
     
     return content;
   }
 
-  formatMitzvahAsMarkdown(mitzvah) {
+  // Markdown export of a mitzvah; { sources: false } as in formatMitzvahAsText()
+  formatMitzvahAsMarkdown(mitzvah, options = {}) {
     if (!mitzvah) return '';
     
     let content = `# Mitzvah ${mitzvah.mitzvahNumber || 'Unknown'}\n\n`;
     
+    if (mitzvah.mitzvahNumber) content += `**Reference:** ${formatRef({ mitzvah: mitzvah.mitzvahNumber })}\n\n`;
     if (mitzvah.indexTitle) content += `**Title:** ${mitzvah.indexTitle}\n\n`;
     if (mitzvah.heTitle) content += `**Hebrew Title:** ${mitzvah.heTitle}\n\n`;
     if (mitzvah.categories && Array.isArray(mitzvah.categories)) {
       content += `**Categories:** ${mitzvah.categories.join(', ')}\n\n`;
     }
+    const metadata = getMetadata(mitzvah.mitzvahNumber);
+    if (metadata) {
+      content += `**Type:** ${metadata.type === 'positive' ? 'Positive commandment' : 'Prohibition'} - ${metadata.summary}\n\n`;
+      content += `**Source:** ${metadata.source} (Parashat ${metadata.parasha})\n\n`;
+      content += `**Applicability:** ${describeApplicability(metadata)}\n\n`;
+    }
+    if (mitzvah.mitzvahNumber) content += `**Numbering:** ${formatEquivalents(mitzvah.mitzvahNumber)}\n\n`;
+    if (mitzvah.annotations && mitzvah.annotations.bookmarked) content += '**Bookmarked:** yes\n\n';
+    if (mitzvah.annotations && mitzvah.annotations.tags.length > 0) content += `**Tags:** ${mitzvah.annotations.tags.join(', ')}\n\n`;
     
     content += '---\n\n';
     
-    if (mitzvah.text) {
-      content += '## English Text\n\n';
-      const text = Array.isArray(mitzvah.text) ? mitzvah.text.join('\n\n') : String(mitzvah.text);
-      content += text + '\n\n';
+    const cite = i => `**[${mitzvah.mitzvahNumber}:${i + 1}]** `;
+    // Footnotes are numbered across the whole document and collected at the end
+    const footnotes = [];
+    const section = (label, value) => {
+      const rendered = renderSegments(segmentsOf(value), 'markdown', footnotes.length);
+      footnotes.push(...rendered.footnotes);
+      return `## ${label}\n\n` + rendered.segments.map((segment, i) => cite(i) + segment).join('\n\n') + '\n\n';
+    };
+
+    if (mitzvah.text) content += section('English Text', mitzvah.text);
+    if (mitzvah.he) content += section('Hebrew Text', mitzvah.he);
+    if (mitzvah.annotations && mitzvah.annotations.notes.length > 0) {
+      content += '## Your Notes\n\n' + mitzvah.annotations.notes.map(note => `- ${this.formatNote(mitzvah.mitzvahNumber, note, '**')}`).join('\n') + '\n\n';
     }
-    
-    if (mitzvah.he) {
-      content += '## Hebrew Text\n\n';
-      const heText = Array.isArray(mitzvah.he) ? mitzvah.he.join('\n\n') : String(mitzvah.he);
-      content += heText + '\n\n';
+    this.linkedSections(mitzvah).forEach(section => {
+      content += `## ${section.label}\n\n` + section.entries.map(entry => `**${entry.ref}** ${entry.segments.join('\n\n')}`).join('\n\n') + '\n\n';
+    });
+    if (mitzvah.related && mitzvah.related.length > 0) {
+      content += '## See Also\n\n' + mitzvah.related.map(entry => `- ${this.formatRelated(entry)}`).join('\n') + '\n\n';
     }
+    if (options.sources !== false) content += this.formatSources([mitzvah], true);
+    if (footnotes.length > 0) content += footnotes.join('\n') + '\n';
     
     return content;
   }
 
+  // A mitzvah's Markdown one heading level down, with footnote labels unique per
+  // mitzvah ([^32-1]) so that several can share one document
+  formatMitzvahAsMarkdownSection(mitzvah) {
+    return this.formatMitzvahAsMarkdown(mitzvah, { sources: false })
+      .replace(/^(#+) /gm, '#$1 ')
+      .replace(/\[\^(\d+)\]/g, `[^${mitzvah.mitzvahNumber}-$1]`);
+  }
+
+  // Entries of failed_downloads.json ([{ number, error }]), or [] when there are none
+  readFailedDownloads() {
+    const failedFile = path.join(this.outputDir, 'failed_downloads.json');
+    if (!fs.existsSync(failedFile)) return [];
+    try {
+      const failedList = JSON.parse(fs.readFileSync(failedFile, 'utf8'));
+      return Array.isArray(failedList) ? failedList : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
   // Fixed: Added retry functionality for failed downloads
-  async retryFailedDownloads() {
+  // Resolves to the mitzvot downloaded now; rejects with a ParseError when
+  // failed_downloads.json is unreadable and, as downloadAllMitzvot() does, with an
+  // AbortError when { signal } is aborted.
+  async retryFailedDownloads(options = {}) {
     const failedFile = path.join(this.outputDir, 'failed_downloads.json');
+    throwIfAborted(options.signal);
     
     if (!fs.existsSync(failedFile)) {
-      console.log('ℹ️  No failed downloads file found');
+      this.notify('info', 'ℹ️  No failed downloads file found');
       return [];
     }
 
@@ -506,72 +2228,383 @@ class SeferHaChinukhApp {
       const rawData = fs.readFileSync(failedFile, 'utf8');
       failedList = JSON.parse(rawData);
     } catch (error) {
-      console.error('❌ Error reading failed downloads file:', error.message);
-      return [];
+      throw new ParseError(`Error reading failed downloads file: ${error.message}`, { file: failedFile, cause: error });
     }
 
     if (!Array.isArray(failedList) || failedList.length === 0) {
-      console.log('ℹ️  No failed downloads to retry');
+      this.notify('info', 'ℹ️  No failed downloads to retry');
       return [];
     }
 
-    console.log(`🔄 Retrying ${failedList.length} failed downloads...`);
-    
-    let fetch;
-    try {
-      const module = await import('node-fetch');
-      fetch = module.default;
-    } catch (error) {
-      console.error('❌ Error importing node-fetch:', error.message);
-      return [];
-    }
+    const numbers = [...new Set(failedList.map(failed => parseInt(failed.number, 10)))]
+      .filter(number => number >= 1 && number <= 613);
 
-    const successful = [];
-    const stillFailed = [];
+    this.notify('download:start', `🔄 Retrying ${numbers.length} failed downloads...`, { kind: 'text', total: numbers.length });
+    this.ensureDataDirectory();
 
-    for (const failed of failedList) {
-      const mitzvahNum = failed.number;
-      try {
-        const reference = `Sefer_HaChinukh.${mitzvahNum}`;
-        const url = `${this.baseUrl}${reference}`;
-        
-        console.log(`🔄 Retrying Mitzvah ${mitzvahNum}...`);
-        const response = await fetch(url);
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+    const downloader = this.createDownloader(options);
+    downloader.fetch = await loadFetch();
 
-        const data = await response.json();
-        data.mitzvahNumber = mitzvahNum;
-        
-        const filename = path.join(this.outputDir, `mitzvah_${mitzvahNum.toString().padStart(3, '0')}.json`);
-        fs.writeFileSync(filename, JSON.stringify(data, null, 2), 'utf8');
-        
-        successful.push(data);
-        console.log(`✓ Successfully retried Mitzvah ${mitzvahNum}`);
-        
-        await this.sleep(this.delay);
-        
-      } catch (error) {
-        console.error(`✗ Still failed Mitzvah ${mitzvahNum}:`, error.message);
-        stillFailed.push({ number: mitzvahNum, error: error.message });
-      }
-    }
+    const { downloaded, failed: stillFailed } = await downloader.downloadMitzvot(numbers, { ...options, force: true });
+    const successful = downloaded.map(number => readShard(this.outputDir, number)).filter(Boolean);
 
     // Update the failed downloads file
     if (stillFailed.length > 0) {
-      fs.writeFileSync(failedFile, JSON.stringify(stillFailed, null, 2), 'utf8');
+      writeJsonAtomic(failedFile, stillFailed);
     } else {
       fs.unlinkSync(failedFile); // Remove file if no more failures
     }
 
-    console.log(`\n🎉 Retry complete!`);
-    console.log(`✅ Successfully retried: ${successful.length} mitzvot`);
-    console.log(`❌ Still failed: ${stillFailed.length} mitzvot`);
+    // Fold the new shards into all_mitzvot.json and the indexes
+    if (successful.length > 0) {
+      await this.rebuildFromShards();
+    }
+    this.warnRestrictedDefaults(successful);
+
+    this.notify('download:complete', `\n🎉 Retry complete!\n✅ Successfully retried: ${successful.length} mitzvot\n❌ Still failed: ${stillFailed.length} mitzvot`,
+      { kind: 'text', downloaded, skipped: [], failed: stillFailed });
 
     return successful;
   }
+
+  // ========== TEXT VERSIONS ==========
+
+  // The English and Hebrew versions Sefaria has of the book (see fetchVersionList());
+  // rejects with a NetworkError or ParseError when it cannot be fetched
+  async getAvailableVersions(options = {}) {
+    return this.createDownloader(options).fetchVersionList(options);
+  }
+
+  // Every version the loaded mitzvot can be shown in: the default ones and those
+  // downloaded with downloadVersions(), as
+  // [{ language, versionTitle, license, redistributable, restriction, default, numbers }]
+  listVersions() {
+    const versions = new Map();
+    this.requireStore().all().forEach(mitzvah => {
+      const stored = textVersions.readVersions(this.outputDir, mitzvah.mitzvahNumber);
+      [...textVersions.defaultVersions(mitzvah), ...(stored ? stored.versions : [])].forEach(entry => {
+        const key = `${entry.language}:${entry.versionTitle.toLowerCase()}`;
+        if (!versions.has(key)) {
+          versions.set(key, {
+            language: entry.language,
+            versionTitle: entry.versionTitle,
+            license: entry.license,
+            redistributable: textVersions.isRedistributable(entry.license),
+            restriction: textVersions.licenseRestriction(entry.license),
+            default: !!entry.default,
+            numbers: []
+          });
+        }
+        const version = versions.get(key);
+        if (!version.numbers.includes(mitzvah.mitzvahNumber)) version.numbers.push(mitzvah.mitzvahNumber);
+      });
+    });
+    return [...versions.values()].sort((a, b) => a.language.localeCompare(b.language) || b.default - a.default || a.versionTitle.localeCompare(b.versionTitle));
+  }
+
+  // A copy of a mitzvah in other text versions: version is a title or an array of
+  // titles (one per language), default or downloaded. null when the mitzvah lacks one.
+  withVersion(mitzvah, version) {
+    const stored = textVersions.readVersions(this.outputDir, mitzvah.mitzvahNumber);
+    let versioned = mitzvah;
+    for (const title of [].concat(version)) {
+      const entry = textVersions.findVersion(mitzvah, stored, title);
+      if (!entry) return null;
+      versioned = textVersions.applyVersion(versioned, entry);
+    }
+    return versioned;
+  }
+
+  // Where the texts of some mitzvot come from, one line per version:
+  // "English: <title>, license: CC-BY, source: <url> (mitzvot 1-5)", with the
+  // restriction of a license that has one ("license: CC-BY-NC, non-commercial use only")
+  sourceLines(mitzvot) {
+    return sourcesOf(mitzvot).map(source => {
+      const parts = [`${source.language}: ${source.title || 'unknown version'}`];
+      if (source.license) parts.push(`license: ${source.license}`);
+      if (source.license && textVersions.licenseRestriction(source.license)) parts.push(textVersions.licenseRestriction(source.license));
+      if (source.source) parts.push(`source: ${source.source}`);
+      const numbers = source.numbers.length === mitzvot.length ? '' : ` (mitzvot ${describeNumbers(source.numbers)})`;
+      return parts.join(', ') + numbers;
+    });
+  }
+
+  // Warn (the CLI always shows warnings) when an export holds texts whose license
+  // does not allow passing them on. Every export states the license of its texts, so
+  // non-commercial ones may go out with the restriction said (code non-commercial-license).
+  warnRestricted(mitzvot) {
+    sourcesOf(mitzvot).filter(source => !textVersions.isRedistributable(source.license)).forEach(source => {
+      const text = `${source.language} text "${source.title || 'unknown version'}" (license: ${source.license || 'unknown'})`;
+      if (textVersions.isNonCommercial(source.license)) {
+        this.notify('warning', `⚠️  ${text} is for non-commercial use only; the export says so`, { code: 'non-commercial-license', ...source });
+      } else {
+        this.notify('warning', `⚠️  ${text} may not be redistributed`, { code: 'restricted-license', ...source });
+      }
+    });
+  }
+
+  // ========== DATASET CHECKS ==========
+
+  // Check the data on disk (see dataset-doctor.js); displayDatasetReport() prints the
+  // report. The files' checksums are recorded for the next check unless
+  // { record: false }; { repair: true } also repairs what it can (see repairDataset()),
+  // adding report.repair. Returns the report.
+  async checkDataset(options = {}) {
+    const report = doctor.checkDataset(this.outputDir);
+    const errors = report.problems.filter(problem => problem.severity === 'error').length;
+    if (report.healthy) {
+      this.notify('info', `🩺 ${report.outputDir}: the data is healthy`, { counts: report.counts });
+    } else {
+      this.notify('warning', `🩺 ${report.outputDir}: the data needs repair (${errors} errors, ${report.problems.length - errors} warnings)`,
+        { code: 'dataset-problems', counts: report.counts, broken: report.broken });
+    }
+
+    if (options.record !== false && fs.existsSync(this.outputDir)) {
+      try {
+        doctor.recordChecksums(this.outputDir, report);
+      } catch (error) {
+        this.notify('warning', `⚠️  Warning: Could not record checksums: ${error.message}`, { code: 'checksums-not-saved', error });
+      }
+    }
+    if (options.repair) {
+      report.repair = await this.repairDataset(report);
+    }
+    return report;
+  }
+
+  // Print a report of checkDataset(), up to `limit` problems of each severity
+  displayDatasetReport(report, limit = 20) {
+    console.log(`\n🩺 DATASET CHECK: ${report.outputDir}`);
+    console.log('═'.repeat(50));
+    console.log(`📚 Mitzvot: ${report.counts.consolidated}/613 in all_mitzvot.json, ${report.counts.shards} valid shards, ${report.counts.index} index entries`);
+
+    ['error', 'warning'].forEach(severity => {
+      const problems = report.problems.filter(problem => problem.severity === severity);
+      if (problems.length === 0) return;
+      console.log(`\n${severity === 'error' ? '❌ Errors' : '⚠️  Warnings'} (${problems.length}):`);
+      problems.slice(0, limit).forEach(problem => console.log(`   ${problem.file}: ${problem.message}`));
+      if (problems.length > limit) console.log(`   ... and ${problems.length - limit} more`);
+    });
+
+    if (report.broken.length > 0) {
+      console.log(`\n🔧 To download again: ${doctor.formatNumbers(report.broken)}`);
+    } else if (report.rebuild) {
+      console.log('\n🔧 all_mitzvot.json and the indexes need rebuilding from the shards');
+    }
+    console.log(report.healthy ? '\n✅ The data is healthy' : '\n❌ The data needs repair');
+    console.log('═'.repeat(50));
+  }
+
+  // Repair what a checkDataset() report found: broken mitzvot are added to
+  // failed_downloads.json for retryFailedDownloads() to fetch again (which then
+  // rebuilds), and when every shard is sound all_mitzvot.json and the indexes are
+  // rebuilt from them. Rebuilding with broken shards would drop those mitzvot, so
+  // it waits for the retry. Returns { marked: [n], rebuilt }.
+  async repairDataset(report) {
+    const result = { marked: [], rebuilt: false };
+
+    if (report.broken.length > 0) {
+      this.ensureDataDirectory();
+      const failedList = this.readFailedDownloads();
+      const listed = new Set(failedList.map(failed => parseInt(failed.number, 10)));
+      const added = doctor.failedEntries(report).filter(entry => !listed.has(entry.number));
+      if (added.length > 0) {
+        writeJsonAtomic(path.join(this.outputDir, 'failed_downloads.json'), [...failedList, ...added]);
+      }
+      result.marked = added.map(entry => entry.number);
+      this.notify('info', `📋 Marked ${added.length} mitzvot for retry (${report.broken.length - added.length} already listed). Run retryFailedDownloads()`);
+    } else if (report.rebuild && report.counts.shards > 0) {
+      await this.rebuildFromShards();
+      result.rebuilt = true;
+    }
+    return result;
+  }
+
+  // ========== SNAPSHOTS AND UPDATES ==========
+
+  // The snapshot the data on disk is identical to (see snapshots.js), or null;
+  // looked up once after each load or rebuild
+  currentSnapshot() {
+    if (this.snapshot === undefined) {
+      try {
+        this.snapshot = snapshots.currentSnapshot(this.outputDir);
+      } catch (error) {
+        this.snapshot = null;
+      }
+    }
+    return this.snapshot;
+  }
+
+  // How exports cite the data: "20261019-120000-3f9a12bc (2026-10-19, 613 mitzvot)", or null
+  snapshotCitation() {
+    const snapshot = this.currentSnapshot();
+    return snapshot ? snapshots.describeSnapshot(snapshot) : null;
+  }
+
+  warnUnsnapshotted() {
+    if (this.currentSnapshot()) return;
+    this.notify('warning', '⚠️  The data is not in a snapshot, so the export cannot cite one. Take one with createSnapshot()', { code: 'no-snapshot' });
+  }
+
+  // Every snapshot, oldest first; current marks the one the data matches
+  listSnapshots() {
+    const current = this.currentSnapshot();
+    return snapshots.readSnapshotList(this.outputDir).snapshots.map(snapshot => ({ ...snapshot, current: !!current && snapshot.id === current.id }));
+  }
+
+  // Keep the data as it is now as a snapshot. { label } names it; snapshots taken on
+  // request are never pruned (options.reason marks the automatic ones). Unchanged data
+  // gives the snapshot it already matches. Returns the snapshot, or null.
+  createSnapshot(options = {}) {
+    const reason = options.reason || 'manual';
+    try {
+      const result = snapshots.createSnapshot(this.outputDir, { reason, label: options.label, keep: this.keepSnapshots });
+      this.snapshot = result.snapshot;
+      if (result.created) this.notify('info', `📸 Saved snapshot ${snapshots.describeSnapshot(result.snapshot)}`);
+      else if (reason === 'manual') this.notify('info', `📸 The data is already snapshot ${snapshots.describeSnapshot(result.snapshot)}`);
+      result.pruned.forEach(snapshot => this.notify('info', `🗑️  Removed old snapshot ${snapshot.id}`));
+      return result.snapshot;
+    } catch (error) {
+      this.notify('failure', `❌ Error saving snapshot: ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  // Delete a snapshot (an id or a unique start of one); returns it, or null
+  deleteSnapshot(id) {
+    const deleted = snapshots.deleteSnapshot(this.outputDir, id);
+    if (!deleted) {
+      this.notify('failure', `❌ No snapshot ${id}`);
+      return null;
+    }
+    if (this.snapshot && this.snapshot.id === deleted.id) this.snapshot = null;
+    this.notify('info', `🗑️  Deleted snapshot ${deleted.id}`);
+    return deleted;
+  }
+
+  // Roll the data back to a snapshot (an id or a unique start of one): its mitzvot
+  // replace the mitzvah_NNN.json files, then all_mitzvot.json and the indexes are
+  // rebuilt. The data as it was is kept as a snapshot first. Returns the restored
+  // snapshot, or null.
+  async restoreSnapshot(id) {
+    const snapshot = snapshots.findSnapshot(this.outputDir, id);
+    if (!snapshot) {
+      this.notify('failure', `❌ No snapshot ${id}`);
+      return null;
+    }
+    let mitzvot;
+    try {
+      mitzvot = snapshots.readSnapshot(this.outputDir, snapshot);
+    } catch (error) {
+      this.notify('failure', `❌ Error reading snapshot: ${error.message}`, { error });
+      return null;
+    }
+    // Damaged data cannot be kept, but it should not stop the roll back either
+    if (fs.existsSync(path.join(this.outputDir, 'all_mitzvot.json')) && !this.createSnapshot({ reason: 'before-restore' })) {
+      this.notify('warning', '⚠️  Restoring without a snapshot of the current data', { code: 'no-snapshot' });
+    }
+
+    const restored = new Map(mitzvot.map(mitzvah => [mitzvah.mitzvahNumber, mitzvah]));
+    const downloader = this.createDownloader();
+    downloader.loadManifest();
+    for (let number = 1; number <= 613; number++) {
+      if (restored.has(number)) {
+        downloader.saveMitzvah(number, restored.get(number));
+      } else if (fs.existsSync(shardFile(this.outputDir, number))) {
+        fs.unlinkSync(shardFile(this.outputDir, number));
+        delete downloader.manifest.entries[number];
+      }
+    }
+    downloader.saveManifest();
+    await this.rebuildFromShards();
+
+    const current = this.currentSnapshot();
+    if (!current || current.id !== snapshot.id) {
+      this.notify('warning', `⚠️  The rebuilt data differs from snapshot ${snapshot.id}; check it with checkDataset()`, { code: 'snapshot-mismatch', snapshot: snapshot.id });
+    }
+    this.notify('info', `⏪ Restored snapshot ${snapshots.describeSnapshot(snapshot)}`);
+    return snapshot;
+  }
+
+  // Fetch the saved mitzvot again ({ numbers }: only some of them) and compare them
+  // with what Sefaria serves now, segment by segment (see update-check.js). The change
+  // log goes to outputDir/changelogs. { apply: true } saves the changes, with the
+  // data before and after them kept as snapshots so that restoreSnapshot() can undo
+  // them. An aborted { signal } rejects with an AbortError before anything is saved.
+  // Returns the report, or null.
+  async checkForUpdates(options = {}) {
+    const store = this.requireStore();
+    const numbers = options.numbers ? options.numbers.filter(number => store.has(number)) : store.numbers();
+    if (numbers.length === 0) {
+      this.notify('failure', '❌ None of those mitzvot is downloaded');
+      return null;
+    }
+
+    throwIfAborted(options.signal);
+    const downloader = this.createDownloader(options);
+    downloader.fetch = await loadFetch();
+
+    this.notify('download:start', `🔍 Checking ${numbers.length} mitzvot for changes on Sefaria...`, { kind: 'fetch', total: numbers.length });
+    const { fetched, failed } = await downloader.fetchMitzvot(numbers, options);
+    const changed = numbers
+      .filter(number => fetched.has(number))
+      .map(number => updates.compareMitzvah(this.store.get(number), fetched.get(number), number))
+      .filter(Boolean);
+    const snapshot = this.currentSnapshot();
+    const report = {
+      checkedAt: new Date().toISOString(),
+      snapshot: snapshot ? snapshot.id : null,
+      checked: fetched.size,
+      unchanged: fetched.size - changed.length,
+      failed,
+      changed,
+      applied: false,
+      before: null,
+      after: null
+    };
+
+    if (options.apply && changed.length > 0) {
+      const before = this.createSnapshot({ reason: 'before-update' });
+      if (before) {
+        // The rebuild reads the shards, so every loaded mitzvah needs one
+        this.store.numbers().filter(number => !readShard(this.outputDir, number)).forEach(number => {
+          writeJsonAtomic(shardFile(this.outputDir, number), this.store.get(number));
+        });
+        downloader.loadManifest();
+        changed.forEach(entry => downloader.saveMitzvah(entry.number, fetched.get(entry.number)));
+        downloader.saveManifest();
+        await this.rebuildFromShards();
+        const after = this.createSnapshot({ reason: 'update' });
+        Object.assign(report, { applied: true, before: before.id, after: after ? after.id : null });
+      } else {
+        this.notify('failure', '❌ Not applying the changes: the current data could not be kept as a snapshot');
+      }
+    }
+
+    report.changeLog = this.writeChangeLog(report);
+    const lines = changed.map(entry =>
+      `\n   ${entry.number}: ${entry.segments.length} segments${entry.fields.length > 0 ? `, ${entry.fields.map(field => field.field).join(', ')}` : ''}`);
+    this.notify('download:complete', `✅ ${report.checked} mitzvot checked: ${changed.length} changed${report.applied ? ' and updated' : ''}, ` +
+      `${failed.length} could not be fetched${lines.join('')}`, { kind: 'fetch', downloaded: [...fetched.keys()].sort((a, b) => a - b), skipped: [], failed });
+    if (changed.length > 0 && !report.applied) this.notify('info', '💡 Apply them with checkForUpdates({ apply: true })');
+    return report;
+  }
+
+  // Write the change log of an update check (Markdown and JSON); returns the Markdown
+  // file, or null
+  writeChangeLog(report) {
+    const files = updates.changeLogFiles(this.outputDir, report.checkedAt);
+    try {
+      fs.mkdirSync(path.dirname(files.markdown), { recursive: true });
+      writeFileAtomic(files.markdown, updates.formatChangeLog(report));
+      writeJsonAtomic(files.json, report);
+      this.notify('info', `📝 Change log: ${files.markdown}`);
+      return files.markdown;
+    } catch (error) {
+      this.notify('failure', `❌ Error writing the change log: ${error.message}`, { error });
+      return null;
+    }
+  }
 }
 
 // ========== EXAMPLE USAGE AND DEMO ==========
@@ -581,19 +2614,20 @@ async function demoApp() {
   console.log('═'.repeat(50));
   
   const app = new SeferHaChinukhApp();
+  attachConsoleReporter(app);
   
   // Check if data exists, if not download it
   const dataExists = await app.loadData();
   
   if (!dataExists) {
     console.log('📥 No data found. Downloading all 613 mitzvot...');
-    console.log('⏳ This will take about 15-20 minutes with respectful delays...');
+    console.log('⏳ This will take about 5 minutes with respectful rate limiting (reruns resume where they stopped)...');
     await app.downloadAllMitzvot();
     await app.loadData(); // Reload after download
   }
   
   // Show statistics
-  app.getStats();
+  app.displayStats();
   
   // Demo: Get a specific mitzvah
   console.log('\n🎭 DEMO: Getting Mitzvah #1');
@@ -653,36 +2687,263 @@ QUICK START GUIDE:
 3. USE THE APP FUNCTIONS:
    
    const app = new SeferHaChinukhApp();
+   attachConsoleReporter(app);                          // print progress (console-reporter.js)
    await app.loadData();
+
+   // Events instead of printing (see EVENTS), and typed errors (errors.js)
+   app.on('download:progress', ({ completed, total }) => process.stdout.write(`${completed}/${total}\r`));
+   app.on('warning', ({ code, message }) => console.warn(code, message));
+   try {
+     app.getMitzvah(700);
+   } catch (error) {
+     if (error instanceof InvalidMitzvahNumberError) console.log(`Not a mitzvah: ${error.value}`);
+   }
+
+   // Stop a download; what was saved stays and the next run resumes from it
+   const controller = new AbortController();
+   setTimeout(() => controller.abort(), 60000);
+   await app.downloadAllMitzvot({ signal: controller.signal });   // rejects with AbortError
+
+   // Packed storage: opens at once and reads each mitzvah as needed (bounded cache)
+   const lazy = new SeferHaChinukhApp({ storage: 'packed', cacheSize: 32 });
+   await lazy.loadData();                               // writes all_mitzvot.pack once
    
-   // Get specific mitzvah
+   // Get specific mitzvah, by Chinukh number or Rambam's Sefer HaMitzvot
    const mitzvah = app.getMitzvah(100);
+   const tefillin = app.getMitzvah('Rambam Aseh 12');
+   const idol = app.getMitzvah('LT 65');
    app.displayMitzvah(mitzvah);
    
-   // Search
+   // Search (ranked; AND by default, OR between alternatives, "quoted phrases")
    const results = app.searchMitzvot('prayer');
+   const phrase = app.searchMitzvot('"first fruits" OR bikkurim', 'english');
+   // results[0].score, results[0].field, results[0].snippets[0].highlights
+
+   // Related mitzvot: closest in English and Hebrew text (TF-IDF vectors, cosine)
+   const related = app.getRelatedMitzvot(32, 5);   // [{ number, summary, score, terms }]
+   app.displayMitzvah(app.getMitzvah(32), true, true, { related: true });
+
+   // Text analytics: concordance, most frequent words and quoted verses
+   const shabbat = app.getConcordance('שבתות', { by: 'root', limit: 50 });   // השבת, שבת ...
+   // shabbat.count, shabbat.forms, shabbat.occurrences[0].ref, .context.before/word/after
+   const words = app.getTopTerms(32, { language: 'hebrew', limit: 10 });   // [{ term, count }]
+   const bo = app.getParashaTopTerms('Bo', { by: 'root' });          // { parasha, mitzvot, terms }
+   const quoting = app.getVerseCitations('Exodus 12:2');           // [{ ref, heRef, mitzvot }]
+   app.getCitedVerses(4);                                            // verses Mitzvah 4 quotes
+   app.exportAnalytics('concordance', 'csv');          // sefer_hachinukh_concordance.csv
+   app.exportAnalytics('citations', 'json', { output: 'research/' });
    
-   // Random mitzvah
+   // Classification metadata (works without downloaded text)
+   const kedoshim = app.findMitzvot({ parasha: 'Kedoshim', type: 'negative', presentDay: true });
+   const filtered = app.searchMitzvot('tithe', 'english', { filters: { templeEra: true } });
+
+   // This week's parasha (offline Hebrew calendar; { israel: true } for Israel's schedule)
+   app.displayWeeklyReading();
+   app.exportWeeklyReading('2025-07-26', 'md');
+   const reading = app.getWeeklyReading('Kedoshim', { filters: { presentDay: true } });
+
+   // Random mitzvah, or one this profile has not seen yet
    const random = app.getRandomMitzvah();
+   const fresh = app.getRandomMitzvah({ unseen: true, profile: 'alice' });
+
+   // Study plans with progress per profile (stored in outputDir/study_progress)
+   app.startStudyPlan('daily', { profile: 'alice', start: '2025-01-01' });
+   app.startStudyPlan('year', { profile: 'bob', days: 365 });
+   app.startStudyPlan('parasha', { profile: 'carol', israel: true });
+   app.markStudied([1, 2, 'LT 65'], { profile: 'alice' });
+   app.displayStudyStatus({ profile: 'alice' });   // next, overdue and completed
+
+   // Bookmarks, tags and notes (outputDir/annotations, kept across re-downloads)
+   app.bookmarkMitzvah(32, { profile: 'alice' });
+   app.tagMitzvah(32, 'for Tuesday shiur', { profile: 'alice' });
+   app.addNote('Sefer HaChinukh 32:3', 'Compare the Rambam', { profile: 'alice' });
+   app.displayMitzvah(app.getMitzvah(32, { annotations: true, profile: 'alice' }));
+   app.exportMitzvah(32, 'md', { annotations: true, profile: 'alice' });
+   app.searchMitzvot('shabbat', 'both', { tag: 'for Tuesday shiur', notes: true, profile: 'alice' });
+   app.searchNotes('rambam', { profile: 'alice' });
+
+   // Flashcards with SM-2 spaced repetition (outputDir/review_history)
+   const session = app.getReviewSession({ profile: 'alice', types: ['number', 'passage'], limit: 20 });
+   app.answerCard(session.questions[0], '32', { profile: 'alice', grade: 5 });
+   app.getReviewStats({ profile: 'alice' });
+   app.exportAnkiDeck({ parasha: 'Kedoshim' }, { output: 'kedoshim_anki.txt' });
    
    // Export
    app.exportMitzvah(50, 'md');
+   app.exportMitzvot('all', 'epub');                        // offline edition for e-readers
+   app.exportMitzvot('1-10,15', 'html', { output: 'books/', related: true });   // with See also lists
+   app.exportMitzvot({ search: 'shabbat', filters: { presentDay: true } }, 'md', { combine: true });
+   app.exportMitzvot({ category: 'Halakhah' }, 'txt', { output: 'exports' });
    
    // Statistics
    app.getStats();
+   app.displayStats();
    
    // Retry failed downloads
    await app.retryFailedDownloads();
 
+   // Other translations and editions (only those whose license allows redistribution)
+   await app.getAvailableVersions();                    // what Sefaria has
+   await app.downloadVersions({ en: ['Title of a translation'], he: ['Title of an edition'] });
+   app.getMitzvah(32, { version: 'Title of a translation' });
+   app.searchMitzvot('sabbath', 'english', { version: 'Title of a translation' });
+   app.exportMitzvot('1-10', 'md', { combine: true, version: 'Title of a translation' });   // with a Sources section
+
+   // Changes on Sefaria since the download: a change log in outputDir/changelogs,
+   // and with apply the new text, the old one kept as a snapshot
+   const report = await app.checkForUpdates({ apply: true });
+   app.createSnapshot({ label: 'printed edition 2026' });   // exports cite the snapshot
+   await app.restoreSnapshot(report.before);                 // roll back
+
+   // Check the data files; repair marks broken mitzvot for the retry above
+   app.displayDatasetReport(await app.checkDataset({ repair: true }));
+
+   // Download tuning (defaults: 4 workers, 2 requests/second); interrupted
+   // downloads resume from download_manifest.json on the next run
+   const fast = new SeferHaChinukhApp({ concurrency: 8, requestsPerSecond: 4 });
+   await fast.downloadAllMitzvot();
+
 4. AVAILABLE FUNCTIONS:
-   - downloadAllMitzvot(): Download all 613 mitzvot
+   - downloadAllMitzvot(options): Download all 613 mitzvot (resumable; { links: true } as below);
+     every download, retryFailedDownloads() and checkForUpdates() take { signal } to stop
+   - on(event, listener): Progress and diagnostics (see EVENTS); nothing is printed unless
+     attachConsoleReporter(app, options) is attached, display...() methods print always
+   - downloadLinkedTexts(options): Minchat Chinukh and Torah verses of each mitzvah, for
+     getMitzvah(n, { linked: true }), searchMitzvot(term, lang, { linked: true }) and exports
+   - downloadVersions(preferences, options): Other English and Hebrew versions by title,
+     for { version } in getMitzvah, displayMitzvah, searchMitzvot and exports; versions
+     that may not be redistributed (CC-BY-NC included) are skipped unless { allowRestricted: true }
+   - getAvailableVersions(): The versions Sefaria has; listVersions(): the downloaded ones
    - loadData(): Load data into memory
-   - getMitzvah(number): Get specific mitzvah
+   - getMitzvah(number): Get specific mitzvah (also "Rambam Aseh 12", "LT 65")
+   - getEquivalentNumbers(number): Chinukh and Rambam numbering of a mitzvah
+   - resolveRef(ref): Segments of "Sefer HaChinukh 32:3-5", "32-34", "ספר החינוך ל״ב"
    - searchMitzvot(term, language): Search mitzvot
+   - getRelatedMitzvot(number, k): The k mitzvot closest in content (TF-IDF, cosine)
+   - getConcordance(word, options): Every occurrence of a word (or Hebrew root candidate)
+   - getTopTerms(number, options) / getParashaTopTerms(parasha, options): Most frequent words
+   - getVerseCitations(verse) / getCitedVerses(number): Quoted Biblical verses, both ways
+   - exportAnalytics(kind, format, options): Concordance, terms or citations as CSV or JSON
    - getMitzvotByCategory(category): Filter by category
-   - getRandomMitzvah(): Get random mitzvah
-   - displayMitzvah(mitzvah): Pretty print mitzvah
-   - exportMitzvah(number, format): Export to file
-   - getStats(): Show collection statistics
+   - getMitzvahMetadata(number): Type, Torah source, parasha and applicability
+   - findMitzvot(filters): Mitzvot matching type/parasha/book/obligated/applicability filters
+   - getMitzvotByParasha(parasha, filters): Mitzvot of a weekly portion (also "Matot-Masei")
+   - getWeeklyReading(dateOrParasha, options): Parasha of a date's week and its mitzvot
+   - displayWeeklyReading(dateOrParasha, options): Print it with every downloaded mitzvah
+   - exportWeeklyReading(dateOrParasha, format, options): One json, txt or md file
+   - getRandomMitzvah(options): Get random mitzvah ({ unseen: true, profile } for unseen ones)
+   - startStudyPlan(type, options): Daily, whole-year or parasha-aligned plan for a profile
+   - getStudyStatus(options): Next, overdue and completed on a profile's plan
+   - displayStudyStatus(options): Print the same
+   - getStudySchedule(options): Every assignment of a profile's plan
+   - markStudied(numbers, options) / unmarkStudied(numbers, options): Record progress
+   - getStudyProfiles(): Profiles in outputDir with their plans
+   - deleteStudyProfile(name): Remove a profile and its progress
+   - bookmarkMitzvah(number, options) / removeBookmark(number, options) / getBookmarks(options)
+   - tagMitzvah(number, tags, options) / untagMitzvah(...) / getTags(options) / getMitzvotByTag(tag, options)
+   - addNote(ref, text, options) / editNote(id, text, options) / deleteNote(id, options)
+   - getNotes(options) / searchNotes(term, options) / getAnnotations(number, options)
+   - getReviewSession(options): Flashcards due today for a profile, then new ones
+   - answerCard(question, response, options): Check an answer and schedule the card (SM-2)
+   - getReviewStats(options) / exportAnkiDeck(selection, options): Progress; Anki import file
+   - displayMitzvah(mitzvah, showHebrew, showEnglish, options): Pretty print mitzvah
+     ({ related: true } adds a See also list, as in exports)
+   - exportMitzvah(number, format, options): Export to file (json, txt, md, html, epub);
+     every export names the versions, licenses (and their restrictions) and Sefaria pages of its texts
+   - exportMitzvot(selection, format, options): Ranges, searches, categories, tags or the
+     whole book; html and epub make one bilingual book (options.output: file or directory)
+   - selectMitzvot(selection): The loaded mitzvot of such a selection
+   - getStats(): Collection statistics; displayStats(): print them
    - retryFailedDownloads(): Retry previously failed downloads
+   - rebuildFromShards(): Rebuild all_mitzvot.json and the indexes from mitzvah_NNN.json files
+     (and all_mitzvot.pack with packed storage)
+   - store: The loaded mitzvot (storage.js): store.get(n), store.numbers(), store.all()
+   - checkForUpdates(options): Compare the saved mitzvot with Sefaria segment by segment,
+     write a change log; { apply: true } saves the changes between two snapshots
+   - createSnapshot(options) / listSnapshots() / restoreSnapshot(id) / deleteSnapshot(id):
+     Saved states of all_mitzvot.json; exports cite the one the data matches
+   - checkDataset(options): Check the data files (all 613 present and well formed, files in
+     agreement, checksums); { repair: true } also calls repairDataset(report);
+     displayDatasetReport(report): print the report
+
+5. HTTP API (server.js, serves the downloaded data only):
+   PORT=3000 node server.js
+   SEFER_STORAGE=packed node server.js      (fast start: mitzvot are read as needed)
+
+   GET /api/mitzvot?type=&parasha=&presentDay= Mitzvot by metadata (no download needed)
+   GET /api/mitzvot/:number                 Single mitzvah (also /api/mitzvot/LT%2065);
+                                            ?annotations=true&profile= adds your notes,
+                                            ?linked=true the commentary and verses,
+                                            ?version= another text version
+   GET /api/numbering/:number               Chinukh and Rambam numbering (no download needed)
+   GET /api/parasha?date=&israel=           This week's (or a date's) parasha and its mitzvot
+   GET /api/parasha/:name                   Mitzvot of a parasha, e.g. Matot-Masei
+   GET /api/mitzvot/:number/export?format=  Download as json, txt, md, html or epub
+                                            (linked=true: with commentary and verses;
+                                            version= another text version)
+   GET /api/mitzvot/:number/related?limit=  The mitzvot closest in content (default 5)
+   GET /api/mitzvot/:number/terms?lang=&by= Most frequent words (by=root: by root candidate)
+   GET /api/parasha/:name/terms             Most frequent words of a parasha's mitzvot
+   GET /api/mitzvot/:number/citations       Biblical verses the mitzvah quotes
+   GET /api/concordance/:word?by=&limit=    Every occurrence of a word, in context
+   GET /api/citations?verse=                Quoted verses and the mitzvot quoting them
+   GET /api/analytics/:kind?format=         concordance, terms or citations as csv or json
+   GET /api/export?range=&q=&category=&format= Several mitzvot as one file (range=all for the
+                                            whole book; also tag=, profile=, version=
+                                            and filters)
+   GET /api/search?q=&lang=&page=&pageSize= Search (lang: hebrew, english, both;
+                                            also tag=, notes=true, profile=, linked=true,
+                                            version=)
+   GET /api/versions                        Default and downloaded text versions, licenses
+   GET /api/categories/:name                Mitzvot in a category
+   GET /api/random                          Random mitzvah
+   GET /api/study/:profile?today=           Progress on a profile's study plan
+   GET /api/annotations/:profile            Bookmarks, tags and notes of a profile
+   GET /api/review/:profile?today=&types=   Flashcard statistics of a profile
+   GET /api/stats                           Collection statistics
+   GET /api/snapshots                       Saved snapshots of the data and the current one
+   GET /api/index                           Entries of mitzvot_index.json
+   GET /api/refs/:ref                       Segments of a ref, e.g. Sefer HaChinukh 32:3-5
+
+   The same server hosts the browser reader (public/) at http://localhost:3000/
+   with deep links such as #/mitzvah/32, #/search/shabbat and #/category/Halakhah.
+
+6. COMMAND LINE (cli.js, see node cli.js --help):
+   node cli.js download                     (Ctrl-C stops it; run again to resume)
+   node cli.js get 32 --verbose             (with the app's progress messages on stderr)
+   node cli.js links                        (commentary and verses, then get 32 --linked)
+   node cli.js doctor --repair              (check the data files, then: node cli.js retry)
+   node cli.js updates --apply              (change log in changelogs/; undo: snapshot restore <id>)
+   node cli.js snapshot create "printed edition 2026"
+   node cli.js versions available           (then: versions download --en "Title A|Title B")
+   node cli.js get 32 --version "Title A"
+   node cli.js get 32 --json
+   node cli.js get 32 --storage packed      (reads one mitzvah instead of the whole file)
+   node cli.js get Rambam Aseh 12
+   node cli.js numbering LT 65
+   node cli.js related 32 --limit 10
+   node cli.js concordance שבתות --root --limit 50
+   node cli.js terms --parasha Bo --lang hebrew
+   node cli.js citations "Exodus 12:2"          (or: citations 4, citations "שמות יב ב")
+   node cli.js analytics concordance --format csv --output research/
+   node cli.js get 32 --related
+   node cli.js read 32:3                    (terminal reader; ? lists the keys, q quits)
+   node cli.js parasha                      (this week's parasha; add --israel for Israel)
+   node cli.js parasha 2025-07-26
+   node cli.js search "first fruits" --lang english
+   node cli.js plan start daily --profile alice
+   node cli.js plan done 1 2 3 --profile alice
+   node cli.js plan status --profile alice
+   node cli.js random --unseen --profile alice
+   node cli.js tag add 32 for Tuesday shiur
+   node cli.js note add 32:3 "Compare the Rambam"
+   node cli.js search shabbat --tag "for Tuesday shiur" --notes
+   node cli.js get 32 --notes
+   node cli.js quiz --profile alice          (today's flashcards; q to stop)
+   node cli.js quiz export --parasha Kedoshim --output kedoshim_anki.txt
+   node cli.js list --parasha Kedoshim --type negative --today
+   node cli.js export 1-10 --format md --data-dir ./sefer_hachinukh_data
+   node cli.js export all --format epub --output sefer_hachinukh.epub
+   node cli.js export --search shabbat --today --format html --output books/
+   node cli.js export --category Halakhah --format md --combine
 */
\ No newline at end of file
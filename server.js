@@ -0,0 +1,708 @@
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const SeferHaChinukhApp = require('./sefer-hachinukh-app.js 2.0.js');
+const { parseRef } = require('./refs');
+const { getMetadata, normalizeFilters } = require('./mitzvot-metadata');
+const { equivalents, parseMitzvahId, describeUnmapped } = require('./enumerations');
+const { toFixed } = require('./hebrew-calendar');
+const { ProfileStore } = require('./profile-store');
+const { normalizeTypes } = require('./flashcards');
+const textVersions = require('./text-versions');
+const { InvalidMitzvahNumberError, DataNotLoadedError, ParseError } = require('./errors');
+const { attachConsoleReporter } = require('./console-reporter');
+
+// ========== HTTP JSON API ==========
+//
+// Serves the locally downloaded data set over HTTP. The server never talks to
+// Sefaria itself: run downloadAllMitzvot() (or the demo) first, then start it.
+
+const EXPORT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  epub: 'application/epub+zip'
+};
+
+const ANALYTICS_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+const LANGUAGES = ['hebrew', 'english', 'both'];
+const MAX_PAGE_SIZE = 100;
+
+const FILTER_PARAMS = ['type', 'parasha', 'book', 'obligated'];
+const BOOLEAN_FILTER_PARAMS = ['presentDay', 'landOfIsraelOnly', 'templeEra', 'requiresSanhedrin'];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Parse a mitzvah number (1-613) or another numbering such as "LT 65" from a path segment
+function parseMitzvahNumber(value) {
+  const id = parseMitzvahId(value);
+  if (!id) {
+    throw new HttpError(400, `Invalid mitzvah number: ${value}. Must be between 1-613, or e.g. "Rambam Aseh 12" or "LT 65".`);
+  }
+  if (id.mitzvah === null) {
+    throw new HttpError(404, describeUnmapped(id));
+  }
+  return id.mitzvah;
+}
+
+// Parse a positive integer query parameter with a default and an upper bound
+function parsePositiveInt(value, name, fallback, max = Infinity) {
+  if (value === null || value === '') return fallback;
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < 1 || parseInt(value, 10) > max) {
+    throw new HttpError(400, `Invalid ${name}: ${value}`);
+  }
+  return parseInt(value, 10);
+}
+
+// Parse a true/false query parameter; undefined when it is absent
+function parseBoolean(value, name) {
+  if (value === null || value === '') return undefined;
+  if (!['true', 'false', '1', '0'].includes(value.toLowerCase())) {
+    throw new HttpError(400, `Invalid ${name}: ${value}. Use true or false`);
+  }
+  return value.toLowerCase() === 'true' || value === '1';
+}
+
+// Metadata filters from query parameters (?type=negative&parasha=Kedoshim&presentDay=true);
+// null when none are given
+function parseFilters(query) {
+  const filters = {};
+  FILTER_PARAMS.forEach(name => {
+    if (query.get(name)) filters[name] = query.get(name);
+  });
+  BOOLEAN_FILTER_PARAMS.forEach(name => {
+    const value = parseBoolean(query.get(name), name);
+    if (value !== undefined) filters[name] = value;
+  });
+  if (Object.keys(filters).length === 0) return null;
+
+  try {
+    normalizeFilters(filters);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+  return filters;
+}
+
+// Profile name from ?profile= (default "default")
+function parseProfile(value) {
+  try {
+    return ProfileStore.normalizeName(value || undefined);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+// Split an array into the requested page, with the metadata a client needs to page through it
+function paginate(items, page, pageSize) {
+  const start = (page - 1) * pageSize;
+  return {
+    total: items.length,
+    page,
+    pageSize,
+    totalPages: Math.ceil(items.length / pageSize),
+    results: items.slice(start, start + pageSize)
+  };
+}
+
+function summarize(mitzvah) {
+  return {
+    number: mitzvah.mitzvahNumber,
+    title: mitzvah.indexTitle || mitzvah.title || `Mitzvah ${mitzvah.mitzvahNumber}`,
+    heTitle: mitzvah.heTitle || ''
+  };
+}
+
+// ========== ROUTES ==========
+
+function requireData(app) {
+  if (!app.store || app.store.count === 0) {
+    throw new HttpError(503, 'Mitzvot data is not available. Run downloadAllMitzvot() first.');
+  }
+}
+
+function getMitzvahOr404(app, value) {
+  const number = parseMitzvahNumber(value);
+  const mitzvah = app.getMitzvah(number);
+  if (!mitzvah) {
+    throw new HttpError(404, `Mitzvah ${number} not found`);
+  }
+  return mitzvah;
+}
+
+// Options of the text analytics: ?lang= (default both), ?by=word or root, ?limit=,
+// ?common=true to keep the most common words
+function parseAnalyticsOptions(query, defaultLimit) {
+  const language = (query.get('lang') || 'both').toLowerCase();
+  if (!LANGUAGES.includes(language)) {
+    throw new HttpError(400, `Invalid language: ${language}. Use: ${LANGUAGES.join(', ')}`);
+  }
+  const by = (query.get('by') || 'word').toLowerCase();
+  if (!['word', 'root'].includes(by)) {
+    throw new HttpError(400, `Invalid by: ${by}. Use: word, root`);
+  }
+  return {
+    language,
+    by,
+    limit: parsePositiveInt(query.get('limit'), 'limit', defaultLimit, MAX_PAGE_SIZE),
+    common: !!parseBoolean(query.get('common'), 'common')
+  };
+}
+
+// Text version titles from ?version= (repeated for English and Hebrew); undefined when absent
+function parseVersion(query) {
+  const titles = query.getAll('version').map(title => title.trim()).filter(Boolean);
+  if (titles.length === 0) return undefined;
+  return titles.length === 1 ? titles[0] : titles;
+}
+
+// A mitzvah in the text version of ?version=, or 404 when it was not downloaded
+function withVersionOr404(app, mitzvah, version) {
+  if (!version) return mitzvah;
+  const versioned = app.withVersion(mitzvah, version);
+  if (!versioned) throw new HttpError(404, `Mitzvah ${mitzvah.mitzvahNumber} has no downloaded version ${[].concat(version).join(' / ')}`);
+  return versioned;
+}
+
+const routes = [
+  {
+    // Classification query; answered from the bundled metadata, so it works before any download
+    pattern: /^\/api\/mitzvot$/,
+    offline: true,
+    handler: (app, match, query) => {
+      const filters = parseFilters(query) || {};
+      const page = parsePositiveInt(query.get('page'), 'page', 1);
+      const pageSize = parsePositiveInt(query.get('pageSize'), 'pageSize', 20, MAX_PAGE_SIZE);
+      const results = app.findMitzvot(filters).map(({ mitzvah, ...entry }) => ({
+        ...entry,
+        title: mitzvah ? summarize(mitzvah).title : null,
+        heTitle: mitzvah ? summarize(mitzvah).heTitle : null
+      }));
+      return { body: { filters, ...paginate(results, page, pageSize) } };
+    }
+  },
+  {
+    // ?annotations=true adds the bookmark, tags and notes of ?profile=, ?linked=true the
+    // downloaded commentary and Torah verses; ?version= shows another text version
+    pattern: /^\/api\/mitzvot\/([^/]+)$/,
+    handler: (app, match, query) => {
+      const annotated = !!parseBoolean(query.get('annotations'), 'annotations');
+      const profile = annotated ? parseProfile(query.get('profile')) : undefined;
+      let mitzvah = withVersionOr404(app, getMitzvahOr404(app, match[1]), parseVersion(query));
+      if (parseBoolean(query.get('linked'), 'linked')) mitzvah = app.withLinkedTexts(mitzvah);
+      if (annotated) {
+        mitzvah = app.withAnnotations(mitzvah, { profile });
+        if (!mitzvah.annotations) throw new HttpError(500, `Could not read the annotations of ${profile}`);
+      }
+      return {
+        body: { ...mitzvah, metadata: getMetadata(mitzvah.mitzvahNumber), numbering: equivalents(mitzvah.mitzvahNumber), attribution: textVersions.attributionOf(mitzvah) },
+        cacheable: !annotated
+      };
+    }
+  },
+  {
+    // Weekly reading with its mitzvot: /api/parasha?date=YYYY-MM-DD (default this week)
+    // or /api/parasha/Matot-Masei; israel=true for the schedule in the Land of Israel
+    pattern: /^\/api\/parasha(?:\/([^/]+))?$/,
+    offline: true,
+    handler: (app, match, query) => {
+      const date = query.get('date');
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new HttpError(400, `Invalid date: ${date}. Use YYYY-MM-DD`);
+      }
+      const target = match[1] || date || new Date();
+      const reading = app.getWeeklyReading(target, { israel: !!parseBoolean(query.get('israel'), 'israel'), filters: parseFilters(query) || {} });
+      if (!reading) {
+        throw match[1] ? new HttpError(404, `Unknown parasha: ${match[1]}`) : new HttpError(400, `Invalid date: ${date}`);
+      }
+      const mitzvot = reading.mitzvot.map(({ mitzvah, ...entry }) => ({
+        ...entry,
+        title: mitzvah ? summarize(mitzvah).title : null,
+        heTitle: mitzvah ? summarize(mitzvah).heTitle : null
+      }));
+      return { body: { ...reading, mitzvot } };
+    }
+  },
+  {
+    // Every numbering of a mitzvah, e.g. /api/numbering/LT%2065; needs no downloaded data
+    pattern: /^\/api\/numbering\/([^/]+)$/,
+    offline: true,
+    handler: (app, match) => ({ body: { numbering: equivalents(parseMitzvahNumber(match[1])) } })
+  },
+  {
+    pattern: /^\/api\/mitzvot\/([^/]+)\/export$/,
+    handler: (app, match, query) => {
+      const found = withVersionOr404(app, getMitzvahOr404(app, match[1]), parseVersion(query));
+      const mitzvah = parseBoolean(query.get('linked'), 'linked') ? app.withLinkedTexts(found) : found;
+      const format = (query.get('format') || 'json').toLowerCase();
+      if (!EXPORT_TYPES[format]) {
+        throw new HttpError(400, `Unsupported format: ${format}. Use: ${Object.keys(EXPORT_TYPES).join(', ')}`);
+      }
+      return {
+        raw: app.renderMitzvot([mitzvah], format),
+        contentType: EXPORT_TYPES[format],
+        filename: `mitzvah_${mitzvah.mitzvahNumber}_export.${format}`
+      };
+    }
+  },
+  {
+    // The mitzvot closest in content, by TF-IDF cosine similarity; ?limit= (default 5)
+    pattern: /^\/api\/mitzvot\/([^/]+)\/related$/,
+    handler: (app, match, query) => {
+      const mitzvah = getMitzvahOr404(app, match[1]);
+      const limit = parsePositiveInt(query.get('limit'), 'limit', 5, MAX_PAGE_SIZE);
+      return { body: { number: mitzvah.mitzvahNumber, related: app.getRelatedMitzvot(mitzvah.mitzvahNumber, limit) } };
+    }
+  },
+  {
+    // The most frequent words of a mitzvah: ?lang=, ?by=root, ?limit= (default 20), ?common=true
+    pattern: /^\/api\/mitzvot\/([^/]+)\/terms$/,
+    handler: (app, match, query) => {
+      const mitzvah = getMitzvahOr404(app, match[1]);
+      const options = parseAnalyticsOptions(query, 20);
+      return { body: { number: mitzvah.mitzvahNumber, ...options, terms: app.getTopTerms(mitzvah.mitzvahNumber, options) } };
+    }
+  },
+  {
+    // The same over the mitzvot of a parasha, e.g. /api/parasha/Bo/terms
+    pattern: /^\/api\/parasha\/([^/]+)\/terms$/,
+    handler: (app, match, query) => {
+      const options = parseAnalyticsOptions(query, 20);
+      const result = app.getParashaTopTerms(match[1], options);
+      if (!result) throw new HttpError(404, `Unknown parasha: ${match[1]}`);
+      return { body: { ...options, ...result } };
+    }
+  },
+  {
+    // The Biblical verses a mitzvah quotes
+    pattern: /^\/api\/mitzvot\/([^/]+)\/citations$/,
+    handler: (app, match) => {
+      const mitzvah = getMitzvahOr404(app, match[1]);
+      return { body: { number: mitzvah.mitzvahNumber, citations: app.getCitedVerses(mitzvah.mitzvahNumber) } };
+    }
+  },
+  {
+    // Every occurrence of a word with its context: ?by=root for every Hebrew word with
+    // its root candidate, ?limit= occurrences (default 20; count is the total)
+    pattern: /^\/api\/concordance\/([^/]+)$/,
+    handler: (app, match, query) => {
+      const { by, limit } = parseAnalyticsOptions(query, 20);
+      const result = app.getConcordance(match[1], { by, limit });
+      if (!result) throw new HttpError(400, `Not one word: ${match[1]}`);
+      return { body: result };
+    }
+  },
+  {
+    // The quoted Biblical verses and the mitzvot quoting them; ?verse= keeps one verse or
+    // chapter ("Exodus 12:2", "שמות יב ב")
+    pattern: /^\/api\/citations$/,
+    handler: (app, match, query) => {
+      const verse = (query.get('verse') || '').trim();
+      const page = parsePositiveInt(query.get('page'), 'page', 1);
+      const pageSize = parsePositiveInt(query.get('pageSize'), 'pageSize', 20, MAX_PAGE_SIZE);
+      const verses = app.getVerseCitations(verse || undefined);
+      if (!verses) throw new HttpError(400, `Not a Biblical verse or chapter: ${verse}`);
+      return { body: { verse: verse || null, ...paginate(verses, page, pageSize) } };
+    }
+  },
+  {
+    // The concordance, terms or citations of the whole text as a file: ?format=csv
+    // (default) or json, with the options of /terms (?limit= top terms per mitzvah)
+    pattern: /^\/api\/analytics\/([^/]+)$/,
+    handler: (app, match, query) => {
+      const kind = match[1];
+      const format = (query.get('format') || 'csv').toLowerCase();
+      if (!ANALYTICS_TYPES[format]) {
+        throw new HttpError(400, `Unsupported format: ${format}. Use: ${Object.keys(ANALYTICS_TYPES).join(', ')}`);
+      }
+      const content = app.renderAnalytics(kind, format, parseAnalyticsOptions(query, 20));
+      if (content === null) throw new HttpError(404, `Unknown analytics: ${kind}`);
+      return { raw: content, contentType: ANALYTICS_TYPES[format], filename: `sefer_hachinukh_${kind}.${format}` };
+    }
+  },
+  {
+    // Several mitzvot as one file: ?range=1-10,15 or all, ?q= (with lang=), ?category=,
+    // ?tag= (with profile=) and metadata filters, combined; format=html or epub for a book;
+    // ?version= uses another text version where the mitzvot have it
+    pattern: /^\/api\/export$/,
+    handler: (app, match, query) => {
+      const format = (query.get('format') || 'html').toLowerCase();
+      if (!EXPORT_TYPES[format]) {
+        throw new HttpError(400, `Unsupported format: ${format}. Use: ${Object.keys(EXPORT_TYPES).join(', ')}`);
+      }
+      const selection = {};
+      if (query.get('range')) selection.numbers = query.get('range');
+      if (query.get('q')) Object.assign(selection, { search: query.get('q'), language: (query.get('lang') || 'both').toLowerCase() });
+      if (query.get('category')) selection.category = query.get('category');
+      if (query.get('tag')) Object.assign(selection, { tag: query.get('tag'), profile: parseProfile(query.get('profile')) });
+      const filters = parseFilters(query);
+      if (filters) selection.filters = filters;
+      if (Object.keys(selection).length === 0) {
+        throw new HttpError(400, 'Nothing to export: use ?range=, q=, category=, tag= or metadata filters');
+      }
+      if (selection.language && !LANGUAGES.includes(selection.language)) {
+        throw new HttpError(400, `Invalid language: ${selection.language}. Use: ${LANGUAGES.join(', ')}`);
+      }
+      if (selection.numbers && selection.numbers !== 'all' && !app.parseSelection(selection.numbers)) {
+        throw new HttpError(400, `Invalid range: ${selection.numbers}`);
+      }
+
+      const selected = app.selectMitzvot(selection);
+      if (!selected) throw new HttpError(404, 'No mitzvot match the selection');
+      const version = parseVersion(query);
+      const mitzvot = app.annotateForExport(selected, { version });
+      if (!mitzvot) throw new HttpError(404, `Version not downloaded: ${[].concat(version).join(' / ')}`);
+      return {
+        raw: app.renderMitzvot(mitzvot, format),
+        contentType: EXPORT_TYPES[format],
+        filename: app.bookFilename(mitzvot, format),
+        cacheable: !selection.tag
+      };
+    }
+  },
+  {
+    // Segment-level references, e.g. /api/refs/Sefer%20HaChinukh%2032:3-5
+    pattern: /^\/api\/refs\/(.+)$/,
+    handler: (app, match) => {
+      if (!parseRef(match[1])) {
+        throw new HttpError(400, `Invalid reference: ${match[1]}`);
+      }
+      const resolved = app.resolveRef(match[1]);
+      if (!resolved) {
+        throw new HttpError(404, `Reference not found: ${match[1]}`);
+      }
+      return { body: resolved };
+    }
+  },
+  {
+    pattern: /^\/api\/search$/,
+    handler: (app, match, query) => {
+      const term = (query.get('q') || '').trim();
+      if (!term) {
+        throw new HttpError(400, 'Missing search term: use ?q=');
+      }
+      const language = (query.get('lang') || 'both').toLowerCase();
+      if (!LANGUAGES.includes(language)) {
+        throw new HttpError(400, `Invalid language: ${language}. Use: ${LANGUAGES.join(', ')}`);
+      }
+      const page = parsePositiveInt(query.get('page'), 'page', 1);
+      const pageSize = parsePositiveInt(query.get('pageSize'), 'pageSize', 20, MAX_PAGE_SIZE);
+      const filters = parseFilters(query);
+      // ?tag= and ?notes=true use the annotations of ?profile=; ?linked=true also
+      // searches the downloaded commentary and Torah verses, ?version= another text version
+      const tag = query.get('tag') || undefined;
+      const notes = !!parseBoolean(query.get('notes'), 'notes');
+      const linked = !!parseBoolean(query.get('linked'), 'linked');
+      const profile = tag || notes ? parseProfile(query.get('profile')) : undefined;
+      const version = parseVersion(query);
+
+      const results = app.searchMitzvot(term, language, { filters, tag, notes, linked, profile, version }).map(result => ({
+        number: result.number,
+        title: result.title,
+        heTitle: result.heTitle,
+        score: result.score,
+        field: result.field,
+        matchText: result.matchText,
+        snippets: result.snippets
+      }));
+      return { body: { query: term, language, ...(version ? { version } : {}), ...paginate(results, page, pageSize) }, cacheable: !tag && !notes };
+    }
+  },
+  {
+    // The default and downloaded text versions, with their licenses and mitzvot
+    pattern: /^\/api\/versions$/,
+    handler: app => ({ body: { versions: app.listVersions() } })
+  },
+  {
+    pattern: /^\/api\/categories\/([^/]+)$/,
+    handler: (app, match, query) => {
+      const category = match[1];
+      const page = parsePositiveInt(query.get('page'), 'page', 1);
+      const pageSize = parsePositiveInt(query.get('pageSize'), 'pageSize', 20, MAX_PAGE_SIZE);
+      const results = app.getMitzvotByCategory(category).map(summarize);
+      return { body: { category, ...paginate(results, page, pageSize) } };
+    }
+  },
+  {
+    // Progress on a profile's study plan: /api/study/alice?today=YYYY-MM-DD. Read-only;
+    // plans are started and progress recorded through the app or the CLI.
+    pattern: /^\/api\/study\/([^/]+)$/,
+    offline: true,
+    handler: (app, match, query) => {
+      const today = query.get('today');
+      parseProfile(match[1]);
+      try {
+        if (today) toFixed(today);
+      } catch (error) {
+        throw new HttpError(400, error.message);
+      }
+      const status = app.getStudyStatus({ profile: match[1], today: today || undefined });
+      if (!status) throw new HttpError(404, `No study plan for profile ${match[1]}`);
+      return { body: status, cacheable: false };
+    }
+  },
+  {
+    // Flashcard statistics of a profile: /api/review/alice?today=YYYY-MM-DD&types=passage.
+    // Read-only; cards are reviewed through the app or the CLI.
+    pattern: /^\/api\/review\/([^/]+)$/,
+    handler: (app, match, query) => {
+      const profile = parseProfile(match[1]);
+      const today = query.get('today');
+      const types = query.get('types') || undefined;
+      try {
+        if (today) toFixed(today);
+        normalizeTypes(types);
+      } catch (error) {
+        throw new HttpError(400, error.message);
+      }
+      const stats = app.getReviewStats({ profile, today: today || undefined, types });
+      if (!stats) throw new HttpError(500, `Could not read the review history of ${profile}`);
+      return { body: stats, cacheable: false };
+    }
+  },
+  {
+    // Bookmarks, tags and notes of a profile: /api/annotations/alice. Read-only;
+    // annotations are edited through the app or the CLI.
+    pattern: /^\/api\/annotations\/([^/]+)$/,
+    offline: true,
+    handler: (app, match) => {
+      const profile = parseProfile(match[1]);
+      const bookmarks = app.getBookmarks({ profile });
+      if (!bookmarks) throw new HttpError(500, `Could not read the annotations of ${profile}`);
+      return { body: { profile, bookmarks, tags: app.getTags({ profile }), notes: app.getNotes({ profile }) }, cacheable: false };
+    }
+  },
+  {
+    pattern: /^\/api\/random$/,
+    handler: app => ({ body: app.getRandomMitzvah(), cacheable: false })
+  },
+  {
+    pattern: /^\/api\/stats$/,
+    handler: app => ({ body: app.getStats() })
+  },
+  {
+    // Saved snapshots of the data and the one it matches, which exports cite
+    pattern: /^\/api\/snapshots$/,
+    handler: app => ({ body: { current: app.currentSnapshot(), snapshots: app.listSnapshots() }, cacheable: false })
+  },
+  {
+    // Entries of mitzvot_index.json, or summaries of the loaded data if no index was written
+    pattern: /^\/api\/index$/,
+    handler: app => ({
+      body: Array.isArray(app.index) && app.index.length > 0
+        ? app.index
+        : app.store.all().map(mitzvah => ({ ...summarize(mitzvah), preview: app.extractPreview(mitzvah) }))
+    })
+  }
+];
+
+// ========== RESPONSES ==========
+
+function setCorsHeaders(res, corsOrigin) {
+  res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, Content-Disposition');
+  if (corsOrigin !== '*') res.setHeader('Vary', 'Origin');
+}
+
+function sendJson(req, res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(req.method === 'HEAD' ? undefined : payload);
+}
+
+function sendError(req, res, status, message) {
+  sendJson(req, res, status, { error: { status, message } });
+}
+
+// Send a successful response, answering 304 when the client already has this ETag
+function sendCached(req, res, { content, contentType, filename, cacheable = true }) {
+  const headers = { 'Content-Type': contentType };
+  if (filename) {
+    headers['Content-Disposition'] = `attachment; filename="${filename}"`;
+  }
+
+  if (!cacheable) {
+    headers['Cache-Control'] = 'no-store';
+  } else {
+    const etag = `"${crypto.createHash('sha1').update(content).digest('base64url')}"`;
+    headers['ETag'] = etag;
+    headers['Cache-Control'] = 'public, max-age=300';
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*')) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+  }
+
+  headers['Content-Length'] = Buffer.byteLength(content);
+  res.writeHead(200, headers);
+  res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+// Serve a file of the browser reader; returns false when there is no such file
+function serveStatic(req, res, publicDir, pathname) {
+  const relative = pathname === '/' ? 'index.html' : pathname.slice(1);
+  const filePath = path.resolve(publicDir, relative);
+  if (!filePath.startsWith(path.resolve(publicDir) + path.sep)) {
+    return false;
+  }
+
+  const contentType = STATIC_TYPES[path.extname(filePath).toLowerCase()];
+  if (!contentType || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return false;
+  }
+
+  sendCached(req, res, { content: fs.readFileSync(filePath), contentType });
+  return true;
+}
+
+// ========== SERVER ==========
+
+// Create an http.Server answering API requests from an already loaded app
+function createServer(app, options = {}) {
+  const corsOrigin = options.corsOrigin || '*';
+  const publicDir = options.publicDir || PUBLIC_DIR;
+
+  return http.createServer((req, res) => {
+    setCorsHeaders(res, corsOrigin);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD, OPTIONS');
+      sendError(req, res, 405, `Method ${req.method} not allowed`);
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname).replace(/\/+$/, '') || '/';
+    } catch (error) {
+      sendError(req, res, 400, 'Malformed URL');
+      return;
+    }
+
+    try {
+      for (const route of routes) {
+        const match = pathname.match(route.pattern);
+        if (!match) continue;
+
+        if (!route.offline) requireData(app);
+        const result = route.handler(app, match, url.searchParams);
+        if (result.raw !== undefined) {
+          sendCached(req, res, {
+            content: result.raw,
+            contentType: result.contentType,
+            filename: result.filename,
+            cacheable: result.cacheable !== false
+          });
+        } else {
+          sendCached(req, res, {
+            content: JSON.stringify(result.body),
+            contentType: 'application/json; charset=utf-8',
+            cacheable: result.cacheable !== false
+          });
+        }
+        return;
+      }
+
+      if (!pathname.startsWith('/api/') && serveStatic(req, res, publicDir, pathname)) {
+        return;
+      }
+
+      sendError(req, res, 404, `No route for ${pathname}`);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendError(req, res, error.status, error.message);
+      } else if (error instanceof InvalidMitzvahNumberError) {
+        sendError(req, res, 400, error.message);
+      } else if (error instanceof DataNotLoadedError) {
+        sendError(req, res, 503, 'Mitzvot data is not available. Run downloadAllMitzvot() first.');
+      } else {
+        app.notify('failure', `❌ Error handling request ${pathname}: ${error.message}`, { error });
+        sendError(req, res, 500, 'Internal server error');
+      }
+    }
+  });
+}
+
+// Load the local data set and start listening. What the server has to say goes out as
+// events of its app, printed by a console reporter: options.reporter holds the options
+// of attachConsoleReporter(), or is false for none.
+async function startServer(options = {}) {
+  const app = new SeferHaChinukhApp({ outputDir: options.dataDir, storage: options.storage });
+  if (options.reporter !== false) attachConsoleReporter(app, options.reporter);
+  let loaded = false;
+  try {
+    loaded = await app.loadData();
+  } catch (error) {
+    if (!(error instanceof ParseError)) throw error;
+    app.notify('failure', `❌ ${error.message}`, { error });
+  }
+  if (!loaded) {
+    app.notify('warning', '⚠️  Starting without data: API requests will answer 503 until the server is restarted with data.', { code: 'no-data' });
+  }
+
+  const server = createServer(app, options);
+  const port = options.port !== undefined ? options.port : 3000;
+  const host = options.host || '127.0.0.1';
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  app.notify('info', `🌐 Sefer HaChinukh API listening on http://${address.address}:${address.port}`, { address });
+  return server;
+}
+
+module.exports = { createServer, startServer, HttpError };
+
+// If running this file directly, start the server
+if (require.main === module) {
+  startServer({
+    port: process.env.PORT ? parseInt(process.env.PORT, 10) : 3000,
+    host: process.env.HOST,
+    dataDir: process.env.SEFER_DATA_DIR,
+    storage: process.env.SEFER_STORAGE,
+    corsOrigin: process.env.CORS_ORIGIN
+  }).catch(error => {
+    console.error('❌ Could not start server:', error.message);
+    process.exit(1);
+  });
+}
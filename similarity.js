@@ -0,0 +1,120 @@
+const { vocabularyStemmer } = require('./hebrew');
+
+// ========== RELATED MITZVOT ==========
+//
+// TF-IDF vectors over the English and Hebrew text of every mitzvah, compared by
+// cosine similarity. The vectors are read off the postings of the full-text index
+// (see search-index.js), so nothing is tokenized twice and they are ready as soon as
+// the index is built or loaded.
+//
+// A Hebrew word with attached prefixes counts as its stem when the stem occurs on its
+// own or in another form (השבת and בשבת as שבת). Numbers, words found in a single mitzvah (they cannot
+// relate two) and words found in more than half of the mitzvot (the, and, את, של)
+// are left out. Term frequencies are dampened (1 + log tf) so that one long passage
+// repeating a word does not outweigh the rest of the text.
+
+const TEXT_FIELDS = [1, 2]; // english and hebrew, as numbered in search-index.js
+const MAX_DOCUMENT_RATIO = 0.5;
+const SHARED_TERMS = 5;
+
+class SimilarityIndex {
+  constructor(vectors, postings) {
+    this.vectors = vectors; // Map<number, Map<feature, weight>>, unit length
+    this.postings = postings; // Map<feature, [[number, weight]]>
+  }
+
+  // Build the vectors from a SearchIndex
+  static fromSearchIndex(searchIndex) {
+    // Hebrew words count as their stem, the shortest one shared with another word
+    const featureOf = vocabularyStemmer(Object.keys(searchIndex.postings));
+
+    // Term frequencies per mitzvah and feature
+    const frequencies = new Map();
+    Object.entries(searchIndex.postings).forEach(([term, records]) => {
+      if (/^\d+$/.test(term)) return;
+      const feature = featureOf(term);
+      for (let i = 0; i < records.length;) {
+        const [number, fieldId, , frequency] = records.slice(i, i + 4);
+        i += 4 + frequency;
+        if (!TEXT_FIELDS.includes(fieldId)) continue;
+        if (!frequencies.has(number)) frequencies.set(number, new Map());
+        const counts = frequencies.get(number);
+        counts.set(feature, (counts.get(feature) || 0) + frequency);
+      }
+    });
+
+    const documentFrequency = new Map();
+    frequencies.forEach(counts => counts.forEach((count, feature) => {
+      documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+    }));
+    const total = frequencies.size;
+    const useful = df => df >= 2 && df <= total * MAX_DOCUMENT_RATIO;
+
+    const vectors = new Map();
+    const postings = new Map();
+    frequencies.forEach((counts, number) => {
+      const vector = new Map();
+      counts.forEach((count, feature) => {
+        const df = documentFrequency.get(feature);
+        if (useful(df)) vector.set(feature, (1 + Math.log(count)) * Math.log(total / df));
+      });
+      const length = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+      if (length === 0) return;
+      vector.forEach((weight, feature) => {
+        const normalized = weight / length;
+        vector.set(feature, normalized);
+        if (!postings.has(feature)) postings.set(feature, []);
+        postings.get(feature).push([number, normalized]);
+      });
+      vectors.set(number, vector);
+    });
+
+    return new SimilarityIndex(vectors, postings);
+  }
+
+  // Cosine similarity of two mitzvot (0 when either has no vector)
+  similarity(a, b) {
+    const first = this.vectors.get(a);
+    const second = this.vectors.get(b);
+    if (!first || !second) return 0;
+    let sum = 0;
+    first.forEach((weight, feature) => { sum += weight * (second.get(feature) || 0); });
+    return sum;
+  }
+
+  // The words two mitzvot share, most significant first
+  sharedTerms(a, b, limit = SHARED_TERMS) {
+    const first = this.vectors.get(a);
+    const second = this.vectors.get(b);
+    if (!first || !second) return [];
+    return [...first.entries()]
+      .filter(([feature]) => second.has(feature))
+      .map(([feature, weight]) => [feature, weight * second.get(feature)])
+      .sort((x, y) => y[1] - x[1] || x[0].localeCompare(y[0]))
+      .slice(0, limit)
+      .map(([feature]) => feature);
+  }
+
+  // The k mitzvot most similar to `number`: [{ number, score, terms }], best first.
+  // Mitzvot sharing no words are never listed.
+  related(number, k = 5) {
+    const vector = this.vectors.get(number);
+    if (!vector) return [];
+
+    const scores = new Map();
+    vector.forEach((weight, feature) => {
+      this.postings.get(feature).forEach(([other, otherWeight]) => {
+        if (other !== number) scores.set(other, (scores.get(other) || 0) + weight * otherWeight);
+      });
+    });
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .slice(0, k)
+      .map(([other, score]) => ({ number: other, score: Math.round(score * 1000) / 1000, terms: this.sharedTerms(number, other) }));
+  }
+}
+
+module.exports = {
+  SimilarityIndex
+};
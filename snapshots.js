@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { writeFileAtomic, writeJsonAtomic } = require('./downloader');
+const { sha256 } = require('./dataset-doctor');
+
+// ========== DATASET SNAPSHOTS ==========
+//
+// Earlier states of the downloaded text, kept so that a correction from Sefaria can
+// be rolled back and printed material can cite the data it was made from. A snapshot
+// is the mitzvot of all_mitzvot.json as they were, as compact JSON gzipped in
+// <outputDir>/snapshots/<id>.json.gz, and is listed in snapshots/snapshots.json:
+//
+//   { version: 1, snapshots: [{ id, createdAt, reason, label, count, sha256, size }] }
+//
+// The id is the creation time and the start of the SHA-256 of that JSON
+// (20261019-120000-3f9a12bc); the data that matches a snapshot is identified by that
+// checksum, whatever the layout of all_mitzvot.json, so taking a snapshot of
+// unchanged data only returns the one it matches.
+// reason is 'manual' for snapshots taken on request, or what took one automatically:
+// 'download', 'before-download', 'update', 'before-update' or 'before-restore'.
+// Automatic snapshots are pruned to the newest few; manual ones stay until deleted.
+// Snapshots hold the mitzvot only, not linked texts, text versions or user files.
+
+const SNAPSHOTS_DIR = 'snapshots';
+const SNAPSHOTS_FILE = 'snapshots.json';
+const SNAPSHOTS_VERSION = 1;
+const CONSOLIDATED_FILE = 'all_mitzvot.json';
+const SNAPSHOT_REASONS = ['manual', 'download', 'before-download', 'update', 'before-update', 'before-restore'];
+const DEFAULT_KEEP = 10;
+
+function snapshotsDir(outputDir) {
+  return path.join(outputDir, SNAPSHOTS_DIR);
+}
+
+function snapshotFile(outputDir, id) {
+  return path.join(snapshotsDir(outputDir), `${id}.json.gz`);
+}
+
+// The list of snapshots, oldest first (empty when there is none or it is unusable)
+function readSnapshotList(outputDir) {
+  const file = path.join(snapshotsDir(outputDir), SNAPSHOTS_FILE);
+  const empty = { version: SNAPSHOTS_VERSION, snapshots: [] };
+  if (!fs.existsSync(file)) return empty;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && data.version === SNAPSHOTS_VERSION && Array.isArray(data.snapshots) ? data : empty;
+  } catch (error) {
+    return empty;
+  }
+}
+
+function saveSnapshotList(outputDir, list) {
+  fs.mkdirSync(snapshotsDir(outputDir), { recursive: true });
+  writeJsonAtomic(path.join(snapshotsDir(outputDir), SNAPSHOTS_FILE), list);
+}
+
+// 20261019-120000-3f9a12bc (UTC)
+function snapshotId(date, checksum) {
+  return `${date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-')}-${checksum.slice(0, 8)}`;
+}
+
+// The snapshot with an id, or a unique start of one; null when there is none
+function findSnapshot(outputDir, id) {
+  const wanted = String(id || '').trim();
+  if (!wanted) return null;
+  const snapshots = readSnapshotList(outputDir).snapshots;
+  const exact = snapshots.find(snapshot => snapshot.id === wanted);
+  if (exact) return exact;
+  const matches = snapshots.filter(snapshot => snapshot.id.startsWith(wanted));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// The mitzvot of all_mitzvot.json as compact JSON; throws when it is unusable
+function readData(outputDir) {
+  const file = path.join(outputDir, CONSOLIDATED_FILE);
+  if (!fs.existsSync(file)) throw new Error(`No ${CONSOLIDATED_FILE} in ${outputDir} to take a snapshot of`);
+  let mitzvot;
+  try {
+    mitzvot = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${CONSOLIDATED_FILE}: ${error.message}`);
+  }
+  if (!Array.isArray(mitzvot)) throw new Error(`${CONSOLIDATED_FILE} is not an array of mitzvot`);
+  return { content: JSON.stringify(mitzvot), count: mitzvot.length };
+}
+
+// Checksum of the data as snapshots record it, or null when it is missing or unusable
+function dataChecksum(outputDir) {
+  try {
+    return sha256(readData(outputDir).content);
+  } catch (error) {
+    return null;
+  }
+}
+
+// The snapshot that holds the same mitzvot as all_mitzvot.json, or null
+function currentSnapshot(outputDir) {
+  const checksum = dataChecksum(outputDir);
+  if (!checksum) return null;
+  return readSnapshotList(outputDir).snapshots.find(snapshot => snapshot.sha256 === checksum) || null;
+}
+
+// Take a snapshot of all_mitzvot.json. Returns { snapshot, created, pruned }; when the
+// data matches a snapshot already taken, that one is returned (and made manual when
+// this one is). keep is how many automatic snapshots to keep. Throws when there is no data.
+function createSnapshot(outputDir, { reason = 'manual', label = '', keep = DEFAULT_KEEP, now = new Date() } = {}) {
+  if (!SNAPSHOT_REASONS.includes(reason)) throw new Error(`Unknown snapshot reason: ${reason}`);
+  const { content, count } = readData(outputDir);
+  const checksum = sha256(content);
+  const list = readSnapshotList(outputDir);
+  const existing = list.snapshots.find(snapshot => snapshot.sha256 === checksum && fs.existsSync(snapshotFile(outputDir, snapshot.id)));
+  if (existing) {
+    if (reason === 'manual' && (existing.reason !== 'manual' || label)) {
+      existing.reason = 'manual';
+      if (label) existing.label = label;
+      saveSnapshotList(outputDir, list);
+    }
+    return { snapshot: existing, created: false, pruned: [] };
+  }
+
+  const snapshot = { id: snapshotId(now, checksum), createdAt: now.toISOString(), reason, label, count, sha256: checksum, size: Buffer.byteLength(content) };
+  fs.mkdirSync(snapshotsDir(outputDir), { recursive: true });
+  writeFileAtomic(snapshotFile(outputDir, snapshot.id), zlib.gzipSync(content));
+  list.snapshots = list.snapshots.filter(entry => entry.sha256 !== checksum).concat(snapshot);
+  const pruned = pruneSnapshots(outputDir, list, keep, checksum);
+  saveSnapshotList(outputDir, list);
+  return { snapshot, created: true, pruned };
+}
+
+// Remove the oldest automatic snapshots beyond `keep` from list (and their files),
+// never the one with the checksum `protect`; returns the removed entries
+function pruneSnapshots(outputDir, list, keep, protect) {
+  const automatic = list.snapshots.filter(snapshot => snapshot.reason !== 'manual' && snapshot.sha256 !== protect);
+  const kept = list.snapshots.some(snapshot => snapshot.reason !== 'manual' && snapshot.sha256 === protect) ? keep - 1 : keep;
+  const pruned = automatic.slice(0, Math.max(0, automatic.length - Math.max(0, kept)));
+  list.snapshots = list.snapshots.filter(snapshot => !pruned.includes(snapshot));
+  pruned.forEach(snapshot => {
+    const file = snapshotFile(outputDir, snapshot.id);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+  return pruned;
+}
+
+// The mitzvot of a snapshot; throws when it is missing or no longer matches its checksum
+function readSnapshot(outputDir, snapshot) {
+  const file = snapshotFile(outputDir, snapshot.id);
+  if (!fs.existsSync(file)) throw new Error(`Snapshot file missing: ${file}`);
+  const content = zlib.gunzipSync(fs.readFileSync(file));
+  if (sha256(content) !== snapshot.sha256) throw new Error(`Snapshot ${snapshot.id} is damaged (checksum mismatch)`);
+  return JSON.parse(content.toString('utf8'));
+}
+
+// Delete a snapshot and its file; returns the entry, or null when there is none
+function deleteSnapshot(outputDir, id) {
+  const snapshot = findSnapshot(outputDir, id);
+  if (!snapshot) return null;
+  const list = readSnapshotList(outputDir);
+  list.snapshots = list.snapshots.filter(entry => entry.id !== snapshot.id);
+  saveSnapshotList(outputDir, list);
+  const file = snapshotFile(outputDir, snapshot.id);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+  return snapshot;
+}
+
+// "20261019-120000-3f9a12bc (2026-10-19, 613 mitzvot)" as printed materials cite it
+function describeSnapshot(snapshot) {
+  return `${snapshot.id} (${snapshot.createdAt.slice(0, 10)}, ${snapshot.count} mitzvot${snapshot.label ? `, ${snapshot.label}` : ''})`;
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  SNAPSHOT_REASONS,
+  DEFAULT_KEEP,
+  snapshotFile,
+  readSnapshotList,
+  findSnapshot,
+  dataChecksum,
+  currentSnapshot,
+  createSnapshot,
+  readSnapshot,
+  deleteSnapshot,
+  describeSnapshot
+};
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./downloader');
+const { ParseError, ConfigurationError } = require('./errors');
+
+// ========== STORAGE BACKENDS ==========
+//
+// Where the loaded mitzvot are kept. Both backends answer the same questions:
+//
+//   count              how many mitzvot are stored
+//   numbers()          their numbers, ascending
+//   has(n), get(n)     one mitzvah by number (get: null when it is not stored)
+//   all()              every mitzvah, ascending by number
+//   close()
+//
+// JsonFileStore parses all_mitzvot.json into memory, as the app always did, and
+// finds mitzvot through a Map. PackedStore keeps only an offset table in memory and
+// reads each mitzvah from all_mitzvot.pack when it is asked for, keeping the most
+// recently used ones in a bounded LRU cache. The pack is written from the same
+// records as all_mitzvot.json:
+//
+//   bytes 0-7    "CHNKPACK"
+//   8-9, 10-11   format version (uint16), reserved
+//   12-15        slots in the offset table (uint32, 613)
+//   16-...       offset table: per mitzvah number, the uint32 offset and uint32
+//                length of its record (0, 0 when it is not stored)
+//   then         the records, compact UTF-8 JSON, ascending by number
+//
+// All integers are little-endian; a lookup is one table read and one file read.
+// Files that cannot be read as such throw a ParseError (errors.js).
+
+const STORAGE_TYPES = ['json', 'packed'];
+const JSON_FILE = 'all_mitzvot.json';
+const PACK_FILE = 'all_mitzvot.pack';
+const PACK_MAGIC = 'CHNKPACK';
+const PACK_VERSION = 1;
+const PACK_HEADER = 16;
+const SLOTS = 613;
+const DEFAULT_CACHE_SIZE = 64;
+
+const isMitzvah = mitzvah => !!mitzvah && Number.isInteger(mitzvah.mitzvahNumber) && mitzvah.mitzvahNumber >= 1 && mitzvah.mitzvahNumber <= SLOTS;
+
+// Map with a size limit that forgets the least recently used entry first
+class LruCache {
+  constructor(capacity = DEFAULT_CACHE_SIZE) {
+    this.capacity = Math.max(1, capacity);
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.capacity) this.entries.delete(this.entries.keys().next().value);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// ========== JSON FILE ==========
+
+class JsonFileStore {
+  // mitzvot: the records, in any order; entries that are not mitzvot are left out
+  // (skipped counts them) and of several with one number the first is kept
+  constructor(mitzvot) {
+    this.byNumber = new Map();
+    this.skipped = 0;
+    mitzvot.forEach(mitzvah => {
+      if (isMitzvah(mitzvah) && !this.byNumber.has(mitzvah.mitzvahNumber)) this.byNumber.set(mitzvah.mitzvahNumber, mitzvah);
+      else this.skipped++;
+    });
+    this.mitzvot = [...this.byNumber.keys()].sort((a, b) => a - b).map(number => this.byNumber.get(number));
+  }
+
+  // Parse all_mitzvot.json (or another file with an array of mitzvot)
+  static open(file) {
+    let mitzvot;
+    try {
+      mitzvot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw error instanceof SyntaxError ? new ParseError(`${path.basename(file)}: ${error.message}`, { file, cause: error }) : error;
+    }
+    if (!Array.isArray(mitzvot)) throw new ParseError(`${path.basename(file)} is not an array of mitzvot`, { file });
+    return new JsonFileStore(mitzvot);
+  }
+
+  get count() {
+    return this.mitzvot.length;
+  }
+
+  numbers() {
+    return this.mitzvot.map(mitzvah => mitzvah.mitzvahNumber);
+  }
+
+  has(number) {
+    return this.byNumber.has(number);
+  }
+
+  get(number) {
+    return this.byNumber.get(number) || null;
+  }
+
+  all() {
+    return this.mitzvot;
+  }
+
+  close() {}
+}
+
+// ========== PACKED FILE ==========
+
+class PackedStore {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.fd = fs.openSync(file, 'r');
+    try {
+      const header = Buffer.alloc(PACK_HEADER);
+      fs.readSync(this.fd, header, 0, PACK_HEADER, 0);
+      if (header.toString('latin1', 0, 8) !== PACK_MAGIC || header.readUInt16LE(8) !== PACK_VERSION) {
+        throw new ParseError(`${path.basename(file)} is not a version ${PACK_VERSION} mitzvot pack`, { file });
+      }
+      const slots = header.readUInt32LE(12);
+      this.table = Buffer.alloc(slots * 8);
+      if (fs.readSync(this.fd, this.table, 0, this.table.length, PACK_HEADER) !== this.table.length) {
+        throw new ParseError(`${path.basename(file)} is truncated`, { file });
+      }
+    } catch (error) {
+      fs.closeSync(this.fd);
+      throw error;
+    }
+    this.slots = this.table.length / 8;
+    this.storedNumbers = Array.from({ length: this.slots }, (_, i) => i + 1).filter(number => this.table.readUInt32LE((number - 1) * 8 + 4) > 0);
+    this.cache = new LruCache(options.cacheSize || DEFAULT_CACHE_SIZE);
+  }
+
+  static open(file, options = {}) {
+    return new PackedStore(file, options);
+  }
+
+  // Write a pack of mitzvot (entries that are not mitzvot are left out, as by JsonFileStore)
+  static write(file, mitzvot) {
+    const records = new JsonFileStore(mitzvot).all().map(mitzvah => [mitzvah.mitzvahNumber, Buffer.from(JSON.stringify(mitzvah), 'utf8')]);
+    const header = Buffer.alloc(PACK_HEADER + SLOTS * 8);
+    header.write(PACK_MAGIC, 0, 'latin1');
+    header.writeUInt16LE(PACK_VERSION, 8);
+    header.writeUInt32LE(SLOTS, 12);
+
+    let offset = header.length;
+    records.forEach(([number, record]) => {
+      header.writeUInt32LE(offset, PACK_HEADER + (number - 1) * 8);
+      header.writeUInt32LE(record.length, PACK_HEADER + (number - 1) * 8 + 4);
+      offset += record.length;
+    });
+    writeFileAtomic(file, Buffer.concat([header, ...records.map(([, record]) => record)]));
+    return records.length;
+  }
+
+  get count() {
+    return this.storedNumbers.length;
+  }
+
+  numbers() {
+    return [...this.storedNumbers];
+  }
+
+  has(number) {
+    return Number.isInteger(number) && number >= 1 && number <= this.slots && this.table.readUInt32LE((number - 1) * 8 + 4) > 0;
+  }
+
+  get(number) {
+    if (!this.has(number)) return null;
+    const cached = this.cache.get(number);
+    if (cached) return cached;
+
+    const offset = this.table.readUInt32LE((number - 1) * 8);
+    const length = this.table.readUInt32LE((number - 1) * 8 + 4);
+    const record = Buffer.alloc(length);
+    if (fs.readSync(this.fd, record, 0, length, offset) !== length) {
+      throw new ParseError(`${path.basename(this.file)} is truncated at mitzvah ${number}`, { file: this.file });
+    }
+    const mitzvah = JSON.parse(record.toString('utf8'));
+    this.cache.set(number, mitzvah);
+    return mitzvah;
+  }
+
+  // Every mitzvah, read one by one (the cache keeps only the last ones)
+  all() {
+    return this.storedNumbers.map(number => this.get(number));
+  }
+
+  close() {
+    if (this.fd === null) return;
+    fs.closeSync(this.fd);
+    this.fd = null;
+    this.cache.clear();
+  }
+}
+
+// ========== OPENING ==========
+
+// Open the store of a data directory. type 'json' reads all_mitzvot.json; 'packed'
+// reads all_mitzvot.pack, writing it first from all_mitzvot.json when it is missing
+// or older, and telling report(message) so. Returns null when there is no data;
+// throws when a file is unusable.
+function openStore(outputDir, { type = 'json', cacheSize, report = () => {} } = {}) {
+  if (!STORAGE_TYPES.includes(type)) {
+    throw new ConfigurationError(`Unknown storage: ${type}. Use: ${STORAGE_TYPES.join(', ')}`, { option: 'storage', value: type });
+  }
+  const jsonFile = path.join(outputDir, JSON_FILE);
+  const jsonTime = fs.existsSync(jsonFile) ? fs.statSync(jsonFile).mtimeMs : null;
+  if (type === 'json') return jsonTime === null ? null : JsonFileStore.open(jsonFile);
+
+  const packFile = path.join(outputDir, PACK_FILE);
+  const packTime = fs.existsSync(packFile) ? fs.statSync(packFile).mtimeMs : null;
+  if (jsonTime !== null && (packTime === null || packTime < jsonTime)) {
+    const count = PackedStore.write(packFile, JsonFileStore.open(jsonFile).all());
+    report(`📦 Packed ${count} mitzvot into ${packFile}`);
+  } else if (packTime === null) {
+    return null;
+  }
+  return PackedStore.open(packFile, { cacheSize });
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  PACK_FILE,
+  LruCache,
+  JsonFileStore,
+  PackedStore,
+  openStore
+};
@@ -0,0 +1,162 @@
+const { ProfileStore, DEFAULT_PROFILE } = require('./profile-store');
+const { findParasha } = require('./mitzvot-metadata');
+const { toFixed, fixedToIso, readingForDate } = require('./hebrew-calendar');
+
+// ========== STUDY PLANS ==========
+//
+// A plan is a short description kept in a profile; its schedule is rebuilt from it
+// on demand:
+//   { type: 'daily', start: '2025-01-01', perDay: 1 }       perDay mitzvot a day, in order
+//   { type: 'year', start: '2025-01-01', days: 365 }        all 613 spread evenly over `days`
+//   { type: 'parasha', start: '2025-01-01', israel: false } each week the mitzvot of that
+//                                                           Shabbat's reading, for one cycle
+// A schedule is a list of assignments { index, date, due, numbers, label }: the
+// numbers to study from `date`, finished by `due` (the same day for daily plans,
+// the Shabbat for parasha plans).
+//
+// Progress is kept in <outputDir>/study_progress/<profile>.json (see profile-store.js).
+
+const PLAN_TYPES = ['daily', 'year', 'parasha'];
+const PROGRESS_DIR = 'study_progress';
+const PROGRESS_VERSION = 1;
+const TOTAL = 613;
+const MAX_WEEKS = 60; // a parasha plan ends after one full reading cycle
+
+const range = (from, to) => Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+
+function positiveInteger(value, fallback, name, max) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new Error(`Invalid ${name}: ${value}. Must be between 1-${max}.`);
+  }
+  return number;
+}
+
+// ========== PLANS ==========
+
+// Validated plan of a type. Options: start (Date or "YYYY-MM-DD", default today),
+// perDay (daily, default 1), days (year, default 365), israel (parasha)
+function createPlan(type = 'daily', options = {}) {
+  const kind = String(type).toLowerCase();
+  if (!PLAN_TYPES.includes(kind)) {
+    throw new Error(`Unknown plan type: ${type}. Use: ${PLAN_TYPES.join(', ')}`);
+  }
+
+  const plan = { type: kind, start: fixedToIso(toFixed(options.start || new Date())) };
+  if (kind === 'daily') plan.perDay = positiveInteger(options.perDay, 1, 'perDay', TOTAL);
+  if (kind === 'year') plan.days = positiveInteger(options.days, 365, 'days', TOTAL);
+  if (kind === 'parasha') plan.israel = !!options.israel;
+  return plan;
+}
+
+// "Daily, 1 mitzvah a day from 2025-01-01"
+function describePlan(plan) {
+  switch (plan.type) {
+    case 'daily':
+      return `Daily, ${plan.perDay} mitzvah${plan.perDay === 1 ? '' : 'ot'} a day from ${plan.start}`;
+    case 'year':
+      return `All 613 mitzvot in ${plan.days} days from ${plan.start}`;
+    default:
+      return `Weekly parasha${plan.israel ? ' (Land of Israel schedule)' : ''} from ${plan.start}`;
+  }
+}
+
+// Each Sunday-to-Shabbat week gets the mitzvot of that Shabbat's reading not already
+// assigned, until every mitzvah has come round once. Festival weeks have none.
+function parashaSchedule(plan) {
+  const schedule = [];
+  const covered = new Set();
+  let from = toFixed(plan.start);
+
+  for (let week = 0; covered.size < TOTAL && week < MAX_WEEKS; week++) {
+    const reading = readingForDate(fixedToIso(from), { israel: plan.israel });
+    const numbers = reading.parashiyot
+      .map(name => findParasha(name))
+      .filter(Boolean)
+      .flatMap(parasha => range(parasha.from, parasha.to))
+      .filter(number => !covered.has(number));
+    numbers.forEach(number => covered.add(number));
+
+    if (numbers.length > 0) {
+      schedule.push({ index: schedule.length + 1, date: fixedToIso(from), due: reading.date, numbers, label: `Parashat ${reading.name}` });
+    }
+    from = toFixed(reading.date) + 1;
+  }
+  return schedule;
+}
+
+// Assignments of a plan, in order
+function buildSchedule(plan) {
+  if (plan.type === 'parasha') return parashaSchedule(plan);
+
+  const start = toFixed(plan.start);
+  const days = plan.type === 'year' ? plan.days : Math.ceil(TOTAL / plan.perDay);
+  // Mitzvot before day `day`: multiples of perDay, or an even share of the 613
+  const before = day => Math.min(TOTAL, plan.type === 'year' ? Math.floor(day * TOTAL / days) : day * plan.perDay);
+
+  return range(0, days - 1).map(day => {
+    const numbers = range(before(day) + 1, before(day + 1));
+    const label = numbers.length === 1 ? `Mitzvah ${numbers[0]}` : `Mitzvot ${numbers[0]}-${numbers[numbers.length - 1]}`;
+    return { index: day + 1, date: fixedToIso(start + day), due: fixedToIso(start + day), numbers, label };
+  });
+}
+
+// Where a profile stands on its plan on `today` (Date or "YYYY-MM-DD"):
+//   { plan, description, start, end, total, completed, remaining, percent,
+//     completedNumbers, current, next, overdue, overdueCount, finished }
+// current is today's assignment (null outside the plan and in festival weeks of a
+// parasha plan), next the first unfinished assignment that is not overdue, and
+// overdue the earlier assignments with their unfinished numbers only.
+function planStatus(plan, profile, today = new Date()) {
+  const day = fixedToIso(toFixed(today));
+  const schedule = buildSchedule(plan);
+  const done = number => Object.prototype.hasOwnProperty.call(profile.completed, number);
+  const unfinished = assignment => ({ ...assignment, numbers: assignment.numbers.filter(number => !done(number)) });
+
+  const numbers = schedule.flatMap(assignment => assignment.numbers);
+  const completedNumbers = numbers.filter(done).sort((a, b) => a - b);
+  const overdue = schedule.filter(assignment => assignment.due < day).map(unfinished).filter(assignment => assignment.numbers.length > 0);
+  const current = schedule.find(assignment => assignment.date <= day && assignment.due >= day) || null;
+  const next = schedule.filter(assignment => assignment.due >= day).map(unfinished).find(assignment => assignment.numbers.length > 0) || null;
+
+  return {
+    plan,
+    description: describePlan(plan),
+    start: plan.start,
+    end: schedule.length > 0 ? schedule[schedule.length - 1].due : plan.start,
+    total: numbers.length,
+    completed: completedNumbers.length,
+    remaining: numbers.length - completedNumbers.length,
+    percent: numbers.length > 0 ? Math.round(completedNumbers.length / numbers.length * 1000) / 10 : 0,
+    completedNumbers,
+    current: current ? unfinished(current) : null,
+    next,
+    overdue,
+    overdueCount: overdue.reduce((sum, assignment) => sum + assignment.numbers.length, 0),
+    finished: completedNumbers.length === numbers.length
+  };
+}
+
+// ========== PROGRESS STORE ==========
+
+function emptyProfile(name) {
+  return { version: PROGRESS_VERSION, name, createdAt: new Date().toISOString(), plan: null, completed: {}, seen: {} };
+}
+
+class ProgressStore extends ProfileStore {
+  constructor(outputDir) {
+    super(outputDir, PROGRESS_DIR, emptyProfile, 'study profile');
+  }
+}
+
+module.exports = {
+  PLAN_TYPES,
+  PROGRESS_DIR,
+  DEFAULT_PROFILE,
+  createPlan,
+  describePlan,
+  buildSchedule,
+  planStatus,
+  ProgressStore
+};
@@ -0,0 +1,257 @@
+// ========== TERMINAL TEXT LAYOUT ==========
+//
+// Lays out text for a fixed-width terminal: display widths (nikud and other
+// combining marks take no column, CJK and emoji take two), word wrapping, and the
+// reordering of the Unicode Bidirectional Algorithm (UAX #9) for lines mixing Hebrew
+// and English. Most terminals print characters in the order they receive them, so
+// Hebrew has to be sent in visual order: right to left, with English words and
+// numbers inside it still left to right ("שמות כ, ח" next to "Exodus 20:8").
+//
+// Text is handled as cells: one base character with its combining marks, its width,
+// bidi class and whether it is highlighted, so highlights survive the reordering.
+// Lines are wrapped in logical order and each line is then reordered, as the UBA
+// requires. Explicit embeddings and isolates are not supported (Sefaria texts do
+// not use them); LRM and RLM count as strong characters.
+
+const LRM = 0x200E;
+const RLM = 0x200F;
+
+// Brackets drawn mirrored inside right-to-left runs
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '«': '»', '»': '«' };
+
+const WIDE_RANGES = [
+  [0x1100, 0x115F], [0x2E80, 0x303E], [0x3041, 0x33FF], [0x3400, 0x4DBF], [0x4E00, 0x9FFF],
+  [0xA000, 0xA4CF], [0xAC00, 0xD7A3], [0xF900, 0xFAFF], [0xFE30, 0xFE4F], [0xFF00, 0xFF60],
+  [0xFFE0, 0xFFE6], [0x1F300, 0x1F64F], [0x1F900, 0x1F9FF], [0x20000, 0x3FFFD]
+];
+
+// Columns a code point takes: 0 for combining marks, controls and invisible format
+// characters, 2 for wide characters, otherwise 1
+function charWidth(codePoint) {
+  const char = String.fromCodePoint(codePoint);
+  if (codePoint < 0x20 || (codePoint >= 0x7F && codePoint < 0xA0)) return 0;
+  if (/\p{M}/u.test(char) || /\p{Cf}/u.test(char)) return 0;
+  return WIDE_RANGES.some(([from, to]) => codePoint >= from && codePoint <= to) ? 2 : 1;
+}
+
+function stringWidth(text) {
+  let width = 0;
+  for (const char of String(text)) width += charWidth(char.codePointAt(0));
+  return width;
+}
+
+// Simplified bidi class of a code point: R (Hebrew and Arabic letters and Hebrew
+// punctuation), L (other letters), EN (digits), ES and CS (number separators),
+// WS (whitespace) or ON (other neutrals)
+function bidiClass(codePoint) {
+  if (codePoint === RLM) return 'R';
+  if (codePoint === LRM) return 'L';
+  if ((codePoint >= 0x05D0 && codePoint <= 0x05F4) || [0x05BE, 0x05C0, 0x05C3, 0x05C6].includes(codePoint) ||
+    (codePoint >= 0xFB1D && codePoint <= 0xFB4F && codePoint !== 0xFB1E) ||
+    (codePoint >= 0x0600 && codePoint <= 0x06FF && /\p{L}/u.test(String.fromCodePoint(codePoint)))) return 'R';
+  if (codePoint >= 0x30 && codePoint <= 0x39) return 'EN';
+  const char = String.fromCodePoint(codePoint);
+  if (/\p{L}/u.test(char)) return 'L';
+  if (char === '+' || char === '-') return 'ES';
+  if (char === ',' || char === '.' || char === ':' || char === '/') return 'CS';
+  if (/\s/.test(char)) return 'WS';
+  return 'ON';
+}
+
+// Cells of a text. ranges are [{ start, end }] UTF-16 offsets of highlighted text.
+// Tabs become spaces; other control characters are dropped.
+function toCells(text, ranges = []) {
+  const cells = [];
+  const source = String(text || '');
+  let offset = 0;
+  for (const char of source) {
+    const codePoint = char.codePointAt(0);
+    const marked = ranges.some(range => offset >= range.start && offset < range.end);
+    const width = charWidth(codePoint);
+    if (char === '\t') {
+      cells.push({ text: ' ', width: 1, type: 'WS', marked });
+    } else if (char === '\n') {
+      cells.push({ text: '\n', width: 0, type: 'B', marked: false });
+    } else if (width === 0 && cells.length > 0 && cells[cells.length - 1].type !== 'B' && /\p{M}/u.test(char)) {
+      cells[cells.length - 1].text += char; // a combining mark stays with its base
+    } else if (width > 0 || codePoint === LRM || codePoint === RLM) {
+      cells.push({ text: char, width, type: bidiClass(codePoint), marked });
+    }
+    offset += char.length;
+  }
+  return cells;
+}
+
+// Direction of a paragraph from its first strong character ('ltr' when there is none)
+function baseDirection(cells) {
+  const strong = cells.find(cell => cell.type === 'L' || cell.type === 'R');
+  return strong && strong.type === 'R' ? 'rtl' : 'ltr';
+}
+
+// Greedy word wrap of cells (one paragraph, logical order) into lines of at most
+// `width` columns. Words longer than a line are split; spaces at breaks are dropped.
+function wrapCells(cells, width) {
+  const lines = [];
+  let line = [];
+  let lineWidth = 0;
+  const cellsWidth = list => list.reduce((sum, cell) => sum + cell.width, 0);
+  const flush = () => {
+    while (line.length > 0 && line[line.length - 1].type === 'WS') line.pop();
+    lines.push(line);
+    line = [];
+    lineWidth = 0;
+  };
+
+  // Words with the spaces before them
+  const words = [];
+  cells.forEach(cell => {
+    const last = words[words.length - 1];
+    if (!last || (cell.type === 'WS') !== last.space) words.push({ space: cell.type === 'WS', cells: [cell] });
+    else last.cells.push(cell);
+  });
+
+  words.forEach(word => {
+    if (word.space) {
+      if (line.length > 0) {
+        line.push(...word.cells);
+        lineWidth += cellsWidth(word.cells);
+      }
+      return;
+    }
+    let rest = word.cells;
+    while (rest.length > 0) {
+      const restWidth = cellsWidth(rest);
+      if (lineWidth + restWidth <= width) {
+        line.push(...rest);
+        lineWidth += restWidth;
+        return;
+      }
+      if (line.some(cell => cell.type !== 'WS') && restWidth <= width) {
+        flush();
+        continue;
+      }
+      // Split a word that does not fit on a line of its own
+      let taken = 0;
+      let takenWidth = 0;
+      while (taken < rest.length && lineWidth + takenWidth + rest[taken].width <= width) takenWidth += rest[taken++].width;
+      if (taken === 0 && line.length === 0) takenWidth += rest[taken++].width; // wider than the whole line
+      line.push(...rest.slice(0, taken));
+      lineWidth += takenWidth;
+      rest = rest.slice(taken);
+      if (rest.length > 0) flush();
+    }
+  });
+  if (line.length > 0 || lines.length === 0) flush();
+  return lines;
+}
+
+// Resolve the embedding level of every cell of a line (rules W4, W7, N1, N2, I1, I2 and L1)
+function resolveLevels(cells, direction) {
+  const base = direction === 'rtl' ? 1 : 0;
+  const sos = base === 1 ? 'R' : 'L';
+  const types = cells.map(cell => cell.type);
+
+  // W4: a single separator between two digits belongs to the number
+  for (let i = 1; i < types.length - 1; i++) {
+    if ((types[i] === 'ES' || types[i] === 'CS') && types[i - 1] === 'EN' && types[i + 1] === 'EN') types[i] = 'EN';
+  }
+  // W7: numbers after left-to-right text (or at the start of an LTR paragraph) are left-to-right
+  let strong = sos;
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] === 'L' || types[i] === 'R') strong = types[i];
+    else if (types[i] === 'EN' && strong === 'L') types[i] = 'L';
+  }
+  // N1, N2: neutrals take the direction of the text on both sides when it agrees,
+  // otherwise the paragraph's; numbers count as right-to-left here
+  const strongOf = type => (type === 'L' ? 'L' : type === 'R' || type === 'EN' ? 'R' : null);
+  for (let i = 0; i < types.length; i++) {
+    if (strongOf(types[i])) continue;
+    let end = i;
+    while (end < types.length && !strongOf(types[end])) end++;
+    const before = i > 0 ? strongOf(types[i - 1]) : sos;
+    const after = end < types.length ? strongOf(types[end]) : sos;
+    const resolved = before === after ? before : sos;
+    for (let k = i; k < end; k++) types[k] = resolved;
+    i = end - 1;
+  }
+
+  // I1, I2: levels from the resolved types
+  const levels = types.map(type => {
+    if (base === 0) return type === 'R' ? 1 : type === 'EN' ? 2 : 0;
+    return type === 'R' ? 1 : 2;
+  });
+  // L1: trailing whitespace goes back to the paragraph level
+  for (let i = cells.length - 1; i >= 0 && cells[i].type === 'WS'; i--) levels[i] = base;
+  return levels;
+}
+
+// Cells of a line in display order (rule L2), with brackets mirrored in
+// right-to-left runs (L4); combining marks already travel with their base (L3)
+function reorderLine(cells, direction = baseDirection(cells)) {
+  if (!cells.some(cell => cell.type === 'R') && direction === 'ltr') return cells;
+  const levels = resolveLevels(cells, direction);
+  const order = cells.map((cell, i) => ({ cell: levels[i] % 2 === 1 && MIRRORED[cell.text] ? { ...cell, text: MIRRORED[cell.text] } : cell, level: levels[i] }));
+
+  const highest = Math.max(...levels);
+  const lowestOdd = Math.min(...levels.filter(level => level % 2 === 1).concat(highest + 1));
+  for (let level = highest; level >= lowestOdd; level--) {
+    for (let i = 0; i < order.length; i++) {
+      if (order[i].level < level) continue;
+      let end = i;
+      while (end < order.length && order[end].level >= level) end++;
+      const run = order.slice(i, end).reverse();
+      order.splice(i, run.length, ...run);
+      i = end;
+    }
+  }
+  return order.map(entry => entry.cell);
+}
+
+// Lay out a text for the terminal: paragraphs split at newlines, wrapped to `width`
+// and reordered for display (unless bidi is false, for terminals that reorder
+// themselves). direction is 'auto' (from each paragraph's first strong character),
+// 'rtl' or 'ltr'. Returns [{ cells, direction, width }] in display order.
+function layoutText(text, { width = 80, ranges = [], direction = 'auto', bidi = true } = {}) {
+  const cells = toCells(text, ranges);
+  const paragraphs = [[]];
+  cells.forEach(cell => (cell.type === 'B' ? paragraphs.push([]) : paragraphs[paragraphs.length - 1].push(cell)));
+
+  return paragraphs.flatMap(paragraph => {
+    const paragraphDirection = direction === 'auto' ? baseDirection(paragraph) : direction;
+    return wrapCells(paragraph, Math.max(1, width)).map(line => {
+      const shown = bidi ? reorderLine(line, paragraphDirection) : line;
+      return { cells: shown, direction: paragraphDirection, width: shown.reduce((sum, cell) => sum + cell.width, 0) };
+    });
+  });
+}
+
+// A laid-out line as a string, right-aligned in `width` columns when it is
+// right-to-left; highlight(text) wraps highlighted stretches (e.g. in reverse video)
+function renderLine(line, width, highlight = text => text) {
+  let result = '';
+  let marked = '';
+  line.cells.forEach(cell => {
+    if (cell.marked) {
+      marked += cell.text;
+      return;
+    }
+    if (marked) result += highlight(marked);
+    marked = '';
+    result += cell.text;
+  });
+  if (marked) result += highlight(marked);
+  const padding = line.direction === 'rtl' ? Math.max(0, width - line.width) : 0;
+  return ' '.repeat(padding) + result;
+}
+
+module.exports = {
+  charWidth,
+  stringWidth,
+  bidiClass,
+  toCells,
+  baseDirection,
+  wrapCells,
+  reorderLine,
+  layoutText,
+  renderLine
+};
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchIndex } = require('../search-index');
+const { TextAnalytics, findCitations, formatCsv, toCsv } = require('../analytics');
+
+const mitzvah = (mitzvahNumber, he, text = '') => ({ mitzvahNumber, title: '', text, he });
+
+const build = mitzvot => TextAnalytics.build(SearchIndex.build(mitzvot), mitzvot);
+
+const analytics = build([
+  mitzvah(1, 'זָכוֹר אֶת יוֹם הַשַּׁבָּת וּבַשַּׁבָּת דָּם דָּם הַכֹּהֵן כֹּהֲנִים', 'Remember the Sabbath day'),
+  mitzvah(2, 'וּבְשַׁבַּת שַׁבָּתוֹן הָאָרֶץ הָאָרֶץ קָרְבָּן כֹּהֵן', 'The Sabbath of the land'),
+  mitzvah(3, 'שבת ארץ'),
+  mitzvah(4, 'אחר')
+]);
+
+test('terms are shown as the text spells them, without pointing', () => {
+  const terms = analytics.topTerms([1], { language: 'hebrew', common: true }).map(term => term.term);
+  assert.ok(terms.includes('דם'));
+  assert.ok(!terms.some(term => /[כמנפצ]$/.test(term)), terms.join(' '));
+});
+
+test('top terms count Hebrew words by stem, for a mitzvah as for a parasha', () => {
+  const one = analytics.topTerms([1], { language: 'hebrew', common: true });
+  const several = analytics.topTerms([1, 2, 3], { language: 'hebrew', common: true });
+  assert.deepEqual(one.find(term => term.term === 'שבת'), { term: 'שבת', language: 'hebrew', count: 2, mitzvot: 1 });
+  assert.deepEqual(several.find(term => term.term === 'שבת'), { term: 'שבת', language: 'hebrew', count: 4, mitzvot: 3 });
+  assert.ok(!one.some(term => ['השבת', 'ובשבת'].includes(term.term)));
+});
+
+test('words whose first letter only looks like a prefix keep it', () => {
+  const terms = build([
+    mitzvah(1, 'השמים שמים משמים מים המים והמים לבת שבת השבת'),
+    mitzvah(2, 'אחר'),
+    mitzvah(3, 'עוד')
+  ]).topTerms([1], { language: 'hebrew', common: true });
+  const count = term => (terms.find(entry => entry.term === term) || {}).count;
+  assert.deepEqual([count('שמים'), count('מים'), count('שבת'), count('לבת')], [3, 3, 2, 1]);
+});
+
+test('top terms by root show root candidates with final letters', () => {
+  const terms = analytics.topTerms([1, 2, 3], { language: 'hebrew', by: 'root', common: true });
+  assert.deepEqual(terms.slice(0, 2).map(term => [term.term, term.count]), [['שבת', 4], ['ארץ', 3]]);
+  assert.ok(terms.some(term => term.term === 'כהן'));
+});
+
+test('common words are left out unless asked for', () => {
+  const terms = analytics.topTerms([1, 2, 3], { language: 'hebrew' }).map(term => term.term);
+  assert.ok(!terms.includes('שבת'), 'found in more than half of the mitzvot');
+  assert.ok(terms.includes('דם'));
+});
+
+test('concordance of a word and of its root', () => {
+  const word = analytics.concordance('בשבת');
+  assert.equal(word.count, 0);
+  const shabbat = analytics.concordance('ובשבת');
+  assert.deepEqual(shabbat.occurrences.map(occurrence => [occurrence.mitzvah, occurrence.segment, occurrence.position]), [[1, 1, 4], [2, 1, 0]]);
+
+  const root = analytics.concordance('כֹּהֲנִים', { by: 'root' });
+  assert.equal(root.term, 'כהנים');
+  assert.equal(root.root, 'כהן');
+  assert.deepEqual(root.forms.map(form => form.term), ['הכהן', 'כהן', 'כהנים']);
+  assert.equal(analytics.concordance('two words'), null);
+});
+
+test('the concordance CSV shows spellings and roots as written', () => {
+  const csv = formatCsv('concordance', { entries: analytics.concordanceEntries('hebrew') });
+  const lines = csv.split('\r\n');
+  assert.equal(lines[0], 'language,term,root,mitzvah,segment,ref,position');
+  assert.ok(lines.includes('hebrew,הארץ,ארץ,2,1,Sefer HaChinukh 2:1,2'));
+  assert.ok(lines.includes('hebrew,כהנים,כהן,1,1,Sefer HaChinukh 1:1,8'));
+  assert.ok(!/,(דמ|ארצ|כהנ),/.test(csv));
+});
+
+const refs = (...segments) => findCitations(segments).map(citation => [citation.ref, citation.toVerse]);
+
+test('citations in English and in Hebrew, with ranges and ibid.', () => {
+  assert.deepEqual(refs('as it says (Exodus 12:2-4), and ibid. 13:3'), [['Exodus 12:2', 4], ['Exodus 13:3', 3]]);
+  assert.deepEqual(refs('כמו שכתוב (שמות יב, ב)', 'ואמרו (שם יג, ג-ה)'), [['Exodus 12:2', 2], ['Exodus 13:3', 5]]);
+  assert.deepEqual(refs('שמות י״ב ב׳', 'דברים ו:ד', '[ויקרא יט יח]'), [['Exodus 12:2', 2], ['Deuteronomy 6:4', 4], ['Leviticus 19:18', 18]]);
+});
+
+test('Hebrew book names used as words are not citations', () => {
+  assert.deepEqual(refs('ואלה הם דברים לא טובים'), []);
+  assert.deepEqual(refs('וידבר במדבר סיני ג ד'), []);
+  assert.deepEqual(refs('שמות יב ב', 'דְּבָרִים כה לב'), []);
+  assert.deepEqual(refs('אמר שם יב ג'), [], 'שם is a citation only in parentheses');
+});
+
+test('toCsv quotes cells as RFC 4180 asks', () => {
+  assert.equal(toCsv(['a', 'b'], [['x,y', 'say "hi"'], [null, ' pad']]), 'a,b\r\n"x,y","say ""hi"""\r\n," pad"\r\n');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RAMBAM_KINDS, rambamOf, fromRambam, equivalents, formatEquivalents, parseMitzvahId, describeUnmapped } = require('../enumerations');
+
+test('the Rambam table is one to one but for the mitzvah each count lacks', () => {
+  const unmapped = kind => Array.from({ length: RAMBAM_KINDS[kind].total }, (_, i) => i + 1).filter(number => fromRambam(kind, number) === null);
+  assert.deepEqual(unmapped('aseh'), []);
+  assert.deepEqual(unmapped('lo-taaseh'), [194]);
+  assert.deepEqual(Array.from({ length: 613 }, (_, i) => i + 1).filter(number => rambamOf(number) === null), [487]);
+  for (let number = 1; number <= 613; number++) {
+    const rambam = rambamOf(number);
+    if (rambam) assert.equal(fromRambam(rambam.kind, rambam.number), number);
+  }
+});
+
+test('well-known correspondences', () => {
+  assert.deepEqual([1, 2, 25, 26, 32, 613].map(number => rambamOf(number).label),
+    ['Aseh 212', 'Aseh 215', 'Aseh 1', 'Lo Ta\'aseh 1', 'Lo Ta\'aseh 320', 'Aseh 18']);
+  assert.equal(rambamOf(32).heLabel, 'לא תעשה ש״כ');
+  assert.equal(formatEquivalents(32), 'Sefer HaChinukh 32 · Rambam, Lo Ta\'aseh 320');
+});
+
+test('identifiers in either numbering', () => {
+  ['32', 'Chinukh 32', 'Sefer HaChinukh 32', 'ספר החינוך ל״ב', 32].forEach(value => {
+    assert.deepEqual(parseMitzvahId(value), { mitzvah: 32, enumeration: 'chinukh', number: 32 }, String(value));
+  });
+  const aseh = parseMitzvahId('Rambam Aseh 1');
+  ['Aseh 1', 'Positive 1', 'P1', 'עשה א׳'].forEach(value => assert.deepEqual(parseMitzvahId(value), aseh, value));
+  assert.deepEqual(aseh, { mitzvah: 25, enumeration: 'rambam', kind: 'aseh', number: 1 });
+  const negative = parseMitzvahId('Rambam Lo Ta\'aseh 320');
+  ['LT 320', 'Negative 320', 'N320', 'ל״ת ש״כ'].forEach(value => assert.deepEqual(parseMitzvahId(value), negative, value));
+  assert.equal(negative.mitzvah, 32);
+  ['Aseh 249', 'LT 366', 'Sefer HaChinukh 32:1', 'Sefer HaChinukh 32-33', 'Rambam 12', 'hello', '', 0, 614].forEach(value => {
+    assert.equal(parseMitzvahId(value), null, String(value));
+  });
+});
+
+test('mitzvot without a counterpart say why', () => {
+  const id = parseMitzvahId('LT 194');
+  assert.equal(id.mitzvah, null);
+  assert.match(describeUnmapped(id), /^No Sefer HaChinukh mitzvah is mapped to Rambam, Lo Ta'aseh 194: .*libation wine/);
+  assert.match(equivalents(487)[0].note, /private altar/);
+  assert.equal(equivalents(487).length, 1);
+  assert.equal(formatEquivalents(487), 'Sefer HaChinukh 487 · not counted by Rambam');
+  assert.deepEqual(equivalents(614), []);
+});
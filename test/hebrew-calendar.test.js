@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isLeapYear, daysInYear, daysInMonth, toHebrewDate, fromHebrewDate, readingForDate, nextWeeklyReading, scheduleForYear, findReading
+} = require('../hebrew-calendar');
+const { PARASHIYOT, parashaOf, findParasha } = require('../mitzvot-metadata');
+
+const reading = (date, options) => {
+  const found = readingForDate(date, options);
+  return found.festival || found.name;
+};
+
+test('Hebrew dates and years', () => {
+  const roshHashanah = toHebrewDate('2024-10-03');
+  assert.deepEqual([roshHashanah.year, roshHashanah.month, roshHashanah.day, roshHashanah.text, roshHashanah.heText],
+    [5785, 7, 1, '1 Tishrei 5785', 'א׳ תשרי תשפ״ה']);
+  assert.equal(fromHebrewDate(5785, 1, 15), '2025-04-13');
+  assert.equal(toHebrewDate('2024-03-01').monthName, 'Adar I');
+  assert.ok(isLeapYear(5784) && !isLeapYear(5785));
+  assert.equal(daysInYear(5785), 355);
+  assert.deepEqual([daysInMonth(5784, 12), daysInMonth(5784, 13)], [30, 29]);
+  assert.throws(() => fromHebrewDate(5785, 13, 1), /Invalid Hebrew date/);
+});
+
+test('the weekly readings of 5785 meet their fixed points', () => {
+  assert.equal(reading('2024-10-05'), 'Ha\'Azinu');
+  assert.equal(reading('2024-10-26'), 'Bereshit');
+  assert.equal(reading('2025-04-08'), 'Tzav', 'the Shabbat before Pesach in an ordinary year');
+  assert.equal(reading('2025-04-19'), 'Pesach');
+  assert.equal(reading('2025-07-26'), 'Matot-Masei');
+  assert.equal(reading('2025-08-02'), 'Devarim', 'the Shabbat before Tisha B\'Av');
+  assert.equal(reading('2025-09-20'), 'Nitzavim', 'the Shabbat before Rosh Hashanah');
+  assert.equal(nextWeeklyReading('2025-04-13').name, 'Shmini');
+  const parashiyot = scheduleForYear(5785).flatMap(entry => entry.parashiyot);
+  assert.equal(parashiyot.length, 52);
+  assert.equal(new Set(parashiyot).size, 52);
+});
+
+test('the schedules of Israel and of the diaspora drift apart after a festival on Shabbat', () => {
+  assert.equal(reading('2022-04-23'), 'Pesach');
+  assert.equal(reading('2022-04-23', { israel: true }), 'Achrei Mot');
+  assert.equal(reading('2022-07-30'), 'Matot-Masei');
+  assert.equal(reading('2022-07-30', { israel: true }), 'Masei');
+});
+
+test('readings by name, single or combined', () => {
+  assert.deepEqual(findReading('Matot-Masei'), { parashiyot: ['Matot', 'Masei'], name: 'Matot-Masei', heName: 'מטות-מסעי' });
+  assert.equal(findReading('תזריע-מצורע').name, 'Tazria-Metzora');
+  assert.equal(findReading('Behaalotecha').name, 'Beha\'alotcha');
+  assert.equal(findReading('Masei-Matot'), null);
+  assert.equal(findReading('nonsense'), null);
+});
+
+test('the parashiyot of the mitzvot cover 1-613 in order and are all in the reading cycle', () => {
+  PARASHIYOT.forEach((parasha, i) => {
+    assert.equal(parasha.from, i === 0 ? 1 : PARASHIYOT[i - 1].to + 1, parasha.name);
+    assert.ok(findReading(parasha.name), parasha.name);
+  });
+  assert.equal(PARASHIYOT[PARASHIYOT.length - 1].to, 613);
+  assert.deepEqual([1, 2, 4, 613].map(number => parashaOf(number).name), ['Bereshit', 'Lech Lecha', 'Bo', 'Vayeilech']);
+  assert.equal(parashaOf(614), null);
+  const kiTeitzei = findParasha('Ki Seitzei');
+  assert.equal(kiTeitzei.to - kiTeitzei.from + 1, 74);
+  assert.equal(findParasha('קדושים').name, 'Kedoshim');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  containsHebrew, normalizeText, normalizeWithMap, findNormalized, stripPointing, withFinalForm,
+  prefixStems, vocabularyStemmer, rootCandidate, ktivSkeleton
+} = require('../hebrew');
+
+test('normalizing drops pointing, geresh and gershayim and folds final letters', () => {
+  assert.equal(normalizeText('שָׁלוֹם'), 'שלומ');
+  assert.equal(normalizeText('בֵּית־הַמִּקְדָּשׁ'), 'בית המקדש');
+  assert.equal(normalizeText('ט״ו Hello'), 'טו hello');
+  assert.equal(normalizeText('רמב"ם said "yes"'), 'רמבמ said "yes"');
+  assert.equal(normalizeText('וּ'), 'ו');
+});
+
+test('the normalized text maps back to offsets in the pointed text', () => {
+  const normalized = normalizeWithMap('רַמְבַּ"ם');
+  assert.equal(normalized.text, 'רמבמ');
+  assert.deepEqual(normalized.map, [0, 2, 4, 8, 9]);
+  const text = 'וּבַשַּׁבָּת הַזֶּה';
+  const found = findNormalized(text, 'שבת');
+  assert.equal(text.slice(found.start, found.end), 'שַּׁבָּת');
+  assert.equal(findNormalized(text, 'שבת', found.end), null);
+  assert.equal(findNormalized(text, ' '), null);
+});
+
+test('display spellings keep final letters', () => {
+  assert.equal(stripPointing('כֹּהֲנִים'), 'כהנים');
+  assert.equal(withFinalForm('כהנ'), 'כהן');
+  assert.equal(withFinalForm('ארצ'), 'ארץ');
+  assert.equal(withFinalForm('מ'), 'מ');
+  assert.equal(withFinalForm('abc'), 'abc');
+  assert.ok(containsHebrew('a ב') && !containsHebrew('abc'));
+});
+
+test('prefix stems follow the order of attached prefixes', () => {
+  assert.deepEqual(prefixStems('ובשבת').sort(), ['בשבת', 'שבת']);
+  assert.deepEqual(prefixStems('השמים'), ['שמים']);
+  assert.deepEqual(prefixStems('הן'), []);
+});
+
+test('the vocabulary stemmer strips prefixes only down to words of the vocabulary', () => {
+  const stem = vocabularyStemmer(['שבת', 'השבת', 'ובשבת', 'לבת', 'שמים', 'השמים', 'משמים', 'מים', 'המים', 'והמים', 'כהן', 'הכהן', 'sabbath']);
+  assert.deepEqual(['השבת', 'ובשבת', 'שבת', 'לבת'].map(stem), ['שבת', 'שבת', 'שבת', 'לבת']);
+  assert.deepEqual(['שמים', 'משמים', 'והמים', 'הכהן', 'כהן'].map(stem), ['שמים', 'שמים', 'מים', 'כהן', 'כהן']);
+  assert.equal(stem('sabbath'), 'sabbath');
+});
+
+test('root candidates and ktiv skeletons', () => {
+  assert.deepEqual(['מצוות', 'מצוה', 'כהנימ', 'כהנ', 'אב'].map(rootCandidate), ['מצו', 'מצו', 'כהנ', 'כהנ', 'אב']);
+  assert.equal(ktivSkeleton('מצווה'), ktivSkeleton('מצוה'));
+  assert.equal(ktivSkeleton('עניימ'), 'ענמ');
+  assert.equal(ktivSkeleton('ישראל'), 'ישראל');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRef, formatRef, segmentRef, parseHebrewNumeral, toHebrewNumeral } = require('../refs');
+
+const ref = (mitzvah, segment, toMitzvah, toSegment) => ({ mitzvah, segment, toMitzvah, toSegment });
+
+test('whole mitzvot, segments and ranges', () => {
+  assert.deepEqual(parseRef('Sefer HaChinukh 32'), ref(32, null, 32, null));
+  assert.deepEqual(parseRef('Sefer HaChinukh 32:3'), ref(32, 3, 32, 3));
+  assert.deepEqual(parseRef('Sefer HaChinukh 32:3-5'), ref(32, 3, 32, 5));
+  assert.deepEqual(parseRef('Sefer HaChinukh 32-34'), ref(32, null, 34, null));
+  assert.deepEqual(parseRef('Sefer HaChinukh 32:3-33:2'), ref(32, 3, 33, 2));
+});
+
+test('other spellings of the book, Sefaria URLs and bare numbers', () => {
+  assert.deepEqual(parseRef('Sefer_HaChinukh.32.3'), ref(32, 3, 32, 3));
+  assert.deepEqual(parseRef('chinuch 613'), ref(613, null, 613, null));
+  assert.deepEqual(parseRef('32:3'), ref(32, 3, 32, 3));
+  assert.deepEqual(parseRef('ספר החינוך ל״ב:ג-ה'), ref(32, 3, 32, 5));
+  assert.deepEqual(parseRef('החינוך תרי"ג'), ref(613, null, 613, null));
+});
+
+test('what is not a reference', () => {
+  ['', 'Genesis 1:1', 'Sefer HaChinukh 0', 'Sefer HaChinukh 614', 'Sefer HaChinukh 34-32',
+    'Sefer HaChinukh 32:5-3', 'Sefer HaChinukh 32-33:2', 'שמות'].forEach(text => assert.equal(parseRef(text), null, text));
+});
+
+test('formatting in English and in Hebrew', () => {
+  assert.equal(formatRef(ref(32, 3, 32, 5)), 'Sefer HaChinukh 32:3-5');
+  assert.equal(formatRef(ref(32, null, 34, null)), 'Sefer HaChinukh 32-34');
+  assert.equal(formatRef(ref(32, 3, 33, 2), 'he'), 'ספר החינוך ל״ב:ג׳-ל״ג:ב׳');
+  assert.equal(formatRef({ mitzvah: 7 }), 'Sefer HaChinukh 7');
+  assert.equal(segmentRef(32, 1), 'Sefer HaChinukh 32:1');
+  ['Sefer HaChinukh 32:3-33:2', 'Sefer HaChinukh 1-613'].forEach(text => assert.equal(formatRef(parseRef(text)), text));
+});
+
+test('Hebrew numerals', () => {
+  assert.equal(toHebrewNumeral(5), 'ה׳');
+  assert.equal(toHebrewNumeral(15), 'ט״ו');
+  assert.equal(toHebrewNumeral(16), 'ט״ז');
+  assert.equal(toHebrewNumeral(613), 'תרי״ג');
+  assert.equal(toHebrewNumeral(0), '0');
+  for (let number = 1; number <= 999; number++) assert.equal(parseHebrewNumeral(toHebrewNumeral(number)), number);
+  assert.equal(parseHebrewNumeral('ך'), 20);
+  assert.ok(Number.isNaN(parseHebrewNumeral('abc')));
+  assert.ok(Number.isNaN(parseHebrewNumeral('')));
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchIndex, tokenize, parseQuery } = require('../search-index');
+
+// Run with: node --test test/
+
+const mitzvah = (mitzvahNumber, he, text = '') => ({ mitzvahNumber, title: '', text, he });
+
+const index = SearchIndex.build([
+  mitzvah(1, 'ושמרו את השמים'),
+  mitzvah(2, 'ויבדל בין המים והמים'),
+  mitzvah(3, 'זכור את יום השבת'),
+  mitzvah(4, 'ויתן לבת פרעה'),
+  mitzvah(5, 'ויקח הכהן'),
+  mitzvah(6, 'הן עם לבדד ישכן'),
+  mitzvah(7, 'שבת שבתון', 'Remember the Sabbath day')
+]);
+
+const hits = query => index.search(query).map(result => result.number);
+
+test('a query term finds the same word with attached prefixes', () => {
+  assert.deepEqual(hits('שבת'), [7, 3]);
+  assert.deepEqual(hits('כהן'), [5]);
+});
+
+test('a prefixed query term not in the text finds its stem', () => {
+  assert.deepEqual(hits('ושבת').sort(), [3, 7]);
+  assert.deepEqual(hits('בשבת').sort(), [3, 7]);
+  assert.deepEqual(hits('ושמים'), [1]);
+});
+
+test('a query term in the text is not stripped of letters that look like prefixes', () => {
+  assert.ok(!hits('שמים').includes(2), 'שמים must not match והמים');
+  assert.ok(!hits('שבת').includes(4), 'שבת must not match לבת');
+  assert.ok(!hits('ושבת').includes(4), 'ושבת must not match לבת');
+  assert.ok(!hits('כהן').includes(6), 'כהן must not match הן');
+});
+
+test('phrases and OR', () => {
+  assert.deepEqual(hits('"יום השבת"'), [3]);
+  assert.deepEqual(hits('sabbath OR פרעה').sort(), [4, 7]);
+});
+
+test('tokenize keeps abbreviations and the offsets of the pointed text', () => {
+  const tokens = tokenize('אָמַר רמב"ם');
+  assert.deepEqual(tokens.map(token => token.term), ['אמר', 'רמבמ']);
+  assert.deepEqual(tokens.map(token => [token.start, token.end]), [[0, 5], [6, 11]]);
+});
+
+test('parseQuery splits clauses on OR', () => {
+  assert.equal(parseQuery('a OR "b c"').length, 2);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSegment, toPlainText, renderSegments, stripMarkup, toMarkdown, escapeHtml } = require('../sefaria-text');
+
+const segment = 'One <b>bold</b> and <i>it</i><sup class="footnote-marker">*</sup><i class="footnote">A <b>note</b> &amp; more</i> end.';
+const second = 'Two<sup>1</sup><i class="footnote">second</i><br>line';
+
+test('a segment parses into styled runs and footnotes', () => {
+  const parsed = parseSegment(segment);
+  assert.deepEqual(parsed.runs.map(run => run.type), ['plain', 'bold', 'plain', 'italic', 'footnote', 'plain']);
+  assert.deepEqual(parsed.runs[4], { type: 'footnote', footnote: 1, marker: '*' });
+  assert.deepEqual(parsed.footnotes, [{ number: 1, marker: '*', runs: [
+    { type: 'plain', text: 'A ' }, { type: 'bold', text: 'note' }, { type: 'plain', text: ' & more' }] }]);
+});
+
+test('a superscript without a footnote body stays text', () => {
+  const parsed = parseSegment('x<sup>2</sup> y');
+  assert.deepEqual(parsed.footnotes, []);
+  assert.equal(toPlainText(parsed, { footnoteMarkers: true }), 'x2 y');
+});
+
+test('footnotes are numbered on across segments, in every format', () => {
+  assert.deepEqual(renderSegments([segment, second], 'plain'), {
+    segments: ['One bold and it[1] end.', 'Two[2]\nline'],
+    footnotes: ['[1] A note & more', '[2] second']
+  });
+  assert.deepEqual(renderSegments([segment, second], 'markdown', 3), {
+    segments: ['One **bold** and *it*[^4] end.', 'Two[^5]  \nline'],
+    footnotes: ['[^4]: A **note** & more', '[^5]: second']
+  });
+  assert.deepEqual(renderSegments([segment], 'html', 0, { idPrefix: 'm1', epub: true }), {
+    segments: ['One <b>bold</b> and <i>it</i><sup><a class="noteref" href="#m1-1" id="m1-ref-1" epub:type="noteref">1</a></sup> end.'],
+    footnotes: ['A <b>note</b> &amp; more']
+  });
+});
+
+test('stripMarkup leaves the text without footnotes, entities decoded', () => {
+  assert.equal(stripMarkup(segment), 'One bold and it end.');
+  assert.equal(stripMarkup('a&nbsp;b &#1488;&#x5D1; &foo; 2 &lt; 3'), 'a b אב &foo; 2 < 3');
+});
+
+test('Markdown and HTML escape what would be read as markup', () => {
+  assert.equal(toMarkdown(parseSegment('a*b_c [x] <b> bold </b>')), 'a\\*b\\_c \\[x\\]  **bold**');
+  assert.equal(escapeHtml('<a href="x">\'&'), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isRedistributable, licenseRestriction, attributionOf } = require('../text-versions');
+
+test('public domain, CC0 and CC-BY texts may be passed on', () => {
+  ['Public Domain', 'CC0', 'CC-BY', 'CC-BY-SA', 'CC BY 4.0'].forEach(license => {
+    assert.ok(isRedistributable(license), license);
+    assert.equal(licenseRestriction(license), null);
+  });
+});
+
+test('non-commercial licenses are restricted to non-commercial use', () => {
+  ['CC-BY-NC', 'CC-BY-NC-SA', 'CC BY-NC 4.0'].forEach(license => {
+    assert.ok(!isRedistributable(license), license);
+    assert.equal(licenseRestriction(license), 'non-commercial use only');
+  });
+});
+
+test('copyrighted, unknown and missing licenses may not be redistributed', () => {
+  ['Copyright: JPS', 'unknown', '', undefined].forEach(license => {
+    assert.ok(!isRedistributable(license), String(license));
+    assert.equal(licenseRestriction(license), 'may not be redistributed');
+  });
+});
+
+test('the attribution of a mitzvah states the restriction of each version', () => {
+  const attribution = attributionOf({ mitzvahNumber: 1, text: ['a'], he: ['ב'], versionTitle: 'En', license: 'CC-BY-NC', heVersionTitle: 'He', heLicense: 'CC0' });
+  assert.deepEqual(attribution.versions.map(version => [version.versionTitle, version.redistributable, version.restriction]),
+    [['En', false, 'non-commercial use only'], ['He', true, null]]);
+});
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+
+// ========== TEXT VERSIONS ==========
+//
+// Translations and editions of a mitzvah besides the default English and Hebrew
+// versions saved in mitzvah_NNN.json, kept next to it as mitzvah_NNN_versions.json:
+//
+//   { version: 1, mitzvahNumber, downloadedAt,
+//     versions: [{ language: 'en' | 'he', versionTitle, versionSource, license, text }],
+//     skipped: [{ language, versionTitle, reason: 'unavailable' | 'restricted', license }] }
+//
+// A version is asked for by title with the texts API's ven= and vhe= parameters.
+// Sefaria answers with its default version when a mitzvah has no such version, so a
+// response with another versionTitle counts as unavailable. Versions whose license
+// does not allow redistribution (non-commercial licenses included) are skipped unless
+// they are explicitly allowed; skipped lets a later run pass over what it already asked for.
+
+const VERSIONS_VERSION = 1;
+const VERSION_LANGUAGES = ['en', 'he'];
+const LANGUAGE_NAMES = { en: 'English', he: 'Hebrew' };
+
+function versionsFile(outputDir, number) {
+  return path.join(outputDir, `mitzvah_${number.toString().padStart(3, '0')}_versions.json`);
+}
+
+// Read a mitzvah's downloaded versions, or null when the file is missing or unusable
+function readVersions(outputDir, number) {
+  const file = versionsFile(outputDir, number);
+  if (!fs.existsSync(file)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const valid = data && data.version === VERSIONS_VERSION && data.mitzvahNumber === number &&
+      Array.isArray(data.versions) && Array.isArray(data.skipped);
+    return valid ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Version titles compare without case, with underscores as spaces (as in Sefaria URLs)
+const titleKey = title => String(title || '').replace(/_/g, ' ').trim().toLowerCase();
+const sameTitle = (a, b) => titleKey(a) === titleKey(b);
+
+// Whether a Sefaria license lets the text be passed on: public domain, CC0 and the
+// Creative Commons BY family do; non-commercial (CC-BY-NC), copyrighted, unknown or
+// missing licenses do not
+function isRedistributable(license) {
+  return /^\s*(public\s*domain|cc0|cc[- ]by)/i.test(String(license || '')) && !isNonCommercial(license);
+}
+
+// Whether a license only allows non-commercial use (CC-BY-NC, CC-BY-NC-SA, ...)
+function isNonCommercial(license) {
+  return /(^|[- ])nc([- ]|$)|non[- ]?commercial/i.test(String(license || '').trim());
+}
+
+// What an export has to say about a license besides naming it: null when the text
+// may be passed on, otherwise the restriction
+function licenseRestriction(license) {
+  if (isRedistributable(license)) return null;
+  return isNonCommercial(license) ? 'non-commercial use only' : 'may not be redistributed';
+}
+
+// { en: [titles], he: [titles] } from { en, he } where each is a title, an array of
+// titles or titles separated by "|"; throws on another language
+function normalizePreferences(preferences = {}) {
+  const unknown = Object.keys(preferences).filter(language => !VERSION_LANGUAGES.includes(language));
+  if (unknown.length > 0) throw new Error(`Unknown version language: ${unknown.join(', ')}. Use: ${VERSION_LANGUAGES.join(', ')}`);
+  const normalized = {};
+  VERSION_LANGUAGES.forEach(language => {
+    const titles = [].concat(preferences[language] || []).flatMap(title => String(title).split('|')).map(title => title.trim()).filter(Boolean);
+    normalized[language] = titles.filter((title, i) => titles.findIndex(other => sameTitle(other, title)) === i);
+  });
+  return normalized;
+}
+
+// The requests that fetch every preferred version: one English and one Hebrew title
+// each, as [{ en, he }] (either may be null)
+function versionRequests(preferences) {
+  const count = Math.max(preferences.en.length, preferences.he.length);
+  return Array.from({ length: count }, (_, i) => ({ en: preferences.en[i] || null, he: preferences.he[i] || null }));
+}
+
+// Query string of a request: ven=Title&vhe=Title
+function versionQuery(request) {
+  const param = title => encodeURIComponent(title.replace(/ /g, '_'));
+  return [request.en && `ven=${param(request.en)}`, request.he && `vhe=${param(request.he)}`].filter(Boolean).join('&');
+}
+
+// The versions a texts response holds for a request: { found: [entry], unavailable: [{ language, versionTitle }] }
+function versionsFromResponse(data, request) {
+  const found = [];
+  const unavailable = [];
+  const hasText = value => (Array.isArray(value) ? value.flat(Infinity).some(segment => String(segment).trim()) : !!String(value || '').trim());
+  const fields = {
+    en: { title: 'versionTitle', source: 'versionSource', license: 'license', text: 'text' },
+    he: { title: 'heVersionTitle', source: 'heVersionSource', license: 'heLicense', text: 'he' }
+  };
+  VERSION_LANGUAGES.forEach(language => {
+    const wanted = request[language];
+    if (!wanted) return;
+    const field = fields[language];
+    if (!data || !sameTitle(data[field.title], wanted) || !hasText(data[field.text])) {
+      unavailable.push({ language, versionTitle: wanted });
+      return;
+    }
+    found.push({ language, versionTitle: data[field.title], versionSource: data[field.source] || '', license: data[field.license] || '', text: data[field.text] });
+  });
+  return { found, unavailable };
+}
+
+// Whether a mitzvah's stored versions already answer every preferred title (versions
+// skipped as restricted are asked for again when they are now allowed)
+function hasAllVersions(stored, preferences, allowRestricted = false) {
+  if (!stored) return false;
+  return VERSION_LANGUAGES.every(language => preferences[language].every(title =>
+    stored.versions.some(entry => entry.language === language && sameTitle(entry.versionTitle, title)) ||
+    stored.skipped.some(entry => entry.language === language && sameTitle(entry.versionTitle, title) && !(allowRestricted && entry.reason === 'restricted'))));
+}
+
+// Stored versions updated with what was just fetched: entries replace those of the
+// same language and title
+function mergeVersions(stored, number, found, skipped) {
+  const merged = stored ? { ...stored } : { version: VERSIONS_VERSION, mitzvahNumber: number, versions: [], skipped: [] };
+  const replaced = entry => [...found, ...skipped].some(other => other.language === entry.language && sameTitle(other.versionTitle, entry.versionTitle));
+  merged.downloadedAt = new Date().toISOString();
+  merged.versions = merged.versions.filter(entry => !replaced(entry)).concat(found);
+  merged.skipped = merged.skipped.filter(entry => !replaced(entry)).concat(skipped);
+  return merged;
+}
+
+// The default versions of a mitzvah, from the fields of its texts response:
+// [{ language, versionTitle, versionSource, license, default: true }]
+function defaultVersions(mitzvah) {
+  const versions = [];
+  if (mitzvah.versionTitle) versions.push({ language: 'en', versionTitle: mitzvah.versionTitle, versionSource: mitzvah.versionSource || '', license: mitzvah.license || '', default: true });
+  if (mitzvah.heVersionTitle) versions.push({ language: 'he', versionTitle: mitzvah.heVersionTitle, versionSource: mitzvah.heVersionSource || '', license: mitzvah.heLicense || '', default: true });
+  return versions;
+}
+
+// The entry of a version title among a mitzvah's default and downloaded versions, or null
+function findVersion(mitzvah, stored, title) {
+  const candidates = [...defaultVersions(mitzvah), ...(stored ? stored.versions : [])];
+  return candidates.find(entry => sameTitle(entry.versionTitle, title)) || null;
+}
+
+// A copy of a mitzvah with the text, title, source and license of one language
+// replaced by a version's (an entry of a versions file)
+function applyVersion(mitzvah, entry) {
+  if (entry.default) return mitzvah;
+  return entry.language === 'en'
+    ? { ...mitzvah, text: entry.text, versionTitle: entry.versionTitle, versionSource: entry.versionSource, license: entry.license }
+    : { ...mitzvah, he: entry.text, heVersionTitle: entry.versionTitle, heVersionSource: entry.versionSource, heLicense: entry.license };
+}
+
+// Where the text of a mitzvah (as shown, after applyVersion()) comes from:
+// { url, versions: [{ language, versionTitle, versionSource, license, redistributable, restriction }] }
+function attributionOf(mitzvah) {
+  return {
+    url: `https://www.sefaria.org/Sefer_HaChinukh.${mitzvah.mitzvahNumber}`,
+    versions: defaultVersions(mitzvah)
+      .filter(entry => (entry.language === 'en' ? mitzvah.text : mitzvah.he))
+      .map(entry => ({
+        language: entry.language,
+        versionTitle: entry.versionTitle,
+        versionSource: entry.versionSource,
+        license: entry.license,
+        redistributable: isRedistributable(entry.license),
+        restriction: licenseRestriction(entry.license)
+      }))
+  };
+}
+
+module.exports = {
+  VERSION_LANGUAGES,
+  LANGUAGE_NAMES,
+  versionsFile,
+  readVersions,
+  sameTitle,
+  isRedistributable,
+  isNonCommercial,
+  licenseRestriction,
+  normalizePreferences,
+  versionRequests,
+  versionQuery,
+  versionsFromResponse,
+  hasAllVersions,
+  mergeVersions,
+  defaultVersions,
+  findVersion,
+  applyVersion,
+  attributionOf
+};
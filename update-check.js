@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { segmentsOf } = require('./search-index');
+const { segmentRef, formatRef } = require('./refs');
+const { formatNumbers } = require('./dataset-doctor');
+
+// ========== UPDATE CHECK ==========
+//
+// Compares the saved mitzvot with what Sefaria serves now. A change report:
+//
+//   { checkedAt, snapshot, checked, unchanged, failed: [{ number, error }],
+//     changed: [{ number, ref, fields: [{ field, old, new }],
+//                 segments: [{ ref, language, segment, change, old, new }] }],
+//     applied, before, after }
+//
+// fields are the version titles, sources, licenses and titles that changed; segments
+// the English and Hebrew segments, compared by position (segment 3 with segment 3):
+// change is 'changed', 'added' or 'removed' and old or new is null for the last two.
+// snapshot, before and after are snapshot ids (see snapshots.js): the data checked,
+// and when the changes were applied the data before and after them.
+//
+// Every check writes a change log to <outputDir>/changelogs, as Markdown for people
+// and as the report in JSON, named after the time of the check (changes_20261019-120000,
+// with -2, -3 ... for more checks in the same second).
+
+const CHANGELOG_DIR = 'changelogs';
+const COMPARED_FIELDS = ['indexTitle', 'heTitle', 'versionTitle', 'heVersionTitle', 'versionSource', 'heVersionSource', 'license', 'heLicense'];
+const TEXT_FIELDS = [['text', 'en'], ['he', 'he']];
+const LANGUAGE_NAMES = { en: 'English', he: 'Hebrew' };
+const MAX_DIFF_CELLS = 250000; // beyond this a segment is shown as replaced whole
+
+// Word-level differences between two strings: [{ type: 'same' | 'removed' | 'added', text }],
+// with whitespace kept on the words it follows
+function diffWords(before, after) {
+  const split = value => String(value).match(/\S+\s*|\s+/g) || [];
+  const a = split(before);
+  const b = split(after);
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [{ type: 'removed', text: String(before) }, { type: 'added', text: String(after) }].filter(part => part.text);
+  }
+
+  // Longest common subsequence of the words, read back from the end
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i].trim() === b[j].trim() ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i].trim() === b[j].trim()) {
+      push('same', b[j]);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  return parts;
+}
+
+// A word diff as one line: unchanged words as they are, [-removed-] and {+added+}
+function formatWordDiff(parts) {
+  return parts.map(part => {
+    if (part.type === 'same') return part.text;
+    const text = part.text.trimEnd();
+    const space = part.text.slice(text.length);
+    return (part.type === 'removed' ? `[-${text}-]` : `{+${text}+}`) + space;
+  }).join('').trim();
+}
+
+// The changes between the saved and the fetched record of a mitzvah, or null when
+// there are none (see the report above)
+function compareMitzvah(saved, fetched, number) {
+  const fields = COMPARED_FIELDS
+    .filter(field => (saved[field] || '') !== (fetched[field] || ''))
+    .map(field => ({ field, old: saved[field] || null, new: fetched[field] || null }));
+
+  const segments = [];
+  TEXT_FIELDS.forEach(([field, language]) => {
+    const before = segmentsOf(saved[field]);
+    const after = segmentsOf(fetched[field]);
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      if (before[i] === after[i]) continue;
+      const change = i >= before.length ? 'added' : i >= after.length ? 'removed' : 'changed';
+      segments.push({
+        ref: segmentRef(number, i + 1),
+        language,
+        segment: i + 1,
+        change,
+        old: i < before.length ? before[i] : null,
+        new: i < after.length ? after[i] : null
+      });
+    }
+  });
+
+  if (fields.length === 0 && segments.length === 0) return null;
+  return { number, ref: formatRef({ mitzvah: number }), fields, segments };
+}
+
+// Base name of the change log of a check: changes_20261019-120000 (UTC)
+function changeLogName(checkedAt) {
+  return `changes_${checkedAt.slice(0, 19).replace(/[-:]/g, '').replace('T', '-')}`;
+}
+
+// The files to write the change log of a check to: { markdown, json }
+function changeLogFiles(outputDir, checkedAt) {
+  const base = path.join(outputDir, CHANGELOG_DIR, changeLogName(checkedAt));
+  let name = base;
+  for (let n = 2; fs.existsSync(`${name}.md`) || fs.existsSync(`${name}.json`); n++) name = `${base}-${n}`;
+  return { markdown: `${name}.md`, json: `${name}.json` };
+}
+
+// The change log of a report, in Markdown
+function formatChangeLog(report) {
+  let content = `# Sefer HaChinukh update check, ${report.checkedAt.slice(0, 16).replace('T', ' ')} UTC\n\n`;
+  content += `Checked ${report.checked} mitzvot against Sefaria: ${report.changed.length} changed, ` +
+    `${report.unchanged} unchanged, ${report.failed.length} could not be fetched.\n\n`;
+  content += `Local data: ${report.snapshot ? `snapshot ${report.snapshot}` : 'not in a snapshot'}\n\n`;
+  if (report.applied) {
+    content += `Applied: the data before the changes is snapshot ${report.before}, after them snapshot ${report.after}.\n\n`;
+  } else if (report.changed.length > 0) {
+    content += 'Not applied: the saved data is unchanged.\n\n';
+  }
+  if (report.failed.length > 0) {
+    content += `Not checked: ${formatNumbers(report.failed.map(failure => failure.number))}\n\n`;
+  }
+
+  const quote = value => (value === null ? '(none)' : `"${value}"`);
+  report.changed.forEach(entry => {
+    content += `## Mitzvah ${entry.number} (${entry.ref})\n\n`;
+    entry.fields.forEach(field => {
+      content += `- ${field.field}: ${quote(field.old)} -> ${quote(field.new)}\n`;
+    });
+    if (entry.fields.length > 0) content += '\n';
+    entry.segments.forEach(segment => {
+      content += `### ${segment.ref} (${LANGUAGE_NAMES[segment.language]}, ${segment.change})\n\n`;
+      if (segment.old !== null) content += `Old: ${segment.old}\n\n`;
+      if (segment.new !== null) content += `New: ${segment.new}\n\n`;
+      if (segment.change === 'changed') content += `Diff: ${formatWordDiff(diffWords(segment.old, segment.new))}\n\n`;
+    });
+  });
+  return content;
+}
+
+module.exports = {
+  CHANGELOG_DIR,
+  COMPARED_FIELDS,
+  diffWords,
+  formatWordDiff,
+  compareMitzvah,
+  changeLogFiles,
+  formatChangeLog
+};
@@ -0,0 +1,106 @@
+const zlib = require('zlib');
+
+// ========== ZIP WRITER ==========
+//
+// Minimal ZIP archive writer (PKWARE APPNOTE 6.3), enough for EPUB containers:
+// local file headers, file data, a central directory and its end record. Entries
+// are deflated with the built-in zlib unless `store` is set (EPUB requires the
+// `mimetype` entry to come first, stored). No ZIP64, so archives stay below 4 GB.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const VERSION = 20; // 2.0: deflate
+const UTF8_NAMES = 0x0800; // general purpose flag bit 11: names are UTF-8
+const STORED = 0;
+const DEFLATED = 8;
+
+// CRC-32 (IEEE 802.3, reflected polynomial 0xEDB88320), table built once
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields of a Date (2-second resolution, years 1980-2107)
+function dosDateTime(date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Build a ZIP archive from [{ name, data (string or Buffer), store }]; options.date
+// sets every entry's modification time (default now). Returns a Buffer.
+function createZip(entries, options = {}) {
+  const { time, date } = dosDateTime(options.date || new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const method = entry.store ? STORED : DEFLATED;
+    const content = method === STORED ? data : zlib.deflateRawSync(data, { level: 9 });
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(VERSION, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // no extra field
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(CENTRAL_HEADER, 0);
+    header.writeUInt16LE(VERSION, 4); // made by
+    header.writeUInt16LE(VERSION, 6); // needed to extract
+    header.writeUInt16LE(UTF8_NAMES, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(content.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    // extra field, comment, disk number, internal and external attributes stay 0
+    header.writeUInt32LE(offset, 42);
+
+    parts.push(local, name, content);
+    central.push(header, name);
+    offset += local.length + name.length + content.length;
+  });
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8); // entries on this disk
+  end.writeUInt16LE(entries.length, 10); // entries in total
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...parts, directory, end]);
+}
+
+module.exports = {
+  crc32,
+  createZip
+};